@@ -38,6 +38,12 @@ async function main() {
     console.log(chalk.yellow('🔄 Analyzing trailing stop effectiveness...'));
     const trailingStopAnalysis = await analyzer.analyzeTrailingStopEffectiveness();
     
+    console.log(chalk.yellow('🕯️  Analyzing intra-candle TP/SL sensitivity...'));
+    const intraCandleSensitivity = await analyzer.analyzeIntraCandleSensitivity();
+    
+    console.log(chalk.yellow('⏱️  Analyzing entry timing and latency...'));
+    const entryTimingSensitivity = await analyzer.analyzeEntryTimingSensitivity();
+    
     // Генерація звіту
     console.log(chalk.yellow('\n📄 Generating report...'));
     const reportGenerator = new ReportGenerator();
@@ -45,7 +51,9 @@ async function main() {
       configAnalysis,
       timePatterns,
       profitDistribution,
-      trailingStopAnalysis
+      trailingStopAnalysis,
+      intraCandleSensitivity,
+      entryTimingSensitivity
     });
     
     // Збереження звіту
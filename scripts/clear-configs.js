@@ -7,6 +7,7 @@ async function clearConfigs() {
     console.log('🧹 Очищення конфігурацій...');
     
     await db.run('DELETE FROM simulation_summary');
+    await db.run('DELETE FROM simulation_exit_legs');
     await db.run('DELETE FROM simulation_results'); 
     await db.run('DELETE FROM simulation_configs');
     
@@ -3,7 +3,8 @@
 import 'dotenv/config';
 import { initializeDatabase } from '../src/database/init.js';
 import { ConfigurationGenerator } from '../src/simulation/configGenerator.js';
-import { TradingSimulator } from '../src/simulation/simulator.js';
+import { SimulationPool, defaultPoolSize } from '../src/simulation/simulationPool.js';
+import { loadDefaultKlineDataset } from '../src/simulation/klineDataset.js';
 import { getDatabase } from '../src/database/init.js';
 import logger from '../src/utils/logger.js';
 import chalk from 'chalk';
@@ -156,11 +157,15 @@ async function checkDataAvailability(db) {
 }
 
 /**
- * ВИПРАВЛЕННЯ: Покращено обробку симуляцій з кращою обробкою помилок
+ * Паралельний прогін конфігурацій пулом воркерів (SIMULATION_WORKERS, за замовчуванням - кількість ядер).
+ * Результати зберігаються в БД у порядку конфігурацій незалежно від того, який воркер закінчив першим.
  */
 async function runSimulations(configs) {
-  const results = [];
-  
+  const dataset = await loadDefaultKlineDataset();
+  const pool = new SimulationPool({ size: defaultPoolSize(), daysBack: 180, dataset }); // 180 днів
+  console.log(chalk.white(`   • Workers: ${Math.min(pool.size, configs.length)}`));
+  console.log(chalk.white(`   • Kline dataset: ${dataset.symbols.size} symbols, ${(dataset.byteLength() / 1024 / 1024).toFixed(1)} MB`));
+
   // Progress bar
   const progressBar = new cliProgress.SingleBar({
     format: 'Simulating |{bar}| {percentage}% | {value}/{total} | Config: {config}',
@@ -169,38 +174,32 @@ async function runSimulations(configs) {
     hideCursor: true
   });
   
-  progressBar.start(configs.length, 0);
-  
-  for (let i = 0; i < configs.length; i++) {
-    const config = configs[i];
-    progressBar.update(i + 1, { config: config.name });
+  progressBar.start(configs.length, 0, { config: '' });
 
-    try {
-      const simulator = new TradingSimulator(config);
-      const result = await simulator.runSimulation(180); // 180 днів
+  const poolResults = await pool.run(configs, {
+    onProgress: (completed, total, config) => progressBar.update(completed, { config: config.name })
+  });
 
-      results.push({
-        config,
-        summary: result.summary
-      });
+  progressBar.stop();
 
-    } catch (error) {
-      logger.error(`Simulation failed for ${config.name}:`, error);
-      results.push({
+  const cache = pool.getCacheStats();
+  logger.info(`Kline cache: ${cache.hits} hits, ${cache.misses} misses`);
+
+  return poolResults.map(({ config, summary, error }) => {
+    if (error) {
+      logger.error(`Simulation failed for ${config.name}: ${error}`);
+      return {
         config,
-        summary: { 
-          error: error.message,
+        summary: {
+          error,
           totalTrades: 0,
           roiPercent: 0,
           configName: config.name
         }
-      });
+      };
     }
-  }
-  
-  progressBar.stop();
-  
-  return results;
+    return { config, summary };
+  });
 }
 
 /**
@@ -0,0 +1,156 @@
+/**
+ * Сурогатна модель для байєсівської оптимізації: гаусівський процес з RBF-ядром
+ * над нормалізованими параметрами і expected improvement для вибору наступного кандидата.
+ * Простір пошуку дискретний (ті самі комбінації, що й у сітці), тому точки не повторюються.
+ */
+
+const DEFAULT_LENGTH_SCALE = 0.3;
+const DEFAULT_NOISE = 1e-4;
+
+export class GaussianProcess {
+  constructor({ lengthScale = DEFAULT_LENGTH_SCALE, noise = DEFAULT_NOISE } = {}) {
+    this.lengthScale = lengthScale;
+    this.noise = noise;
+    this.points = [];
+  }
+
+  /**
+   * Навчання на спостереженнях; значення стандартизуються, тож ядро має одиничну дисперсію
+   * @param {Array<Array<number>>} points - закодовані параметри
+   * @param {Array<number>} values - значення цільової метрики
+   */
+  fit(points, values) {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+    this.yMean = mean;
+    this.yStd = Math.sqrt(variance) || 1;
+    this.points = points;
+
+    const size = points.length;
+    const matrix = points.map((a, i) => points.map((b, j) => this.kernel(a, b) + (i === j ? this.noise : 0)));
+    this.cholesky = choleskyDecompose(matrix);
+
+    const normalized = values.map(value => (value - this.yMean) / this.yStd);
+    this.alpha = solveUpper(this.cholesky, solveLower(this.cholesky, normalized), size);
+    return this;
+  }
+
+  /**
+   * Апостеріорне середнє і стандартне відхилення в точці (в одиницях метрики)
+   */
+  predict(point) {
+    const similarities = this.points.map(observed => this.kernel(point, observed));
+    const mean = similarities.reduce((sum, value, i) => sum + value * this.alpha[i], 0);
+    const projection = solveLower(this.cholesky, similarities);
+    const variance = Math.max(1 - projection.reduce((sum, value) => sum + value * value, 0), 0);
+
+    return {
+      mean: mean * this.yStd + this.yMean,
+      stdDev: Math.sqrt(variance) * this.yStd
+    };
+  }
+
+  kernel(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+      distance += (a[i] - b[i]) ** 2;
+    }
+    return Math.exp(-distance / (2 * this.lengthScale ** 2));
+  }
+}
+
+/**
+ * Очікуване покращення над найкращим значенням (максимізація)
+ * @param {Object} prediction - { mean, stdDev }
+ * @param {number} best - найкраще спостережене значення
+ * @param {number} xi - мінімальне покращення, що заохочує дослідження
+ */
+export function expectedImprovement({ mean, stdDev }, best, xi = 0.01) {
+  const improvement = mean - best - xi;
+  if (stdDev <= 0) {
+    return Math.max(improvement, 0);
+  }
+  const z = improvement / stdDev;
+  return improvement * normalCdf(z) + stdDev * normalPdf(z);
+}
+
+/**
+ * Кодування кандидатів у вектори [0, 1]: числові параметри масштабуються за межами набору,
+ * стратегія (якщо їх кілька) - one-hot
+ * @param {Array} candidates - комбінації з generateParameterCombinations
+ * @param {Array<string>} params - числові параметри
+ */
+export function encodeCandidates(candidates, params) {
+  const bounds = params.map(param => {
+    const values = candidates.map(candidate => candidate[param]);
+    return { param, min: Math.min(...values), max: Math.max(...values) };
+  });
+  const strategies = [...new Set(candidates.map(candidate => candidate.strategy))];
+
+  return candidates.map(candidate => [
+    ...bounds.map(({ param, min, max }) => (max > min ? (candidate[param] - min) / (max - min) : 0)),
+    ...(strategies.length > 1 ? strategies.map(strategy => (candidate.strategy === strategy ? 1 : 0)) : [])
+  ]);
+}
+
+function choleskyDecompose(matrix) {
+  const size = matrix.length;
+  const lower = Array.from({ length: size }, () => new Array(size).fill(0));
+
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let k = 0; k < j; k++) {
+        sum -= lower[i][k] * lower[j][k];
+      }
+      if (i === j) {
+        // Майже вироджена матриця (дуже близькі точки) - мінімальний додатний діагональний елемент
+        lower[i][i] = Math.sqrt(Math.max(sum, 1e-12));
+      } else {
+        lower[i][j] = sum / lower[j][j];
+      }
+    }
+  }
+
+  return lower;
+}
+
+function solveLower(lower, vector) {
+  const result = new Array(vector.length).fill(0);
+  for (let i = 0; i < vector.length; i++) {
+    let sum = vector[i];
+    for (let k = 0; k < i; k++) {
+      sum -= lower[i][k] * result[k];
+    }
+    result[i] = sum / lower[i][i];
+  }
+  return result;
+}
+
+function solveUpper(lower, vector, size) {
+  // Розв'язок L^T x = b для нижньотрикутної L
+  const result = new Array(size).fill(0);
+  for (let i = size - 1; i >= 0; i--) {
+    let sum = vector[i];
+    for (let k = i + 1; k < size; k++) {
+      sum -= lower[k][i] * result[k];
+    }
+    result[i] = sum / lower[i][i];
+  }
+  return result;
+}
+
+function normalPdf(z) {
+  return Math.exp(-0.5 * z * z) / Math.sqrt(2 * Math.PI);
+}
+
+function normalCdf(z) {
+  // Наближення Абрамовіца-Стігана для erf (похибка < 1.5e-7)
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+export default GaussianProcess;
@@ -1,10 +1,50 @@
 import { TradingSimulator } from '../simulation/simulator.js';
-import { SimulationConfigModel } from '../database/models.js';
+import { SimulationPool } from '../simulation/simulationPool.js';
+import { SimulationConfigModel, ParetoFrontModel } from '../database/models.js';
+import { DEFAULT_STRATEGY } from '../simulation/strategies/index.js';
+import { GaussianProcess, expectedImprovement, encodeCandidates } from './bayesianSearch.js';
+import { DEFAULT_PARETO_OBJECTIVES, nonDominatedSort, assignCrowdingDistance, crowdedCompare } from './paretoSearch.js';
+import { createRandom, randomSeed } from '../utils/random.js';
 import logger from '../utils/logger.js';
 import fs from 'fs';
 
+// Параметри, які підбирає оптимізатор (для оцінки стабільності між вікнами walk-forward)
+const TUNED_PARAMS = ['takeProfitPercent', 'stopLossPercent', 'trailingStopPercent', 'buyAmountUsdt'];
+
+/**
+ * Ковзні вікна walk-forward за датою лістингу: trainSize лістингів для підбору
+ * і наступні testSize для перевірки поза вибіркою. Вікна зсуваються на testSize,
+ * тож тестові відрізки не перетинаються; з anchored навчальне вікно завжди
+ * починається з першого лістингу.
+ * @param {Array} listings - [{ listing_date }]
+ * @returns {Array} [{ index, train: { from, to, listings }, test: { from, to, listings } }], межі [from, to) у мс
+ */
+export function buildWalkForwardWindows(listings, { trainSize = 20, testSize = 5, anchored = false } = {}) {
+  const dates = listings.map(listing => listing.listing_date).sort((a, b) => a - b);
+  const windows = [];
+
+  for (let testStart = trainSize; testStart + testSize <= dates.length; testStart += testSize) {
+    const trainStart = anchored ? 0 : testStart - trainSize;
+    const testEnd = testStart + testSize;
+    windows.push({
+      index: windows.length + 1,
+      train: { from: dates[trainStart], to: dates[testStart], listings: testStart - trainStart },
+      // Межа останнього вікна - відразу після останнього лістингу
+      test: { from: dates[testStart], to: testEnd < dates.length ? dates[testEnd] : dates[testEnd - 1] + 1, listings: testSize }
+    });
+  }
+
+  return windows;
+}
+
 export class ParameterOptimizer {
-  constructor() {
+  /**
+   * @param {Object} options - workers: кількість worker_threads для пакетного тестування (1 - в головному потоці),
+   *   klineDataset: спільний KlineDataset для всіх симуляцій
+   */
+  constructor({ workers = 1, klineDataset = null } = {}) {
+    this.workers = workers;
+    this.klineDataset = klineDataset;
     this.configModel = new SimulationConfigModel();
     this.bestConfigs = [];
     this.optimizationHistory = [];
@@ -22,7 +62,8 @@ export class ParameterOptimizer {
       trailingStopRange = [0.2, 1.0, 0.2],
       buyAmountRange = [50, 200, 50],
       maxIterations = 100,
-      targetMetric = 'roi_percent'
+      targetMetric = 'roi_percent',
+      strategies = [baseConfig.strategy || DEFAULT_STRATEGY]
     } = optimizationParams;
 
     const combinations = this.generateParameterCombinations({
@@ -30,36 +71,276 @@ export class ParameterOptimizer {
       stopLossRange,
       trailingStopRange,
       buyAmountRange,
-      maxIterations
+      maxIterations,
+      strategies
     });
 
     logger.info(`Testing ${combinations.length} parameter combinations`);
 
-    for (let i = 0; i < combinations.length; i++) {
-      const config = { ...baseConfig, ...combinations[i] };
-      
+    const configs = combinations.map(combination => ({ ...baseConfig, ...combination }));
+    const results = await this.testConfigurations(configs, (completed, total) => {
+      if (completed % 10 === 1) {
+        logger.info(`Optimization progress: ${completed}/${total}`);
+      }
+    });
+
+    results.forEach((result, i) => {
+      if (result.error) {
+        logger.error(`Error testing configuration ${i + 1}: ${result.error}`);
+        return;
+      }
+
+      this.optimizationHistory.push({
+        config: configs[i],
+        result,
+        iteration: i + 1
+      });
+
+      // Оновлюємо топ конфігурації
+      this.updateBestConfigs(configs[i], result, targetMetric);
+    });
+
+    return this.getBestConfigurations(10);
+  }
+
+  /**
+   * Байєсівська оптимізація: гаусівський процес над тими самими комбінаціями, що й сітка
+   * (з тими ж обмеженнями), а наступна конфігурація обирається за expected improvement.
+   * Перші initialSamples кандидатів - випадкові; seed робить вибір відтворюваним.
+   * @param {Object} options - діапазони як в optimize, maxIterations (бюджет симуляцій),
+   *   initialSamples, targetMetric, lengthScale, xi, seed, nameSuffix
+   * @returns {Array} найкращі конфігурації цього запуску [{ config, performance, score }]
+   */
+  async bayesianOptimization(baseConfig, options = {}) {
+    const {
+      takeProfitRange = [0.5, 3.0, 0.5],
+      stopLossRange = [0.5, 2.0, 0.5],
+      trailingStopRange = [0.2, 1.0, 0.2],
+      buyAmountRange = [50, 200, 50],
+      maxIterations = 50,
+      initialSamples = Math.min(10, maxIterations),
+      targetMetric = 'roi_percent',
+      strategies = [baseConfig.strategy || DEFAULT_STRATEGY],
+      lengthScale,
+      xi = 0.01,
+      seed = randomSeed(),
+      nameSuffix = ''
+    } = options;
+
+    // Увесь простір кандидатів без випадкової вибірки - її замінює сурогатна модель
+    const candidates = this.generateParameterCombinations({
+      takeProfitRange,
+      stopLossRange,
+      trailingStopRange,
+      buyAmountRange,
+      maxIterations: Infinity,
+      strategies
+    });
+    const encoded = encodeCandidates(candidates, TUNED_PARAMS);
+    const random = createRandom(seed);
+    const remaining = candidates.map((candidate, index) => index);
+    const observations = [];
+    const budget = Math.min(maxIterations, candidates.length);
+
+    logger.info(`Starting Bayesian optimization: ${budget} evaluations over ${candidates.length} candidates (seed ${seed})`);
+
+    while (observations.length < budget && remaining.length > 0) {
+      const position = observations.length < initialSamples
+        ? Math.floor(random() * remaining.length)
+        : this.selectByExpectedImprovement(observations, remaining, encoded, { lengthScale, xi });
+      const [index] = remaining.splice(position, 1);
+      const config = { ...baseConfig, ...candidates[index], name: `${candidates[index].name}${nameSuffix}` };
+
       try {
         const result = await this.testConfiguration(config);
-        
-        this.optimizationHistory.push({
-          config,
-          result,
-          iteration: i + 1
-        });
+        const score = metricValue(result.summary, targetMetric);
+        observations.push({ index, config, result, score });
 
-        // Оновлюємо топ конфігурації
+        this.optimizationHistory.push({ config, result, iteration: observations.length, method: 'bayes' });
         this.updateBestConfigs(config, result, targetMetric);
-        
-        if (i % 10 === 0) {
-          logger.info(`Optimization progress: ${i + 1}/${combinations.length}`);
+
+        if (observations.length % 10 === 0) {
+          const best = Math.max(...observations.map(observation => observation.score));
+          logger.info(`Bayesian optimization progress: ${observations.length}/${budget}, best ${targetMetric} ${best.toFixed(2)}`);
         }
-        
       } catch (error) {
-        logger.error(`Error testing configuration ${i + 1}: ${error.message}`);
+        logger.error(`Error testing configuration ${config.name}: ${error.message}`);
       }
     }
 
-    return this.getBestConfigurations(10);
+    return observations
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 10)
+      .map(({ config, result, score }) => ({ config, performance: result.summary, score }));
+  }
+
+  /**
+   * Позиція в remaining кандидата з найбільшим expected improvement
+   */
+  selectByExpectedImprovement(observations, remaining, encoded, { lengthScale, xi }) {
+    const model = new GaussianProcess({ lengthScale }).fit(
+      observations.map(observation => encoded[observation.index]),
+      observations.map(observation => observation.score)
+    );
+    const best = Math.max(...observations.map(observation => observation.score));
+
+    let bestPosition = 0;
+    let bestImprovement = -Infinity;
+    remaining.forEach((index, position) => {
+      const improvement = expectedImprovement(model.predict(encoded[index]), best, xi);
+      if (improvement > bestImprovement) {
+        bestImprovement = improvement;
+        bestPosition = position;
+      }
+    });
+    return bestPosition;
+  }
+
+  /**
+   * Багатокритеріальна оптимізація (NSGA-II) над комбінаціями сітки з тими ж обмеженнями.
+   * Нащадки отримують кожен параметр від одного з батьків і з імовірністю mutationRate
+   * зсуваються на сусіднє значення сітки; комбінації, що порушують обмеження, відкидаються.
+   * Кожна комбінація симулюється один раз; фронт Парето всіх оцінених конфігурацій
+   * зберігається в pareto_runs / pareto_front.
+   * @param {Object} options - діапазони як в optimize, objectives, populationSize, generations,
+   *   mutationRate, seed, runName, saveToDatabase
+   * @returns {Object} { runId, objectives, front: [{ configId, config, performance, objectives, crowding }], evaluations }
+   */
+  async paretoOptimization(baseConfig, options = {}) {
+    const {
+      takeProfitRange = [0.5, 3.0, 0.5],
+      stopLossRange = [0.5, 2.0, 0.5],
+      trailingStopRange = [0.2, 1.0, 0.2],
+      buyAmountRange = [50, 200, 50],
+      strategies = [baseConfig.strategy || DEFAULT_STRATEGY],
+      objectives = DEFAULT_PARETO_OBJECTIVES,
+      populationSize = 20,
+      generations = 10,
+      mutationRate = 0.2,
+      seed = randomSeed(),
+      runName = baseConfig.name || 'Pareto',
+      saveToDatabase = true
+    } = options;
+
+    const candidates = this.generateParameterCombinations({
+      takeProfitRange,
+      stopLossRange,
+      trailingStopRange,
+      buyAmountRange,
+      maxIterations: Infinity,
+      strategies
+    });
+    const byKey = new Map(candidates.map(candidate => [candidateKey(candidate), candidate]));
+    const gridValues = {
+      takeProfitPercent: this.generateRange(...takeProfitRange),
+      stopLossPercent: this.generateRange(...stopLossRange),
+      trailingStopPercent: this.generateRange(...trailingStopRange),
+      buyAmountUsdt: this.generateRange(...buyAmountRange)
+    };
+    const random = createRandom(seed);
+    const evaluated = new Map();
+
+    logger.info(`Starting NSGA-II optimization: population ${populationSize}, ${generations} generations over ${candidates.length} candidates (seed ${seed})`);
+
+    const evaluate = async individuals => {
+      const pending = new Map();
+      for (const candidate of individuals) {
+        const key = candidateKey(candidate);
+        if (!evaluated.has(key) && !pending.has(key)) {
+          pending.set(key, { ...baseConfig, ...candidate });
+        }
+      }
+
+      const configs = [...pending.values()];
+      const results = await this.testConfigurations(configs);
+      [...pending.keys()].forEach((key, i) => {
+        const config = configs[i];
+        const result = results[i];
+        if (result.error) {
+          logger.error(`Error testing configuration ${config.name}: ${result.error}`);
+          evaluated.set(key, null);
+          return;
+        }
+        const values = Object.fromEntries(objectives.map(({ metric }) => [metric, metricValue(result.summary, metric)]));
+        evaluated.set(key, { key, config, configId: result.configId ?? null, performance: result.summary, objectives: values });
+        this.optimizationHistory.push({ config, result, iteration: evaluated.size, method: 'pareto' });
+      });
+      return individuals.map(candidate => evaluated.get(candidateKey(candidate))).filter(Boolean);
+    };
+
+    const rankPopulation = individuals => {
+      for (const front of nonDominatedSort(individuals, objectives)) {
+        assignCrowdingDistance(front, objectives);
+      }
+      return individuals;
+    };
+
+    let population = rankPopulation(await evaluate(
+      this.randomSample(candidates, populationSize, random)
+    ));
+
+    for (let generation = 0; generation < generations && population.length > 1; generation++) {
+      const offspring = new Map();
+      const taken = new Set(population.map(individual => individual.key));
+
+      for (let attempt = 0; offspring.size < populationSize && attempt < populationSize * 20; attempt++) {
+        const parent1 = binaryTournament(population, random);
+        const parent2 = binaryTournament(population, random);
+        const child = { strategy: random() < 0.5 ? parent1.config.strategy : parent2.config.strategy };
+
+        for (const param of TUNED_PARAMS) {
+          let value = random() < 0.5 ? parent1.config[param] : parent2.config[param];
+          if (random() < mutationRate) {
+            const values = gridValues[param];
+            const index = values.indexOf(value) + (random() < 0.5 ? -1 : 1);
+            value = values[Math.min(Math.max(index, 0), values.length - 1)];
+          }
+          child[param] = value;
+        }
+
+        // Лише комбінації з сітки: так само виконуються обмеження TP > SL і trailing < TP
+        const candidate = byKey.get(candidateKey(child));
+        if (candidate && !taken.has(candidateKey(candidate))) {
+          offspring.set(candidateKey(candidate), candidate);
+          taken.add(candidateKey(candidate));
+        }
+      }
+
+      const combined = rankPopulation([...population, ...await evaluate([...offspring.values()])]);
+      population = combined.sort(crowdedCompare).slice(0, populationSize);
+      rankPopulation(population);
+
+      const firstFront = population.filter(individual => individual.rank === 0).length;
+      logger.info(`NSGA-II generation ${generation + 1}/${generations}: ${offspring.size} new configurations, front size ${firstFront}`);
+    }
+
+    // Фронт Парето серед усіх оцінених конфігурацій, а не лише останнього покоління
+    const all = [...evaluated.values()].filter(Boolean);
+    const [front = []] = nonDominatedSort(all, objectives);
+    assignCrowdingDistance(front, objectives);
+
+    // id конфігурації з цього прогону: за назвою можна знайти рядок попереднього запуску
+    const members = front.map(individual => ({
+      configId: individual.configId,
+      config: individual.config,
+      performance: individual.performance,
+      objectives: individual.objectives,
+      crowding: individual.crowding
+    }));
+
+    let runId = null;
+    if (saveToDatabase && members.length > 0) {
+      runId = await new ParetoFrontModel().createRun({
+        name: runName,
+        objectives,
+        populationSize,
+        generations,
+        evaluations: all.length
+      }, members);
+    }
+
+    logger.info(`NSGA-II finished: ${all.length} configurations evaluated, Pareto front of ${members.length}`);
+    return { runId, objectives, front: members, evaluations: all.length };
   }
 
   /**
@@ -72,22 +353,29 @@ export class ParameterOptimizer {
     const stopLossValues = this.generateRange(...ranges.stopLossRange);
     const trailingStopValues = this.generateRange(...ranges.trailingStopRange);
     const buyAmountValues = this.generateRange(...ranges.buyAmountRange);
+    const strategies = ranges.strategies || [DEFAULT_STRATEGY];
 
-    for (const takeProfit of takeProfitValues) {
-      for (const stopLoss of stopLossValues) {
-        for (const trailingStop of trailingStopValues) {
-          for (const buyAmount of buyAmountValues) {
-            // Перевірка логічності параметрів
-            if (takeProfit > stopLoss && trailingStop < takeProfit) {
-              combinations.push({
-                name: `Optimized_TP${takeProfit}_SL${stopLoss}_TS${trailingStop}_BA${buyAmount}`,
-                takeProfitPercent: takeProfit,
-                stopLossPercent: stopLoss,
-                trailingStopPercent: trailingStop,
-                trailingStopActivationPercent: takeProfit / 2,
-                buyAmountUsdt: buyAmount,
-                trailingStopEnabled: true
-              });
+    for (const strategy of strategies) {
+      // Назва стратегії в імені лише для нестандартних, щоб не ламати існуючі конфігурації
+      const prefix = strategy === DEFAULT_STRATEGY ? 'Optimized' : `Optimized_${strategy}`;
+      
+      for (const takeProfit of takeProfitValues) {
+        for (const stopLoss of stopLossValues) {
+          for (const trailingStop of trailingStopValues) {
+            for (const buyAmount of buyAmountValues) {
+              // Перевірка логічності параметрів
+              if (takeProfit > stopLoss && trailingStop < takeProfit) {
+                combinations.push({
+                  name: `${prefix}_TP${takeProfit}_SL${stopLoss}_TS${trailingStop}_BA${buyAmount}`,
+                  strategy,
+                  takeProfitPercent: takeProfit,
+                  stopLossPercent: stopLoss,
+                  trailingStopPercent: trailingStop,
+                  trailingStopActivationPercent: takeProfit / 2,
+                  buyAmountUsdt: buyAmount,
+                  trailingStopEnabled: true
+                });
+              }
             }
           }
         }
@@ -116,8 +404,8 @@ export class ParameterOptimizer {
   /**
    * Випадкова вибірка з масиву
    */
-  randomSample(array, size) {
-    const shuffled = [...array].sort(() => 0.5 - Math.random());
+  randomSample(array, size, random = Math.random) {
+    const shuffled = [...array].sort(() => 0.5 - random());
     return shuffled.slice(0, size);
   }
 
@@ -125,10 +413,35 @@ export class ParameterOptimizer {
    * Тестування конфігурації
    */
   async testConfiguration(config) {
-    const simulator = new TradingSimulator(config);
+    const simulator = new TradingSimulator(config, { klineDataset: this.klineDataset });
     return await simulator.runSimulation();
   }
 
+  /**
+   * Пакетне тестування конфігурацій: з workers > 1 - через пул воркерів
+   * (результати зберігаються в порядку configs), інакше послідовно в цьому потоці
+   * @returns {Array} результати в порядку configs; невдалі - { error }
+   */
+  async testConfigurations(configs, onProgress = null) {
+    if (this.workers > 1) {
+      const pool = new SimulationPool({ size: this.workers, dataset: this.klineDataset });
+      return await pool.run(configs, { onProgress });
+    }
+
+    const results = [];
+    for (const config of configs) {
+      try {
+        results.push(await this.testConfiguration(config));
+      } catch (error) {
+        results.push({ error: error.message });
+      }
+      if (onProgress) {
+        onProgress(results.length, configs.length, config);
+      }
+    }
+    return results;
+  }
+
   /**
    * Оновлення топ конфігурацій
    */
@@ -136,7 +449,7 @@ export class ParameterOptimizer {
     const entry = {
       config,
       result,
-      score: result.summary[targetMetric] || 0
+      score: metricValue(result.summary, targetMetric)
     };
 
     this.bestConfigs.push(entry);
@@ -161,6 +474,163 @@ export class ParameterOptimizer {
     }));
   }
 
+  /**
+   * Walk-forward оптимізація: параметри підбираються на кожному навчальному вікні,
+   * а найкраща конфігурація перевіряється на наступному (поза вибіркою).
+   * Тестові угоди всіх вікон зшиваються в одну криву капіталу.
+   * @param {Object} options - trainSize, testSize, anchored, method ('grid' | 'genetic' | 'bayes'),
+   *   targetMetric та діапазони/параметри відповідного методу
+   * @returns {Object} { windows, equityCurve, summary }
+   */
+  async walkForward(baseConfig, options = {}) {
+    const {
+      trainSize = 20,
+      testSize = 5,
+      anchored = false,
+      method = 'grid',
+      targetMetric = 'roiPercent'
+    } = options;
+
+    const listings = await new TradingSimulator(baseConfig).getNewListingsWithData();
+    const windows = buildWalkForwardWindows(listings, { trainSize, testSize, anchored });
+    if (windows.length === 0) {
+      logger.warn(`Walk-forward needs at least ${trainSize + testSize} listings, found ${listings.length}`);
+      return { windows: [], equityCurve: [], summary: this.summarizeWalkForward([], [], null) };
+    }
+
+    logger.info(`Walk-forward optimization: ${windows.length} windows (${trainSize} train / ${testSize} test listings, ${method})`);
+
+    // Однаковий набір кандидатів для всіх вікон, щоб вибір між вікнами був порівнянним
+    const candidates = method === 'grid'
+      ? this.generateParameterCombinations({
+        takeProfitRange: [0.5, 3.0, 0.5],
+        stopLossRange: [0.5, 2.0, 0.5],
+        trailingStopRange: [0.2, 1.0, 0.2],
+        buyAmountRange: [50, 200, 50],
+        maxIterations: 100,
+        strategies: [baseConfig.strategy || DEFAULT_STRATEGY],
+        ...options
+      })
+      : null;
+
+    const reports = [];
+    const equityCurve = [];
+    let startEquity = null;
+    let equity = null;
+
+    for (const window of windows) {
+      const trainConfig = { ...baseConfig, listingDateFrom: window.train.from, listingDateTo: window.train.to };
+      const best = await this.optimizeWindow(trainConfig, window, { ...options, method, targetMetric, candidates });
+      if (!best) {
+        logger.warn(`Walk-forward window ${window.index}: no configuration could be evaluated`);
+        continue;
+      }
+
+      const testResult = await this.testConfiguration({
+        ...best.config,
+        name: `${best.config.name}_WF${window.index}_test`,
+        listingDateFrom: window.test.from,
+        listingDateTo: window.test.to
+      });
+
+      // Зшивання: P&L тестових угод нараховується на капітал попередніх вікон
+      startEquity ??= testResult.summary.initialBalance;
+      equity ??= startEquity;
+      const trades = [...testResult.trades].sort((a, b) => a.exitTime - b.exitTime);
+      for (const trade of trades) {
+        equity += trade.profitLossUsdt;
+        equityCurve.push({ time: trade.exitTime, equity, window: window.index, symbol: trade.symbol });
+      }
+
+      const report = {
+        index: window.index,
+        train: window.train,
+        test: window.test,
+        config: pickTunedParams(best.config),
+        trainScore: best.score,
+        testScore: metricValue(testResult.summary, targetMetric),
+        trainRoiPercent: best.performance.roiPercent || 0,
+        testRoiPercent: testResult.summary.roiPercent || 0,
+        testTrades: testResult.summary.totalTrades || 0,
+        testProfitUsdt: trades.reduce((sum, trade) => sum + trade.profitLossUsdt, 0)
+      };
+      reports.push(report);
+
+      logger.info(`Walk-forward window ${window.index}: train ${targetMetric} ${report.trainScore.toFixed(2)}, test ${report.testScore.toFixed(2)} (${report.testTrades} trades)`);
+    }
+
+    return {
+      windows: reports,
+      equityCurve,
+      summary: this.summarizeWalkForward(reports, equityCurve, startEquity)
+    };
+  }
+
+  /**
+   * Найкраща конфігурація навчального вікна: { config, performance, score }
+   */
+  async optimizeWindow(trainConfig, window, { method, targetMetric, candidates, ...options }) {
+    if (method === 'bayes') {
+      const [best] = await this.bayesianOptimization(trainConfig, {
+        ...options,
+        targetMetric,
+        nameSuffix: `_WF${window.index}_train`
+      });
+      return best ? { ...best, config: { ...best.config, name: best.config.name.replace(`_WF${window.index}_train`, '') } } : null;
+    }
+    if (method === 'genetic') {
+      const finalists = await this.geneticOptimization(trainConfig, options);
+      return finalists
+        .map(finalist => ({ ...finalist, score: metricValue(finalist.performance, targetMetric) }))
+        .reduce((best, finalist) => (!best || finalist.score > best.score ? finalist : best), null);
+    }
+
+    const configs = candidates.map(candidate => ({ ...trainConfig, ...candidate, name: `${candidate.name}_WF${window.index}_train` }));
+    const results = await this.testConfigurations(configs);
+
+    let best = null;
+    results.forEach((result, i) => {
+      if (result.error) {
+        logger.error(`Error testing ${configs[i].name}: ${result.error}`);
+        return;
+      }
+      const score = metricValue(result.summary, targetMetric);
+      if (!best || score > best.score) {
+        best = { config: { ...configs[i], name: candidates[i].name }, performance: result.summary, score };
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Підсумок walk-forward: результат поза вибіркою і стабільність між вікнами.
+   * efficiency - відношення сумарного тестового до сумарного навчального значення метрики.
+   */
+  summarizeWalkForward(reports, equityCurve, startEquity) {
+    const totalReturn = reports.reduce((sum, report) => sum + report.testProfitUsdt, 0);
+    const trainTotal = reports.reduce((sum, report) => sum + report.trainScore, 0);
+    const testTotal = reports.reduce((sum, report) => sum + report.testScore, 0);
+
+    const parameterStability = {};
+    for (const param of TUNED_PARAMS) {
+      const values = reports.map(report => report.config[param]).filter(value => typeof value === 'number');
+      if (values.length === 0) continue;
+      const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+      const stdDev = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+      parameterStability[param] = { mean, stdDev, distinctValues: new Set(values).size };
+    }
+
+    return {
+      windows: reports.length,
+      profitableWindows: reports.filter(report => report.testProfitUsdt > 0).length,
+      outOfSampleTrades: equityCurve.length,
+      outOfSampleReturnUsdt: totalReturn,
+      outOfSampleRoiPercent: startEquity ? (totalReturn / startEquity) * 100 : 0,
+      efficiency: trainTotal !== 0 ? testTotal / trainTotal : 0,
+      parameterStability
+    };
+  }
+
   /**
    * Genetic Algorithm оптимізація
    */
@@ -343,4 +813,33 @@ export class ParameterOptimizer {
   }
 }
 
+/**
+ * Значення метрики зведення; приймає і snake_case назви (roi_percent)
+ */
+function metricValue(summary, metric) {
+  const camelCase = metric.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+  return summary[metric] ?? summary[camelCase] ?? 0;
+}
+
+function candidateKey(candidate) {
+  return [candidate.strategy, ...TUNED_PARAMS.map(param => candidate[param])].join('|');
+}
+
+/**
+ * Бінарний турнір NSGA-II: з двох випадкових особин перемагає краща за crowdedCompare
+ */
+function binaryTournament(population, random) {
+  const a = population[Math.floor(random() * population.length)];
+  const b = population[Math.floor(random() * population.length)];
+  return crowdedCompare(a, b) <= 0 ? a : b;
+}
+
+function pickTunedParams(config) {
+  const params = { name: config.name, strategy: config.strategy, trailingStopEnabled: config.trailingStopEnabled };
+  for (const param of TUNED_PARAMS) {
+    params[param] = config[param];
+  }
+  return params;
+}
+
 export default ParameterOptimizer;
\ No newline at end of file
@@ -0,0 +1,153 @@
+/**
+ * Багатокритеріальний відбір у стилі NSGA-II: недомінуюче сортування на фронти,
+ * crowding distance для різноманіття всередині фронту і вибір компромісної точки фронту.
+ * Цілі задаються як [{ metric, direction: 'max' | 'min' }] за назвами полів зведення симуляції.
+ */
+export const DEFAULT_PARETO_OBJECTIVES = [
+  { metric: 'roiPercent', direction: 'max' },
+  { metric: 'maxDrawdown', direction: 'min' },
+  { metric: 'winRate', direction: 'max' },
+  { metric: 'totalTrades', direction: 'max' }
+];
+
+/**
+ * Чи домінує a над b: не гірше за всіма цілями і краще хоча б за однією
+ * @param {Object} a - значення цілей { [metric]: number }
+ * @param {Object} b - значення цілей { [metric]: number }
+ */
+export function dominates(a, b, objectives = DEFAULT_PARETO_OBJECTIVES) {
+  let better = false;
+  for (const { metric, direction } of objectives) {
+    const diff = direction === 'min' ? b[metric] - a[metric] : a[metric] - b[metric];
+    if (diff < 0) return false;
+    if (diff > 0) better = true;
+  }
+  return better;
+}
+
+/**
+ * Недомінуюче сортування: перший фронт - оптимум Парето, кожен наступний домінується попередніми.
+ * Кожному елементу виставляється rank (0 для першого фронту).
+ * @param {Array} items - [{ objectives }]
+ * @returns {Array<Array>} фронти
+ */
+export function nonDominatedSort(items, objectives = DEFAULT_PARETO_OBJECTIVES) {
+  const dominatedBy = items.map(() => []);
+  const dominationCount = items.map(() => 0);
+  const fronts = [[]];
+
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      if (dominates(items[i].objectives, items[j].objectives, objectives)) {
+        dominatedBy[i].push(j);
+        dominationCount[j]++;
+      } else if (dominates(items[j].objectives, items[i].objectives, objectives)) {
+        dominatedBy[j].push(i);
+        dominationCount[i]++;
+      }
+    }
+  }
+
+  items.forEach((item, i) => {
+    if (dominationCount[i] === 0) {
+      item.rank = 0;
+      fronts[0].push(i);
+    }
+  });
+
+  for (let rank = 0; fronts[rank].length > 0; rank++) {
+    const next = [];
+    for (const i of fronts[rank]) {
+      for (const j of dominatedBy[i]) {
+        dominationCount[j]--;
+        if (dominationCount[j] === 0) {
+          items[j].rank = rank + 1;
+          next.push(j);
+        }
+      }
+    }
+    fronts.push(next);
+  }
+
+  return fronts.filter(front => front.length > 0).map(front => front.map(i => items[i]));
+}
+
+/**
+ * Crowding distance у межах фронту: крайні точки за кожною ціллю отримують Infinity,
+ * решта - суму нормалізованих відстаней між сусідами
+ */
+export function assignCrowdingDistance(front, objectives = DEFAULT_PARETO_OBJECTIVES) {
+  front.forEach(item => { item.crowding = 0; });
+  if (front.length <= 2) {
+    front.forEach(item => { item.crowding = Infinity; });
+    return front;
+  }
+
+  for (const { metric } of objectives) {
+    const sorted = [...front].sort((a, b) => a.objectives[metric] - b.objectives[metric]);
+    const range = sorted[sorted.length - 1].objectives[metric] - sorted[0].objectives[metric];
+    sorted[0].crowding = Infinity;
+    sorted[sorted.length - 1].crowding = Infinity;
+    if (range === 0) continue;
+
+    for (let i = 1; i < sorted.length - 1; i++) {
+      sorted[i].crowding += (sorted[i + 1].objectives[metric] - sorted[i - 1].objectives[metric]) / range;
+    }
+  }
+
+  return front;
+}
+
+/**
+ * Порівняння для відбору NSGA-II: нижчий rank, а при рівному - більша crowding distance
+ */
+export function crowdedCompare(a, b) {
+  if (a.rank !== b.rank) return a.rank - b.rank;
+  return b.crowding - a.crowding;
+}
+
+/**
+ * Вибір компромісної точки фронту: обмеження відсікають кандидатів,
+ * а серед решти перемагає найбільша зважена сума нормалізованих цілей (1 - найкраще значення на фронті)
+ * @param {Array} front - [{ objectives }]
+ * @param {Object} options - weights { [metric]: number } (за замовчуванням рівні),
+ *   constraints { [metric]: { min, max } }
+ * @returns {Object|null} { member, score, candidates }
+ */
+export function selectTradeOff(front, { objectives = DEFAULT_PARETO_OBJECTIVES, weights = {}, constraints = {} } = {}) {
+  const candidates = front.filter(member => Object.entries(constraints).every(([metric, { min, max } = {}]) => {
+    const value = member.objectives[metric];
+    return (min === undefined || value >= min) && (max === undefined || value <= max);
+  }));
+  if (candidates.length === 0) return null;
+
+  const totalWeight = objectives.reduce((sum, { metric }) => sum + (weights[metric] ?? 1), 0) || 1;
+  const bounds = objectives.map(({ metric }) => {
+    const values = candidates.map(member => member.objectives[metric]);
+    return { min: Math.min(...values), max: Math.max(...values) };
+  });
+
+  let best = null;
+  for (const member of candidates) {
+    const score = objectives.reduce((sum, { metric, direction }, i) => {
+      const { min, max } = bounds[i];
+      const normalized = max > min ? (member.objectives[metric] - min) / (max - min) : 1;
+      return sum + (weights[metric] ?? 1) * (direction === 'min' ? 1 - normalized : normalized);
+    }, 0) / totalWeight;
+
+    if (!best || score > best.score) {
+      best = { member, score };
+    }
+  }
+
+  return { ...best, candidates: candidates.length };
+}
+
+export default {
+  DEFAULT_PARETO_OBJECTIVES,
+  dominates,
+  nonDominatedSort,
+  assignCrowdingDistance,
+  crowdedCompare,
+  selectTradeOff
+};
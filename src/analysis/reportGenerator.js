@@ -35,6 +35,10 @@ export class ReportGenerator {
       
       trailingStopAnalysis: this.formatTrailingStopAnalysis(analysisData.trailingStopAnalysis),
       
+      intraCandleSensitivity: this.formatIntraCandleSensitivity(analysisData.intraCandleSensitivity),
+      entryTimingSensitivity: this.formatEntryTimingSensitivity(analysisData.entryTimingSensitivity),
+      paretoFront: this.formatParetoFront(analysisData.paretoFront),
+      
       recommendations: await this.generateRecommendations(analysisData)
     };
     
@@ -126,7 +130,83 @@ export class ReportGenerator {
         },
         tradeCount: detail.trade_count,
         avgProfit: formatPercent(detail.avg_profit),
-        avgMaxGainBeforeExit: formatPercent(detail.avg_max_gain)
+        avgMaxGainBeforeExit: formatPercent(detail.avg_max_gain),
+        avgMinutesToActivation: detail.avg_minutes_to_activation !== null
+          ? Number(detail.avg_minutes_to_activation.toFixed(1))
+          : null
+      }))
+    };
+  }
+  
+  formatIntraCandleSensitivity(analysis) {
+    if (!analysis) {
+      return null;
+    }
+    
+    return {
+      byPolicy: analysis.byPolicy.map(item => ({
+        policy: item.intra_candle_policy,
+        configCount: item.config_count,
+        avgROI: formatPercent(item.avg_roi),
+        avgWinRate: formatPercent(item.avg_win_rate),
+        ambiguousShare: formatPercent(item.total_trades > 0 ? item.ambiguous_trades / item.total_trades * 100 : 0)
+      })),
+      ambiguousExits: analysis.ambiguousExits.map(item => ({
+        policy: item.intra_candle_policy,
+        resolvedBy: item.ambiguity_resolved_by,
+        exitReason: item.exit_reason,
+        tradeCount: item.trade_count,
+        avgProfit: formatPercent(item.avg_profit)
+      }))
+    };
+  }
+  
+formatEntryTimingSensitivity(analysis) {
+    if (!analysis) {
+      return null;
+    }
+    
+    return {
+      byTiming: analysis.byTiming.map(item => ({
+        entryTiming: item.entry_timing,
+        latencyMs: item.entry_latency_ms,
+        configCount: item.config_count,
+        avgROI: formatPercent(item.avg_roi),
+        avgWinRate: formatPercent(item.avg_win_rate)
+      })),
+      latencyCost: analysis.latencyCost.map(item => ({
+        entryTiming: item.entry_timing,
+        latencyMs: item.entry_latency_ms,
+        tradeCount: item.trade_count,
+        avgLatencyCost: formatPercent(item.avg_latency_cost),
+        avgProfit: formatPercent(item.avg_profit)
+      }))
+    };
+  }
+  
+  /**
+   * Таблиця фронту Парето (рядок на конфігурацію) з результату ResultAnalyzer.analyzeParetoFront
+   */
+  formatParetoFront(paretoFront) {
+    if (!paretoFront) {
+      return null;
+    }
+    
+    return {
+      runId: paretoFront.run.id,
+      name: paretoFront.run.name,
+      objectives: paretoFront.run.objectives,
+      evaluations: paretoFront.run.evaluations,
+      table: paretoFront.front.map(member => ({
+        config: member.config_name,
+        takeProfit: formatPercent(member.take_profit_percent * 100),
+        stopLoss: formatPercent(member.stop_loss_percent * 100),
+        trailingStop: formatPercent(member.trailing_stop_percent * 100),
+        buyAmount: formatUSDT(member.buy_amount_usdt),
+        roi: formatPercent(member.roi_percent),
+        maxDrawdown: formatPercent(member.max_drawdown_percent),
+        winRate: formatPercent(member.win_rate_percent),
+        totalTrades: member.total_trades
       }))
     };
   }
@@ -1,4 +1,6 @@
 import { getDatabase } from '../database/init.js';
+import { ParetoFrontModel } from '../database/models.js';
+import { selectTradeOff } from './paretoSearch.js';
 import { average, groupBy } from '../utils/helpers.js';
 import logger from '../utils/logger.js';
 
@@ -121,7 +123,8 @@ export class ResultAnalyzer {
         sc.trailing_stop_activation_percent,
         COUNT(sr.id) as trade_count,
         AVG(sr.profit_loss_percent) as avg_profit,
-        AVG((sr.max_price_reached - sr.entry_price) / sr.entry_price * 100) as avg_max_gain
+        AVG((sr.max_price_reached - sr.entry_price) / sr.entry_price * 100) as avg_max_gain,
+        AVG((sr.trailing_stop_activated_at - sr.entry_time) / 60000.0) as avg_minutes_to_activation
       FROM simulation_results sr
       JOIN simulation_configs sc ON sr.config_id = sc.id
       WHERE sr.exit_reason = 'trailing_stop'
@@ -134,6 +137,108 @@ export class ResultAnalyzer {
     };
   }
   
+  async analyzeIntraCandleSensitivity() {
+    // Наскільки результати залежать від розв'язання свічок, що торкнулись і TP, і SL
+    const db = await this.dbPromise;
+    const byPolicy = await db.all(`
+      SELECT
+        sc.intra_candle_policy,
+        COUNT(DISTINCT sc.id) as config_count,
+        AVG(ss.roi_percent) as avg_roi,
+        AVG(ss.win_rate_percent) as avg_win_rate,
+        SUM(ss.ambiguous_trades) as ambiguous_trades,
+        SUM(ss.total_trades) as total_trades
+      FROM simulation_configs sc
+      JOIN simulation_summary ss ON sc.id = ss.config_id
+      GROUP BY sc.intra_candle_policy
+    `);
+
+    // Як саме були закриті неоднозначні угоди
+    const ambiguousExits = await db.all(`
+      SELECT
+        sc.intra_candle_policy,
+        sr.ambiguity_resolved_by,
+        sr.exit_reason,
+        COUNT(sr.id) as trade_count,
+        AVG(sr.profit_loss_percent) as avg_profit
+      FROM simulation_results sr
+      JOIN simulation_configs sc ON sr.config_id = sc.id
+      WHERE sr.ambiguous_exit = 1
+      GROUP BY sc.intra_candle_policy, sr.ambiguity_resolved_by, sr.exit_reason
+    `);
+
+    return {
+      byPolicy,
+      ambiguousExits
+    };
+  }
+  
+  async analyzeEntryTimingSensitivity() {
+    // Скільки результату втрачається зі зростанням затримки між сигналом і виконанням
+    const db = await this.dbPromise;
+    const byTiming = await db.all(`
+      SELECT
+        sc.entry_timing,
+        sc.entry_latency_ms,
+        COUNT(DISTINCT sc.id) as config_count,
+        AVG(ss.roi_percent) as avg_roi,
+        AVG(ss.win_rate_percent) as avg_win_rate
+      FROM simulation_configs sc
+      JOIN simulation_summary ss ON sc.id = ss.config_id
+      GROUP BY sc.entry_timing, sc.entry_latency_ms
+      ORDER BY sc.entry_timing, sc.entry_latency_ms
+    `);
+
+    const latencyCost = await db.all(`
+      SELECT
+        sc.entry_timing,
+        sc.entry_latency_ms,
+        COUNT(sr.id) as trade_count,
+        AVG((sr.entry_price - sr.signal_price) / sr.signal_price * 100) as avg_latency_cost,
+        AVG(sr.profit_loss_percent) as avg_profit
+      FROM simulation_results sr
+      JOIN simulation_configs sc ON sr.config_id = sc.id
+      WHERE sr.signal_price > 0
+      GROUP BY sc.entry_timing, sc.entry_latency_ms
+      ORDER BY sc.entry_timing, sc.entry_latency_ms
+    `);
+
+    return {
+      byTiming,
+      latencyCost
+    };
+  }
+  
+  /**
+   * Збережений фронт Парето запуску NSGA-II (за замовчуванням останнього)
+   * @returns {Object|null} { run, front }
+   */
+  async analyzeParetoFront(runId = null) {
+    const model = new ParetoFrontModel();
+    const run = runId ? await model.getRun(runId) : await model.getLatestRun();
+    if (!run) {
+      return null;
+    }
+    
+    return { run, front: await model.getMembers(run.id) };
+  }
+  
+  /**
+   * Компромісна конфігурація фронту Парето за вагами цілей і обмеженнями
+   * @param {Object} options - { runId, weights, constraints } (див. selectTradeOff)
+   * @returns {Object|null} { run, member, score, candidates }
+   */
+  async selectParetoTradeOff({ runId = null, weights = {}, constraints = {} } = {}) {
+    const pareto = await this.analyzeParetoFront(runId);
+    if (!pareto) {
+      return null;
+    }
+    
+    const front = pareto.front.map(member => ({ ...member, objectives: member.objective_values }));
+    const selection = selectTradeOff(front, { objectives: pareto.run.objectives, weights, constraints });
+    return selection ? { run: pareto.run, ...selection } : { run: pareto.run, member: null, score: null, candidates: 0 };
+  }
+  
   async findOptimalParameters() {
     // Комплексний аналіз для пошуку оптимальних параметрів
     const db = await this.dbPromise;
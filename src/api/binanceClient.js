@@ -1,16 +1,37 @@
 // src/api/binanceClient.js
+import crypto from 'crypto';
 import axios from 'axios';
 import logger from '../utils/logger.js';
 import { sleep } from '../utils/helpers.js';
+import { getRateLimitManager } from './rateLimitManager.js';
 
-class BinanceClient {
-  constructor() {
+// Вага підписаних запитів за документацією Binance
+const SIGNED_WEIGHTS = {
+  order: 1,
+  cancel: 1,
+  orderStatus: 4,
+  openOrders: 6,
+  allOpenOrders: 80,
+  account: 20
+};
+
+export class BinanceClient {
+  constructor(options = {}) {
     this.baseURL = process.env.BINANCE_API_BASE_URL || 'https://api.binance.com';
     this.rateLimitDelay = parseInt(process.env.RATE_LIMIT_DELAY_MS) || 300;
     this.retryAttempts = parseInt(process.env.RETRY_ATTEMPTS) || 5;
     this.requestCounter = 0;
     this.lastRequestTime = 0;
     
+    // Підписані запити (ордери, акаунт)
+    this.apiKey = options.apiKey ?? process.env.BINANCE_API_KEY;
+    this.apiSecret = options.apiSecret ?? process.env.BINANCE_API_SECRET;
+    this.recvWindow = options.recvWindow || parseInt(process.env.BINANCE_RECV_WINDOW) || 5000;
+    this.timeSyncIntervalMs = options.timeSyncIntervalMs || 30 * 60 * 1000;
+    this.timeOffset = 0;
+    this.lastTimeSync = 0;
+    this.rateLimitManager = options.rateLimitManager || null;
+    
     // Налаштування axios з правильними таймаутами
     this.axios = axios.create({
       baseURL: this.baseURL,
@@ -268,6 +289,238 @@ class BinanceClient {
     }
   }
   
+  /**
+   * Менеджер лімітів для підписаних запитів (створюється при першому запиті)
+   */
+  getRateLimitManager() {
+    if (!this.rateLimitManager) {
+      this.rateLimitManager = getRateLimitManager();
+    }
+    return this.rateLimitManager;
+  }
+  
+  /**
+   * Підпис рядка параметрів HMAC-SHA256
+   */
+  sign(queryString) {
+    return crypto.createHmac('sha256', this.apiSecret).update(queryString).digest('hex');
+  }
+  
+  /**
+   * Рядок параметрів з timestamp, recvWindow та підписом
+   */
+  buildSignedQuery(params = {}) {
+    const query = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null) {
+        query.append(key, String(value));
+      }
+    }
+    query.append('recvWindow', String(this.recvWindow));
+    query.append('timestamp', String(Date.now() + this.timeOffset));
+    
+    const queryString = query.toString();
+    return `${queryString}&signature=${this.sign(queryString)}`;
+  }
+  
+  /**
+   * Синхронізація з часом сервера: зсув рахується від середини запиту
+   */
+  async syncServerTime() {
+    const requestStart = Date.now();
+    const { serverTime } = await this.getServerTime();
+    const requestEnd = Date.now();
+    
+    this.timeOffset = serverTime - Math.round((requestStart + requestEnd) / 2);
+    this.lastTimeSync = requestEnd;
+    
+    logger.debug(`Server time synced, offset ${this.timeOffset}ms`);
+    return this.timeOffset;
+  }
+  
+  async ensureTimeSync() {
+    if (Date.now() - this.lastTimeSync > this.timeSyncIntervalMs) {
+      await this.syncServerTime();
+    }
+  }
+  
+  /**
+   * Підписаний запит через BinanceRateLimitManager.
+   * Помилки Binance розбираються тим самим parseApiError, що й для публічних запитів.
+   */
+  async signedRequest(method, endpoint, params = {}, options = {}) {
+    if (!this.apiKey || !this.apiSecret) {
+      throw new Error('BINANCE_API_KEY and BINANCE_API_SECRET are required for signed requests');
+    }
+    
+    await this.ensureTimeSync();
+    
+    this.requestCounter++;
+    const requestId = this.requestCounter;
+    
+    const response = await this.getRateLimitManager().executeRequest(async () => {
+      // Підпис усередині, щоб timestamp не застарів, поки запит чекав у черзі
+      const url = `${endpoint}?${this.buildSignedQuery(params)}`;
+      let result;
+      
+      try {
+        result = await this.axios.request({
+          method,
+          url,
+          headers: { 'X-MBX-APIKEY': this.apiKey }
+        });
+      } catch (error) {
+        throw this.createApiError(this.parseApiError(error), { endpoint, method, requestId }, error);
+      }
+      
+      if (result.status >= 400) {
+        const errorInfo = this.parseApiError({ response: result });
+        
+        // Годинник розійшовся з сервером - наступний запит спершу синхронізує час
+        if (errorInfo.code === -1021) {
+          this.lastTimeSync = 0;
+        }
+        throw this.createApiError(errorInfo, { endpoint, method, requestId }, { response: result });
+      }
+      
+      return result;
+    }, {
+      weight: options.weight || 1,
+      priority: options.isOrder ? 'high' : 'normal',
+      isOrder: options.isOrder === true,
+      // Нові ордери не повторюємо: після мережевої помилки ордер міг бути виконаний
+      retries: options.isOrder ? 1 : 3
+    });
+    
+    return response.data;
+  }
+  
+  /**
+   * Помилка з розібраною інформацією Binance (error.apiError)
+   */
+  createApiError(errorInfo, context, source = {}) {
+    this.logApiError(errorInfo, context);
+    
+    const error = new Error(`API Error (${errorInfo.code}): ${errorInfo.message}`);
+    error.apiError = errorInfo;
+    error.response = source.response;
+    if (typeof source.code === 'string') {
+      error.code = source.code;
+    }
+    return error;
+  }
+  
+  /**
+   * Перевірка з'єднання
+   */
+  async ping() {
+    return await this.request('/api/v3/ping');
+  }
+  
+  /**
+   * Час сервера
+   */
+  async getServerTime() {
+    return await this.request('/api/v3/time');
+  }
+  
+  /**
+   * Розміщення ордеру (MARKET або LIMIT).
+   * Для MARKET потрібен quantity або quoteOrderQty, для LIMIT - quantity і price.
+   */
+  async order({ symbol, side, type = 'MARKET', quantity, quoteOrderQty, price, timeInForce, newClientOrderId }) {
+    if (type === 'MARKET' && !quantity && !quoteOrderQty) {
+      throw new Error('MARKET order requires quantity or quoteOrderQty');
+    }
+    if (type === 'LIMIT' && (!quantity || !price)) {
+      throw new Error('LIMIT order requires quantity and price');
+    }
+    
+    return await this.signedRequest('POST', '/api/v3/order', {
+      symbol,
+      side,
+      type,
+      quantity,
+      quoteOrderQty: quantity ? undefined : quoteOrderQty,
+      price: type === 'LIMIT' ? price : undefined,
+      timeInForce: type === 'LIMIT' ? (timeInForce || 'GTC') : undefined,
+      newClientOrderId,
+      newOrderRespType: 'FULL'
+    }, { weight: SIGNED_WEIGHTS.order, isOrder: true });
+  }
+  
+  async marketOrder(symbol, side, quantity) {
+    return await this.order({ symbol, side, type: 'MARKET', quantity });
+  }
+  
+  async limitOrder(symbol, side, quantity, price, timeInForce = 'GTC') {
+    return await this.order({ symbol, side, type: 'LIMIT', quantity, price, timeInForce });
+  }
+  
+  /**
+   * OCO ордер: лімітна ціль (price) і стоп (stopPrice / stopLimitPrice) в одному списку.
+   * Для SELL лімітна нога вище ринку, стоп - нижче; для BUY навпаки.
+   */
+  async ocoOrder({ symbol, side = 'SELL', quantity, price, stopPrice, stopLimitPrice, stopLimitTimeInForce = 'GTC', listClientOrderId }) {
+    if (!quantity || !price || !stopPrice) {
+      throw new Error('OCO order requires quantity, price and stopPrice');
+    }
+    
+    const limitLeg = { type: 'LIMIT_MAKER', price };
+    const stopLeg = stopLimitPrice
+      ? { type: 'STOP_LOSS_LIMIT', stopPrice, price: stopLimitPrice, timeInForce: stopLimitTimeInForce }
+      : { type: 'STOP_LOSS', stopPrice };
+    const [above, below] = side === 'SELL' ? [limitLeg, stopLeg] : [stopLeg, limitLeg];
+    
+    return await this.signedRequest('POST', '/api/v3/orderList/oco', {
+      symbol,
+      side,
+      quantity,
+      listClientOrderId,
+      aboveType: above.type,
+      abovePrice: above.price,
+      aboveStopPrice: above.stopPrice,
+      aboveTimeInForce: above.timeInForce,
+      belowType: below.type,
+      belowPrice: below.price,
+      belowStopPrice: below.stopPrice,
+      belowTimeInForce: below.timeInForce,
+      newOrderRespType: 'FULL'
+    }, { weight: SIGNED_WEIGHTS.order, isOrder: true });
+  }
+  
+  async cancelOrder(symbol, orderId) {
+    return await this.signedRequest('DELETE', '/api/v3/order', { symbol, orderId }, { weight: SIGNED_WEIGHTS.cancel });
+  }
+  
+  async cancelOrderList(symbol, orderListId) {
+    return await this.signedRequest('DELETE', '/api/v3/orderList', { symbol, orderListId }, { weight: SIGNED_WEIGHTS.cancel });
+  }
+  
+  async getOrder(symbol, orderId) {
+    return await this.signedRequest('GET', '/api/v3/order', { symbol, orderId }, { weight: SIGNED_WEIGHTS.orderStatus });
+  }
+  
+  /**
+   * Відкриті ордери (без symbol - по всіх парах, вага значно більша)
+   */
+  async getOpenOrders(symbol = null) {
+    return await this.signedRequest('GET', '/api/v3/openOrders', { symbol }, {
+      weight: symbol ? SIGNED_WEIGHTS.openOrders : SIGNED_WEIGHTS.allOpenOrders
+    });
+  }
+  
+  async getAccount() {
+    return await this.signedRequest('GET', '/api/v3/account', {}, { weight: SIGNED_WEIGHTS.account });
+  }
+  
+  /**
+   * Баланси акаунта ({ balances: [{ asset, free, locked }] }, як очікує TradingEngine)
+   */
+  async balance() {
+    return await this.getAccount();
+  }
+  
   /**
    * Отримання інформації про біржу
    */
@@ -447,6 +700,25 @@ class BinanceClient {
     return filteredKlines;
   }
   
+  /**
+   * Отримання агрегованих угод (для розбору неоднозначних свічок)
+   */
+  async getAggTrades(symbol, startTime, endTime, limit = 1000) {
+    const params = { symbol, limit };
+    
+    if (startTime) params.startTime = startTime;
+    if (endTime) params.endTime = endTime;
+    
+    return await this.request('/api/v3/aggTrades', params);
+  }
+  
+  /**
+   * Отримання стакану
+   */
+  async getOrderBook(symbol, limit = 100) {
+    return await this.request('/api/v3/depth', { symbol, limit });
+  }
+  
   /**
    * Отримання 24h ticker
    */
@@ -473,7 +745,9 @@ class BinanceClient {
       totalRequests: this.requestCounter,
       rateLimitDelay: this.rateLimitDelay,
       retryAttempts: this.retryAttempts,
-      baseURL: this.baseURL
+      baseURL: this.baseURL,
+      timeOffset: this.timeOffset,
+      signedRequestsEnabled: Boolean(this.apiKey && this.apiSecret)
     };
   }
 }
@@ -0,0 +1,451 @@
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import { getBinanceClient } from './binanceClient.js';
+import logger from '../utils/logger.js';
+
+const DEFAULT_WS_URL = 'wss://stream.binance.com:9443';
+const DEPTH_SNAPSHOT_LIMIT = 1000;
+
+/**
+ * Клієнт WebSocket потоків Binance (combined streams, /stream).
+ *
+ * Потоки: kline_1m, trade, bookTicker та depth (diff-оновлення з локальним стаканом).
+ * Підписки додаються й знімаються на живому з'єднанні (SUBSCRIBE / UNSUBSCRIBE),
+ * після перепідключення всі підписки відновлюються.
+ *
+ * Події:
+ * - 'kline' { symbol, kline }, 'trade' { symbol, price, quantity, time, isBuyerMaker },
+ *   'bookTicker' { symbol, bidPrice, bidQty, askPrice, askQty }
+ * - 'depth' { symbol, orderBook: { bids, asks, lastUpdateId } } - локальний стакан після кожного оновлення
+ * - 'depth_resync' { symbol, reason } - розрив послідовності, стакан перезавантажується зі знімку
+ * - 'connected', 'disconnected', 'reconnecting' { attempt, delayMs }
+ */
+export class BinanceStreamClient extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.baseUrl = options.baseUrl || process.env.BINANCE_WS_BASE_URL || DEFAULT_WS_URL;
+    this.restClient = options.restClient || getBinanceClient();
+    this.reconnectDelayMs = options.reconnectDelayMs || 1000;
+    this.maxReconnectDelayMs = options.maxReconnectDelayMs || 30000;
+    // Binance пінгує кожні 20 секунд; тиша довша за цей час - з'єднання мертве
+    this.heartbeatTimeoutMs = options.heartbeatTimeoutMs || 60000;
+    this.depthLevels = options.depthLevels || 20;
+
+    this.streams = new Set();
+    this.depthBooks = new Map();
+    this.socket = null;
+    this.isOpen = false;
+    this.shouldReconnect = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.heartbeatTimer = null;
+    this.lastActivity = 0;
+    this.nextMessageId = 1;
+  }
+
+  /**
+   * Відкриття з'єднання
+   * @returns {Promise} завершується, коли з'єднання відкрите
+   */
+  connect() {
+    this.shouldReconnect = true;
+    return this.openSocket();
+  }
+
+  openSocket() {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(`${this.baseUrl}/stream`);
+      this.socket = socket;
+
+      socket.on('open', () => {
+        this.isOpen = true;
+        this.reconnectAttempts = 0;
+        this.touch();
+        this.startHeartbeat();
+        logger.info(`WebSocket connected: ${this.baseUrl}`);
+
+        // Після перепідключення відновлюємо підписки та стакани
+        if (this.streams.size > 0) {
+          this.send('SUBSCRIBE', Array.from(this.streams));
+        }
+        for (const symbol of this.depthBooks.keys()) {
+          this.resetDepthBook(symbol);
+        }
+
+        this.emit('connected');
+        resolve();
+      });
+
+      socket.on('message', data => {
+        this.touch();
+        this.handleMessage(data);
+      });
+
+      // Відповідь pong бібліотека ws надсилає сама
+      socket.on('ping', () => this.touch());
+      socket.on('pong', () => this.touch());
+
+      socket.on('error', error => {
+        logger.warn(`WebSocket error: ${error.message}`);
+        if (!this.isOpen) {
+          reject(error);
+        }
+      });
+
+      socket.on('close', () => {
+        const wasOpen = this.isOpen;
+        this.isOpen = false;
+        this.stopHeartbeat();
+        if (wasOpen) {
+          this.emit('disconnected');
+        }
+        if (this.shouldReconnect && this.socket === socket) {
+          this.scheduleReconnect();
+        }
+      });
+    });
+  }
+
+  /**
+   * Перепідключення з експоненційною затримкою
+   */
+  scheduleReconnect() {
+    if (this.reconnectTimer) return;
+
+    this.reconnectAttempts++;
+    const delayMs = Math.min(this.reconnectDelayMs * Math.pow(2, this.reconnectAttempts - 1), this.maxReconnectDelayMs);
+    logger.warn(`WebSocket reconnecting in ${delayMs}ms (attempt ${this.reconnectAttempts})`);
+    this.emit('reconnecting', { attempt: this.reconnectAttempts, delayMs });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.openSocket().catch(error => {
+        logger.warn(`WebSocket reconnect failed: ${error.message}`);
+      });
+    }, delayMs);
+    this.reconnectTimer.unref();
+  }
+
+  /**
+   * Закриття з'єднання без перепідключення
+   */
+  async close() {
+    this.shouldReconnect = false;
+    this.stopHeartbeat();
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.socket && this.socket.readyState !== WebSocket.CLOSED) {
+      const socket = this.socket;
+      await new Promise(resolve => {
+        socket.once('close', resolve);
+        socket.close();
+      });
+    }
+    this.socket = null;
+  }
+
+  touch() {
+    this.lastActivity = Date.now();
+  }
+
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.heartbeatTimer = setInterval(() => {
+      if (Date.now() - this.lastActivity > this.heartbeatTimeoutMs) {
+        logger.warn('WebSocket heartbeat timeout, reconnecting');
+        // terminate викликає 'close', звідти - перепідключення
+        this.socket?.terminate();
+        return;
+      }
+      if (this.isOpen) {
+        this.socket.ping();
+      }
+    }, Math.max(Math.floor(this.heartbeatTimeoutMs / 3), 10));
+    this.heartbeatTimer.unref();
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  send(method, params) {
+    if (!this.isOpen || params.length === 0) return;
+    this.socket.send(JSON.stringify({ method, params, id: this.nextMessageId++ }));
+  }
+
+  /**
+   * Підписка на потоки (імена у форматі Binance, наприклад 'btcusdt@trade')
+   */
+  subscribe(streams) {
+    const added = streams.filter(stream => !this.streams.has(stream));
+    added.forEach(stream => this.streams.add(stream));
+    this.send('SUBSCRIBE', added);
+  }
+
+  unsubscribe(streams) {
+    const removed = streams.filter(stream => this.streams.has(stream));
+    removed.forEach(stream => this.streams.delete(stream));
+    this.send('UNSUBSCRIBE', removed);
+  }
+
+  subscribeKlines(symbol, interval = '1m') {
+    this.subscribe([`${symbol.toLowerCase()}@kline_${interval}`]);
+  }
+
+  subscribeTrades(symbol) {
+    this.subscribe([`${symbol.toLowerCase()}@trade`]);
+  }
+
+  subscribeBookTicker(symbol) {
+    this.subscribe([`${symbol.toLowerCase()}@bookTicker`]);
+  }
+
+  /**
+   * Diff-потік стакану: локальний стакан будується зі знімку REST і оновлень потоку
+   */
+  subscribeDepth(symbol) {
+    this.resetDepthBook(symbol);
+    this.subscribe([`${symbol.toLowerCase()}@depth@100ms`]);
+  }
+
+  /**
+   * Усі потоки символу (для лістингу, на який щойно увійшли)
+   */
+  subscribeSymbol(symbol) {
+    const name = symbol.toLowerCase();
+    this.subscribe([`${name}@trade`, `${name}@kline_1m`, `${name}@bookTicker`]);
+  }
+
+  unsubscribeSymbol(symbol) {
+    const prefix = `${symbol.toLowerCase()}@`;
+    this.unsubscribe(Array.from(this.streams).filter(stream => stream.startsWith(prefix)));
+    this.depthBooks.delete(symbol.toUpperCase());
+  }
+
+  handleMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      logger.warn(`Invalid WebSocket message: ${error.message}`);
+      return;
+    }
+
+    // Відповідь на SUBSCRIBE / UNSUBSCRIBE
+    if (message.id !== undefined && message.stream === undefined) {
+      if (message.error) {
+        logger.error(`WebSocket request ${message.id} failed: ${message.error.msg}`);
+      }
+      return;
+    }
+
+    const { stream, data } = message;
+    if (!stream || !data) return;
+
+    const [, type] = stream.split('@');
+    if (type.startsWith('kline')) {
+      this.emit('kline', { symbol: data.s, kline: mapKlineEvent(data.k) });
+    } else if (type === 'trade') {
+      this.emit('trade', {
+        symbol: data.s,
+        price: parseFloat(data.p),
+        quantity: parseFloat(data.q),
+        time: data.T,
+        isBuyerMaker: data.m
+      });
+    } else if (type === 'bookTicker') {
+      this.emit('bookTicker', {
+        symbol: data.s,
+        updateId: data.u,
+        bidPrice: parseFloat(data.b),
+        bidQty: parseFloat(data.B),
+        askPrice: parseFloat(data.a),
+        askQty: parseFloat(data.A)
+      });
+    } else if (type === 'depth') {
+      this.handleDepthEvent(data);
+    }
+  }
+
+  resetDepthBook(symbol) {
+    this.depthBooks.set(symbol.toUpperCase(), {
+      lastUpdateId: null,
+      bids: new Map(),
+      asks: new Map(),
+      buffer: [],
+      loading: false
+    });
+  }
+
+  /**
+   * Оновлення локального стакану за процедурою Binance:
+   * події буферизуються до знімку, старіші за знімок відкидаються,
+   * кожна наступна подія має починатись з u + 1 попередньої, інакше - перезавантаження
+   */
+  handleDepthEvent(event) {
+    const book = this.depthBooks.get(event.s);
+    if (!book) return;
+
+    if (book.lastUpdateId === null) {
+      book.buffer.push(event);
+      this.loadDepthSnapshot(event.s);
+      return;
+    }
+
+    if (event.u <= book.lastUpdateId) {
+      return;
+    }
+
+    if (event.U > book.lastUpdateId + 1) {
+      this.resyncDepth(event.s, 'sequence_gap', event);
+      return;
+    }
+
+    this.applyDepthEvent(book, event);
+    this.emitDepth(event.s, book);
+  }
+
+  async loadDepthSnapshot(symbol) {
+    const book = this.depthBooks.get(symbol);
+    if (!book || book.loading) return;
+    book.loading = true;
+
+    try {
+      const snapshot = await this.restClient.getOrderBook(symbol, DEPTH_SNAPSHOT_LIMIT);
+      // Підписку могли зняти або стакан скинути, поки чекали знімок
+      if (this.depthBooks.get(symbol) !== book) return;
+
+      book.bids = new Map(snapshot.bids.map(([price, qty]) => [price, qty]));
+      book.asks = new Map(snapshot.asks.map(([price, qty]) => [price, qty]));
+      book.lastUpdateId = snapshot.lastUpdateId;
+
+      const buffered = book.buffer.filter(event => event.u > book.lastUpdateId);
+      book.buffer = [];
+
+      // Перша подія після знімку має його перекривати
+      if (buffered.length > 0 && buffered[0].U > book.lastUpdateId + 1) {
+        this.resyncDepth(symbol, 'snapshot_too_old');
+        return;
+      }
+
+      for (const event of buffered) {
+        if (event.U > book.lastUpdateId + 1) {
+          this.resyncDepth(symbol, 'sequence_gap');
+          return;
+        }
+        this.applyDepthEvent(book, event);
+      }
+      this.emitDepth(symbol, book);
+    } catch (error) {
+      logger.error(`Failed to load depth snapshot for ${symbol}: ${error.message}`);
+      if (this.depthBooks.get(symbol) === book) {
+        this.resetDepthBook(symbol);
+      }
+    } finally {
+      book.loading = false;
+    }
+  }
+
+  /**
+   * Перезавантаження стакану зі знімку; подія, що виявила розрив, чекає в буфері
+   */
+  resyncDepth(symbol, reason, pendingEvent = null) {
+    logger.warn(`Depth ${symbol} out of sync (${reason}), reloading snapshot`);
+    this.emit('depth_resync', { symbol, reason });
+    this.resetDepthBook(symbol);
+    const book = this.depthBooks.get(symbol);
+    if (pendingEvent) {
+      book.buffer.push(pendingEvent);
+    }
+    this.loadDepthSnapshot(symbol);
+  }
+
+  applyDepthEvent(book, event) {
+    for (const [price, qty] of event.b) {
+      if (parseFloat(qty) === 0) book.bids.delete(price);
+      else book.bids.set(price, qty);
+    }
+    for (const [price, qty] of event.a) {
+      if (parseFloat(qty) === 0) book.asks.delete(price);
+      else book.asks.set(price, qty);
+    }
+    book.lastUpdateId = event.u;
+  }
+
+  emitDepth(symbol, book) {
+    const bids = Array.from(book.bids.entries())
+      .sort((a, b) => parseFloat(b[0]) - parseFloat(a[0]))
+      .slice(0, this.depthLevels);
+    const asks = Array.from(book.asks.entries())
+      .sort((a, b) => parseFloat(a[0]) - parseFloat(b[0]))
+      .slice(0, this.depthLevels);
+
+    this.emit('depth', { symbol, orderBook: { bids, asks, lastUpdateId: book.lastUpdateId } });
+  }
+
+  /**
+   * Передача цін угод у TradingEngine.updateActiveTrades.
+   * Символи відкритих угод підписуються автоматично. Оновлення по символу виконуються
+   * по черзі: поки попереднє не завершилось, зберігається лише остання ціна.
+   */
+  connectEngine(engine) {
+    const inFlight = new Set();
+    const latestPrices = new Map();
+
+    const update = async symbol => {
+      inFlight.add(symbol);
+      try {
+        while (latestPrices.has(symbol)) {
+          const price = latestPrices.get(symbol);
+          latestPrices.delete(symbol);
+          await engine.updateActiveTrades({ [symbol]: { price } });
+        }
+      } catch (error) {
+        logger.error(`Failed to update trade ${symbol} from stream: ${error.message}`);
+      } finally {
+        inFlight.delete(symbol);
+      }
+    };
+
+    this.on('trade', ({ symbol, price }) => {
+      if (!engine.activeTrades.has(symbol)) return;
+      latestPrices.set(symbol, price);
+      if (!inFlight.has(symbol)) {
+        update(symbol);
+      }
+    });
+
+    engine.on('trade_opened', trade => this.subscribeSymbol(trade.symbol));
+    engine.on('trade_closed', trade => this.unsubscribeSymbol(trade.symbol));
+
+    for (const symbol of engine.activeTrades.keys()) {
+      this.subscribeSymbol(symbol);
+    }
+  }
+}
+
+/**
+ * Свічка з потоку kline у формат стратегій
+ */
+function mapKlineEvent(k) {
+  return {
+    openTime: k.t,
+    closeTime: k.T,
+    open: k.o,
+    high: k.h,
+    low: k.l,
+    close: k.c,
+    volume: k.v,
+    quoteAssetVolume: k.q,
+    trades: k.n,
+    takerBuyQuoteVolume: k.Q,
+    isClosed: k.x
+  };
+}
+
+export default BinanceStreamClient;
@@ -8,13 +8,14 @@ import { sleep } from '../utils/helpers.js';
  * - REST API: 1200 requests per minute (20 req/sec)
  * - Weight-based: 6000 weight per minute
  * - IP-based: shared across all connections from same IP
- * - Order limits: 10 orders per second, 100,000 orders per 24h
+ * - Order limits: 50 orders per 10 seconds, 160,000 orders per 24h
  * 
  * Стратегія:
  * - Консервативний підхід: 15 req/sec (900 req/min)
  * - Адаптивне керування на основі заголовків відповіді
  * - Черга запитів з пріоритетами
  * - Автоматичне відновлення після rate limit
+ * - Окремий облік ордерів (isOrder) за лімітами на кількість ордерів
  */
 export class BinanceRateLimitManager {
   constructor(options = {}) {
@@ -22,6 +23,8 @@ export class BinanceRateLimitManager {
     this.maxRequestsPerMinute = options.maxRequestsPerMinute || 900; // Консервативно
     this.maxRequestsPerSecond = options.maxRequestsPerSecond || 15;
     this.maxWeight = options.maxWeight || 5000; // Консервативно від 6000
+    this.maxOrdersPer10Seconds = options.maxOrdersPer10Seconds || 40; // Консервативно від 50
+    this.maxOrdersPerDay = options.maxOrdersPerDay || 150000; // Консервативно від 160000
     
     // Розрахунок інтервалів
     this.minIntervalMs = Math.ceil(1000 / this.maxRequestsPerSecond);
@@ -34,6 +37,8 @@ export class BinanceRateLimitManager {
     this.currentWeight = 0;
     this.requestsThisMinute = 0;
     this.requestsThisSecond = 0;
+    this.orderTimestamps = [];
+    this.ordersToday = 0;
     
     // Статистика
     this.stats = {
@@ -42,6 +47,7 @@ export class BinanceRateLimitManager {
       averageWaitTime: 0,
       maxWaitTime: 0,
       rejectedRequests: 0,
+      totalOrders: 0,
       startTime: Date.now()
     };
     
@@ -69,6 +75,8 @@ export class BinanceRateLimitManager {
     const priority = options.priority || 'normal';
     const weight = options.weight || 1;
     const timeout = options.timeout || 30000;
+    const isOrder = options.isOrder === true;
+    const retries = options.retries || 3;
     
     return new Promise((resolve, reject) => {
       const request = {
@@ -77,6 +85,8 @@ export class BinanceRateLimitManager {
         weight,
         priority,
         timeout,
+        isOrder,
+        retries,
         createdAt: Date.now(),
         resolve,
         reject
@@ -137,11 +147,14 @@ export class BinanceRateLimitManager {
         }
         
         // Очікування дозволу на виконання
+        if (request.isOrder) {
+          await this.waitForOrderPermission();
+        }
         await this.waitForPermission(request.weight);
         
         // Виконання запиту
         const startTime = Date.now();
-        const result = await this.executeWithRetry(request);
+        const result = await this.executeWithRetry(request, request.retries);
         const waitTime = startTime - request.createdAt;
         
         // Оновлення статистики
@@ -208,6 +221,30 @@ export class BinanceRateLimitManager {
     this.lastRequestTime = Date.now();
   }
   
+  /**
+   * Очікування дозволу на розміщення ордеру.
+   * Денний ліміт не чекаємо - ордер відхиляється одразу.
+   */
+  async waitForOrderPermission() {
+    if (this.ordersToday >= this.maxOrdersPerDay) {
+      throw new Error(`Daily order limit reached (${this.maxOrdersPerDay})`);
+    }
+    
+    const windowMs = 10000;
+    this.orderTimestamps = this.orderTimestamps.filter(time => Date.now() - time < windowMs);
+    
+    if (this.orderTimestamps.length >= this.maxOrdersPer10Seconds) {
+      const waitTime = windowMs - (Date.now() - this.orderTimestamps[0]);
+      logger.debug(`Order limit reached, waiting ${waitTime}ms`);
+      await sleep(waitTime);
+      this.orderTimestamps.shift();
+    }
+    
+    this.orderTimestamps.push(Date.now());
+    this.ordersToday++;
+    this.stats.totalOrders++;
+  }
+  
   /**
    * Виконання запиту з retry логікою
    */
@@ -265,7 +302,13 @@ export class BinanceRateLimitManager {
     
     // Binance повертає ці заголовки:
     const usedWeight = parseInt(headers['x-mbx-used-weight-1m']) || 0;
-    const orderCount = parseInt(headers['x-mbx-order-count-1m']) || 0;
+    const orderCount = parseInt(headers['x-mbx-order-count-10s']) || 0;
+    const dailyOrderCount = parseInt(headers['x-mbx-order-count-1d']) || 0;
+    
+    // Лічильник біржі точніший за локальний (враховує ордери інших клієнтів акаунта)
+    if (dailyOrderCount > this.ordersToday) {
+      this.ordersToday = dailyOrderCount;
+    }
     
     if (usedWeight > 0) {
       this.currentWeight = usedWeight;
@@ -356,18 +399,25 @@ export class BinanceRateLimitManager {
    * Налаштування таймерів для скидання лічильників
    */
   setupResetTimers() {
+    // Таймери не тримають процес живим (unref), щоб скрипти завершувались самі
     // Скидання лічильника за хвилину
     setInterval(() => {
       this.requestsThisMinute = 0;
       this.currentWeight = 0;
       logger.debug('Minute counters reset');
-    }, 60000);
+    }, 60000).unref();
     
     // Скидання лічильника за секунду
     setInterval(() => {
       this.requestsThisSecond = 0;
       logger.debug('Second counter reset');
-    }, 1000);
+    }, 1000).unref();
+    
+    // Скидання денного лічильника ордерів
+    setInterval(() => {
+      this.ordersToday = 0;
+      logger.debug('Daily order counter reset');
+    }, 24 * 60 * 60 * 1000).unref();
   }
   
   /**
@@ -397,7 +447,9 @@ export class BinanceRateLimitManager {
       currentWeight: this.currentWeight,
       backoffMultiplier: this.backoffMultiplier,
       requestsThisMinute: this.requestsThisMinute,
-      requestsThisSecond: this.requestsThisSecond
+      requestsThisSecond: this.requestsThisSecond,
+      ordersLast10Seconds: this.orderTimestamps.filter(time => Date.now() - time < 10000).length,
+      ordersToday: this.ordersToday
     };
   }
   
@@ -409,6 +461,8 @@ export class BinanceRateLimitManager {
     this.currentWeight = 0;
     this.requestsThisMinute = 0;
     this.requestsThisSecond = 0;
+    this.orderTimestamps = [];
+    this.ordersToday = 0;
     this.backoffMultiplier = 1.0;
     this.lastRequestTime = 0;
     
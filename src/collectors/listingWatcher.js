@@ -0,0 +1,278 @@
+import { EventEmitter } from 'events';
+import { getBinanceClient } from '../api/binanceClient.js';
+import { SymbolModel } from '../database/models.js';
+import { parseSymbolFilters, filtersFromSymbolRow, sameFilters } from '../utils/symbolFilters.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Відстеження нових лістингів у реальному часі.
+ *
+ * Кожні intervalMs опитує exchangeInfo і порівнює його з таблицею symbols.
+ * Лістингом вважається символ, що перейшов з PRE_TRADING у TRADING, або новий символ,
+ * який одразу з'явився в статусі TRADING. Правила торгівлі (LOT_SIZE, PRICE_FILTER, NOTIONAL)
+ * зберігаються в symbols і передаються движку в marketData.filters. Для лістингу збираються ticker, стакан і свічки,
+ * і marketData передається в engine.processNewListing (перед цим - подія 'market_data').
+ *
+ * Джерело (source) - будь-який об'єкт з методами BinanceClient:
+ * getExchangeInfo(), get24hrTicker(symbol), getOrderBook(symbol, limit), getKlines(symbol, interval, startTime, endTime, limit).
+ * Тому в тестах його можна замінити локальною біржею-заглушкою.
+ */
+export class ListingWatcher extends EventEmitter {
+  constructor({ engine, source = getBinanceClient(), config = {} } = {}) {
+    super();
+    this.engine = engine;
+    this.source = source;
+    this.symbolModel = new SymbolModel();
+    this.config = {
+      intervalMs: config.intervalMs || 10000,
+      quoteAsset: config.quoteAsset || 'USDT',
+      orderBookLimit: config.orderBookLimit || 20,
+      klineLimit: config.klineLimit || 60,
+      // Скільки опитувань чекати першу свічку, перш ніж відмовитися від лістингу
+      maxListingRetries: config.maxListingRetries ?? 5
+    };
+
+    this.timer = null;
+    this.isPolling = false;
+    this.pendingListings = new Map();
+    this.stats = {
+      polls: 0,
+      listingsDetected: 0,
+      listingsProcessed: 0,
+      listingsDropped: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Запуск періодичного опитування
+   */
+  async start() {
+    if (this.timer) {
+      logger.warn('Listing watcher is already running');
+      return;
+    }
+
+    logger.info(`Starting listing watcher (every ${this.config.intervalMs}ms)`);
+    await this.poll();
+
+    this.timer = setInterval(() => this.poll(), this.config.intervalMs);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Зупинка опитування
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Listing watcher stopped');
+    }
+  }
+
+  /**
+   * Одне опитування біржі
+   * @returns {Array} результати обробки лістингів
+   */
+  async poll() {
+    // Повільна відповідь біржі не повинна накладати опитування одне на одне
+    if (this.isPolling) {
+      return [];
+    }
+
+    this.isPolling = true;
+    this.stats.polls++;
+
+    try {
+      const listings = await this.detectListings();
+      for (const symbol of listings) {
+        this.stats.listingsDetected++;
+        this.pendingListings.set(symbol, 0);
+        this.emit('listing_detected', { symbol });
+        logger.info(`New listing detected: ${symbol}`);
+      }
+
+      return await this.processPendingListings();
+    } catch (error) {
+      this.stats.errors++;
+      logger.error(`Listing watcher poll failed: ${error.message}`);
+      this.emit('poll_failed', error);
+      return [];
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Порівняння exchangeInfo з таблицею symbols.
+   * При першому запуску з порожньою таблицею поточний стан біржі лише зберігається,
+   * інакше всі наявні пари виглядали б новими лістингами.
+   * @returns {Array} символи, що стали доступні для торгівлі
+   */
+  async detectListings() {
+    const exchangeInfo = await this.source.getExchangeInfo();
+    const knownSymbols = new Map(
+      (await this.symbolModel.getAll()).map(row => [row.symbol, row])
+    );
+    const isBaseline = knownSymbols.size === 0;
+    const listings = [];
+
+    for (const info of exchangeInfo.symbols || []) {
+      if (info.quoteAsset !== this.config.quoteAsset || info.isSpotTradingAllowed === false) {
+        continue;
+      }
+
+      const status = mapSymbolStatus(info.status);
+      const filters = parseSymbolFilters(info.filters);
+      const known = knownSymbols.get(info.symbol);
+
+      if (!known) {
+        await this.symbolModel.create({
+          symbol: info.symbol,
+          baseAsset: info.baseAsset,
+          quoteAsset: info.quoteAsset,
+          status,
+          filters
+        });
+        if (!isBaseline && status === 'active') {
+          listings.push(info.symbol);
+        }
+        continue;
+      }
+
+      // Біржа може змінити крок лоту чи мінімальну суму вже після появи символу
+      if (!sameFilters(filtersFromSymbolRow(known), filters)) {
+        await this.symbolModel.updateFilters(info.symbol, filters);
+      }
+
+      if (known.status !== status) {
+        await this.symbolModel.update(known.id, { status });
+        logger.info(`Symbol ${info.symbol} status changed: ${known.status} -> ${status}`);
+        if (known.status === 'pre_trading' && status === 'active') {
+          listings.push(info.symbol);
+        }
+      }
+    }
+
+    if (isBaseline) {
+      logger.info('Listing watcher baseline saved to symbols table');
+    }
+
+    return listings;
+  }
+
+  /**
+   * Передача виявлених лістингів у торговий движок.
+   * Лістинг без жодної закритої свічки лишається в черзі до наступного опитування.
+   */
+  async processPendingListings() {
+    const results = [];
+
+    for (const [symbol, attempts] of this.pendingListings) {
+      try {
+        const marketData = await this.buildMarketData(symbol);
+
+        if (!marketData) {
+          if (attempts + 1 >= this.config.maxListingRetries) {
+            this.pendingListings.delete(symbol);
+            this.stats.listingsDropped++;
+            logger.warn(`Dropping listing ${symbol}: no market data after ${attempts + 1} attempts`);
+            results.push({ symbol, processed: false, reason: 'no_market_data' });
+          } else {
+            this.pendingListings.set(symbol, attempts + 1);
+          }
+          continue;
+        }
+
+        this.pendingListings.delete(symbol);
+        // Підписники (наприклад, паперова біржа) отримують ціну і стакан до ордеру движка
+        this.emit('market_data', marketData);
+        const result = await this.engine.processNewListing(marketData);
+        this.stats.listingsProcessed++;
+        this.emit('listing_processed', { symbol, result });
+        results.push({ symbol, ...result });
+
+      } catch (error) {
+        // Помилка біржі для одного символу не зупиняє обробку решти
+        this.stats.errors++;
+        logger.error(`Failed to process listing ${symbol}: ${error.message}`);
+        results.push({ symbol, processed: false, reason: 'processing_error', error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Збір marketData для лістингу у форматі, який очікує TradingEngine
+   * @returns {Object|null} null, якщо по символу ще немає свічок
+   */
+  async buildMarketData(symbol) {
+    const [ticker, orderBook, rawKlines] = await Promise.all([
+      this.source.get24hrTicker(symbol),
+      this.source.getOrderBook(symbol, this.config.orderBookLimit),
+      this.source.getKlines(symbol, '1m', null, null, this.config.klineLimit)
+    ]);
+
+    if (!rawKlines || rawKlines.length === 0) {
+      return null;
+    }
+
+    const klines = rawKlines.map(mapKline);
+    const symbolRow = await this.symbolModel.findBySymbol(symbol);
+
+    return {
+      symbol,
+      symbolId: symbolRow?.id,
+      ticker: {
+        price: ticker.lastPrice,
+        volume: ticker.quoteVolume,
+        priceChangePercent: ticker.priceChangePercent
+      },
+      orderBook: {
+        bids: orderBook.bids || [],
+        asks: orderBook.asks || []
+      },
+      klines,
+      listingDate: klines[0].openTime,
+      currentTime: Date.now(),
+      filters: filtersFromSymbolRow(symbolRow)
+    };
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      pendingListings: this.pendingListings.size,
+      isRunning: this.timer !== null
+    };
+  }
+}
+
+/**
+ * Статус з exchangeInfo у значення колонки symbols.status
+ */
+export function mapSymbolStatus(exchangeStatus) {
+  return exchangeStatus === 'TRADING' ? 'active' : String(exchangeStatus).toLowerCase();
+}
+
+/**
+ * Свічка Binance (масив) у формат, який використовують стратегії
+ */
+function mapKline(kline) {
+  return {
+    openTime: kline[0],
+    open: kline[1],
+    high: kline[2],
+    low: kline[3],
+    close: kline[4],
+    volume: kline[5],
+    closeTime: kline[6],
+    quoteAssetVolume: kline[7],
+    trades: kline[8],
+    takerBuyQuoteVolume: kline[10]
+  };
+}
+
+export default ListingWatcher;
@@ -1,5 +1,6 @@
 import { getBinanceClient } from '../api/binanceClient.js';
 import { getDatabase } from '../database/init.js';
+import { parseSymbolFilters } from '../utils/symbolFilters.js';
 import logger from '../utils/logger.js';
 
 export class SymbolCollector {
@@ -23,7 +24,8 @@ export class SymbolCollector {
           symbol: s.symbol,
           baseAsset: s.baseAsset,
           quoteAsset: s.quoteAsset,
-          status: 'active'
+          status: 'active',
+          filters: parseSymbolFilters(s.filters)
         }));
       
       logger.info(`Found ${usdtSymbols.length} active USDT trading pairs`);
@@ -34,12 +36,23 @@ export class SymbolCollector {
       try {
         for (const [index, symbolData] of usdtSymbols.entries()) {
           logger.info(`Processing symbol ${index + 1}/${usdtSymbols.length}: ${symbolData.symbol}`);
+          const { filters } = symbolData;
           await db.run(
-            `INSERT OR REPLACE INTO symbols (symbol, base_asset, quote_asset, status, updated_at) VALUES (?, ?, ?, ?, ?)`,
+            `INSERT OR REPLACE INTO symbols (
+              symbol, base_asset, quote_asset, status,
+              step_size, min_qty, max_qty, tick_size, min_price, max_price, min_notional, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             symbolData.symbol,
             symbolData.baseAsset,
             symbolData.quoteAsset,
             symbolData.status,
+            filters.stepSize,
+            filters.minQty,
+            filters.maxQty,
+            filters.tickSize,
+            filters.minPrice,
+            filters.maxPrice,
+            filters.minNotional,
             Date.now()
           );
           logger.info(`Finished processing ${symbolData.symbol}`);
@@ -13,12 +13,23 @@ export async function initializeDatabase() {
     const dbDir = join(__dirname, '../../data');
     mkdirSync(dbDir, { recursive: true });
     const dbPath = process.env.DB_PATH || join(dbDir, 'simulation.db');
-    logger.info(`Initializing database at: ${dbPath}`);
+    // Воркери симуляцій лише читають: схему вже створив головний потік
+    const readOnly = process.env.DB_READONLY === 'true';
+    logger.info(`Initializing database at: ${dbPath}${readOnly ? ' (read-only)' : ''}`);
 
-    const db = await open({ filename: dbPath, driver: sqlite3.Database });
+    const db = await open({
+      filename: dbPath,
+      driver: sqlite3.Database,
+      ...(readOnly && { mode: sqlite3.OPEN_READONLY })
+    });
 
     await db.configure('busyTimeout', parseInt(process.env.DB_BUSY_TIMEOUT_MS) || 5000);
 
+    if (readOnly) {
+      await db.exec('PRAGMA query_only = ON;');
+      return db;
+    }
+
     await db.exec('PRAGMA journal_mode = WAL;');
     await db.exec('PRAGMA synchronous = NORMAL;');
     await db.exec('PRAGMA cache_size = 10000;');
@@ -12,6 +12,13 @@ export async function runMigrations(db) {
       base_asset TEXT NOT NULL,
       quote_asset TEXT NOT NULL,
       status TEXT NOT NULL DEFAULT 'active',
+      step_size REAL,
+      min_qty REAL,
+      max_qty REAL,
+      tick_size REAL,
+      min_price REAL,
+      max_price REAL,
+      min_notional REAL,
       created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000),
       updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000)
     );
@@ -58,6 +65,22 @@ export async function runMigrations(db) {
     CREATE INDEX IF NOT EXISTS idx_klines_symbol_time ON historical_klines(symbol_id, open_time);
     CREATE INDEX IF NOT EXISTS idx_klines_open_time ON historical_klines(open_time);
     
+    -- Таблиця агрегованих угод (для розбору неоднозначних свічок)
+    CREATE TABLE IF NOT EXISTS historical_agg_trades (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      symbol_id INTEGER NOT NULL,
+      agg_trade_id INTEGER NOT NULL,
+      price REAL NOT NULL,
+      quantity REAL NOT NULL,
+      trade_time INTEGER NOT NULL,
+      is_buyer_maker INTEGER NOT NULL DEFAULT 0,
+      created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000),
+      FOREIGN KEY (symbol_id) REFERENCES symbols(id),
+      UNIQUE(symbol_id, agg_trade_id)
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_agg_trades_symbol_time ON historical_agg_trades(symbol_id, trade_time);
+    
     -- Таблиця конфігурацій симуляції
     CREATE TABLE IF NOT EXISTS simulation_configs (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -72,6 +95,21 @@ export async function runMigrations(db) {
       min_liquidity_usdt REAL NOT NULL,
       binance_fee_percent REAL NOT NULL,
       cooldown_seconds INTEGER NOT NULL,
+      intra_candle_policy TEXT NOT NULL DEFAULT 'optimistic',
+      strategy TEXT NOT NULL DEFAULT 'newListingScalper',
+      strategy_params TEXT,
+      fill_model TEXT NOT NULL DEFAULT 'ideal',
+      order_book_seed INTEGER,
+      entry_timing TEXT NOT NULL DEFAULT 'window_close',
+      entry_delay_seconds INTEGER NOT NULL DEFAULT 0,
+      entry_pullback_percent REAL,
+      entry_breakout_minutes INTEGER,
+      entry_latency_ms INTEGER NOT NULL DEFAULT 0,
+      max_holding_minutes INTEGER NOT NULL DEFAULT 60,
+      exit_ladder TEXT,
+      sizing_policy TEXT NOT NULL DEFAULT 'fixed',
+      sizing_params TEXT,
+      risk_limits TEXT,
       created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000)
     );
     
@@ -93,6 +131,16 @@ export async function runMigrations(db) {
       max_price_reached REAL,
       min_price_reached REAL,
       trailing_stop_triggered INTEGER DEFAULT 0,
+      trailing_stop_activated_at INTEGER,
+      ambiguous_exit INTEGER DEFAULT 0,
+      ambiguity_resolved_by TEXT,
+      expected_entry_price REAL,
+      expected_exit_price REAL,
+      entry_slippage_percent REAL,
+      exit_slippage_percent REAL,
+      signal_time INTEGER,
+      signal_price REAL,
+      position_size_usdt REAL,
       simulation_date INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000),
       FOREIGN KEY (config_id) REFERENCES simulation_configs(id),
       FOREIGN KEY (symbol_id) REFERENCES symbols(id)
@@ -102,6 +150,22 @@ export async function runMigrations(db) {
     CREATE INDEX IF NOT EXISTS idx_simulation_results_symbol ON simulation_results(symbol_id);
     CREATE INDEX IF NOT EXISTS idx_simulation_results_entry_time ON simulation_results(entry_time);
     
+    -- Ноги виходу угоди (часткові продажі драбини, trailing stop, SL, таймаут)
+    CREATE TABLE IF NOT EXISTS simulation_exit_legs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      result_id INTEGER NOT NULL,
+      leg_index INTEGER NOT NULL,
+      exit_time INTEGER,
+      exit_price REAL NOT NULL,
+      expected_exit_price REAL,
+      quantity REAL NOT NULL,
+      exit_reason TEXT NOT NULL,
+      commission REAL,
+      FOREIGN KEY (result_id) REFERENCES simulation_results(id)
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_simulation_exit_legs_result ON simulation_exit_legs(result_id);
+    
     -- Таблиця зведеної статистики
     CREATE TABLE IF NOT EXISTS simulation_summary (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -111,6 +175,8 @@ export async function runMigrations(db) {
       losing_trades INTEGER NOT NULL,
       timeout_trades INTEGER NOT NULL,
       trailing_stop_trades INTEGER NOT NULL DEFAULT 0,
+      ambiguous_trades INTEGER NOT NULL DEFAULT 0,
+      partial_exit_trades INTEGER NOT NULL DEFAULT 0,
       total_profit_usdt REAL NOT NULL,
       total_loss_usdt REAL NOT NULL,
       net_profit_usdt REAL NOT NULL,
@@ -124,10 +190,203 @@ export async function runMigrations(db) {
       roi_percent REAL NOT NULL,
       sharpe_ratio REAL,
       max_drawdown_percent REAL,
+      sortino_ratio REAL,
+      calmar_ratio REAL,
+      max_drawdown_usdt REAL,
+      max_drawdown_duration_minutes REAL,
+      expectancy_usdt REAL,
+      expectancy_percent REAL,
+      payoff_ratio REAL,
+      exposure_time_percent REAL,
+      max_win_streak INTEGER,
+      max_loss_streak INTEGER,
+      order_book_seed INTEGER,
       simulation_date INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000),
       FOREIGN KEY (config_id) REFERENCES simulation_configs(id)
     );
+
+    -- Крива капіталу симуляції (точка на кожну закриту угоду)
+    CREATE TABLE IF NOT EXISTS simulation_equity_curve (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      summary_id INTEGER NOT NULL,
+      point_index INTEGER NOT NULL,
+      time INTEGER NOT NULL,
+      equity REAL NOT NULL,
+      drawdown_percent REAL NOT NULL,
+      symbol TEXT,
+      FOREIGN KEY (summary_id) REFERENCES simulation_summary(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_simulation_equity_curve_summary ON simulation_equity_curve(summary_id);
+
+    -- Запуски багатокритеріальної оптимізації (NSGA-II)
+    CREATE TABLE IF NOT EXISTS pareto_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      objectives TEXT NOT NULL,
+      population_size INTEGER NOT NULL,
+      generations INTEGER NOT NULL,
+      evaluations INTEGER NOT NULL,
+      created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000)
+    );
+
+    -- Конфігурації фронту Парето кожного запуску
+    CREATE TABLE IF NOT EXISTS pareto_front (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      run_id INTEGER NOT NULL,
+      config_id INTEGER,
+      config_name TEXT NOT NULL,
+      roi_percent REAL,
+      max_drawdown_percent REAL,
+      win_rate_percent REAL,
+      total_trades INTEGER,
+      sharpe_ratio REAL,
+      objective_values TEXT NOT NULL,
+      crowding_distance REAL,
+      FOREIGN KEY (run_id) REFERENCES pareto_runs(id),
+      FOREIGN KEY (config_id) REFERENCES simulation_configs(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_pareto_front_run ON pareto_front(run_id);
+
+    -- Угоди торгового движка (стан для відновлення після перезапуску)
+    CREATE TABLE IF NOT EXISTS live_trades (
+      id TEXT PRIMARY KEY,
+      symbol TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'ACTIVE',
+      entry_price REAL NOT NULL,
+      quantity REAL NOT NULL,
+      remaining_quantity REAL NOT NULL,
+      entry_time INTEGER NOT NULL,
+      entry_order_id TEXT,
+      commission REAL,
+      position_size_usdt REAL,
+      exit_conditions TEXT NOT NULL,
+      exit_targets TEXT,
+      exit_legs TEXT,
+      protective_order TEXT,
+      max_price REAL,
+      min_price REAL,
+      exit_price REAL,
+      exit_time INTEGER,
+      exit_reason TEXT,
+      profit_loss_usdt REAL,
+      profit_loss_percent REAL,
+      created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000),
+      updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_live_trades_status ON live_trades(status);
+
+    -- Ордери угод движка
+    CREATE TABLE IF NOT EXISTS live_orders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      trade_id TEXT NOT NULL,
+      order_id TEXT NOT NULL,
+      symbol TEXT NOT NULL,
+      side TEXT NOT NULL,
+      type TEXT NOT NULL,
+      quantity REAL NOT NULL,
+      executed_quantity REAL,
+      price REAL,
+      status TEXT NOT NULL,
+      purpose TEXT NOT NULL,
+      created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000),
+      updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000),
+      FOREIGN KEY (trade_id) REFERENCES live_trades(id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_live_orders_trade ON live_orders(trade_id);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_live_orders_order ON live_orders(symbol, order_id);
+
+    -- Стан trailing stop відкритих угод
+    CREATE TABLE IF NOT EXISTS live_trailing_stops (
+      trade_id TEXT PRIMARY KEY,
+      entry_price REAL NOT NULL,
+      highest_price REAL NOT NULL,
+      current_stop_price REAL,
+      is_activated INTEGER NOT NULL DEFAULT 0,
+      activation_price REAL NOT NULL,
+      updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000),
+      FOREIGN KEY (trade_id) REFERENCES live_trades(id)
+    );
   `);
   
+  // Колонки, додані після першого релізу (для вже існуючих баз)
+  await addMissingColumns(db, 'symbols', {
+    step_size: 'REAL',
+    min_qty: 'REAL',
+    max_qty: 'REAL',
+    tick_size: 'REAL',
+    min_price: 'REAL',
+    max_price: 'REAL',
+    min_notional: 'REAL'
+  });
+  await addMissingColumns(db, 'simulation_configs', {
+    intra_candle_policy: "TEXT NOT NULL DEFAULT 'optimistic'",
+    strategy: "TEXT NOT NULL DEFAULT 'newListingScalper'",
+    strategy_params: 'TEXT',
+    fill_model: "TEXT NOT NULL DEFAULT 'ideal'",
+    order_book_seed: 'INTEGER',
+    entry_timing: "TEXT NOT NULL DEFAULT 'window_close'",
+    entry_delay_seconds: 'INTEGER NOT NULL DEFAULT 0',
+    entry_pullback_percent: 'REAL',
+    entry_breakout_minutes: 'INTEGER',
+    entry_latency_ms: 'INTEGER NOT NULL DEFAULT 0',
+    max_holding_minutes: 'INTEGER NOT NULL DEFAULT 60',
+    exit_ladder: 'TEXT',
+    sizing_policy: "TEXT NOT NULL DEFAULT 'fixed'",
+    sizing_params: 'TEXT',
+    risk_limits: 'TEXT'
+  });
+  await addMissingColumns(db, 'simulation_results', {
+    trailing_stop_activated_at: 'INTEGER',
+    ambiguous_exit: 'INTEGER DEFAULT 0',
+    ambiguity_resolved_by: 'TEXT',
+    expected_entry_price: 'REAL',
+    expected_exit_price: 'REAL',
+    entry_slippage_percent: 'REAL',
+    exit_slippage_percent: 'REAL',
+    signal_time: 'INTEGER',
+    signal_price: 'REAL',
+    position_size_usdt: 'REAL'
+  });
+  await addMissingColumns(db, 'simulation_summary', {
+    ambiguous_trades: 'INTEGER NOT NULL DEFAULT 0',
+    partial_exit_trades: 'INTEGER NOT NULL DEFAULT 0',
+    sortino_ratio: 'REAL',
+    calmar_ratio: 'REAL',
+    max_drawdown_usdt: 'REAL',
+    max_drawdown_duration_minutes: 'REAL',
+    expectancy_usdt: 'REAL',
+    expectancy_percent: 'REAL',
+    payoff_ratio: 'REAL',
+    exposure_time_percent: 'REAL',
+    max_win_streak: 'INTEGER',
+    max_loss_streak: 'INTEGER',
+    order_book_seed: 'INTEGER'
+  });
+  await addMissingColumns(db, 'live_trades', {
+    protective_order: 'TEXT'
+  });
+  
   logger.info('Database migrations completed successfully');
 }
+
+/**
+ * Додавання колонок, яких ще немає в таблиці
+ * @param {Object} db - з'єднання з БД
+ * @param {string} table - назва таблиці
+ * @param {Object} columns - { column_name: 'SQL definition' }
+ */
+async function addMissingColumns(db, table, columns) {
+  const existing = await db.all(`PRAGMA table_info(${table})`);
+  const existingNames = new Set(existing.map(column => column.name));
+  
+  for (const [name, definition] of Object.entries(columns)) {
+    if (!existingNames.has(name)) {
+      await db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+      logger.info(`Added column ${table}.${name}`);
+    }
+  }
+}
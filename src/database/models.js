@@ -1,6 +1,19 @@
+import { createHash } from 'crypto';
 import { getDatabase } from './init.js';
+import { filtersFromSymbolRow } from '../utils/symbolFilters.js';
 import logger from '../utils/logger.js';
 
+// Правила торгівлі символу (parseSymbolFilters) у колонках symbols
+const FILTER_COLUMNS = {
+  stepSize: 'step_size',
+  minQty: 'min_qty',
+  maxQty: 'max_qty',
+  tickSize: 'tick_size',
+  minPrice: 'min_price',
+  maxPrice: 'max_price',
+  minNotional: 'min_notional'
+};
+
 export class SymbolModel {
   constructor() {
     this.dbPromise = getDatabase();
@@ -8,16 +21,43 @@ export class SymbolModel {
 
   async create(symbolData) {
     const db = await this.dbPromise;
+    const filters = symbolData.filters || {};
     const result = await db.run(
-      `INSERT INTO symbols (symbol, base_asset, quote_asset, status) VALUES (?, ?, ?, ?)`,
+      `INSERT INTO symbols (symbol, base_asset, quote_asset, status, ${Object.values(FILTER_COLUMNS).join(', ')})
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       symbolData.symbol,
       symbolData.baseAsset,
       symbolData.quoteAsset,
-      symbolData.status || 'active'
+      symbolData.status || 'active',
+      ...Object.keys(FILTER_COLUMNS).map(key => filters[key] ?? null)
     );
     return result.lastID;
   }
 
+  /**
+   * Збереження правил торгівлі символу
+   * @param {string} symbol
+   * @param {Object} filters - результат parseSymbolFilters
+   */
+  async updateFilters(symbol, filters) {
+    const db = await this.dbPromise;
+    const columns = Object.values(FILTER_COLUMNS);
+    const result = await db.run(
+      `UPDATE symbols SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = ? WHERE symbol = ?`,
+      ...Object.keys(FILTER_COLUMNS).map(key => filters[key] ?? null),
+      Date.now(),
+      symbol
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Правила торгівлі символу або null, якщо вони ще не збережені
+   */
+  async getFilters(symbol) {
+    return filtersFromSymbolRow(await this.findBySymbol(symbol));
+  }
+
   async findById(id) {
     const db = await this.dbPromise;
     return db.get('SELECT * FROM symbols WHERE id = ?', id);
@@ -171,6 +211,37 @@ export class HistoricalKlineModel {
     );
   }
 
+  /**
+   * Потокове читання свічок пачками (keyset по open_time), без завантаження всього діапазону
+   */
+  async *iterateBySymbolAndTimeRange(symbolId, startTime, endTime, batchSize = 500) {
+    const db = await this.dbPromise;
+    let cursor = startTime;
+    let inclusive = true;
+    
+    while (true) {
+      const rows = await db.all(
+        `SELECT * FROM historical_klines
+         WHERE symbol_id = ? AND open_time ${inclusive ? '>=' : '>'} ? AND open_time <= ?
+         ORDER BY open_time LIMIT ?`,
+        symbolId,
+        cursor,
+        endTime,
+        batchSize
+      );
+      
+      for (const row of rows) {
+        yield row;
+      }
+      
+      if (rows.length < batchSize) {
+        return;
+      }
+      cursor = rows[rows.length - 1].open_time;
+      inclusive = false;
+    }
+  }
+
   async getFirstKline(symbolId) {
     const db = await this.dbPromise;
     return db.get(
@@ -198,6 +269,93 @@ export class HistoricalKlineModel {
   }
 }
 
+export class HistoricalAggTradeModel {
+  constructor() {
+    this.dbPromise = getDatabase();
+  }
+
+  async createBatch(trades) {
+    const db = await this.dbPromise;
+    await db.exec('BEGIN');
+    try {
+      for (const trade of trades) {
+        await db.run(
+          `INSERT OR IGNORE INTO historical_agg_trades (
+            symbol_id, agg_trade_id, price, quantity, trade_time, is_buyer_maker
+          ) VALUES (?, ?, ?, ?, ?, ?)`,
+          ...trade
+        );
+      }
+      await db.exec('COMMIT');
+    } catch (err) {
+      await db.exec('ROLLBACK');
+      throw err;
+    }
+  }
+
+  async getBySymbolAndTimeRange(symbolId, startTime, endTime) {
+    const db = await this.dbPromise;
+    return db.all(
+      `SELECT agg_trade_id, price, quantity, trade_time, is_buyer_maker
+       FROM historical_agg_trades
+       WHERE symbol_id = ? AND trade_time >= ? AND trade_time <= ?
+       ORDER BY trade_time, agg_trade_id`,
+      symbolId,
+      startTime,
+      endTime
+    );
+  }
+}
+
+// JSON-колонки (strategy_params, exit_ladder, sizing_params, risk_limits) приймають об'єкт або вже серіалізований рядок
+function serializeJsonColumn(value) {
+  if (!value) return null;
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// Значення колонок simulation_configs (назва + усі параметри) з camelCase або snake_case конфігурації
+function configColumns(config) {
+  return {
+    name: config.name,
+    take_profit_percent: config.takeProfitPercent || config.take_profit_percent,
+    stop_loss_percent: config.stopLossPercent || config.stop_loss_percent,
+    trailing_stop_enabled: config.trailingStopEnabled ? 1 : 0,
+    trailing_stop_percent: config.trailingStopPercent || config.trailing_stop_percent || null,
+    trailing_stop_activation_percent: config.trailingStopActivationPercent || config.trailing_stop_activation_percent || null,
+    buy_amount_usdt: config.buyAmountUsdt || config.buy_amount_usdt,
+    max_open_trades: config.maxOpenTrades || config.max_open_trades,
+    min_liquidity_usdt: config.minLiquidityUsdt || config.min_liquidity_usdt,
+    binance_fee_percent: config.binanceFeePercent || config.binance_fee_percent,
+    cooldown_seconds: config.cooldownSeconds || config.cooldown_seconds,
+    intra_candle_policy: config.intraCandlePolicy || config.intra_candle_policy || 'optimistic',
+    strategy: config.strategy || 'newListingScalper',
+    strategy_params: serializeJsonColumn(config.strategyParams || config.strategy_params),
+    fill_model: config.fillModel || config.fill_model || 'ideal',
+    order_book_seed: config.orderBookSeed ?? config.order_book_seed ?? null,
+    entry_timing: config.entryTiming || config.entry_timing || 'window_close',
+    entry_delay_seconds: config.entryDelaySeconds ?? config.entry_delay_seconds ?? 0,
+    entry_pullback_percent: config.pullbackPercent ?? config.entry_pullback_percent ?? null,
+    entry_breakout_minutes: config.breakoutMinutes ?? config.entry_breakout_minutes ?? null,
+    entry_latency_ms: config.entryLatencyMs ?? config.entry_latency_ms ?? 0,
+    max_holding_minutes: config.maxHoldingMinutes || config.max_holding_minutes || 60,
+    exit_ladder: serializeJsonColumn(config.exitLadder || config.exit_ladder),
+    sizing_policy: config.sizingPolicy || config.sizing_policy || 'fixed',
+    sizing_params: serializeJsonColumn(config.sizingParams || config.sizing_params),
+    risk_limits: serializeJsonColumn(config.riskLimits || config.risk_limits)
+  };
+}
+
+function sameConfigColumns(row, columns) {
+  return Object.entries(columns).every(([column, value]) => column === 'name' || (row[column] ?? null) === (value ?? null));
+}
+
+// Короткий стабільний хеш параметрів (без назви) для назви конфігурації
+function configHash(columns) {
+  const { name, ...params } = columns;
+  const values = Object.keys(params).sort().map(column => [column, params[column] ?? null]);
+  return createHash('sha1').update(JSON.stringify(values)).digest('hex').slice(0, 10);
+}
+
 export class SimulationConfigModel {
   constructor() {
     this.dbPromise = getDatabase();
@@ -205,32 +363,29 @@ export class SimulationConfigModel {
 
   async create(config) {
     const db = await this.dbPromise;
-    
-    // ВИПРАВЛЕНО: Спочатку перевіряємо чи конфігурація вже існує
+    const columns = configColumns(config);
+
+    // Назва не визначає конфігурацію: рядок з тією ж назвою, але іншими параметрами
+    // не використовується повторно - параметри зберігаються під назвою з їх хешем
     const existingConfig = await this.findByName(config.name);
-    if (existingConfig) {
+    if (existingConfig && sameConfigColumns(existingConfig, columns)) {
       return existingConfig.id;
     }
+
+    if (existingConfig) {
+      columns.name = `${config.name}#${configHash(columns)}`;
+      const hashedConfig = await this.findByName(columns.name);
+      if (hashedConfig) {
+        return hashedConfig.id;
+      }
+      logger.info(`Configuration ${config.name} already exists with other parameters, saving as ${columns.name}`);
+    }
     
     try {
+      const names = Object.keys(columns);
       const result = await db.run(
-        `INSERT INTO simulation_configs (
-          name, take_profit_percent, stop_loss_percent,
-          trailing_stop_enabled, trailing_stop_percent, trailing_stop_activation_percent,
-          buy_amount_usdt, max_open_trades, min_liquidity_usdt,
-          binance_fee_percent, cooldown_seconds
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        config.name,
-        config.takeProfitPercent || config.take_profit_percent,
-        config.stopLossPercent || config.stop_loss_percent,
-        config.trailingStopEnabled ? 1 : 0,
-        config.trailingStopPercent || config.trailing_stop_percent || null,
-        config.trailingStopActivationPercent || config.trailing_stop_activation_percent || null,
-        config.buyAmountUsdt || config.buy_amount_usdt,
-        config.maxOpenTrades || config.max_open_trades,
-        config.minLiquidityUsdt || config.min_liquidity_usdt,
-        config.binanceFeePercent || config.binance_fee_percent,
-        config.cooldownSeconds || config.cooldown_seconds
+        `INSERT INTO simulation_configs (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`,
+        ...Object.values(columns)
       );
       
       if (!result.lastID) {
@@ -315,8 +470,11 @@ export class SimulationResultModel {
         config_id, symbol_id, entry_time, entry_price, exit_time, exit_price,
         exit_reason, quantity, profit_loss_usdt, profit_loss_percent,
         buy_commission, sell_commission, max_price_reached, min_price_reached,
-        trailing_stop_triggered
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        trailing_stop_triggered, trailing_stop_activated_at, ambiguous_exit,
+        ambiguity_resolved_by, expected_entry_price, expected_exit_price,
+        entry_slippage_percent, exit_slippage_percent, signal_time, signal_price,
+        position_size_usdt
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       result.configId,
       result.symbolId,
       result.entryTime,
@@ -331,8 +489,22 @@ export class SimulationResultModel {
       result.sellCommission,
       result.maxPriceReached,
       result.minPriceReached,
-      result.trailingStopTriggered
+      result.trailingStopTriggered,
+      result.trailingStopActivatedAt,
+      result.ambiguousExit ? 1 : 0,
+      result.ambiguityResolvedBy || null,
+      result.expectedEntryPrice ?? null,
+      result.expectedExitPrice ?? null,
+      result.entrySlippagePercent ?? null,
+      result.exitSlippagePercent ?? null,
+      result.signalTime ?? null,
+      result.signalPrice ?? null,
+      result.positionSizeUsdt ?? null
     );
+    
+    if (result.exitLegs?.length > 0) {
+      await new SimulationExitLegModel().createBatch(res.lastID, result.exitLegs);
+    }
     return res.lastID;
   }
 
@@ -371,6 +543,45 @@ export class SimulationResultModel {
   }
 }
 
+export class SimulationExitLegModel {
+  constructor() {
+    this.dbPromise = getDatabase();
+  }
+
+  /**
+   * Збереження ніг виходу угоди
+   * @param {number} resultId - id рядка simulation_results
+   * @param {Array} legs - [{ exitTime, exitPrice, expectedExitPrice, quantity, exitReason, commission }]
+   */
+  async createBatch(resultId, legs) {
+    const db = await this.dbPromise;
+    for (const [index, leg] of legs.entries()) {
+      await db.run(
+        `INSERT INTO simulation_exit_legs (
+          result_id, leg_index, exit_time, exit_price, expected_exit_price,
+          quantity, exit_reason, commission
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        resultId,
+        index,
+        leg.exitTime,
+        leg.exitPrice,
+        leg.expectedExitPrice ?? null,
+        leg.quantity,
+        leg.exitReason,
+        leg.commission ?? null
+      );
+    }
+  }
+
+  async getByResultId(resultId) {
+    const db = await this.dbPromise;
+    return db.all(
+      `SELECT * FROM simulation_exit_legs WHERE result_id = ? ORDER BY leg_index`,
+      resultId
+    );
+  }
+}
+
 export class SimulationSummaryModel {
   constructor() {
     this.dbPromise = getDatabase();
@@ -381,17 +592,22 @@ export class SimulationSummaryModel {
     const res = await db.run(
       `INSERT INTO simulation_summary (
         config_id, total_trades, profitable_trades, losing_trades, timeout_trades,
-        trailing_stop_trades, total_profit_usdt, total_loss_usdt, net_profit_usdt,
-        win_rate_percent, avg_profit_percent, avg_loss_percent, max_profit_percent,
-        max_loss_percent, avg_trade_duration_minutes, total_simulation_period_days,
-        roi_percent, sharpe_ratio, max_drawdown_percent
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        trailing_stop_trades, ambiguous_trades, partial_exit_trades, total_profit_usdt, total_loss_usdt,
+        net_profit_usdt, win_rate_percent, avg_profit_percent, avg_loss_percent,
+        max_profit_percent, max_loss_percent, avg_trade_duration_minutes,
+        total_simulation_period_days, roi_percent, sharpe_ratio, max_drawdown_percent,
+        sortino_ratio, calmar_ratio, max_drawdown_usdt, max_drawdown_duration_minutes,
+        expectancy_usdt, expectancy_percent, payoff_ratio, exposure_time_percent,
+        max_win_streak, max_loss_streak, order_book_seed
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       summary.configId,
       summary.totalTrades,
       summary.profitableTrades,
       summary.losingTrades,
       summary.timeoutTrades,
       summary.trailingStopTrades,
+      summary.ambiguousTrades || 0,
+      summary.partialExitTrades || 0,
       summary.totalProfitUsdt,
       summary.totalLossUsdt,
       summary.netProfitUsdt,
@@ -404,7 +620,18 @@ export class SimulationSummaryModel {
       summary.totalSimulationPeriodDays,
       summary.roiPercent,
       summary.sharpeRatio,
-      summary.maxDrawdownPercent
+      summary.maxDrawdownPercent,
+      summary.sortinoRatio ?? null,
+      summary.calmarRatio ?? null,
+      summary.maxDrawdownUsdt ?? null,
+      summary.maxDrawdownDurationMinutes ?? null,
+      summary.expectancyUsdt ?? null,
+      summary.expectancyPercent ?? null,
+      summary.payoffRatio ?? null,
+      summary.exposureTimePercent ?? null,
+      summary.maxWinStreak ?? null,
+      summary.maxLossStreak ?? null,
+      summary.orderBookSeed ?? null
     );
     return res.lastID;
   }
@@ -428,6 +655,10 @@ export class SimulationSummaryModel {
 
   async deleteByConfigId(configId) {
     const db = await this.dbPromise;
+    await db.run(
+      'DELETE FROM simulation_equity_curve WHERE summary_id IN (SELECT id FROM simulation_summary WHERE config_id = ?)',
+      configId
+    );
     const result = await db.run(
       'DELETE FROM simulation_summary WHERE config_id = ?',
       configId
@@ -436,6 +667,301 @@ export class SimulationSummaryModel {
   }
 }
 
+export class SimulationEquityCurveModel {
+  constructor() {
+    this.dbPromise = getDatabase();
+  }
+
+  /**
+   * Збереження кривої капіталу симуляції
+   * @param {number} summaryId - id рядка simulation_summary
+   * @param {Array} points - [{ time, equity, drawdownPercent, symbol }]
+   */
+  async createBatch(summaryId, points) {
+    const db = await this.dbPromise;
+    for (const [index, point] of points.entries()) {
+      await db.run(
+        `INSERT INTO simulation_equity_curve (
+          summary_id, point_index, time, equity, drawdown_percent, symbol
+        ) VALUES (?, ?, ?, ?, ?, ?)`,
+        summaryId,
+        index,
+        point.time,
+        point.equity,
+        point.drawdownPercent,
+        point.symbol ?? null
+      );
+    }
+  }
+
+  async getBySummaryId(summaryId) {
+    const db = await this.dbPromise;
+    return db.all(
+      `SELECT * FROM simulation_equity_curve WHERE summary_id = ? ORDER BY point_index`,
+      summaryId
+    );
+  }
+}
+
+export class ParetoFrontModel {
+  constructor() {
+    this.dbPromise = getDatabase();
+  }
+
+  /**
+   * Збереження запуску NSGA-II і його фронту Парето
+   * @param {Object} run - { name, objectives, populationSize, generations, evaluations }
+   * @param {Array} members - [{ configId, config, performance, objectives, crowding }]
+   * @returns {number} id запуску
+   */
+  async createRun(run, members) {
+    const db = await this.dbPromise;
+    const res = await db.run(
+      `INSERT INTO pareto_runs (name, objectives, population_size, generations, evaluations)
+       VALUES (?, ?, ?, ?, ?)`,
+      run.name,
+      JSON.stringify(run.objectives),
+      run.populationSize,
+      run.generations,
+      run.evaluations
+    );
+
+    for (const member of members) {
+      await db.run(
+        `INSERT INTO pareto_front (
+          run_id, config_id, config_name, roi_percent, max_drawdown_percent,
+          win_rate_percent, total_trades, sharpe_ratio, objective_values, crowding_distance
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        res.lastID,
+        member.configId ?? null,
+        member.config.name,
+        member.performance.roiPercent ?? null,
+        member.performance.maxDrawdown ?? null,
+        member.performance.winRate ?? null,
+        member.performance.totalTrades ?? null,
+        member.performance.sharpeRatio ?? null,
+        JSON.stringify(member.objectives),
+        Number.isFinite(member.crowding) ? member.crowding : null
+      );
+    }
+    return res.lastID;
+  }
+
+  async getRun(runId) {
+    const db = await this.dbPromise;
+    const run = await db.get('SELECT * FROM pareto_runs WHERE id = ?', runId);
+    return run ? { ...run, objectives: JSON.parse(run.objectives) } : null;
+  }
+
+  async getLatestRun() {
+    const db = await this.dbPromise;
+    const row = await db.get('SELECT id FROM pareto_runs ORDER BY id DESC LIMIT 1');
+    return row ? this.getRun(row.id) : null;
+  }
+
+  /**
+   * Фронт запуску разом з параметрами конфігурацій
+   */
+  async getMembers(runId) {
+    const db = await this.dbPromise;
+    const rows = await db.all(
+      `SELECT pf.*, sc.take_profit_percent, sc.stop_loss_percent, sc.trailing_stop_enabled,
+              sc.trailing_stop_percent, sc.buy_amount_usdt, sc.strategy
+       FROM pareto_front pf
+       LEFT JOIN simulation_configs sc ON pf.config_id = sc.id
+       WHERE pf.run_id = ?
+       ORDER BY pf.roi_percent DESC`,
+      runId
+    );
+    return rows.map(row => ({ ...row, objective_values: JSON.parse(row.objective_values) }));
+  }
+}
+
+export class LiveTradeModel {
+  constructor() {
+    this.dbPromise = getDatabase();
+  }
+
+  /**
+   * Збереження поточного стану угоди движка (вставка або оновлення за id)
+   */
+  async save(trade) {
+    const db = await this.dbPromise;
+    await db.run(
+      `INSERT INTO live_trades (
+        id, symbol, status, entry_price, quantity, remaining_quantity, entry_time,
+        entry_order_id, commission, position_size_usdt, exit_conditions, exit_targets,
+        exit_legs, protective_order, max_price, min_price, exit_price, exit_time, exit_reason,
+        profit_loss_usdt, profit_loss_percent, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        status = excluded.status,
+        remaining_quantity = excluded.remaining_quantity,
+        exit_targets = excluded.exit_targets,
+        exit_legs = excluded.exit_legs,
+        protective_order = excluded.protective_order,
+        max_price = excluded.max_price,
+        min_price = excluded.min_price,
+        exit_price = excluded.exit_price,
+        exit_time = excluded.exit_time,
+        exit_reason = excluded.exit_reason,
+        profit_loss_usdt = excluded.profit_loss_usdt,
+        profit_loss_percent = excluded.profit_loss_percent,
+        updated_at = excluded.updated_at`,
+      trade.id,
+      trade.symbol,
+      trade.status,
+      trade.entryPrice,
+      trade.quantity,
+      trade.remainingQuantity ?? trade.quantity,
+      trade.entryTime,
+      trade.orderId != null ? String(trade.orderId) : null,
+      trade.commission ?? null,
+      trade.positionSizeUsdt ?? null,
+      JSON.stringify(trade.exitConditions),
+      JSON.stringify(trade.exitTargets || []),
+      JSON.stringify(trade.exitLegs || []),
+      trade.protectiveOrder ? JSON.stringify(trade.protectiveOrder) : null,
+      trade.maxPrice ?? null,
+      trade.minPrice ?? null,
+      trade.exitPrice ?? null,
+      trade.exitTime ?? null,
+      trade.exitReason ?? null,
+      trade.profitLossUsdt ?? null,
+      trade.profitLossPercent ?? null,
+      Date.now()
+    );
+  }
+
+  async findById(id) {
+    const db = await this.dbPromise;
+    return db.get('SELECT * FROM live_trades WHERE id = ?', id);
+  }
+
+  async getActive() {
+    const db = await this.dbPromise;
+    return db.all(`SELECT * FROM live_trades WHERE status = 'ACTIVE' ORDER BY entry_time`);
+  }
+
+  /**
+   * Закриття угоди без ордеру движка (наприклад, позицію продано поза ботом)
+   */
+  async markClosed(id, exitReason) {
+    const db = await this.dbPromise;
+    const result = await db.run(
+      `UPDATE live_trades SET status = 'CLOSED', remaining_quantity = 0, exit_reason = ?, exit_time = ?, updated_at = ? WHERE id = ?`,
+      exitReason,
+      Date.now(),
+      Date.now(),
+      id
+    );
+    return result.changes > 0;
+  }
+}
+
+export class LiveOrderModel {
+  constructor() {
+    this.dbPromise = getDatabase();
+  }
+
+  /**
+   * Збереження ордеру угоди (повторний запис того ж ордеру оновлює його стан)
+   * @param {Object} order - { tradeId, orderId, symbol, side, type, quantity, executedQuantity, price, status, purpose }
+   */
+  async save(order) {
+    const db = await this.dbPromise;
+    await db.run(
+      `INSERT INTO live_orders (
+        trade_id, order_id, symbol, side, type, quantity, executed_quantity, price, status, purpose
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(symbol, order_id) DO UPDATE SET
+        executed_quantity = excluded.executed_quantity,
+        price = excluded.price,
+        status = excluded.status,
+        updated_at = ?`,
+      order.tradeId,
+      String(order.orderId),
+      order.symbol,
+      order.side,
+      order.type,
+      order.quantity,
+      order.executedQuantity ?? null,
+      order.price ?? null,
+      order.status,
+      order.purpose,
+      Date.now()
+    );
+  }
+
+  async updateStatus(symbol, orderId, { status, executedQuantity, price }) {
+    const db = await this.dbPromise;
+    const result = await db.run(
+      `UPDATE live_orders SET status = ?, executed_quantity = COALESCE(?, executed_quantity),
+        price = COALESCE(?, price), updated_at = ? WHERE symbol = ? AND order_id = ?`,
+      status,
+      executedQuantity ?? null,
+      price ?? null,
+      Date.now(),
+      symbol,
+      String(orderId)
+    );
+    return result.changes > 0;
+  }
+
+  async getByTradeId(tradeId) {
+    const db = await this.dbPromise;
+    return db.all('SELECT * FROM live_orders WHERE trade_id = ? ORDER BY id', tradeId);
+  }
+
+  /**
+   * Ордери угоди, які на момент запису ще не були остаточно виконані чи скасовані
+   */
+  async getOpenByTradeId(tradeId) {
+    const db = await this.dbPromise;
+    return db.all(
+      `SELECT * FROM live_orders WHERE trade_id = ? AND status IN ('NEW', 'PARTIALLY_FILLED') ORDER BY id`,
+      tradeId
+    );
+  }
+}
+
+export class TrailingStopStateModel {
+  constructor() {
+    this.dbPromise = getDatabase();
+  }
+
+  /**
+   * @param {string} tradeId
+   * @param {Object} state - { entryPrice, highestPrice, currentStopPrice, isActivated, activationPrice }
+   */
+  async save(tradeId, state) {
+    const db = await this.dbPromise;
+    await db.run(
+      `INSERT OR REPLACE INTO live_trailing_stops (
+        trade_id, entry_price, highest_price, current_stop_price, is_activated, activation_price, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      tradeId,
+      state.entryPrice,
+      state.highestPrice,
+      state.currentStopPrice ?? null,
+      state.isActivated ? 1 : 0,
+      state.activationPrice,
+      Date.now()
+    );
+  }
+
+  async findByTradeId(tradeId) {
+    const db = await this.dbPromise;
+    return db.get('SELECT * FROM live_trailing_stops WHERE trade_id = ?', tradeId);
+  }
+
+  async deleteByTradeId(tradeId) {
+    const db = await this.dbPromise;
+    const result = await db.run('DELETE FROM live_trailing_stops WHERE trade_id = ?', tradeId);
+    return result.changes;
+  }
+}
+
 export const symbolModel = new SymbolModel();
 export const listingAnalysisModel = new ListingAnalysisModel();
 export const historicalKlineModel = new HistoricalKlineModel();
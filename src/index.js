@@ -19,12 +19,22 @@ import logger from './utils/logger.js';
 import { validateEnvironmentVariables } from './utils/validators.js';
 import { getDatabase, initializeDatabase, closeDatabase } from './database/init.js';
 import { TradingEngine } from './simulation/tradingEngine.js';
+import { ListingWatcher } from './collectors/listingWatcher.js';
+import { getBinanceClient } from './api/binanceClient.js';
+import { BinanceStreamClient } from './api/binanceStreams.js';
+import { PaperExchange } from './simulation/paperExchange.js';
+import { PaperReplay } from './simulation/paperReplay.js';
 import { TradingSimulator } from './simulation/simulator.js';
 import { ParameterOptimizer } from './analysis/optimizer.js';
+import { defaultPoolSize } from './simulation/simulationPool.js';
+import { loadDefaultKlineDataset } from './simulation/klineDataset.js';
 import { NewListingScalperStrategy } from './simulation/strategies/newListingScalper.js';
 
 // Глобальні змінні
 let tradingEngine = null;
+let listingWatcher = null;
+let paperExchange = null;
+let streamClient = null;
 let isShuttingDown = false;
 const startTime = Date.now();
 
@@ -49,6 +59,9 @@ async function main() {
       case 'trade':
         await startTradingMode();
         break;
+      case 'paper':
+        await startPaperMode();
+        break;
       case 'simulate':
         await startSimulationMode();
         break;
@@ -140,12 +153,25 @@ async function startTradingMode() {
   try {
     // Створення торгового движка
     const config = createTradingConfig();
-    tradingEngine = new TradingEngine(config);
+    tradingEngine = new TradingEngine(config, getBinanceClient());
     
     // Запуск движка
     await tradingEngine.start();
     
     logger.info('✅ Trading engine started successfully');
+    
+    // Ціни відкритих угод - з WebSocket потоку угод
+    streamClient = new BinanceStreamClient();
+    await streamClient.connect();
+    streamClient.connectEngine(tradingEngine);
+    
+    // Відстеження нових лістингів і передача їх у движок
+    listingWatcher = new ListingWatcher({
+      engine: tradingEngine,
+      config: { intervalMs: parseInt(process.env.LISTING_POLL_INTERVAL_MS) || 10000 }
+    });
+    await listingWatcher.start();
+    
     logger.info('📊 Bot is now scanning for new listings...');
     
     // Показ статистики кожні 30 секунд
@@ -166,6 +192,69 @@ async function startTradingMode() {
   }
 }
 
+/**
+ * Паперова торгівля: TradingEngine з PaperExchange замість реального акаунта.
+ * live - лістинги та ціни з публічних ендпоінтів Binance, replay - історичні свічки з БД.
+ */
+async function startPaperMode() {
+  const source = process.argv[3] === 'replay' ? 'replay' : 'live';
+  logger.info(`📝 Starting paper trading mode (${source})...`);
+  
+  try {
+    const config = createPaperConfig();
+    paperExchange = new PaperExchange(config);
+    tradingEngine = new TradingEngine({ ...config, clock: () => paperExchange.now() }, paperExchange);
+    await tradingEngine.start();
+    
+    if (source === 'replay') {
+      const days = parseInt(process.argv[4]) || 30;
+      const replay = new PaperReplay({
+        engine: tradingEngine,
+        exchange: paperExchange,
+        config: { maxHoldingMinutes: config.maxHoldingMinutes }
+      });
+      const summary = await replay.run(days);
+      displayPaperResults(summary, tradingEngine.getStats());
+      return;
+    }
+    
+    const client = getBinanceClient();
+    paperExchange.on('price', ({ symbol, price }) => {
+      tradingEngine.updateActiveTrades({ [symbol]: { price } });
+    });
+    paperExchange.startLiveFeed(client, parseInt(process.env.PAPER_PRICE_INTERVAL_MS) || 2000);
+    
+    listingWatcher = new ListingWatcher({
+      engine: tradingEngine,
+      source: client,
+      config: { intervalMs: parseInt(process.env.LISTING_POLL_INTERVAL_MS) || 10000 }
+    });
+    // Біржа має знати ціну і стакан лістингу до ордеру движка
+    listingWatcher.on('market_data', marketData => {
+      paperExchange.processKline(marketData.symbol, marketData.klines[marketData.klines.length - 1]);
+      paperExchange.updatePrice(marketData.symbol, marketData.ticker.price);
+      paperExchange.setOrderBook(marketData.symbol, marketData.orderBook);
+    });
+    await listingWatcher.start();
+    
+    logger.info('📊 Paper trading is scanning for new listings...');
+    
+    const statsInterval = setInterval(() => {
+      if (!isShuttingDown) {
+        const stats = tradingEngine.getStats();
+        logger.info(`📈 Paper stats: Balance: ${stats.currentBalance} USDT | Active: ${stats.activeTrades} | Total: ${stats.totalTrades}`);
+      }
+    }, 30000);
+    
+    process.on('SIGTERM', () => clearInterval(statsInterval));
+    process.on('SIGINT', () => clearInterval(statsInterval));
+    
+  } catch (error) {
+    logger.error('❌ Failed to start paper trading mode:', error);
+    process.exit(1);
+  }
+}
+
 /**
  * Режим симуляції
  */
@@ -200,11 +289,45 @@ async function startOptimizationMode() {
   
   try {
     const iterations = parseInt(process.argv[3]) || 50;
+    const methodIndex = process.argv.indexOf('--method');
+    const method = methodIndex > -1 ? process.argv[methodIndex + 1] : 'grid';
     
-    logger.info(`🎯 Running optimization with ${iterations} iterations`);
+    if (!['grid', 'genetic', 'bayes', 'pareto'].includes(method)) {
+      throw new Error(`Unknown optimization method: ${method} (expected grid, genetic, bayes or pareto)`);
+    }
+    
+    logger.info(`🎯 Running ${method} optimization with ${iterations} iterations`);
     
     const baseConfig = createSimulationConfig('Optimization Base');
-    const optimizer = new ParameterOptimizer();
+    // Свічки читаються з БД (або знімка) один раз на всю оптимізацію
+    const klineDataset = await loadDefaultKlineDataset();
+    const optimizer = new ParameterOptimizer({ workers: defaultPoolSize(), klineDataset });
+    
+    // Багатокритеріальний пошук: фронт Парето замість однієї цільової метрики
+    if (method === 'pareto') {
+      // iterations - бюджет симуляцій: покоління по populationSize нових конфігурацій
+      const populationSize = parseInt(process.env.PARETO_POPULATION) || 20;
+      const pareto = await optimizer.paretoOptimization(baseConfig, {
+        populationSize,
+        generations: Math.max(1, Math.ceil(iterations / populationSize) - 1)
+      });
+      displayParetoResults(pareto);
+      return;
+    }
+    
+    // Walk-forward: підбір на навчальних вікнах, перевірка на наступних лістингах
+    if (process.argv.includes('--walk-forward')) {
+      const walkForward = await optimizer.walkForward(baseConfig, {
+        trainSize: parseInt(process.env.WALK_FORWARD_TRAIN_LISTINGS) || 20,
+        testSize: parseInt(process.env.WALK_FORWARD_TEST_LISTINGS) || 5,
+        anchored: process.env.WALK_FORWARD_ANCHORED === 'true',
+        method,
+        maxIterations: iterations,
+        targetMetric: 'roiPercent'
+      });
+      displayWalkForwardResults(walkForward);
+      return;
+    }
     
     const optimizationParams = {
       takeProfitRange: [0.5, 3.0, 0.5],
@@ -215,7 +338,15 @@ async function startOptimizationMode() {
       targetMetric: 'roi_percent'
     };
     
-    const bestConfigs = await optimizer.optimize(baseConfig, optimizationParams);
+    // Байєсівський пошук: сурогатна модель обирає наступні комбінації замість випадкової вибірки
+    let bestConfigs;
+    if (method === 'bayes') {
+      bestConfigs = await optimizer.bayesianOptimization(baseConfig, optimizationParams);
+    } else if (method === 'genetic') {
+      bestConfigs = await optimizer.geneticOptimization(baseConfig);
+    } else {
+      bestConfigs = await optimizer.optimize(baseConfig, optimizationParams);
+    }
     
     // Показ результатів оптимізації
     displayOptimizationResults(bestConfigs);
@@ -226,6 +357,55 @@ async function startOptimizationMode() {
   }
 }
 
+/**
+ * Показ фронту Парето
+ */
+function displayParetoResults({ runId, front, evaluations }) {
+  const rows = front
+    .sort((a, b) => b.performance.roiPercent - a.performance.roiPercent)
+    .map(({ config, performance }) => [
+      config.name.padEnd(44),
+      `${performance.roiPercent.toFixed(2)}%`.padStart(9),
+      `${performance.maxDrawdown.toFixed(2)}%`.padStart(9),
+      `${performance.winRate.toFixed(1)}%`.padStart(7),
+      String(performance.totalTrades).padStart(6)
+    ].join(' '));
+  
+  console.log(`
+🎯 ФРОНТ ПАРЕТО (NSGA-II)
+═══════════════════════════════════════════
+📊 Оцінено конфігурацій: ${evaluations}, на фронті: ${front.length}${runId ? ` (запуск #${runId})` : ''}
+
+${'Конфігурація'.padEnd(44)} ${'ROI'.padStart(9)} ${'Просадка'.padStart(9)} ${'Win'.padStart(7)} ${'Угоди'.padStart(6)}
+${rows.join('\n')}
+
+🔗 Вибір компромісу: POST /api/pareto/select { "weights": { "roiPercent": 2 }, "constraints": { "maxDrawdown": { "max": 20 } } }
+  `);
+}
+
+/**
+ * Показ результатів walk-forward оптимізації
+ */
+function displayWalkForwardResults({ windows, summary }) {
+  console.log(`
+🔁 WALK-FORWARD ОПТИМІЗАЦІЯ
+═══════════════════════════════════════════`);
+  
+  windows.forEach(window => {
+    console.log(`
+Вікно ${window.index}: ${new Date(window.test.from).toISOString().slice(0, 10)} (${window.test.listings} лістингів)
+   • Конфігурація: ${window.config.name}
+   • ROI навчання: ${window.trainRoiPercent.toFixed(2)}%
+   • ROI поза вибіркою: ${window.testRoiPercent.toFixed(2)}% (${window.testTrades} угод)`);
+  });
+  
+  console.log(`
+📊 Поза вибіркою: ${summary.outOfSampleReturnUsdt.toFixed(2)} USDT (ROI ${summary.outOfSampleRoiPercent.toFixed(2)}%)
+   • Прибуткових вікон: ${summary.profitableWindows}/${summary.windows}
+   • Ефективність (тест/навчання): ${summary.efficiency.toFixed(2)}
+  `);
+}
+
 /**
  * Режим бектестингу
  */
@@ -336,8 +516,11 @@ function showHelp() {
 
 🎯 Режими роботи:
    node src/index.js trade                    - Запуск реальної торгівлі
+   node src/index.js paper [live|replay] [days] - Паперова торгівля без реальних коштів
    node src/index.js simulate [days] [name]   - Симуляція (за замовчуванням 30 днів)
    node src/index.js optimize [iterations]    - Оптимізація параметрів (за замовчуванням 50)
+   node src/index.js optimize [iterations] --walk-forward - Walk-forward оптимізація
+   node src/index.js optimize [iterations] --method grid|genetic|bayes|pareto - Метод оптимізації (bayes: GP + expected improvement, pareto: NSGA-II)
    node src/index.js backtest [days] [config] - Детальний бектест
    node src/index.js status                   - Показ статусу системи
    node src/index.js balance                  - Показ балансу акаунта
@@ -387,7 +570,42 @@ function createTradingConfig() {
     // Комісії та таймінги
     binanceFeePercent: 0.1,
     cooldownSeconds: parseInt(process.env.COOLDOWN_SECONDS) || 300,
-    maxTradeTimeMinutes: parseInt(process.env.MAX_TRADE_TIME_MINUTES) || 15
+    maxTradeTimeMinutes: parseInt(process.env.MAX_TRADE_TIME_MINUTES) || 15,
+    
+    // Стратегія з реєстру
+    strategy: process.env.STRATEGY || 'newListingScalper',
+    strategyParams: process.env.STRATEGY_PARAMS || null,
+    exitLadder: process.env.EXIT_LADDER || null,
+    sizingPolicy: process.env.SIZING_POLICY || 'fixed',
+    sizingParams: process.env.SIZING_PARAMS || null,
+    
+    // Ризик-ліміти (JSON): добовий збиток, просадка, серія збитків, експозиція, чорний список
+    riskLimits: process.env.RISK_LIMITS || null,
+    
+    // Збереження угод у БД і їх відновлення після перезапуску
+    persistTrades: process.env.PERSIST_LIVE_TRADES !== 'false',
+    closeTradesOnStop: process.env.CLOSE_TRADES_ON_STOP !== 'false',
+    
+    // Захисний OCO на біржі (TP + stop-limit SL)
+    exchangeOco: process.env.EXCHANGE_OCO_ENABLED === 'true',
+    stopLimitOffsetPercent: parseFloat(process.env.OCO_STOP_LIMIT_OFFSET_PERCENT) || 0.005
+  };
+}
+
+/**
+ * Конфігурація паперової торгівлі: параметри реальної торгівлі з комісією в десятковій формі
+ * та реалістичним виконанням
+ */
+function createPaperConfig() {
+  return {
+    ...createTradingConfig(),
+    name: 'Paper Trading',
+    // Стан паперової біржі живе лише в пам'яті - відновлювати угоди нема з чим звіряти
+    persistTrades: false,
+    binanceFeePercent: parseFloat(process.env.DEFAULT_BINANCE_FEE_PERCENT) || 0.001,
+    fillModel: process.env.FILL_MODEL || 'market_impact',
+    orderBookSeed: process.env.ORDER_BOOK_SEED ? parseInt(process.env.ORDER_BOOK_SEED) : null,
+    maxHoldingMinutes: parseInt(process.env.MAX_HOLDING_MINUTES) || 60
   };
 }
 
@@ -417,10 +635,40 @@ function createSimulationConfig(name) {
     // Налаштування симуляції
     binanceFeePercent: 0.1,
     cooldownSeconds: 180,
-    maxTradeTimeMinutes: 10
+    maxTradeTimeMinutes: 10,
+    replayMode: process.env.SIMULATION_REPLAY_MODE || 'isolated',
+    intraCandlePolicy: process.env.INTRA_CANDLE_POLICY || 'optimistic',
+    strategy: process.env.STRATEGY || 'newListingScalper',
+    strategyParams: process.env.STRATEGY_PARAMS || null,
+    fillModel: process.env.FILL_MODEL || 'ideal',
+    orderBookSeed: process.env.ORDER_BOOK_SEED ? parseInt(process.env.ORDER_BOOK_SEED) : null,
+    entryTiming: process.env.ENTRY_TIMING || 'window_close',
+    entryDelaySeconds: parseInt(process.env.ENTRY_DELAY_SECONDS) || 0,
+    pullbackPercent: parseFloat(process.env.ENTRY_PULLBACK_PERCENT) || 3,
+    breakoutMinutes: parseInt(process.env.ENTRY_BREAKOUT_MINUTES) || 5,
+    entryLatencyMs: parseInt(process.env.ENTRY_LATENCY_MS) || 0,
+    maxHoldingMinutes: parseInt(process.env.MAX_HOLDING_MINUTES) || 60,
+    exitLadder: process.env.EXIT_LADDER || null,
+    sizingPolicy: process.env.SIZING_POLICY || 'fixed',
+    sizingParams: process.env.SIZING_PARAMS || null,
+    riskLimits: process.env.RISK_LIMITS || null
   };
 }
 
+/**
+ * Показ результатів паперового відтворення
+ */
+function displayPaperResults(summary, stats) {
+  console.log(`
+📝 РЕЗУЛЬТАТИ PAPER REPLAY
+═══════════════════════════════════════════
+📊 Лістингів: ${summary.listings} (угод відкрито: ${summary.processed})
+   • Угод закрито: ${stats.totalTrades} (win rate ${stats.winRate}%)
+   • Чистий прибуток: ${stats.netProfit} USDT
+   • Баланс: ${stats.currentBalance} USDT (ROI ${stats.roi}%)
+  `);
+}
+
 /**
  * Показ результатів симуляції
  */
@@ -443,10 +691,14 @@ function displaySimulationResults(results) {
    • Win Rate: ${summary.winRate}%
 
 📉 Ризикові показники:
-   • Максимальна просадка: ${summary.maxDrawdown}%
+   • Максимальна просадка: ${summary.maxDrawdown}% (${summary.maxDrawdownUsdt} USDT, ${summary.maxDrawdownDurationMinutes} хв)
    • Profit Factor: ${summary.profitFactor}
    • Sharpe Ratio: ${summary.sharpeRatio}
-   • Макс. послідовні збитки: ${summary.maxConsecutiveLosses}
+   • Sortino Ratio: ${summary.sortinoRatio}
+   • Calmar Ratio: ${summary.calmarRatio}
+   • Очікування на угоду: ${summary.expectancyUsdt} USDT (payoff ${summary.payoffRatio})
+   • Час у ринку: ${summary.exposureTimePercent}%
+   • Макс. послідовні збитки: ${summary.maxLossStreak}
 
 💸 Витрати:
    • Загальний об'єм: ${summary.totalVolume.toFixed(2)} USDT
@@ -508,6 +760,18 @@ async function gracefulShutdown(signal) {
   isShuttingDown = true;
   
   try {
+    if (listingWatcher) {
+      listingWatcher.stop();
+    }
+    
+    if (paperExchange) {
+      paperExchange.stopLiveFeed();
+    }
+    
+    if (streamClient) {
+      await streamClient.close();
+    }
+    
     if (tradingEngine) {
       logger.info('🔄 Stopping trading engine...');
       await tradingEngine.stop();
@@ -4,6 +4,8 @@ import { dirname, join } from 'path';
 import { getDatabase } from './database/init.js';
 import { symbolModel, listingAnalysisModel, historicalKlineModel } from './database/models.js';
 import { TradingSimulator } from './simulation/simulator.js';
+import { ResultAnalyzer } from './analysis/resultAnalyzer.js';
+import { getStrategyNames, hasStrategy, DEFAULT_STRATEGY } from './simulation/strategies/index.js';
 import { calculateVolatility } from './utils/calculations.js';
 import logger from './utils/logger.js';
 
@@ -154,6 +156,11 @@ app.post('/api/simulate', async (req, res) => {
     return res.status(400).json({ error: 'Missing symbol or parameters' });
   }
 
+  const strategy = parameters.strategy || req.body.strategy || DEFAULT_STRATEGY;
+  if (!hasStrategy(strategy)) {
+    return res.status(400).json({ error: `Unknown strategy: ${strategy}`, available: getStrategyNames() });
+  }
+
   try {
     logger.info(`Starting simulation for ${symbol} with parameters:`, parameters);
 
@@ -179,7 +186,7 @@ app.post('/api/simulate', async (req, res) => {
       return res.status(404).json({ error: 'Not enough market data' });
     }
 
-    const simulator = new TradingSimulator(parameters);
+    const simulator = new TradingSimulator({ ...parameters, strategy });
     const configId = await simulator.saveConfiguration();
 
     const listingInfo = {
@@ -202,6 +209,45 @@ app.post('/api/simulate', async (req, res) => {
   }
 });
 
+// Фронт Парето останнього (або заданого) запуску NSGA-II
+app.get('/api/pareto', async (req, res) => {
+  try {
+    const runId = req.query.runId ? parseInt(req.query.runId) : null;
+    const pareto = await new ResultAnalyzer().analyzeParetoFront(runId);
+    if (!pareto) {
+      return res.status(404).json({ error: 'Pareto front not found' });
+    }
+    res.json(pareto);
+  } catch (err) {
+    logger.error('Error fetching Pareto front:', err);
+    res.status(500).json({ error: 'Failed to fetch Pareto front' });
+  }
+});
+
+// Вибір компромісної конфігурації фронту: ваги цілей і обмеження { metric: { min, max } }
+app.post('/api/pareto/select', async (req, res) => {
+  const { runId = null, weights = {}, constraints = {} } = req.body || {};
+
+  try {
+    const selection = await new ResultAnalyzer().selectParetoTradeOff({ runId, weights, constraints });
+    if (!selection) {
+      return res.status(404).json({ error: 'Pareto front not found' });
+    }
+    if (!selection.member) {
+      return res.status(404).json({ error: 'No configuration on the front satisfies the constraints', runId: selection.run.id });
+    }
+    res.json({ runId: selection.run.id, score: selection.score, candidates: selection.candidates, config: selection.member });
+  } catch (err) {
+    logger.error('Error selecting Pareto trade-off:', err);
+    res.status(500).json({ error: 'Failed to select configuration' });
+  }
+});
+
+// Доступні стратегії
+app.get('/api/strategies', (req, res) => {
+  res.json({ default: DEFAULT_STRATEGY, strategies: getStrategyNames() });
+});
+
 // Статистика системи
 app.get('/api/stats', async (req, res) => {
   try {
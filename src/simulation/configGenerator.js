@@ -144,6 +144,21 @@ export class ConfigurationGenerator {
         min_liquidity_usdt AS minLiquidityUsdt,
         binance_fee_percent AS binanceFeePercent,
         cooldown_seconds AS cooldownSeconds,
+        intra_candle_policy AS intraCandlePolicy,
+        strategy,
+        strategy_params AS strategyParams,
+        fill_model AS fillModel,
+        order_book_seed AS orderBookSeed,
+        entry_timing AS entryTiming,
+        entry_delay_seconds AS entryDelaySeconds,
+        entry_pullback_percent AS pullbackPercent,
+        entry_breakout_minutes AS breakoutMinutes,
+        entry_latency_ms AS entryLatencyMs,
+        max_holding_minutes AS maxHoldingMinutes,
+        exit_ladder AS exitLadder,
+        sizing_policy AS sizingPolicy,
+        sizing_params AS sizingParams,
+        risk_limits AS riskLimits,
         created_at AS createdAt
       FROM simulation_configs
       ORDER BY id
@@ -213,7 +228,11 @@ export class ConfigurationGenerator {
     await db.exec('BEGIN');
     try {
       // Видаляємо всі результати симуляцій
+      await db.run('DELETE FROM pareto_front');
+      await db.run('DELETE FROM pareto_runs');
+      await db.run('DELETE FROM simulation_equity_curve');
       await db.run('DELETE FROM simulation_summary');
+      await db.run('DELETE FROM simulation_exit_legs');
       await db.run('DELETE FROM simulation_results');
       
       // Видаляємо всі конфігурації
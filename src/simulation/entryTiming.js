@@ -0,0 +1,132 @@
+/**
+ * Моменти входу в лістинг:
+ * - 'window_close' (за замовчуванням) - закриття першої свічки лістингу (як у портфельному режимі)
+ * - 'delay' - через entryDelaySeconds після відкриття лістингу
+ * - 'pullback' - перший відкат на pullbackPercent від максимуму стартового сплеску
+ * - 'breakout' - закриття вище максимуму перших breakoutMinutes хвилин
+ *
+ * Сигнал відділений від виконання: ордер виконується через entryLatencyMs після сигналу,
+ * а виходи перевіряються лише на свічках після входу.
+ */
+export const ENTRY_TIMING_MODES = ['window_close', 'delay', 'pullback', 'breakout'];
+export const DEFAULT_ENTRY_TIMING = 'window_close';
+
+export function normalizeEntryTiming(mode) {
+  if (!mode) {
+    return DEFAULT_ENTRY_TIMING;
+  }
+  if (!ENTRY_TIMING_MODES.includes(mode)) {
+    throw new Error(`Unknown entry timing: ${mode}`);
+  }
+  return mode;
+}
+
+/**
+ * Пошук моменту сигналу
+ * @returns {Object|null} { signalIndex, signalTime, signalPrice } або null, якщо сигналу не було
+ */
+function findSignal(klines, options) {
+  const listingOpen = klines[0].openTime;
+
+  switch (options.entryTiming) {
+    case 'window_close':
+      return { signalIndex: 0, signalTime: klines[0].closeTime, signalPrice: parseFloat(klines[0].close) };
+
+    case 'delay': {
+      const signalTime = listingOpen + options.entryDelaySeconds * 1000;
+      const signalIndex = klines.findIndex(kline => kline.closeTime >= signalTime);
+      if (signalIndex === -1) return null;
+
+      return { signalIndex, signalTime, signalPrice: priceAt(klines[signalIndex], signalTime) };
+    }
+
+    case 'pullback': {
+      // Максимум сплеску оновлюється, поки ціна росте; сигнал - закриття нижче нього на pullbackPercent
+      let spikeHigh = parseFloat(klines[0].high);
+      for (let i = 0; i < klines.length; i++) {
+        spikeHigh = Math.max(spikeHigh, parseFloat(klines[i].high));
+        const close = parseFloat(klines[i].close);
+        if (close <= spikeHigh * (1 - options.pullbackPercent / 100)) {
+          return { signalIndex: i, signalTime: klines[i].closeTime, signalPrice: close };
+        }
+      }
+      return null;
+    }
+
+    case 'breakout': {
+      const rangeEnd = listingOpen + options.breakoutMinutes * 60 * 1000;
+      const rangeKlines = klines.filter(kline => kline.openTime < rangeEnd);
+      if (rangeKlines.length === 0) return null;
+
+      const rangeHigh = Math.max(...rangeKlines.map(kline => parseFloat(kline.high)));
+      for (let i = rangeKlines.length; i < klines.length; i++) {
+        const close = parseFloat(klines[i].close);
+        if (close > rangeHigh) {
+          return { signalIndex: i, signalTime: klines[i].closeTime, signalPrice: close };
+        }
+      }
+      return null;
+    }
+
+    default:
+      throw new Error(`Unknown entry timing: ${options.entryTiming}`);
+  }
+}
+
+/**
+ * Ціна всередині свічки: на відкритті - open, далі лінійно до close.
+ * Порядок руху ціни всередині хвилини невідомий, тож це лише наближення.
+ */
+function priceAt(kline, time) {
+  const open = parseFloat(kline.open);
+  const close = parseFloat(kline.close);
+  const duration = kline.closeTime - kline.openTime;
+  if (!(duration > 0) || time <= kline.openTime) return open;
+  if (time >= kline.closeTime) return close;
+
+  return open + (close - open) * (time - kline.openTime) / duration;
+}
+
+/**
+ * План входу для лістингу
+ * @param {Array} klines - свічки лістингу { open, high, low, close, openTime, closeTime }
+ * @param {Object} options - { entryTiming, entryDelaySeconds, pullbackPercent, breakoutMinutes, entryLatencyMs }
+ * @returns {Object} { found: true, signalIndex, signalTime, signalPrice, executionIndex, executionTime, exitStartIndex, price }
+ *   або { found: false, reason }
+ */
+export function planEntry(klines, options) {
+  if (!klines || klines.length === 0) {
+    return { found: false, reason: 'no_entry_signal' };
+  }
+
+  const signal = findSignal(klines, options);
+  if (!signal) {
+    return { found: false, reason: 'no_entry_signal' };
+  }
+
+  // Виконання у свічці, на яку припадає момент сигналу плюс затримка
+  const executionTime = signal.signalTime + (options.entryLatencyMs || 0);
+  const executionIndex = klines.findIndex((kline, i) => i >= signal.signalIndex && kline.closeTime >= executionTime);
+  if (executionIndex === -1) {
+    return { found: false, reason: 'entry_after_data' };
+  }
+
+  // Виконання на відкритті свічки - вся свічка вже після входу
+  const exitStartIndex = executionTime <= klines[executionIndex].openTime ? executionIndex : executionIndex + 1;
+
+  return {
+    found: true,
+    ...signal,
+    executionIndex,
+    executionTime,
+    exitStartIndex,
+    price: priceAt(klines[executionIndex], executionTime)
+  };
+}
+
+export default {
+  ENTRY_TIMING_MODES,
+  DEFAULT_ENTRY_TIMING,
+  normalizeEntryTiming,
+  planEntry
+};
@@ -0,0 +1,80 @@
+/**
+ * Драбина часткових виходів (scale-out).
+ * Кожен рівень продає sizePercent початкової кількості, коли прибуток досягає profitPercent.
+ * Обидва значення в десятковій формі, як takeProfitPercent: 0.1 = 10%.
+ * Залишок, не покритий драбиною, закривається trailing stop, stop loss або за таймаутом.
+ *
+ * Приклад: [{ "profitPercent": 0.1, "sizePercent": 0.5 }, { "profitPercent": 0.2, "sizePercent": 0.3 }]
+ */
+
+/**
+ * Розбір драбини з конфігурації (JSON-рядок або масив)
+ * @returns {Array|null} рівні, відсортовані за profitPercent, або null, якщо драбину не задано
+ */
+export function parseExitLadder(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const ladder = typeof value === 'string' ? JSON.parse(value) : value;
+  if (!Array.isArray(ladder) || ladder.length === 0) {
+    throw new Error('Exit ladder must be a non-empty array');
+  }
+
+  const levels = ladder.map(level => ({
+    profitPercent: parseFloat(level.profitPercent),
+    sizePercent: parseFloat(level.sizePercent)
+  }));
+
+  for (const level of levels) {
+    if (!(level.profitPercent > 0) || !(level.sizePercent > 0)) {
+      throw new Error('Exit ladder levels need positive profitPercent and sizePercent');
+    }
+  }
+
+  const totalSize = levels.reduce((sum, level) => sum + level.sizePercent, 0);
+  if (totalSize > 1 + 1e-9) {
+    throw new Error(`Exit ladder sells more than the position (${(totalSize * 100).toFixed(1)}%)`);
+  }
+
+  return levels.sort((a, b) => a.profitPercent - b.profitPercent);
+}
+
+/**
+ * Цінові цілі драбини для позиції.
+ * Без драбини - одна ціль на весь обсяг за takeProfitPrice.
+ * @returns {Array} [{ price, sizePercent, level }]
+ */
+export function buildExitTargets(entryPrice, takeProfitPrice, ladder) {
+  if (!ladder) {
+    return [{ price: takeProfitPrice, sizePercent: 1, level: 0 }];
+  }
+
+  return ladder.map((level, index) => ({
+    price: entryPrice * (1 + level.profitPercent),
+    sizePercent: level.sizePercent,
+    level: index
+  }));
+}
+
+/**
+ * Агрегація ніг виходу: середньозважена ціна та сумарна кількість
+ * @param {Array} legs - [{ price, quantity }]
+ */
+export function aggregateLegs(legs) {
+  const quantity = legs.reduce((sum, leg) => sum + leg.quantity, 0);
+
+  // Одна нога - ціна без похибки від ділення
+  if (legs.length === 1) {
+    return { averagePrice: legs[0].price, quantity };
+  }
+
+  const notional = legs.reduce((sum, leg) => sum + leg.price * leg.quantity, 0);
+  return { averagePrice: quantity > 0 ? notional / quantity : 0, quantity };
+}
+
+export default {
+  parseExitLadder,
+  buildExitTargets,
+  aggregateLegs
+};
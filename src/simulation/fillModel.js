@@ -0,0 +1,136 @@
+import { calculateLiquidity } from '../utils/calculations.js';
+import { OrderBookGenerator } from './orderBookGenerator.js';
+
+/**
+ * Модель виконання ордерів у симуляції.
+ * - 'ideal' - виконання точно за очікуваною ціною (попередня поведінка)
+ * - 'market_impact' - ордер проходить по стакану: записаному знімку, якщо він є,
+ *   або синтетичному від OrderBookGenerator, відкаліброваному по свічці
+ */
+export const FILL_MODELS = ['ideal', 'market_impact'];
+
+/**
+ * Проходження покупки по asks на суму amountUsdt.
+ * Обсяг, якого не вистачило в стакані, виконується за ціною останнього рівня.
+ * @param {Array} levels - рівні в порядку виконання [[price, quantity], ...]
+ * @param {number} amountUsdt - обсяг ордеру в USDT
+ * @returns {Object|null} { averagePrice, quantity, fullyFilled } або null, якщо стакан порожній
+ */
+function walkBook(levels, amountUsdt) {
+  if (!levels || levels.length === 0) {
+    return null;
+  }
+
+  const { totalLiquidity, priceImpact } = calculateLiquidity({ asks: levels }, amountUsdt);
+  const bestPrice = parseFloat(levels[0][0]);
+  const worstPrice = parseFloat(levels[levels.length - 1][0]);
+  const filledAveragePrice = bestPrice * (1 + priceImpact / 100);
+  const remainingUsdt = amountUsdt - totalLiquidity;
+
+  const quantity = (totalLiquidity > 0 ? totalLiquidity / filledAveragePrice : 0) + remainingUsdt / worstPrice;
+
+  return {
+    averagePrice: amountUsdt / quantity,
+    quantity,
+    fullyFilled: remainingUsdt <= 1e-9
+  };
+}
+
+/**
+ * Проходження продажу по bids за кількістю базового активу.
+ * Кількість, якої не вистачило в стакані, виконується за ціною останнього рівня.
+ * @param {Array} levels - bids від найкращого [[price, quantity], ...]
+ * @param {number} quantity - кількість базового активу
+ * @returns {Object|null} { averagePrice, quantity, fullyFilled } або null, якщо стакан порожній
+ */
+function walkBookByQuantity(levels, quantity) {
+  if (!levels || levels.length === 0) {
+    return null;
+  }
+
+  let remaining = quantity;
+  let proceeds = 0;
+  for (const [price, levelQuantity] of levels) {
+    const taken = Math.min(remaining, parseFloat(levelQuantity));
+    proceeds += taken * parseFloat(price);
+    remaining -= taken;
+    if (remaining <= 0) break;
+  }
+  proceeds += Math.max(remaining, 0) * parseFloat(levels[levels.length - 1][0]);
+
+  return {
+    averagePrice: proceeds / quantity,
+    quantity,
+    fullyFilled: remaining <= 1e-9
+  };
+}
+
+export class FillModel {
+  constructor(config = {}, orderBookGenerator = new OrderBookGenerator()) {
+    this.model = config.fillModel || 'ideal';
+    this.orderBookGenerator = orderBookGenerator;
+
+    if (!FILL_MODELS.includes(this.model)) {
+      throw new Error(`Unknown fill model: ${this.model}`);
+    }
+  }
+
+  /**
+   * Виконання покупки на суму amountUsdt
+   * @param {number} expectedPrice - очікувана ціна (остання ціна закриття)
+   * @param {number} amountUsdt - сума покупки
+   * @param {Object} context - { kline, orderBook } (orderBook - записаний знімок, якщо є)
+   */
+  fillBuy(expectedPrice, amountUsdt, context = {}) {
+    return this.fill('BUY', expectedPrice, amountUsdt, context);
+  }
+
+  /**
+   * Виконання продажу quantity базового активу (bids проходяться за кількістю, а не за сумою)
+   */
+  fillSell(expectedPrice, quantity, context = {}) {
+    return this.fill('SELL', expectedPrice, quantity, context);
+  }
+
+  /**
+   * @param {number} amount - сума в USDT для BUY, кількість базового активу для SELL
+   * @returns {Object} { expectedPrice, filledPrice, quantity, slippagePercent, fullyFilled, source }
+   */
+  fill(side, expectedPrice, amount, { kline, orderBook } = {}) {
+    const ideal = {
+      expectedPrice,
+      filledPrice: expectedPrice,
+      quantity: side === 'BUY' ? amount / expectedPrice : amount,
+      slippagePercent: 0,
+      fullyFilled: true,
+      source: 'ideal'
+    };
+
+    if (this.model === 'ideal' || !(expectedPrice > 0) || !(amount > 0)) {
+      return ideal;
+    }
+
+    const book = orderBook || this.orderBookGenerator.generate(kline, expectedPrice);
+    const walk = side === 'BUY' ? walkBook(book.asks, amount) : walkBookByQuantity(book.bids, amount);
+
+    // Немає даних для побудови стакану - виконуємо без прослизання
+    if (!walk) {
+      return { ...ideal, source: 'no_book' };
+    }
+
+    const slippagePercent = side === 'BUY'
+      ? (walk.averagePrice - expectedPrice) / expectedPrice * 100
+      : (expectedPrice - walk.averagePrice) / expectedPrice * 100;
+
+    return {
+      expectedPrice,
+      filledPrice: walk.averagePrice,
+      quantity: walk.quantity,
+      slippagePercent,
+      fullyFilled: walk.fullyFilled,
+      source: orderBook ? 'snapshot' : 'synthetic'
+    };
+  }
+}
+
+export default FillModel;
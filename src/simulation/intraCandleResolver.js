@@ -0,0 +1,85 @@
+/**
+ * Розв'язання неоднозначних свічок, які торкаються і верхнього (TP),
+ * і нижнього (SL / trailing stop) рівня виходу.
+ * По 1m свічці не видно, який рівень було досягнуто першим, тож рішення
+ * приймає обрана політика.
+ */
+export const INTRA_CANDLE_POLICIES = ['pessimistic', 'optimistic', 'open_distance', 'agg_trades'];
+
+// Збігається з попередньою поведінкою: TP завжди виграє
+export const DEFAULT_INTRA_CANDLE_POLICY = 'optimistic';
+
+/**
+ * Нормалізація назви політики
+ */
+export function normalizeIntraCandlePolicy(policy) {
+  const normalized = String(policy || DEFAULT_INTRA_CANDLE_POLICY)
+    .toLowerCase()
+    .replace(/[-\s]/g, '_')
+    .replace('aggtrades', 'agg_trades');
+
+  if (!INTRA_CANDLE_POLICIES.includes(normalized)) {
+    throw new Error(`Unknown intra-candle policy: ${policy}`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Визначення, який рівень спрацював першим
+ * @param {Object} params
+ * @param {Object} params.kline - { open, high, low, openTime, closeTime }
+ * @param {number} params.upperPrice - рівень take profit
+ * @param {number} params.lowerPrice - рівень stop loss / trailing stop
+ * @param {string} params.policy - політика розв'язання
+ * @param {Array} [params.aggTrades] - [{ price, time }] відсортовані за часом
+ * @returns {Object} { side: 'upper'|'lower', resolvedBy }
+ */
+export function resolveAmbiguousCandle({ kline, upperPrice, lowerPrice, policy, aggTrades = [] }) {
+  switch (policy) {
+    case 'optimistic':
+      return { side: 'upper', resolvedBy: 'optimistic' };
+
+    case 'open_distance':
+      return resolveByOpenDistance(kline, upperPrice, lowerPrice);
+
+    case 'agg_trades': {
+      const side = resolveByAggTrades(kline, upperPrice, lowerPrice, aggTrades);
+      if (side) {
+        return { side, resolvedBy: 'agg_trades' };
+      }
+      // Немає зібраних угод для цієї свічки - консервативний fallback
+      return { side: 'lower', resolvedBy: 'pessimistic' };
+    }
+
+    case 'pessimistic':
+    default:
+      return { side: 'lower', resolvedBy: 'pessimistic' };
+  }
+}
+
+/**
+ * Евристика: першим досягається рівень, ближчий до ціни відкриття
+ */
+function resolveByOpenDistance(kline, upperPrice, lowerPrice) {
+  const open = parseFloat(kline.open);
+  const side = (upperPrice - open) < (open - lowerPrice) ? 'upper' : 'lower';
+  return { side, resolvedBy: 'open_distance' };
+}
+
+/**
+ * Пошук першої угоди свічки, яка перетнула один із рівнів
+ */
+function resolveByAggTrades(kline, upperPrice, lowerPrice, aggTrades) {
+  for (const trade of aggTrades) {
+    if (trade.time < kline.openTime) continue;
+    if (trade.time > kline.closeTime) break;
+
+    if (trade.price >= upperPrice) return 'upper';
+    if (trade.price <= lowerPrice) return 'lower';
+  }
+
+  return null;
+}
+
+export default resolveAmbiguousCandle;
@@ -0,0 +1,47 @@
+/**
+ * Кеш свічок лістингів у пам'яті, спільний для симуляторів одного потоку.
+ * Оптимізатор і пул воркерів проганяють сотні конфігурацій на тих самих лістингах,
+ * тож рядки historical_klines для вікна (symbolId, from, to) читаються з БД один раз.
+ * Закешовані масиви не змінюються симулятором (buildMarketData створює нові об'єкти).
+ */
+export class KlineCache {
+  constructor({ maxEntries = 5000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Свічки вікна з кешу або з loader (результат кешується)
+   * @param {Function} loader - async () => klines
+   */
+  async get(symbolId, startTime, endTime, loader) {
+    const key = `${symbolId}:${startTime}:${endTime}`;
+    if (this.entries.has(key)) {
+      this.hits++;
+      return this.entries.get(key);
+    }
+
+    this.misses++;
+    const klines = await loader();
+    // Найстаріший запис витісняється, щоб кеш не ріс необмежено
+    if (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(key, klines);
+    return klines;
+  }
+
+  getStats() {
+    return { entries: this.entries.size, hits: this.hits, misses: this.misses };
+  }
+
+  clear() {
+    this.entries.clear();
+    this.hits = 0;
+    this.misses = 0;
+  }
+}
+
+export default KlineCache;
@@ -0,0 +1,299 @@
+import { promises as fs } from 'fs';
+import { dirname } from 'path';
+import { getDatabase } from '../database/init.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Колонки historical_klines у рядку датасету (порядок фіксований - від нього залежить формат знімка)
+ */
+export const KLINE_FIELDS = [
+  'open_time',
+  'close_time',
+  'open_price',
+  'high_price',
+  'low_price',
+  'close_price',
+  'volume',
+  'quote_asset_volume',
+  'number_of_trades',
+  'taker_buy_base_asset_volume',
+  'taker_buy_quote_asset_volume'
+];
+
+const STRIDE = KLINE_FIELDS.length;
+const SNAPSHOT_MAGIC = 'KLDS';
+const SNAPSHOT_VERSION = 1;
+// symbolId, from, to, firstOpenTime, length
+const SYMBOL_HEADER_SIZE = 5;
+
+/**
+ * Датасет за налаштуваннями середовища: KLINE_SNAPSHOT_PATH (знімок для теплого старту)
+ * і KLINE_DATASET_HORIZON_MINUTES (скільки хвилин після лістингу тримати в пам'яті)
+ */
+export function loadDefaultKlineDataset() {
+  return KlineDataset.loadOrBuild({
+    snapshotPath: process.env.KLINE_SNAPSHOT_PATH || null,
+    horizonMinutes: parseInt(process.env.KLINE_DATASET_HORIZON_MINUTES) || null
+  });
+}
+
+/**
+ * Свічки після лістингу, один раз прочитані з БД у компактні Float64Array (рядок = KLINE_FIELDS).
+ * Масиви лежать у SharedArrayBuffer, тож один датасет використовують усі симулятори потоку,
+ * а воркери отримують його через toShared()/fromShared() без копіювання.
+ * Для кожного символу відомий завантажений діапазон [from, to]; вікна поза ним
+ * датасет не обслуговує (getKlines повертає null) - симулятор читає їх з БД.
+ */
+export class KlineDataset {
+  constructor(symbols = [], fingerprint = null) {
+    this.symbols = new Map(symbols.map(entry => [entry.symbolId, entry]));
+    this.fingerprint = fingerprint;
+  }
+
+  /**
+   * Завантаження з БД: для кожного символу - свічки від дати лістингу
+   * (або першої свічки, якщо аналізу лістингу немає) до горизонту horizonMinutes (без обмеження за замовчуванням)
+   * @param {Object} options - horizonMinutes, symbolIds (лише ці символи)
+   */
+  static async load({ horizonMinutes = null, symbolIds = null } = {}) {
+    const db = await getDatabase();
+    const listings = await db.all(`
+      SELECT hk.symbol_id, la.listing_date, MIN(hk.open_time) AS first_open_time
+      FROM historical_klines hk
+      LEFT JOIN listing_analysis la ON la.symbol_id = hk.symbol_id
+      GROUP BY hk.symbol_id
+      ORDER BY hk.symbol_id
+    `);
+
+    const wanted = symbolIds ? new Set(symbolIds) : null;
+    const symbols = [];
+    let total = 0;
+
+    for (const listing of listings) {
+      if (wanted && !wanted.has(listing.symbol_id)) continue;
+
+      const from = listing.listing_date ?? listing.first_open_time;
+      const to = horizonMinutes ? from + horizonMinutes * 60 * 1000 : Infinity;
+      const rows = await db.all(
+        `SELECT ${KLINE_FIELDS.join(', ')} FROM historical_klines
+         WHERE symbol_id = ? AND open_time >= ? ${Number.isFinite(to) ? 'AND open_time <= ?' : ''}
+         ORDER BY open_time`,
+        listing.symbol_id,
+        from,
+        ...(Number.isFinite(to) ? [to] : [])
+      );
+
+      const data = new Float64Array(new SharedArrayBuffer(rows.length * STRIDE * Float64Array.BYTES_PER_ELEMENT));
+      rows.forEach((row, i) => {
+        KLINE_FIELDS.forEach((field, j) => {
+          data[i * STRIDE + j] = row[field] ?? 0;
+        });
+      });
+
+      symbols.push({ symbolId: listing.symbol_id, from, to, firstOpenTime: listing.first_open_time, length: rows.length, data });
+      total += rows.length;
+    }
+
+    const dataset = new KlineDataset(symbols, await KlineDataset.fingerprint({ horizonMinutes }));
+    logger.info(`Kline dataset loaded: ${symbols.length} symbols, ${total} klines (${(dataset.byteLength() / 1024 / 1024).toFixed(1)} MB)`);
+    return dataset;
+  }
+
+  /**
+   * Відбиток даних, з яких будується датасет: знімок зі старим відбитком не використовується
+   */
+  static async fingerprint({ horizonMinutes = null } = {}) {
+    const db = await getDatabase();
+    const klines = await db.get('SELECT COUNT(*) AS count, MAX(id) AS max_id FROM historical_klines');
+    const listings = await db.get('SELECT COUNT(*) AS count, MAX(listing_date) AS max_date FROM listing_analysis');
+    return [klines.count, klines.max_id ?? 0, listings.count, listings.max_date ?? 0, horizonMinutes ?? 'all'].join(':');
+  }
+
+  /**
+   * Теплий старт: знімок з диска, якщо він відповідає поточній БД, інакше завантаження з БД
+   * і запис нового знімка
+   * @param {Object} options - snapshotPath (без нього - лише БД), horizonMinutes
+   */
+  static async loadOrBuild({ snapshotPath = null, horizonMinutes = null } = {}) {
+    if (!snapshotPath) {
+      return KlineDataset.load({ horizonMinutes });
+    }
+
+    const fingerprint = await KlineDataset.fingerprint({ horizonMinutes });
+    try {
+      const snapshot = await KlineDataset.readSnapshot(snapshotPath);
+      if (snapshot.fingerprint === fingerprint) {
+        logger.info(`Kline dataset restored from snapshot ${snapshotPath}: ${snapshot.symbols.size} symbols`);
+        return snapshot;
+      }
+      logger.info(`Kline snapshot ${snapshotPath} is stale, rebuilding from database`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Failed to read kline snapshot ${snapshotPath}: ${error.message}`);
+      }
+    }
+
+    const dataset = await KlineDataset.load({ horizonMinutes });
+    try {
+      await dataset.writeSnapshot(snapshotPath);
+    } catch (error) {
+      logger.warn(`Failed to write kline snapshot ${snapshotPath}: ${error.message}`);
+    }
+    return dataset;
+  }
+
+  /**
+   * Свічки вікна [startTime, endTime] за open_time у форматі рядків historical_klines
+   * @returns {Array|null} null, якщо вікно виходить за завантажений діапазон символу
+   */
+  getKlines(symbolId, startTime, endTime) {
+    const entry = this.symbols.get(symbolId);
+    if (!entry || startTime < entry.from || endTime > entry.to) {
+      return null;
+    }
+
+    const first = this.lowerBound(entry, startTime);
+    const last = this.lowerBound(entry, endTime + 1);
+    const klines = [];
+    for (let i = first; i < last; i++) {
+      const row = { symbol_id: symbolId };
+      KLINE_FIELDS.forEach((field, j) => {
+        row[field] = entry.data[i * STRIDE + j];
+      });
+      klines.push(row);
+    }
+    return klines;
+  }
+
+  /**
+   * Індекс першої свічки з open_time >= time
+   */
+  lowerBound(entry, time) {
+    let low = 0;
+    let high = entry.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (entry.data[mid * STRIDE] < time) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  has(symbolId) {
+    return this.symbols.has(symbolId);
+  }
+
+  /**
+   * Час першої свічки символу в БД (не лише в завантаженому діапазоні)
+   */
+  getFirstOpenTime(symbolId) {
+    return this.symbols.get(symbolId)?.firstOpenTime ?? null;
+  }
+
+  byteLength() {
+    let bytes = 0;
+    for (const entry of this.symbols.values()) {
+      bytes += entry.data.byteLength;
+    }
+    return bytes;
+  }
+
+  /**
+   * Опис для передачі у воркер (workerData/postMessage): SharedArrayBuffer не копіюється
+   */
+  toShared() {
+    return {
+      fingerprint: this.fingerprint,
+      symbols: [...this.symbols.values()].map(({ data, ...entry }) => ({ ...entry, buffer: data.buffer }))
+    };
+  }
+
+  static fromShared({ symbols, fingerprint }) {
+    return new KlineDataset(
+      symbols.map(({ buffer, ...entry }) => ({ ...entry, data: new Float64Array(buffer) })),
+      fingerprint
+    );
+  }
+
+  /**
+   * Бінарний знімок: заголовок "KLDS", версія, кількість полів і символів, відбиток,
+   * далі заголовки символів і масиви свічок (Float64, порядок байтів платформи)
+   */
+  async writeSnapshot(path) {
+    const entries = [...this.symbols.values()];
+    const fingerprint = Buffer.from(this.fingerprint ?? '', 'utf8');
+    const headerSize = align8(16 + 4 + fingerprint.length);
+    const header = Buffer.alloc(headerSize);
+    header.write(SNAPSHOT_MAGIC, 0, 'ascii');
+    header.writeUInt32LE(SNAPSHOT_VERSION, 4);
+    header.writeUInt32LE(STRIDE, 8);
+    header.writeUInt32LE(entries.length, 12);
+    header.writeUInt32LE(fingerprint.length, 16);
+    fingerprint.copy(header, 20);
+
+    const symbolHeaders = new Float64Array(entries.length * SYMBOL_HEADER_SIZE);
+    entries.forEach((entry, i) => {
+      symbolHeaders.set([entry.symbolId, entry.from, entry.to, entry.firstOpenTime, entry.length], i * SYMBOL_HEADER_SIZE);
+    });
+
+    const chunks = [
+      header,
+      Buffer.from(symbolHeaders.buffer),
+      ...entries.map(entry => Buffer.from(entry.data.buffer, 0, entry.length * STRIDE * Float64Array.BYTES_PER_ELEMENT))
+    ];
+
+    // Запис через тимчасовий файл, щоб перерваний запис не лишив битий знімок
+    await fs.mkdir(dirname(path), { recursive: true });
+    await fs.writeFile(`${path}.tmp`, Buffer.concat(chunks));
+    await fs.rename(`${path}.tmp`, path);
+    logger.info(`Kline snapshot written to ${path}`);
+  }
+
+  static async readSnapshot(path) {
+    const file = await fs.readFile(path);
+    if (file.toString('ascii', 0, 4) !== SNAPSHOT_MAGIC || file.readUInt32LE(4) !== SNAPSHOT_VERSION) {
+      throw new Error('unsupported snapshot format');
+    }
+    if (file.readUInt32LE(8) !== STRIDE) {
+      throw new Error('snapshot field layout does not match');
+    }
+
+    const count = file.readUInt32LE(12);
+    const fingerprintLength = file.readUInt32LE(16);
+    const fingerprint = file.toString('utf8', 20, 20 + fingerprintLength);
+    let offset = align8(20 + fingerprintLength);
+
+    const headers = readFloat64(file, offset, count * SYMBOL_HEADER_SIZE);
+    offset += headers.byteLength;
+
+    const symbols = [];
+    for (let i = 0; i < count; i++) {
+      const [symbolId, from, to, firstOpenTime, length] = headers.subarray(i * SYMBOL_HEADER_SIZE, (i + 1) * SYMBOL_HEADER_SIZE);
+      const data = new Float64Array(new SharedArrayBuffer(length * STRIDE * Float64Array.BYTES_PER_ELEMENT));
+      data.set(readFloat64(file, offset, length * STRIDE));
+      offset += data.byteLength;
+      symbols.push({ symbolId, from, to, firstOpenTime, length, data });
+    }
+
+    return new KlineDataset(symbols, fingerprint);
+  }
+}
+
+function align8(size) {
+  return Math.ceil(size / 8) * 8;
+}
+
+// Копія ділянки файлу: Buffer з readFile не обов'язково вирівняний на 8 байт
+function readFloat64(buffer, offset, count) {
+  const bytes = count * Float64Array.BYTES_PER_ELEMENT;
+  if (offset + bytes > buffer.length) {
+    throw new Error('snapshot is truncated');
+  }
+  const start = buffer.byteOffset + offset;
+  return new Float64Array(buffer.buffer.slice(start, start + bytes));
+}
+
+export default KlineDataset;
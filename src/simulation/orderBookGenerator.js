@@ -0,0 +1,115 @@
+import { createRandom, randomSeed } from '../utils/random.js';
+
+// Частка хвилинного quote volume, що стоїть у стакані з кожного боку
+const DEFAULT_DEPTH_SHARE = 0.1;
+const DEFAULT_LEVELS = 20;
+// Межі половини спреду у відсотках
+const MIN_HALF_SPREAD_PERCENT = 0.01;
+const MAX_HALF_SPREAD_PERCENT = 1.0;
+// Межі частки taker-buy, щоб жоден бік стакану не зникав повністю
+const MIN_TAKER_BUY_RATIO = 0.1;
+const MAX_TAKER_BUY_RATIO = 0.9;
+
+/**
+ * Генератор синтетичного стакану, відкаліброваного по свічці:
+ * - quote_asset_volume визначає загальну глибину
+ * - number_of_trades та діапазон high-low визначають спред
+ * - діапазон high-low визначає крок між рівнями
+ * - taker-buy volume визначає дисбаланс: агресивні покупці з'їдають asks
+ *
+ * Без seed стакан детермінований; з seed кількості на рівнях випадкові,
+ * але відтворювані між запусками.
+ */
+export class OrderBookGenerator {
+  constructor(options = {}) {
+    this.levels = options.levels || DEFAULT_LEVELS;
+    this.depthShare = options.depthShare || DEFAULT_DEPTH_SHARE;
+    this.randomize = Boolean(options.randomize || (options.seed !== undefined && options.seed !== null));
+    this.seed = this.randomize ? (options.seed ?? randomSeed()) : null;
+    this.random = this.randomize ? createRandom(this.seed) : null;
+  }
+
+  /**
+   * Генерація стакану для свічки
+   * @param {Object} kline - { high, low, close, quoteAssetVolume, trades, takerBuyQuoteVolume }
+   * @param {number} [referencePrice] - опорна ціна (за замовчуванням close)
+   * @returns {Object} { bids, asks } у форматі Binance ([[price, quantity], ...] рядками)
+   */
+  generate(kline = {}, referencePrice = parseFloat(kline.close)) {
+    const quoteVolume = parseFloat(kline.quoteAssetVolume) || 0;
+
+    if (!(referencePrice > 0) || quoteVolume <= 0) {
+      return { bids: [], asks: [] };
+    }
+
+    const { halfSpreadPercent, stepPercent } = this.calculateSpread(kline, referencePrice);
+    const takerBuyRatio = this.calculateTakerBuyRatio(kline, quoteVolume);
+
+    // При ratio 0.5 обидва боки мають однакову глибину
+    const sideDepthUsdt = quoteVolume * this.depthShare;
+    const askDepthUsdt = sideDepthUsdt * 2 * (1 - takerBuyRatio);
+    const bidDepthUsdt = sideDepthUsdt * 2 * takerBuyRatio;
+
+    const weights = this.levelWeights();
+    const asks = [];
+    const bids = [];
+
+    for (let i = 0; i < this.levels; i++) {
+      const offset = (halfSpreadPercent + stepPercent * i) / 100;
+      const askPrice = referencePrice * (1 + offset);
+      const bidPrice = referencePrice * (1 - offset);
+
+      asks.push([String(askPrice), String(askDepthUsdt * weights[i] / askPrice)]);
+      if (bidPrice > 0) {
+        bids.push([String(bidPrice), String(bidDepthUsdt * weights[i] / bidPrice)]);
+      }
+    }
+
+    return { bids, asks };
+  }
+
+  /**
+   * Спред звужується з кількістю угод і розширюється з діапазоном свічки
+   */
+  calculateSpread(kline, referencePrice) {
+    const high = parseFloat(kline.high) || referencePrice;
+    const low = parseFloat(kline.low) || referencePrice;
+    const trades = parseInt(kline.trades) || 0;
+    const rangePercent = Math.max(0, (high - low) / referencePrice * 100);
+
+    const halfSpreadPercent = Math.min(
+      MAX_HALF_SPREAD_PERCENT,
+      Math.max(MIN_HALF_SPREAD_PERCENT, rangePercent / (2 * Math.sqrt(trades + 1)))
+    );
+
+    // Рівні розподіляються по діапазону свічки, але не щільніше за спред
+    const stepPercent = Math.max(halfSpreadPercent, rangePercent / this.levels);
+
+    return { halfSpreadPercent, stepPercent };
+  }
+
+  calculateTakerBuyRatio(kline, quoteVolume) {
+    const takerBuyQuote = parseFloat(kline.takerBuyQuoteVolume);
+    if (isNaN(takerBuyQuote)) {
+      return 0.5;
+    }
+
+    return Math.min(MAX_TAKER_BUY_RATIO, Math.max(MIN_TAKER_BUY_RATIO, takerBuyQuote / quoteVolume));
+  }
+
+  /**
+   * Ваги рівнів: глибші рівні тримають більше, у випадковому режимі з шумом
+   */
+  levelWeights() {
+    const raw = [];
+    for (let i = 0; i < this.levels; i++) {
+      const noise = this.random ? 0.5 + this.random() : 1;
+      raw.push(Math.sqrt(i + 1) * noise);
+    }
+
+    const total = raw.reduce((sum, weight) => sum + weight, 0);
+    return raw.map(weight => weight / total);
+  }
+}
+
+export default OrderBookGenerator;
@@ -0,0 +1,597 @@
+import { EventEmitter } from 'events';
+import { FillModel } from './fillModel.js';
+import { OrderBookGenerator } from './orderBookGenerator.js';
+import logger from '../utils/logger.js';
+
+const QUOTE_ASSET = 'USDT';
+const QUANTITY_TOLERANCE = 1e-12;
+
+/**
+ * Паперова біржа: той самий інтерфейс, що TradingEngine очікує від apiClient
+ * (order, balance, ping), без мережі та реальних коштів.
+ *
+ * - Баланси ведуться по активах { free, locked }.
+ * - MARKET ордери проходять по стакану FillModel (за замовчуванням 'market_impact'):
+ *   синтетичному з останньої свічки або записаному через setOrderBook.
+ * - LIMIT ордери, що не перетинають ринок, стоять у книзі й виконуються, коли
+ *   свічка (processKline) або ціна живого фіду (updatePrice) досягає ліміту.
+ * - LIMIT_MAKER відхиляється, якщо перетнув би ринок; STOP_LOSS_LIMIT після досягнення
+ *   stopPrice стає LIMIT ордером по price.
+ * - OCO (ocoOrder) - LIMIT_MAKER і STOP_LOSS_LIMIT з одним резервом: виконання однієї
+ *   ноги скасовує (EXPIRED) іншу, скасування будь-якої ноги скасовує весь список.
+ * - Комісія binanceFeePercent (десяткова форма) списується в USDT, як у розрахунках TradingEngine.
+ *
+ * Кожна нова ціна публікується подією 'price' { symbol, price, time }.
+ */
+export class PaperExchange extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.feePercent = config.binanceFeePercent ?? 0.001;
+    this.fillModel = new FillModel(
+      { fillModel: config.fillModel || 'market_impact' },
+      new OrderBookGenerator({ seed: config.orderBookSeed })
+    );
+
+    const initialBalances = config.initialBalances || {
+      [QUOTE_ASSET]: parseFloat(process.env.INITIAL_BALANCE_USDT) || 10000
+    };
+    this.balances = new Map(
+      Object.entries(initialBalances).map(([asset, free]) => [asset, { free: parseFloat(free), locked: 0 }])
+    );
+
+    this.prices = new Map();
+    this.klines = new Map();
+    this.orderBooks = new Map();
+    this.orders = new Map();
+    this.orderLists = new Map();
+    this.nextOrderId = 1;
+    this.nextOrderListId = 1;
+    this.currentTime = null;
+    this.liveFeedTimer = null;
+  }
+
+  /**
+   * Поточний час біржі: час останньої відтвореної свічки або годинник системи
+   */
+  now() {
+    return this.currentTime ?? Date.now();
+  }
+
+  async ping() {
+    return {};
+  }
+
+  /**
+   * Баланси у форматі /api/v3/account
+   */
+  async balance() {
+    return {
+      balances: Array.from(this.balances.entries()).map(([asset, { free, locked }]) => ({
+        asset,
+        free: free.toFixed(8),
+        locked: locked.toFixed(8)
+      }))
+    };
+  }
+
+  /**
+   * Розміщення ордеру. Відповідь має формат Binance (newOrderRespType FULL).
+   */
+  async order({ symbol, side, type = 'MARKET', quantity, price, stopPrice, timeInForce = 'GTC' }) {
+    const order = this.buildOrder({ symbol, side, type, quantity, price, stopPrice, timeInForce });
+
+    if (type === 'MARKET') {
+      this.executeMarketOrder(order);
+    } else if (type === 'LIMIT') {
+      this.placeLimitOrder(order);
+    } else if (type === 'LIMIT_MAKER') {
+      this.ensureMakerPrice(order);
+      this.reserve(order);
+    } else if (type === 'STOP_LOSS_LIMIT') {
+      this.placeStopLimitOrder(order);
+    } else {
+      throw createExchangeError(-1116, `Unsupported order type: ${type}`);
+    }
+
+    this.orders.set(order.orderId, order);
+    return formatOrder(order);
+  }
+
+  /**
+   * OCO: лімітна ціль (price, LIMIT_MAKER) і стоп (stopPrice / stopLimitPrice, STOP_LOSS_LIMIT).
+   * Для SELL ціль вище ринку, а стоп нижче; для BUY навпаки. Відповідь - у форматі /api/v3/orderList/oco.
+   */
+  async ocoOrder({ symbol, side = 'SELL', quantity, price, stopPrice, stopLimitPrice, stopLimitTimeInForce = 'GTC' }) {
+    const lastPrice = this.prices.get(symbol);
+    const limitPrice = parseFloat(price);
+    const stop = parseFloat(stopPrice);
+    const isValidRelation = side === 'SELL'
+      ? limitPrice > lastPrice && lastPrice > stop
+      : limitPrice < lastPrice && lastPrice < stop;
+    if (!(lastPrice > 0) || !isValidRelation) {
+      throw createExchangeError(-2010, 'The relationship of the prices for the orders is not correct.');
+    }
+
+    const orderListId = this.nextOrderListId++;
+    const limitLeg = this.buildOrder({ symbol, side, type: 'LIMIT_MAKER', quantity, price, orderListId });
+    const stopLeg = this.buildOrder({
+      symbol,
+      side,
+      type: 'STOP_LOSS_LIMIT',
+      quantity,
+      price: stopLimitPrice ?? stopPrice,
+      stopPrice,
+      timeInForce: stopLimitTimeInForce,
+      orderListId
+    });
+
+    // Обидві ноги продають (купують) ту саму кількість - резерв один на список
+    this.reserve(limitLeg);
+    for (const leg of [stopLeg, limitLeg]) {
+      this.orders.set(leg.orderId, leg);
+    }
+    this.orderLists.set(orderListId, { orderListId, symbol, orderIds: [stopLeg.orderId, limitLeg.orderId] });
+
+    return this.formatOrderList(orderListId);
+  }
+
+  /**
+   * Скасування OCO цілком
+   */
+  async cancelOrderList(symbol, orderListId) {
+    const list = this.orderLists.get(Number(orderListId));
+    const legs = list ? list.orderIds.map(orderId => this.orders.get(orderId)) : [];
+    if (!list || list.symbol !== symbol || !legs.some(isOpen)) {
+      throw createExchangeError(-2011, 'Unknown order list sent.');
+    }
+
+    this.release(legs.find(isOpen));
+    for (const leg of legs.filter(isOpen)) {
+      leg.status = 'CANCELED';
+    }
+
+    return this.formatOrderList(list.orderListId);
+  }
+
+  async getOrderList(orderListId) {
+    if (!this.orderLists.has(Number(orderListId))) {
+      throw createExchangeError(-2013, 'Order list does not exist.');
+    }
+    return this.formatOrderList(Number(orderListId));
+  }
+
+  formatOrderList(orderListId) {
+    const list = this.orderLists.get(orderListId);
+    const legs = list.orderIds.map(orderId => this.orders.get(orderId));
+    const isDone = !legs.some(isOpen);
+
+    return {
+      orderListId,
+      contingencyType: 'OCO',
+      listStatusType: isDone ? 'ALL_DONE' : 'EXEC_STARTED',
+      listOrderStatus: isDone ? 'ALL_DONE' : 'EXECUTING',
+      symbol: list.symbol,
+      transactionTime: this.now(),
+      orders: legs.map(leg => ({ symbol: leg.symbol, orderId: leg.orderId, clientOrderId: leg.clientOrderId })),
+      orderReports: legs.map(formatOrder)
+    };
+  }
+
+  buildOrder({ symbol, side, type, quantity, price, stopPrice, timeInForce = 'GTC', orderListId = -1 }) {
+    const qty = parseFloat(quantity);
+    if (!(qty > 0)) {
+      throw createExchangeError(-1013, 'Invalid quantity.');
+    }
+    if (!['BUY', 'SELL'].includes(side)) {
+      throw createExchangeError(-1102, `Invalid side: ${side}`);
+    }
+
+    const order = {
+      symbol,
+      orderId: this.nextOrderId++,
+      orderListId,
+      clientOrderId: `paper_${this.nextOrderId - 1}`,
+      transactTime: this.now(),
+      side,
+      type,
+      timeInForce: ['LIMIT', 'STOP_LOSS_LIMIT'].includes(type) ? timeInForce : undefined,
+      price: type === 'MARKET' ? 0 : parseFloat(price),
+      stopPrice: type === 'STOP_LOSS_LIMIT' ? parseFloat(stopPrice) : undefined,
+      // Стоп-ордер не стоїть у книзі, доки ціна не досягне stopPrice
+      isWorking: type !== 'STOP_LOSS_LIMIT',
+      origQty: qty,
+      executedQty: 0,
+      cummulativeQuoteQty: 0,
+      status: 'NEW',
+      fills: []
+    };
+
+    if (type !== 'MARKET' && !(order.price > 0)) {
+      throw createExchangeError(-1013, 'Invalid price.');
+    }
+    if (type === 'STOP_LOSS_LIMIT' && !(order.stopPrice > 0)) {
+      throw createExchangeError(-1013, 'Invalid stop price.');
+    }
+
+    return order;
+  }
+
+  /**
+   * MARKET ордер: ціна виконання - по стакану від останньої відомої ціни
+   */
+  executeMarketOrder(order) {
+    const lastPrice = this.prices.get(order.symbol);
+    if (!(lastPrice > 0)) {
+      throw createExchangeError(-1121, `No market price for ${order.symbol}`);
+    }
+
+    const context = {
+      kline: this.klines.get(order.symbol),
+      orderBook: this.orderBooks.get(order.symbol)
+    };
+    const fill = order.side === 'BUY'
+      ? this.fillModel.fillBuy(lastPrice, order.origQty * lastPrice, context)
+      : this.fillModel.fillSell(lastPrice, order.origQty, context);
+
+    this.settleFill(order, fill.filledPrice, order.origQty);
+  }
+
+  /**
+   * LIMIT ордер: одразу виконується, якщо перетинає ринок, інакше резервує кошти і чекає
+   */
+  placeLimitOrder(order) {
+    const lastPrice = this.prices.get(order.symbol);
+    const crosses = lastPrice > 0 && (order.side === 'BUY' ? lastPrice <= order.price : lastPrice >= order.price);
+
+    if (crosses) {
+      this.settleFill(order, lastPrice, order.origQty);
+      return;
+    }
+
+    this.reserve(order);
+  }
+
+  /**
+   * LIMIT_MAKER, що перетнув би ринок, біржа відхиляє
+   */
+  ensureMakerPrice(order) {
+    const lastPrice = this.prices.get(order.symbol);
+    const crosses = lastPrice > 0 && (order.side === 'BUY' ? lastPrice <= order.price : lastPrice >= order.price);
+    if (crosses) {
+      throw createExchangeError(-2010, 'Order would immediately match and take.');
+    }
+  }
+
+  /**
+   * STOP_LOSS_LIMIT: якщо стоп уже досягнуто, одразу стає LIMIT ордером
+   */
+  placeStopLimitOrder(order) {
+    const lastPrice = this.prices.get(order.symbol);
+    this.reserve(order);
+
+    if (lastPrice > 0 && isStopReached(order, lastPrice)) {
+      this.triggerStop(order, lastPrice);
+    }
+  }
+
+  /**
+   * Спрацювання стопу за ціною triggerPrice: виконання, якщо ліміт не гірший за ринок,
+   * інакше ордер лишається в книзі по своєму ліміту
+   */
+  triggerStop(order, triggerPrice) {
+    order.isWorking = true;
+    const fillable = order.side === 'SELL' ? triggerPrice >= order.price : triggerPrice <= order.price;
+    if (fillable) {
+      this.settleFill(order, triggerPrice, order.origQty - order.executedQty, true);
+    }
+  }
+
+  reserve(order) {
+    const { asset, amount } = this.reservation(order);
+    this.ensureFree(asset, amount);
+    const balance = this.getBalance(asset);
+    balance.free -= amount;
+    balance.locked += amount;
+  }
+
+  release(order) {
+    const { asset, amount } = this.reservation(order);
+    const balance = this.getBalance(asset);
+    balance.locked -= amount;
+    balance.free += amount;
+  }
+
+  /**
+   * Що блокує ордер: USDT для покупки, базовий актив для продажу
+   */
+  reservation(order) {
+    const remaining = order.origQty - order.executedQty;
+    return order.side === 'BUY'
+      ? { asset: QUOTE_ASSET, amount: remaining * order.price }
+      : { asset: baseAsset(order.symbol), amount: remaining };
+  }
+
+  /**
+   * Рух балансів по виконанню. Для стоячого ордеру кошти беруться з резерву.
+   */
+  settleFill(order, fillPrice, quantity, fromReserve = false) {
+    const base = baseAsset(order.symbol);
+    const quoteQty = fillPrice * quantity;
+    const commission = quoteQty * this.feePercent;
+
+    if (order.side === 'BUY') {
+      if (fromReserve) {
+        // Резерв по лімітній ціні; різниця з ціною виконання повертається у free
+        const reserved = quantity * order.price;
+        this.getBalance(QUOTE_ASSET).locked -= reserved;
+        this.getBalance(QUOTE_ASSET).free += reserved;
+      }
+      this.ensureFree(QUOTE_ASSET, quoteQty + commission);
+      this.getBalance(QUOTE_ASSET).free -= quoteQty + commission;
+      this.getBalance(base).free += quantity;
+    } else {
+      if (fromReserve) {
+        this.getBalance(base).locked -= quantity;
+      } else {
+        this.ensureFree(base, quantity);
+        this.getBalance(base).free -= quantity;
+      }
+      this.getBalance(QUOTE_ASSET).free += quoteQty - commission;
+    }
+
+    order.executedQty += quantity;
+    order.cummulativeQuoteQty += quoteQty;
+    order.status = order.origQty - order.executedQty <= QUANTITY_TOLERANCE ? 'FILLED' : 'PARTIALLY_FILLED';
+    order.fills.push({
+      price: fillPrice,
+      qty: quantity,
+      commission,
+      commissionAsset: QUOTE_ASSET
+    });
+
+    // Виконання однієї ноги OCO: резерв списано цим виконанням, друга нога згорає
+    if (order.orderListId !== -1) {
+      for (const orderId of this.orderLists.get(order.orderListId).orderIds) {
+        const sibling = this.orders.get(orderId);
+        if (sibling !== order && isOpen(sibling)) {
+          sibling.status = 'EXPIRED';
+        }
+      }
+    }
+
+    this.emit('order_filled', formatOrder(order));
+  }
+
+  async cancelOrder(symbol, orderId) {
+    const order = this.orders.get(Number(orderId));
+    if (!order || order.symbol !== symbol || !isOpen(order)) {
+      throw createExchangeError(-2011, 'Unknown order sent.');
+    }
+
+    // Як на Binance: скасування ноги OCO скасовує весь список
+    if (order.orderListId !== -1) {
+      await this.cancelOrderList(symbol, order.orderListId);
+      return formatOrder(order);
+    }
+
+    this.release(order);
+    order.status = 'CANCELED';
+
+    return formatOrder(order);
+  }
+
+  async getOrder(symbol, orderId) {
+    const order = this.orders.get(Number(orderId));
+    if (!order || order.symbol !== symbol) {
+      throw createExchangeError(-2013, 'Order does not exist.');
+    }
+    return formatOrder(order);
+  }
+
+  async getOpenOrders(symbol = null) {
+    return Array.from(this.orders.values())
+      .filter(isOpen)
+      .filter(order => !symbol || order.symbol === symbol)
+      .map(formatOrder);
+  }
+
+  /**
+   * Відтворена свічка: оновлює час, ціну, стакан і виконує стоячі ордери,
+   * ліміт (або стоп) яких потрапив у діапазон high-low
+   * @param {Object} kline - { open, high, low, close, quoteAssetVolume, trades, takerBuyQuoteVolume, closeTime }
+   */
+  processKline(symbol, kline) {
+    const high = parseFloat(kline.high);
+    const low = parseFloat(kline.low);
+    const open = parseFloat(kline.open);
+
+    this.currentTime = kline.closeTime ?? this.currentTime;
+    this.klines.set(symbol, kline);
+    // Записаний стакан актуальний лише до наступної свічки
+    this.orderBooks.delete(symbol);
+
+    for (const order of this.restingOrders(symbol)) {
+      // Нога OCO могла згоріти через виконання іншої ноги в цій же свічці
+      if (!isOpen(order)) continue;
+
+      if (!order.isWorking) {
+        const reached = order.side === 'SELL' ? low <= order.stopPrice : high >= order.stopPrice;
+        if (!reached) continue;
+        // Геп через стоп спрацьовує за ціною відкриття
+        const triggerPrice = order.side === 'SELL' ? Math.min(order.stopPrice, open) : Math.max(order.stopPrice, open);
+        this.triggerStop(order, triggerPrice);
+        if (!isOpen(order)) continue;
+      }
+
+      const touched = order.side === 'BUY' ? low <= order.price : high >= order.price;
+      if (touched) {
+        // Геп через ліміт виконується за кращою ціною відкриття
+        const fillPrice = order.side === 'BUY' ? Math.min(order.price, open) : Math.max(order.price, open);
+        this.settleFill(order, fillPrice, order.origQty - order.executedQty, true);
+      }
+    }
+
+    this.setPrice(symbol, parseFloat(kline.close), this.currentTime);
+  }
+
+  /**
+   * Ціна з живого фіду
+   */
+  updatePrice(symbol, price, time = Date.now()) {
+    const value = parseFloat(price);
+
+    for (const order of this.restingOrders(symbol)) {
+      if (!isOpen(order)) continue;
+
+      if (!order.isWorking) {
+        if (isStopReached(order, value)) {
+          this.triggerStop(order, value);
+        }
+        continue;
+      }
+
+      const touched = order.side === 'BUY' ? value <= order.price : value >= order.price;
+      if (touched) {
+        this.settleFill(order, order.price, order.origQty - order.executedQty, true);
+      }
+    }
+
+    this.setPrice(symbol, value, time);
+  }
+
+  /**
+   * Записаний знімок стакану для наступних MARKET ордерів по символу
+   */
+  setOrderBook(symbol, orderBook) {
+    this.orderBooks.set(symbol, orderBook);
+  }
+
+  setPrice(symbol, price, time) {
+    this.prices.set(symbol, price);
+    this.emit('price', { symbol, price, time });
+  }
+
+  /**
+   * Живий фід: періодичне опитування цін (getSymbolPriceTicker без symbol) для
+   * символів, якими торгує біржа, та додаткових watchSymbols
+   */
+  startLiveFeed(client, intervalMs = 2000, watchSymbols = []) {
+    if (this.liveFeedTimer) {
+      return;
+    }
+
+    const poll = async () => {
+      const symbols = new Set([...watchSymbols, ...this.tradedSymbols()]);
+      if (symbols.size === 0) return;
+
+      try {
+        const tickers = await client.getSymbolPriceTicker();
+        for (const ticker of tickers) {
+          if (symbols.has(ticker.symbol)) {
+            this.updatePrice(ticker.symbol, ticker.price);
+          }
+        }
+      } catch (error) {
+        logger.warn(`Paper exchange price feed failed: ${error.message}`);
+      }
+    };
+
+    this.liveFeedTimer = setInterval(poll, intervalMs);
+    this.liveFeedTimer.unref();
+    logger.info(`Paper exchange live price feed started (every ${intervalMs}ms)`);
+  }
+
+  stopLiveFeed() {
+    if (this.liveFeedTimer) {
+      clearInterval(this.liveFeedTimer);
+      this.liveFeedTimer = null;
+    }
+  }
+
+  /**
+   * Символи з ненульовим базовим балансом або стоячими ордерами
+   */
+  tradedSymbols() {
+    const symbols = new Set();
+    for (const [asset, { free, locked }] of this.balances) {
+      if (asset !== QUOTE_ASSET && free + locked > QUANTITY_TOLERANCE) {
+        symbols.add(`${asset}${QUOTE_ASSET}`);
+      }
+    }
+    for (const order of this.orders.values()) {
+      if (isOpen(order)) {
+        symbols.add(order.symbol);
+      }
+    }
+    return symbols;
+  }
+
+  restingOrders(symbol) {
+    return Array.from(this.orders.values())
+      .filter(order => order.symbol === symbol && order.type !== 'MARKET' && isOpen(order));
+  }
+
+  getBalance(asset) {
+    if (!this.balances.has(asset)) {
+      this.balances.set(asset, { free: 0, locked: 0 });
+    }
+    return this.balances.get(asset);
+  }
+
+  ensureFree(asset, amount) {
+    if (this.getBalance(asset).free + QUANTITY_TOLERANCE < amount) {
+      throw createExchangeError(-2010, 'Account has insufficient balance for requested action.');
+    }
+  }
+}
+
+function isOpen(order) {
+  return ['NEW', 'PARTIALLY_FILLED'].includes(order.status);
+}
+
+function isStopReached(order, price) {
+  return order.side === 'SELL' ? price <= order.stopPrice : price >= order.stopPrice;
+}
+
+function baseAsset(symbol) {
+  return symbol.endsWith(QUOTE_ASSET) ? symbol.slice(0, -QUOTE_ASSET.length) : symbol;
+}
+
+/**
+ * Помилка у форматі BinanceClient (error.apiError)
+ */
+function createExchangeError(code, message) {
+  const error = new Error(`API Error (${code}): ${message}`);
+  error.apiError = { code, message, type: 'BINANCE_ERROR', retryable: false };
+  return error;
+}
+
+/**
+ * Ордер у форматі відповіді Binance (числа рядками)
+ */
+function formatOrder(order) {
+  return {
+    symbol: order.symbol,
+    orderId: order.orderId,
+    orderListId: order.orderListId ?? -1,
+    clientOrderId: order.clientOrderId,
+    transactTime: order.transactTime,
+    price: order.price.toFixed(8),
+    ...(order.stopPrice !== undefined && { stopPrice: order.stopPrice.toFixed(8) }),
+    origQty: order.origQty.toFixed(8),
+    executedQty: order.executedQty.toFixed(8),
+    cummulativeQuoteQty: order.cummulativeQuoteQty.toFixed(8),
+    status: order.status,
+    timeInForce: order.timeInForce,
+    type: order.type,
+    side: order.side,
+    fills: order.fills.map(fill => ({
+      price: fill.price.toFixed(8),
+      qty: fill.qty.toFixed(8),
+      commission: fill.commission.toFixed(8),
+      commissionAsset: fill.commissionAsset
+    }))
+  };
+}
+
+export default PaperExchange;
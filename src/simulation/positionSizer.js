@@ -0,0 +1,152 @@
+import { calculateVolatility } from '../utils/calculations.js';
+
+/**
+ * Політики розміру позиції:
+ * - 'fixed' (за замовчуванням) - завжди buyAmountUsdt
+ * - 'equity_percent' - equityPercent від поточного капіталу
+ * - 'volatility_target' - buyAmountUsdt × targetVolatilityPercent / волатильність свічок до входу
+ * - 'kelly' - kellyFraction від частки Келлі за win rate останніх kellyWindow угод
+ * - 'liquidity_cap' - buyAmountUsdt, але не більше maxVolumePercent від quote volume першої години
+ *
+ * Частки задаються в десятковій формі (0.02 = 2%), волатильність - у відсотках,
+ * як її повертає calculateVolatility.
+ */
+export const SIZING_POLICIES = ['fixed', 'equity_percent', 'volatility_target', 'kelly', 'liquidity_cap'];
+export const DEFAULT_SIZING_POLICY = 'fixed';
+
+const DEFAULT_SIZING_PARAMS = {
+  equityPercent: 0.01,
+  targetVolatilityPercent: 2,
+  maxVolatilityMultiplier: 3,
+  kellyFraction: 0.5,
+  kellyWindow: 20,
+  kellyMinTrades: 10,
+  maxVolumePercent: 0.01,
+  maxPositionUsdt: null
+};
+
+const FIRST_HOUR_MS = 60 * 60 * 1000;
+
+export function parseSizingParams(params) {
+  if (!params) return {};
+  if (typeof params === 'string') {
+    try {
+      return JSON.parse(params);
+    } catch (error) {
+      throw new Error(`Invalid sizing params JSON: ${error.message}`);
+    }
+  }
+  return { ...params };
+}
+
+export class PositionSizer {
+  constructor(config = {}) {
+    this.policy = config.sizingPolicy || DEFAULT_SIZING_POLICY;
+    this.baseAmountUsdt = config.buyAmountUsdt || 100;
+    this.params = { ...DEFAULT_SIZING_PARAMS, ...parseSizingParams(config.sizingParams) };
+
+    if (!SIZING_POLICIES.includes(this.policy)) {
+      throw new Error(`Unknown sizing policy: ${this.policy}`);
+    }
+  }
+
+  /**
+   * Розмір наступної позиції
+   * @param {Object} context
+   * @param {number} context.equity - поточний капітал
+   * @param {Array} [context.klines] - свічки до моменту входу
+   * @param {Array} [context.recentTrades] - закриті угоди { profitLossPercent } у хронологічному порядку
+   * @returns {Object} { amountUsdt, policy, details }
+   */
+  size({ equity, klines = [], recentTrades = [] }) {
+    let amountUsdt;
+    let details = {};
+
+    switch (this.policy) {
+      case 'equity_percent':
+        amountUsdt = equity * this.params.equityPercent;
+        break;
+
+      case 'volatility_target': {
+        const volatility = calculateVolatility(klines);
+        // Без руху ціни масштабувати нема на що - базовий розмір
+        const multiplier = volatility > 0
+          ? Math.min(this.params.maxVolatilityMultiplier, this.params.targetVolatilityPercent / volatility)
+          : 1;
+        amountUsdt = this.baseAmountUsdt * multiplier;
+        details = { volatility, multiplier };
+        break;
+      }
+
+      case 'kelly': {
+        const kelly = this.calculateKellyFraction(recentTrades);
+        // Поки угод замало для оцінки - базовий розмір
+        amountUsdt = kelly === null
+          ? this.baseAmountUsdt
+          : equity * Math.max(0, kelly) * this.params.kellyFraction;
+        details = { kelly };
+        break;
+      }
+
+      case 'liquidity_cap': {
+        const firstHourVolume = this.calculateFirstHourVolume(klines);
+        const cap = firstHourVolume * this.params.maxVolumePercent;
+        amountUsdt = firstHourVolume > 0 ? Math.min(this.baseAmountUsdt, cap) : this.baseAmountUsdt;
+        details = { firstHourVolume, cap };
+        break;
+      }
+
+      default:
+        amountUsdt = this.baseAmountUsdt;
+    }
+
+    if (this.params.maxPositionUsdt) {
+      amountUsdt = Math.min(amountUsdt, this.params.maxPositionUsdt);
+    }
+
+    return {
+      amountUsdt: Math.max(0, amountUsdt),
+      policy: this.policy,
+      details
+    };
+  }
+
+  /**
+   * Частка Келлі f = p - (1 - p) / b за останніми kellyWindow угодами,
+   * де p - win rate, b - відношення середнього прибутку до середнього збитку
+   * @returns {number|null} null, якщо угод менше за kellyMinTrades
+   */
+  calculateKellyFraction(recentTrades) {
+    const window = recentTrades.slice(-this.params.kellyWindow);
+    if (window.length < this.params.kellyMinTrades) {
+      return null;
+    }
+
+    const wins = window.filter(trade => trade.profitLossPercent > 0);
+    const losses = window.filter(trade => trade.profitLossPercent <= 0);
+    const winRate = wins.length / window.length;
+
+    if (losses.length === 0) return 1;
+    if (wins.length === 0) return 0;
+
+    const avgWin = wins.reduce((sum, trade) => sum + trade.profitLossPercent, 0) / wins.length;
+    const avgLoss = Math.abs(losses.reduce((sum, trade) => sum + trade.profitLossPercent, 0) / losses.length);
+    if (avgLoss === 0) return 1;
+
+    return winRate - (1 - winRate) / (avgWin / avgLoss);
+  }
+
+  /**
+   * Quote volume першої години лістингу, видимої до моменту входу
+   */
+  calculateFirstHourVolume(klines) {
+    if (klines.length === 0) return 0;
+
+    const listingOpen = klines[0].openTime;
+    return klines
+      .filter(kline => listingOpen === undefined || kline.openTime < listingOpen + FIRST_HOUR_MS)
+      .reduce((sum, kline) => sum + (parseFloat(kline.quoteAssetVolume) || 0), 0);
+  }
+}
+
+export default PositionSizer;
@@ -0,0 +1,190 @@
+import logger from '../utils/logger.js';
+
+/**
+ * Ризик-ліміти перед входом в угоду (спільні для TradingEngine і TradingSimulator):
+ * - maxDailyLossPercent - збиток за добу (UTC) від капіталу на її початок
+ * - maxDrawdownPercent - просадка від піку капіталу
+ * - maxConsecutiveLosses - кількість збиткових угод поспіль
+ * - maxExposureUsdt - сума відкритих позицій разом з новою
+ * - symbolBlacklist - символи, якими не торгуємо
+ *
+ * Капітал рахується за реалізованим P&L закритих угод. Порушення перших трьох лімітів
+ * зупиняє нові входи (halt): добовий ліміт знімається з початком наступної доби,
+ * решта - лише через resume(). З flattenOnHalt відкриті позиції закриваються.
+ * Частки задаються в десятковій формі (0.05 = 5%); порожній ліміт не перевіряється.
+ */
+export const RISK_HALT_REASONS = ['max_daily_loss', 'max_drawdown', 'max_consecutive_losses', 'manual'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function parseRiskLimits(limits) {
+  if (!limits) return {};
+  if (typeof limits === 'string') {
+    try {
+      return JSON.parse(limits);
+    } catch (error) {
+      throw new Error(`Invalid risk limits JSON: ${error.message}`);
+    }
+  }
+  return { ...limits };
+}
+
+export class RiskManager {
+  constructor(config = {}) {
+    const limits = parseRiskLimits(config.riskLimits);
+    this.limits = {
+      maxDailyLossPercent: positiveOrNull(limits.maxDailyLossPercent),
+      maxDrawdownPercent: positiveOrNull(limits.maxDrawdownPercent),
+      maxConsecutiveLosses: positiveOrNull(limits.maxConsecutiveLosses),
+      maxExposureUsdt: positiveOrNull(limits.maxExposureUsdt)
+    };
+    const blacklist = typeof limits.symbolBlacklist === 'string'
+      ? limits.symbolBlacklist.split(',')
+      : limits.symbolBlacklist || [];
+    this.blacklist = new Set(blacklist.map(symbol => symbol.trim().toUpperCase()).filter(Boolean));
+    this.flattenOnHalt = Boolean(limits.flattenOnHalt);
+
+    this.reset(0);
+  }
+
+  /**
+   * Початок відліку: капітал, пік і початок доби
+   */
+  reset(equity, time = null) {
+    this.equity = equity;
+    this.peakEquity = equity;
+    // Без часу доба визначається першою подією (історична симуляція)
+    this.day = time === null ? null : Math.floor(time / DAY_MS);
+    this.dayStartEquity = equity;
+    this.consecutiveLosses = 0;
+    this.halt = null;
+    this.halts = [];
+  }
+
+  /**
+   * Причина відмови у вході (risk_halted, symbol_blacklisted) або null
+   */
+  checkEntry({ symbol, time = Date.now() }) {
+    this.rollDay(time);
+
+    if (this.halt) {
+      return 'risk_halted';
+    }
+    if (this.blacklist.has(symbol.toUpperCase())) {
+      return 'symbol_blacklisted';
+    }
+    return null;
+  }
+
+  /**
+   * 'max_exposure', якщо нова позиція перевищить ліміт відкритих позицій, інакше null
+   */
+  checkExposure(amountUsdt, openExposureUsdt) {
+    const limit = this.limits.maxExposureUsdt;
+    return limit && openExposureUsdt + amountUsdt > limit ? 'max_exposure' : null;
+  }
+
+  /**
+   * Облік закритої угоди
+   * @param {Object} trade - { profitLossUsdt, exitTime }
+   * @returns {Object|null} нова зупинка { reason, time, details, flatten }, якщо угода порушила ліміт
+   */
+  recordTrade({ profitLossUsdt, exitTime = Date.now() }) {
+    this.rollDay(exitTime);
+
+    this.equity += profitLossUsdt;
+    this.peakEquity = Math.max(this.peakEquity, this.equity);
+    this.consecutiveLosses = profitLossUsdt < 0 ? this.consecutiveLosses + 1 : 0;
+
+    if (this.halt) {
+      return null;
+    }
+
+    const { maxDailyLossPercent, maxDrawdownPercent, maxConsecutiveLosses } = this.limits;
+    const dailyLossUsdt = this.dayStartEquity - this.equity;
+    const drawdownPercent = this.peakEquity > 0 ? (this.peakEquity - this.equity) / this.peakEquity : 0;
+
+    if (maxDailyLossPercent && dailyLossUsdt >= this.dayStartEquity * maxDailyLossPercent) {
+      return this.haltTrading('max_daily_loss', exitTime, { dailyLossUsdt, limitUsdt: this.dayStartEquity * maxDailyLossPercent });
+    }
+    if (maxDrawdownPercent && drawdownPercent >= maxDrawdownPercent) {
+      return this.haltTrading('max_drawdown', exitTime, { drawdownPercent, peakEquity: this.peakEquity, equity: this.equity });
+    }
+    if (maxConsecutiveLosses && this.consecutiveLosses >= maxConsecutiveLosses) {
+      return this.haltTrading('max_consecutive_losses', exitTime, { consecutiveLosses: this.consecutiveLosses });
+    }
+    return null;
+  }
+
+  /**
+   * Зупинка нових входів (kill switch)
+   */
+  haltTrading(reason, time = Date.now(), details = {}, flatten = this.flattenOnHalt) {
+    this.halt = { reason, time, details, flatten };
+    this.halts.push(this.halt);
+    logger.warn(`Risk halt: ${reason} ${JSON.stringify(details)}`);
+    return this.halt;
+  }
+
+  /**
+   * Відновлення входів: пік, початок доби і серія збитків рахуються заново
+   */
+  resume() {
+    if (!this.halt) return;
+
+    logger.info(`Risk halt lifted: ${this.halt.reason}`);
+    this.halt = null;
+    this.peakEquity = this.equity;
+    this.dayStartEquity = this.equity;
+    this.consecutiveLosses = 0;
+  }
+
+  /**
+   * Чи задано хоч один ліміт або чорний список
+   */
+  isEnabled() {
+    return Object.values(this.limits).some(Boolean) || this.blacklist.size > 0;
+  }
+
+  isHalted() {
+    return this.halt !== null;
+  }
+
+  getState() {
+    return {
+      halted: this.isHalted(),
+      haltReason: this.halt?.reason || null,
+      equity: this.equity,
+      peakEquity: this.peakEquity,
+      dailyProfitLossUsdt: this.equity - this.dayStartEquity,
+      consecutiveLosses: this.consecutiveLosses,
+      halts: this.halts.map(halt => ({ ...halt }))
+    };
+  }
+
+  /**
+   * Нова доба: відлік добового збитку з поточного капіталу, добова зупинка знімається
+   */
+  rollDay(time) {
+    const day = Math.floor(time / DAY_MS);
+    if (this.day === null) {
+      this.day = day;
+      return;
+    }
+    if (day <= this.day) return;
+
+    this.day = day;
+    this.dayStartEquity = this.equity;
+    if (this.halt?.reason === 'max_daily_loss') {
+      logger.info('Daily loss halt lifted: new trading day');
+      this.halt = null;
+    }
+  }
+}
+
+function positiveOrNull(value) {
+  const number = parseFloat(value);
+  return number > 0 ? number : null;
+}
+
+export default RiskManager;
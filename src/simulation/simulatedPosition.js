@@ -0,0 +1,211 @@
+import { resolveAmbiguousCandle, DEFAULT_INTRA_CANDLE_POLICY } from './intraCandleResolver.js';
+import { buildExitTargets, aggregateLegs } from './exitLadder.js';
+
+// Частка початкової кількості, менша за яку залишок вважається закритим
+const REMAINDER_TOLERANCE = 1e-9;
+
+/**
+ * Відкрита позиція в історичній симуляції.
+ * Тримає рівні TP/SL та обробляє свічки по одній, тож позиція може
+ * лишатися відкритою протягом часу (портфельний режим) або прогонятися
+ * одразу по всіх свічках лістингу (ізольований режим).
+ * З драбиною виходів (exitLadder) позиція закривається частинами;
+ * кожен частковий продаж записується як окрема нога виходу.
+ */
+export class SimulatedPosition {
+  constructor({ symbol, symbolId, entryTime, entryPrice, expectedEntryPrice = entryPrice, signalTime = entryTime, signalPrice = expectedEntryPrice, entryKline = null, quantity, costUsdt, takeProfitPrice, stopLossPrice, exitLadder = null, trailingStop = null, intraCandlePolicy = DEFAULT_INTRA_CANDLE_POLICY, aggTrades = [], filters = null }) {
+    this.id = `${symbol}_${entryTime}`;
+    this.symbol = symbol;
+    this.symbolId = symbolId;
+    this.entryTime = entryTime;
+    this.entryPrice = entryPrice;
+    this.expectedEntryPrice = expectedEntryPrice;
+    // Момент і ціна сигналу входу (до затримки виконання)
+    this.signalTime = signalTime;
+    this.signalPrice = signalPrice;
+    this.quantity = quantity;
+    this.costUsdt = costUsdt;
+    this.filters = filters;
+    this.takeProfitPrice = takeProfitPrice;
+    this.stopLossPrice = stopLossPrice;
+    // Цілі фіксації прибутку: рівні драбини або один TP на весь обсяг
+    this.targets = buildExitTargets(entryPrice, takeProfitPrice, exitLadder);
+    this.remainingQuantity = quantity;
+    this.legs = [];
+    this.lastPrice = entryPrice;
+    this.lastTime = entryTime;
+    // Остання оброблена свічка (для моделі виконання виходу)
+    this.lastKline = entryKline;
+    this.maxPriceReached = entryPrice;
+    this.minPriceReached = entryPrice;
+    
+    // Спільний TrailingStopLoss симулятора (стан кожної позиції зберігається за її id)
+    this.trailingStop = trailingStop && trailingStop.enabled ? trailingStop : null;
+    this.trailingStopActivatedAt = null;
+    
+    // Політика для свічок, що торкаються і TP, і SL
+    this.intraCandlePolicy = intraCandlePolicy;
+    this.aggTrades = aggTrades;
+    this.ambiguousExit = false;
+    this.ambiguityResolvedBy = null;
+    if (this.trailingStop) {
+      this.trailingStop.initializeTrade(this.id, entryPrice);
+    }
+  }
+
+  /**
+   * Обробка однієї свічки після входу
+   * @param {Object} kline - { open, high, low, close, closeTime }
+   * @returns {Object|null} { exitPrice, exitTime, reason, legs } або null, якщо позиція лишається відкритою
+   */
+  processCandle(kline) {
+    const high = parseFloat(kline.high);
+    const low = parseFloat(kline.low);
+    const time = kline.closeTime;
+
+    this.lastPrice = parseFloat(kline.close);
+    this.lastTime = time;
+    this.lastKline = kline;
+    this.maxPriceReached = Math.max(this.maxPriceReached, high);
+    this.minPriceReached = Math.min(this.minPriceReached, low);
+
+    const nextTarget = this.targets[0];
+    const hitsTakeProfit = Boolean(nextTarget) && high >= nextTarget.price;
+    const downsideExit = this.checkDownsideExit(low, time);
+
+    // Свічка торкнулась обох рівнів - порядок вирішує політика
+    if (hitsTakeProfit && downsideExit) {
+      const resolution = resolveAmbiguousCandle({
+        kline,
+        upperPrice: nextTarget.price,
+        lowerPrice: downsideExit.exitPrice,
+        policy: this.intraCandlePolicy,
+        aggTrades: this.aggTrades
+      });
+      this.ambiguousExit = true;
+      this.ambiguityResolvedBy = resolution.resolvedBy;
+
+      // Спершу фіксація прибутку, а залишок потім закривається нижнім рівнем
+      if (resolution.side === 'upper') {
+        this.takeProfits(high, time, kline);
+        if (this.isClosed()) {
+          return this.finish();
+        }
+      }
+      return this.exit(downsideExit.exitPrice, time, downsideExit.reason);
+    }
+
+    // Take Profit (або рівні драбини) досягнуто
+    if (hitsTakeProfit) {
+      this.takeProfits(high, time, kline);
+      if (this.isClosed()) {
+        return this.finish();
+      }
+    } else if (downsideExit) {
+      return this.exit(downsideExit.exitPrice, time, downsideExit.reason);
+    }
+
+    // Активація та підтягування trailing stop за максимумом свічки
+    if (this.trailingStop) {
+      this.trailingStop.updatePrice(this.id, high);
+      if (!this.trailingStopActivatedAt && this.trailingStop.getTradeStatus(this.id)?.isActivated) {
+        this.trailingStopActivatedAt = time;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Перевірка нижніх рівнів: trailing stop (за рівнем з попередніх свічок,
+   * бо порядок high/low всередині свічки невідомий) та Stop Loss.
+   * Якщо спрацювали обидва, першим досягається вищий рівень.
+   */
+  checkDownsideExit(low, time) {
+    const candidates = [];
+
+    if (this.trailingStop) {
+      const trailingExit = this.trailingStop.updatePrice(this.id, low);
+      if (trailingExit) {
+        candidates.push({ exitPrice: trailingExit.exitPrice, exitTime: time, reason: 'trailing_stop' });
+      }
+    }
+
+    if (low <= this.stopLossPrice) {
+      candidates.push({ exitPrice: this.stopLossPrice, exitTime: time, reason: 'stop_loss' });
+    }
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    return candidates.reduce((best, candidate) => candidate.exitPrice > best.exitPrice ? candidate : best);
+  }
+
+  /**
+   * Продаж за всіма цілями, до яких дістав максимум свічки
+   */
+  takeProfits(high, time, kline) {
+    while (this.targets.length > 0 && high >= this.targets[0].price) {
+      const target = this.targets.shift();
+      const planned = this.quantity * target.sizePercent;
+      // Рівень, що закриває позицію, забирає залишок без похибки округлення
+      const quantity = this.remainingQuantity - planned <= this.quantity * REMAINDER_TOLERANCE
+        ? this.remainingQuantity
+        : planned;
+      this.addLeg(target.price, quantity, time, 'take_profit', kline);
+    }
+  }
+
+  addLeg(price, quantity, time, reason, kline = this.lastKline) {
+    if (quantity <= 0) return;
+
+    this.legs.push({ price, quantity, time, reason, kline });
+    this.remainingQuantity -= quantity;
+    if (this.remainingQuantity <= this.quantity * REMAINDER_TOLERANCE) {
+      this.remainingQuantity = 0;
+    }
+  }
+
+  isClosed() {
+    return this.remainingQuantity === 0;
+  }
+
+  /**
+   * Закриття залишку позиції та формування виходу
+   */
+  exit(exitPrice, exitTime, reason) {
+    this.addLeg(exitPrice, this.remainingQuantity, exitTime, reason);
+    return this.finish();
+  }
+
+  /**
+   * Формування виходу з усіх ніг та звільнення стану trailing stop.
+   * exitPrice - середньозважена ціна ніг, reason - причина останньої ноги.
+   */
+  finish() {
+    if (this.trailingStop) {
+      this.trailingStop.removeTrade(this.id);
+    }
+    
+    const lastLeg = this.legs[this.legs.length - 1];
+    
+    return {
+      exitPrice: aggregateLegs(this.legs).averagePrice,
+      exitTime: lastLeg.time,
+      reason: lastLeg.reason,
+      legs: this.legs,
+      ambiguous: this.ambiguousExit,
+      resolvedBy: this.ambiguityResolvedBy
+    };
+  }
+
+  /**
+   * Примусове закриття за останньою відомою ціною
+   */
+  closeAtMarket(reason = 'timeout') {
+    return this.exit(this.lastPrice, this.lastTime, reason);
+  }
+}
+
+export default SimulatedPosition;
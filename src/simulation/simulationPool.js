@@ -0,0 +1,194 @@
+import { Worker } from 'worker_threads';
+import os from 'os';
+import { TradingSimulator } from './simulator.js';
+import { KlineCache } from './klineCache.js';
+import logger from '../utils/logger.js';
+
+const WORKER_URL = new URL('./simulationWorker.js', import.meta.url);
+
+/**
+ * Кількість воркерів за замовчуванням: SIMULATION_WORKERS або кількість ядер
+ */
+export function defaultPoolSize() {
+  return parseInt(process.env.SIMULATION_WORKERS) || os.cpus().length || 1;
+}
+
+/**
+ * Пул worker_threads для прогону багатьох конфігурацій паралельно.
+ * Кожен вільний воркер бере наступну конфігурацію з черги; воркери лише читають БД,
+ * а свічки беруть зі спільного KlineDataset (SharedArrayBuffer), якщо його передано.
+ * Без датасету кожен воркер тримає власний KlineCache - кеш не спільний між потоками,
+ * і свічки лістингу читаються з БД один раз на воркер.
+ * Головний потік зберігає результати строго в порядку вхідних конфігурацій,
+ * тож id конфігурацій і зведень не залежать від того, хто закінчив першим.
+ * Для БД у пам'яті (':memory:') воркери її не бачать - симуляції йдуть у головному потоці.
+ */
+export class SimulationPool {
+  /**
+   * @param {Object} options - size, daysBack, dataset (KlineDataset, спільний з воркерами)
+   */
+  constructor({ size = defaultPoolSize(), daysBack = 30, dataset = null } = {}) {
+    this.size = Math.max(1, size);
+    this.daysBack = daysBack;
+    this.dataset = dataset;
+    this.cacheStats = new Map();
+  }
+
+  /**
+   * Прогін конфігурацій
+   * @param {Array} configs - конфігурації TradingSimulator
+   * @param {Object} options - daysBack, persist (зберігати результати в БД), onProgress(completed, total, config)
+   * @returns {Array} [{ config, configId, summary, trades, equityCurve, error }] у порядку configs
+   */
+  async run(configs, { daysBack = this.daysBack, persist = true, onProgress = null } = {}) {
+    const results = new Array(configs.length);
+    let completed = 0;
+    let nextToSave = 0;
+    let saving = Promise.resolve();
+
+    // Збереження по порядку: результат чекає, поки збережуться всі попередні
+    const flush = async () => {
+      while (nextToSave < configs.length && results[nextToSave]) {
+        const result = results[nextToSave];
+        if (persist && !result.error) {
+          result.configId = await new TradingSimulator(result.config).saveResults(result);
+        }
+        nextToSave++;
+      }
+    };
+
+    const complete = (index, outcome) => {
+      results[index] = { config: configs[index], ...outcome };
+      completed++;
+      if (onProgress) {
+        onProgress(completed, configs.length, configs[index]);
+      }
+      saving = saving.then(flush).catch(error => logger.error(`Failed to save simulation results: ${error.message}`));
+    };
+
+    if (configs.length === 0) {
+      return results;
+    }
+
+    if (process.env.DB_PATH === ':memory:') {
+      await this.runInline(configs, daysBack, complete);
+    } else {
+      await this.runWorkers(configs, daysBack, complete);
+    }
+
+    await saving;
+    return results;
+  }
+
+  /**
+   * Роздача конфігурацій воркерам; якщо воркер падає або завершується, не відповівши,
+   * його конфігурація позначається помилкою, а замість нього запускається новий
+   */
+  runWorkers(configs, daysBack, complete) {
+    const queue = configs.map((config, index) => index);
+    const workerCount = Math.min(this.size, configs.length);
+    let remaining = configs.length;
+
+    logger.info(`Simulation pool: ${configs.length} configurations on ${workerCount} workers`);
+
+    const workerData = { dataset: this.dataset ? this.dataset.toShared() : null };
+
+    return new Promise(resolve => {
+      const workers = new Set();
+
+      const finish = () => {
+        // Зупинені тут воркери вже не в наборі - їхній 'exit' ігнорується
+        const stopping = [...workers];
+        workers.clear();
+        for (const worker of stopping) {
+          worker.terminate();
+        }
+        resolve();
+      };
+
+      const dispatch = (worker) => {
+        if (queue.length === 0) {
+          worker.current = null;
+          return;
+        }
+        worker.current = queue.shift();
+        worker.postMessage({ index: worker.current, config: configs[worker.current], daysBack });
+      };
+
+      // 'error' і наступний за ним 'exit' обробляються один раз
+      const retire = (worker, reason) => {
+        if (!workers.delete(worker)) {
+          return;
+        }
+        if (worker.current !== null && worker.current !== undefined) {
+          logger.error(`Simulation worker failed on ${configs[worker.current].name}: ${reason}`);
+          complete(worker.current, { error: reason });
+          worker.current = null;
+          remaining--;
+        }
+        if (remaining === 0) {
+          finish();
+        } else if (queue.length > 0) {
+          dispatch(spawn());
+        }
+      };
+
+      const spawn = () => {
+        const worker = new Worker(WORKER_URL, { workerData, env: { ...process.env, DB_READONLY: 'true' } });
+        workers.add(worker);
+
+        worker.on('message', ({ index, results, error, cache }) => {
+          this.cacheStats.set(worker.threadId, cache);
+          worker.current = null;
+          complete(index, error ? { error } : results);
+          remaining--;
+          if (remaining === 0) {
+            finish();
+            return;
+          }
+          dispatch(worker);
+        });
+
+        worker.on('error', error => retire(worker, error.message));
+        worker.on('exit', code => retire(worker, `worker exited with code ${code} before returning a result`));
+
+        return worker;
+      };
+
+      for (let i = 0; i < workerCount; i++) {
+        dispatch(spawn());
+      }
+    });
+  }
+
+  async runInline(configs, daysBack, complete) {
+    logger.warn('Simulation pool: in-memory database is not shared with workers, running in the main thread');
+    const klineCache = new KlineCache();
+
+    for (const [index, config] of configs.entries()) {
+      try {
+        const simulator = new TradingSimulator(config, { persistResults: false, klineCache, klineDataset: this.dataset });
+        const { summary, trades, equityCurve } = await simulator.runSimulation(daysBack);
+        complete(index, { summary, trades, equityCurve });
+      } catch (error) {
+        complete(index, { error: error.message });
+      }
+    }
+    this.cacheStats.set(0, klineCache.getStats());
+  }
+
+  /**
+   * Сумарна статистика кешів свічок воркерів останнього прогону
+   */
+  getCacheStats() {
+    const totals = { entries: 0, hits: 0, misses: 0 };
+    for (const stats of this.cacheStats.values()) {
+      totals.entries += stats.entries;
+      totals.hits += stats.hits;
+      totals.misses += stats.misses;
+    }
+    return totals;
+  }
+}
+
+export default SimulationPool;
@@ -0,0 +1,23 @@
+import { parentPort, workerData } from 'worker_threads';
+import { TradingSimulator } from './simulator.js';
+import { KlineCache } from './klineCache.js';
+import { KlineDataset } from './klineDataset.js';
+
+/**
+ * Воркер пулу симуляцій: власне з'єднання з БД лише для читання (DB_READONLY від пулу)
+ * і власний кеш свічок для всіх конфігурацій, які отримує цей воркер (між воркерами не ділиться).
+ * Якщо пул передав датасет свічок, воркер читає ті самі SharedArrayBuffer, що й головний потік.
+ * Результати не пишуться в БД - їх зберігає головний потік у порядку конфігурацій.
+ */
+const klineCache = new KlineCache();
+const klineDataset = workerData?.dataset ? KlineDataset.fromShared(workerData.dataset) : null;
+
+parentPort.on('message', async ({ index, config, daysBack }) => {
+  try {
+    const simulator = new TradingSimulator(config, { persistResults: false, klineCache, klineDataset });
+    const { summary, trades, equityCurve } = await simulator.runSimulation(daysBack);
+    parentPort.postMessage({ index, results: { summary, trades, equityCurve }, cache: klineCache.getStats() });
+  } catch (error) {
+    parentPort.postMessage({ index, error: error.message, cache: klineCache.getStats() });
+  }
+});
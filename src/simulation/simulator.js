@@ -1,12 +1,29 @@
 import { getDatabase } from '../database/init.js';
-import { SimulationConfigModel, SimulationResultModel, SimulationSummaryModel } from '../database/models.js';
-import { NewListingScalperStrategy } from './strategies/newListingScalper.js';
-import { validateMarketData } from '../utils/validators.js';
+import { SimulationConfigModel, SimulationResultModel, SimulationSummaryModel, SimulationExitLegModel, SimulationEquityCurveModel, HistoricalAggTradeModel, HistoricalKlineModel } from '../database/models.js';
+import { createStrategy, hasStrategy, parseStrategyParams, DEFAULT_STRATEGY } from './strategies/index.js';
+import { TrailingStopLoss } from './strategies/trailingStopLoss.js';
+import { SimulatedPosition } from './simulatedPosition.js';
+import { normalizeIntraCandlePolicy } from './intraCandleResolver.js';
+import { FillModel } from './fillModel.js';
+import { OrderBookGenerator } from './orderBookGenerator.js';
+import { normalizeEntryTiming, planEntry } from './entryTiming.js';
+import { parseExitLadder, aggregateLegs } from './exitLadder.js';
+import { PositionSizer, parseSizingParams } from './positionSizer.js';
+import { RiskManager, parseRiskLimits } from './riskManager.js';
+import { validateMarketData, validateOrderBook } from '../utils/validators.js';
 import logger from '../utils/logger.js';
 import { calculateProfitLoss, calculateCommission } from '../utils/calculations.js';
+import { applyOrderFilters, filtersFromSymbolRow } from '../utils/symbolFilters.js';
+import { calculatePerformanceMetrics } from '../utils/performanceMetrics.js';
 
 export class TradingSimulator {
-  constructor(config) {
+  /**
+   * @param {Object} config - параметри конфігурації (camelCase або snake_case з БД)
+   * @param {Object} options - persistResults (false - результати не пишуться в БД, їх зберігає
+   *   головний потік через saveResults), klineCache (спільний KlineCache),
+   *   klineDataset (спільний KlineDataset - свічки з пам'яті замість historical_klines)
+   */
+  constructor(config, { persistResults = true, klineCache = null, klineDataset = null } = {}) {
     this.config = {
       name: config.name || 'Unknown Configuration',
       takeProfitPercent: config.takeProfitPercent || config.take_profit_percent || 0.02,
@@ -18,27 +35,78 @@ export class TradingSimulator {
       maxOpenTrades: config.maxOpenTrades || config.max_open_trades || 3,
       minLiquidityUsdt: config.minLiquidityUsdt || config.min_liquidity_usdt || 10000,
       binanceFeePercent: config.binanceFeePercent || config.binance_fee_percent || 0.00075,
-      cooldownSeconds: config.cooldownSeconds || config.cooldown_seconds || 300
+      cooldownSeconds: config.cooldownSeconds || config.cooldown_seconds || 300,
+      // 'isolated' - кожен лістинг окремо; 'portfolio' - спільна часова шкала для всіх лістингів
+      replayMode: config.replayMode || config.replay_mode || 'isolated',
+      // Хто виграє, коли свічка торкається і TP, і SL
+      intraCandlePolicy: normalizeIntraCandlePolicy(config.intraCandlePolicy || config.intra_candle_policy),
+      // Стратегія з реєстру та її параметри
+      strategy: config.strategy || DEFAULT_STRATEGY,
+      strategyParams: parseStrategyParams(config.strategyParams || config.strategy_params),
+      // 'ideal' - виконання за очікуваною ціною; 'market_impact' - прослизання по стакану
+      fillModel: config.fillModel || config.fill_model || 'ideal',
+      // Seed синтетичного стакану (null - детермінований стакан без шуму)
+      orderBookSeed: config.orderBookSeed ?? config.order_book_seed ?? null,
+      // Момент входу та затримка виконання після сигналу
+      entryTiming: normalizeEntryTiming(config.entryTiming || config.entry_timing),
+      entryDelaySeconds: config.entryDelaySeconds ?? config.entry_delay_seconds ?? 0,
+      pullbackPercent: config.pullbackPercent ?? config.entry_pullback_percent ?? 3,
+      breakoutMinutes: config.breakoutMinutes ?? config.entry_breakout_minutes ?? 5,
+      entryLatencyMs: config.entryLatencyMs ?? config.entry_latency_ms ?? 0,
+      // Скільки хвилин позиція тримається після входу (потім - вихід за таймаутом)
+      maxHoldingMinutes: config.maxHoldingMinutes || config.max_holding_minutes || 60,
+      // Часткові виходи: [{ profitPercent, sizePercent }], залишок - trailing stop / SL / таймаут
+      exitLadder: parseExitLadder(config.exitLadder || config.exit_ladder),
+      // Політика розміру позиції та її параметри (fixed - завжди buyAmountUsdt)
+      sizingPolicy: config.sizingPolicy || config.sizing_policy || 'fixed',
+      sizingParams: parseSizingParams(config.sizingParams || config.sizing_params),
+      // Ризик-ліміти TradingEngine, що відтворюються на історії
+      riskLimits: parseRiskLimits(config.riskLimits || config.risk_limits),
+      // Вікно дат лістингу [from, to) у мс (walk-forward); null - без обмеження
+      listingDateFrom: config.listingDateFrom ?? null,
+      listingDateTo: config.listingDateTo ?? null
     };
     
+    if (!hasStrategy(this.config.strategy)) {
+      throw new Error(`Unknown strategy: ${this.config.strategy}`);
+    }
+    
     this.dbPromise = getDatabase();
     this.configModel = new SimulationConfigModel();
     this.resultModel = new SimulationResultModel();
     this.summaryModel = new SimulationSummaryModel();
+    this.exitLegModel = new SimulationExitLegModel();
+    this.equityCurveModel = new SimulationEquityCurveModel();
+    this.aggTradeModel = new HistoricalAggTradeModel();
+    this.klineModel = new HistoricalKlineModel();
+    this.persistResults = persistResults;
+    this.klineCache = klineCache;
+    this.klineDataset = klineDataset;
     
     // Ініціалізація стратегії (з fallback)
     try {
-      this.strategy = new NewListingScalperStrategy(this.config);
+      this.strategy = createStrategy(this.config.strategy, this.config);
     } catch (error) {
       logger.warn(`Failed to initialize strategy: ${error.message}, using fallback`);
-      this.strategy = new FallbackStrategy(this.config);
+      this.strategy = createStrategy('basicTrend', this.config);
     }
     
+    // Trailing stop прогоняється по свічках так само, як у TradingEngine
+    this.trailingStop = new TrailingStopLoss(this.config);
+    this.orderBookGenerator = new OrderBookGenerator({ seed: this.config.orderBookSeed });
+    this.fillModel = new FillModel(this.config, this.orderBookGenerator);
+    this.positionSizer = new PositionSizer(this.config);
+    this.riskManager = new RiskManager(this.config);
+    
     // Статистика симуляції
     this.currentBalance = parseFloat(process.env.INITIAL_BALANCE_USDT) || 10000;
     this.initialBalance = this.currentBalance;
+    this.riskManager.reset(this.currentBalance);
     this.activeTrades = new Map();
     this.completedTrades = [];
+    this.lockedCapital = 0;
+    this.lastEntryTime = null;
+    this.maxConcurrentTrades = 0;
     this.processedListings = 0;
     this.skippedListings = 0;
     this.skipReasonCounts = {};
@@ -50,12 +118,13 @@ export class TradingSimulator {
    */
   async runSimulation(daysBack = 30) {
     logger.info(`Starting simulation: ${this.config.name}`);
+    logger.info(`Strategy: ${this.config.strategy}`);
     logger.info(`Initial balance: ${this.currentBalance} USDT`);
     
     try {
-      // Збереження конфігурації
-      const configId = await this.saveConfiguration();
-      if (!configId) {
+      // Збереження конфігурації (воркер пулу лише рахує - зберігає головний потік)
+      const configId = this.persistResults ? await this.saveConfiguration() : null;
+      if (this.persistResults && !configId) {
         throw new Error('Failed to save simulation configuration');
       }
 
@@ -76,25 +145,34 @@ export class TradingSimulator {
         return emptyResults;
       }
 
-      logger.info(`Found ${newListings.length} listings to simulate`);
+      logger.info(`Found ${newListings.length} listings to simulate (${this.config.replayMode} mode)`);
 
-      // Обробка кожного лістингу
-      let processed = 0;
-      for (const listing of newListings) {
-        try {
-          const result = await this.processListing(listing, configId);
-          processed++;
-          
-          // Логування прогресу
-          if (processed % 10 === 0 || processed === newListings.length) {
-            const progressPercent = ((processed / newListings.length) * 100).toFixed(1);
-            logger.info(`Simulation progress: ${progressPercent}% (${processed}/${newListings.length})`);
+      if (this.config.replayMode === 'portfolio') {
+        await this.runPortfolioReplay(newListings, configId);
+      } else {
+        // Ризик-ліміти залежать від порядку угод - з ними лістинги йдуть хронологічно
+        if (this.riskManager.isEnabled()) {
+          newListings.sort((a, b) => a.listing_date - b.listing_date);
+        }
+        
+        // Обробка кожного лістингу
+        let processed = 0;
+        for (const listing of newListings) {
+          try {
+            const result = await this.processListing(listing, configId);
+            processed++;
+            
+            // Логування прогресу
+            if (processed % 10 === 0 || processed === newListings.length) {
+              const progressPercent = ((processed / newListings.length) * 100).toFixed(1);
+              logger.info(`Simulation progress: ${progressPercent}% (${processed}/${newListings.length})`);
+            }
+            
+          } catch (error) {
+            logger.error(`Error processing listing ${listing.symbol}: ${error.message}`);
+            this.skippedListings++;
+            this.incrementSkipReason('processing_error');
           }
-          
-        } catch (error) {
-          logger.error(`Error processing listing ${listing.symbol}: ${error.message}`);
-          this.skippedListings++;
-          this.incrementSkipReason('processing_error');
         }
       }
       
@@ -175,6 +253,17 @@ export class TradingSimulator {
       logger.info(`Database status: ${totalSymbols.count} symbols, ${totalKlines.count} klines, ${analyzedListings.count} analyzed`);
       
       // Спрощений запит для отримання символів з даними
+      const windowConditions = [];
+      const windowParams = [];
+      if (this.config.listingDateFrom !== null) {
+        windowConditions.push('AND listing_date >= ?');
+        windowParams.push(this.config.listingDateFrom);
+      }
+      if (this.config.listingDateTo !== null) {
+        windowConditions.push('AND listing_date < ?');
+        windowParams.push(this.config.listingDateTo);
+      }
+      
       const symbolsWithKlines = await db.all(`
         SELECT DISTINCT
           s.id as symbol_id,
@@ -182,16 +271,17 @@ export class TradingSimulator {
           COALESCE(la.listing_date, MIN(hk.open_time)) as listing_date,
           COUNT(hk.id) as klines_count,
           MIN(hk.open_time) as first_kline,
-          MAX(hk.close_time) as last_kline
+          MAX(hk.close_time) as last_kline,
+          s.step_size, s.min_qty, s.max_qty, s.tick_size, s.min_price, s.max_price, s.min_notional
         FROM symbols s
         INNER JOIN historical_klines hk ON s.id = hk.symbol_id
         LEFT JOIN listing_analysis la ON s.id = la.symbol_id
         WHERE s.quote_asset = 'USDT'
         GROUP BY s.id, s.symbol
-        HAVING klines_count >= 10
+        HAVING klines_count >= 10 ${windowConditions.join(' ')}
         ORDER BY listing_date DESC
         LIMIT 100
-      `);
+      `, ...windowParams);
       
       logger.info(`Found ${symbolsWithKlines.length} symbols with historical data`);
       
@@ -224,70 +314,30 @@ export class TradingSimulator {
    * Обробка одного лістингу
    */
   async processListing(listing, configId) {
-    const { symbol_id, symbol, listing_date, klines_count } = listing;
+    const { symbol } = listing;
     
     try {
-      // Перевірка кількості даних
-      if (klines_count < 10) {
-        this.skippedListings++;
-        this.incrementSkipReason('insufficient_klines');
-        logger.debug(`Skipping ${symbol}: insufficient_klines (${klines_count})`);
-        return { processed: false, reason: 'insufficient_klines' };
-      }
-
-      // Отримання ринкових даних
-      const marketData = await this.getMarketDataForListing(symbol_id, symbol, listing_date);
-
-      if (!marketData || !marketData.klines || marketData.klines.length < 3) {
-        this.skippedListings++;
-        this.incrementSkipReason('no_market_data');
-        logger.debug(`Skipping ${symbol}: no_market_data`);
-        return { processed: false, reason: 'no_market_data' };
-      }
-      
-      // Валідація ринкових даних
-      try {
-        const validation = validateMarketData(marketData);
-        if (!validation.isValid) {
-          logger.debug(`Invalid market data for ${symbol}: ${validation.errors.join(', ')}`);
-          this.skippedListings++;
-          this.incrementSkipReason('invalid_data');
-          return { processed: false, reason: 'invalid_data', errors: validation.errors };
-        }
-      } catch (validationError) {
-        logger.debug(`Market data validation failed for ${symbol}: ${validationError.message}`);
-        this.skippedListings++;
-        this.incrementSkipReason('validation_error');
-        return { processed: false, reason: 'validation_error' };
-      }
-      
-      // Перевірка умов входу (з fallback)
-      let entryConditions;
-      try {
-        entryConditions = await this.strategy.checkEntryConditions(marketData);
-      } catch (strategyError) {
-        logger.debug(`Strategy error for ${symbol}: ${strategyError.message}`);
-        // Fallback - простіші умови
-        entryConditions = this.checkBasicEntryConditions(marketData);
-      }
-      
-      if (!entryConditions.shouldEnter) {
-        this.skippedListings++;
-        this.incrementSkipReason(entryConditions.reason);
-        logger.debug(`Entry conditions not met for ${symbol}: ${entryConditions.reason}`);
-        return { processed: false, reason: entryConditions.reason };
+      const prepared = await this.prepareListing(listing);
+      if (!prepared.ready) {
+        return { processed: false, reason: prepared.reason, errors: prepared.errors };
       }
+      const { marketData, entryPlan } = prepared;
       
-      // Перевірка балансу
-      if (this.currentBalance < this.config.buyAmountUsdt) {
+      // Розмір позиції та перевірка балансу
+      const entryData = this.buildEntryData(marketData, entryPlan);
+      const sizing = this.calculatePositionSize(entryData);
+      const sizeCheck = this.riskManager.checkEntry({ symbol, time: entryData.currentTime })
+        || this.checkPositionSize(sizing, this.currentBalance, entryData)
+        || this.riskManager.checkExposure(sizing.amountUsdt, 0);
+      if (sizeCheck) {
         this.skippedListings++;
-        this.incrementSkipReason('insufficient_balance');
-        logger.debug(`Skipping ${symbol}: insufficient_balance`);
-        return { processed: false, reason: 'insufficient_balance' };
+        this.incrementSkipReason(sizeCheck);
+        logger.debug(`Skipping ${symbol}: ${sizeCheck}`);
+        return { processed: false, reason: sizeCheck };
       }
       
       // Виконання торгівлі
-      const tradeResult = await this.executeTrade(marketData, configId);
+      const tradeResult = await this.executeTrade(marketData, configId, entryPlan, sizing);
       if (tradeResult.success) {
         this.processedListings++;
       }
@@ -302,52 +352,334 @@ export class TradingSimulator {
     }
   }
 
+  /**
+   * Підготовка лістингу: завантаження даних, валідація та умови входу.
+   * Причини пропуску одразу враховуються у skipReasonCounts.
+   * @returns {Object} { ready: true, marketData, entryConditions, entryPlan } або { ready: false, reason }
+   */
+  async prepareListing(listing) {
+    const { symbol_id, symbol, listing_date, klines_count } = listing;
+    
+    // Перевірка кількості даних
+    if (klines_count < 10) {
+      this.skippedListings++;
+      this.incrementSkipReason('insufficient_klines');
+      logger.debug(`Skipping ${symbol}: insufficient_klines (${klines_count})`);
+      return { ready: false, reason: 'insufficient_klines' };
+    }
+
+    // Отримання ринкових даних
+    const marketData = await this.getMarketDataForListing(symbol_id, symbol, listing_date);
+
+    if (!marketData || !marketData.klines || marketData.klines.length < 3) {
+      this.skippedListings++;
+      this.incrementSkipReason('no_market_data');
+      logger.debug(`Skipping ${symbol}: no_market_data`);
+      return { ready: false, reason: 'no_market_data' };
+    }
+    // Правила торгівлі символу з exchangeInfo (null - без округлення)
+    marketData.filters = filtersFromSymbolRow(listing);
+    
+    // Валідація ринкових даних
+    try {
+      const validation = validateMarketData(marketData);
+      if (!validation.isValid) {
+        logger.debug(`Invalid market data for ${symbol}: ${validation.errors.join(', ')}`);
+        this.skippedListings++;
+        this.incrementSkipReason('invalid_data');
+        return { ready: false, reason: 'invalid_data', errors: validation.errors };
+      }
+    } catch (validationError) {
+      logger.debug(`Market data validation failed for ${symbol}: ${validationError.message}`);
+      this.skippedListings++;
+      this.incrementSkipReason('validation_error');
+      return { ready: false, reason: 'validation_error' };
+    }
+    
+    // Синтетичний стакан має бути коректним (без quote volume стакану немає взагалі)
+    const orderBookValidation = marketData.orderBook ? validateOrderBook(marketData.orderBook) : { isValid: true };
+    if (!orderBookValidation.isValid) {
+      logger.debug(`Invalid order book for ${symbol}: ${orderBookValidation.errors.join(', ')}`);
+      this.skippedListings++;
+      this.incrementSkipReason('invalid_order_book');
+      return { ready: false, reason: 'invalid_order_book', errors: orderBookValidation.errors };
+    }
+    
+    // План входу за режимом entryTiming: вихід можливий лише на свічках після виконання
+    const entryPlan = planEntry(marketData.klines, this.config);
+    if (!entryPlan.found) {
+      this.skippedListings++;
+      this.incrementSkipReason(entryPlan.reason);
+      logger.debug(`Skipping ${symbol}: ${entryPlan.reason} (${this.config.entryTiming})`);
+      return { ready: false, reason: entryPlan.reason };
+    }
+    
+    // Стратегія бачить тільки дані, доступні на момент сигналу
+    const signalData = this.sliceMarketData(marketData, entryPlan.signalIndex);
+    
+    // Перевірка умов входу (з fallback)
+    let entryConditions;
+    try {
+      entryConditions = await this.strategy.checkEntryConditions(signalData);
+    } catch (strategyError) {
+      logger.debug(`Strategy error for ${symbol}: ${strategyError.message}`);
+      // Fallback - простіші умови
+      entryConditions = this.checkBasicEntryConditions(signalData);
+    }
+    
+    if (!entryConditions.shouldEnter) {
+      this.skippedListings++;
+      this.incrementSkipReason(entryConditions.reason);
+      logger.debug(`Entry conditions not met for ${symbol}: ${entryConditions.reason}`);
+      return { ready: false, reason: entryConditions.reason };
+    }
+    
+    const holdingData = await this.extendToHoldingHorizon(marketData, entryPlan);
+    return { ready: true, marketData: holdingData, entryConditions, entryPlan };
+  }
+
+  /**
+   * Свічки до кінця утримання: горизонт рахується від виконання входу, а не від лістингу,
+   * тож для пізнього входу (delay, pullback, breakout, затримка) вікно довантажується.
+   * Початок вікна той самий, тому індекси плану входу лишаються чинними.
+   */
+  async extendToHoldingHorizon(marketData, entryPlan) {
+    const holdingEnd = entryPlan.executionTime + this.config.maxHoldingMinutes * 60 * 1000;
+    if (holdingEnd <= marketData.currentTime) {
+      return marketData;
+    }
+    
+    const klines = await this.loadKlines(marketData.symbolId, marketData.listingDate, holdingEnd);
+    if (klines.length <= marketData.klines.length) {
+      return marketData;
+    }
+    
+    const extended = this.buildMarketData(marketData.symbol, klines, marketData.listingDate, holdingEnd, marketData.symbolId);
+    return this.attachAggTrades({ ...marketData, ...extended });
+  }
+
+  /**
+   * Знімок ринкових даних на момент закриття свічки entryIndex
+   */
+  sliceMarketData(marketData, entryIndex) {
+    const klines = marketData.klines.slice(0, entryIndex + 1);
+    const entryKline = klines[klines.length - 1];
+    
+    return {
+      ...marketData,
+      ticker: {
+        ...marketData.ticker,
+        price: entryKline.close
+      },
+      orderBook: this.buildOrderBook(entryKline),
+      klines,
+      currentTime: entryKline.closeTime
+    };
+  }
+
+  /**
+   * Ринкові дані на момент виконання входу за планом: ціна всередині свічки виконання
+   * та час сигналу, від якого рахується вартість затримки
+   */
+  buildEntryData(marketData, entryPlan) {
+    const entryData = this.sliceMarketData(marketData, entryPlan.executionIndex);
+    
+    return {
+      ...entryData,
+      ticker: {
+        ...entryData.ticker,
+        price: entryPlan.price
+      },
+      currentTime: entryPlan.executionTime,
+      signalTime: entryPlan.signalTime,
+      signalPrice: entryPlan.signalPrice
+    };
+  }
+
+  /**
+   * Синтетичний стакан для свічки; null, якщо свічка не має quote volume -
+   * тоді стратегія оцінює ліквідність за об'ємом
+   */
+  buildOrderBook(kline) {
+    const orderBook = this.orderBookGenerator.generate(kline);
+    return orderBook.asks.length > 0 ? orderBook : null;
+  }
+
+  /**
+   * Портфельна симуляція: свічки всіх лістингів зливаються в одну часову шкалу,
+   * позиції лишаються відкритими, а нові входи дозволені лише за наявності
+   * вільних слотів (maxOpenTrades), вільного капіталу та після cooldown.
+   */
+  async runPortfolioReplay(listings, configId) {
+    const events = [];
+    
+    for (const listing of listings) {
+      try {
+        const prepared = await this.prepareListing(listing);
+        if (!prepared.ready) continue;
+        
+        const { marketData, entryConditions, entryPlan } = prepared;
+        const entryData = this.buildEntryData(marketData, entryPlan);
+        const entryKline = entryData.klines[entryData.klines.length - 1];
+        const pathKlines = this.holdingKlines(marketData, entryPlan.exitStartIndex, entryData.currentTime);
+        
+        events.push({
+          type: 'entry',
+          time: entryData.currentTime,
+          symbol: marketData.symbol,
+          marketData: entryData,
+          entryConditions
+        });
+        
+        for (const kline of pathKlines) {
+          events.push({ type: 'candle', time: kline.closeTime, symbol: marketData.symbol, kline });
+        }
+        
+        // Закриття за таймаутом після останньої доступної свічки
+        const lastKline = pathKlines.length > 0 ? pathKlines[pathKlines.length - 1] : entryKline;
+        events.push({ type: 'expire', time: lastKline.closeTime, symbol: marketData.symbol });
+        
+      } catch (error) {
+        logger.error(`Error preparing listing ${listing.symbol}: ${error.message}`);
+        this.skippedListings++;
+        this.incrementSkipReason('processing_error');
+      }
+    }
+    
+    // При однаковому часі спершу звільняємо слоти (виходи), потім входимо
+    const typeOrder = { candle: 0, expire: 1, entry: 2 };
+    events.sort((a, b) => (a.time - b.time) || (typeOrder[a.type] - typeOrder[b.type]));
+    
+    logger.info(`Portfolio replay: ${events.length} events on a global timeline`);
+    
+    for (const event of events) {
+      if (event.type === 'entry') {
+        await this.handlePortfolioEntry(event, configId);
+        continue;
+      }
+      
+      const position = this.activeTrades.get(event.symbol);
+      if (!position) continue;
+      
+      const exit = event.type === 'candle'
+        ? position.processCandle(event.kline)
+        : position.closeAtMarket('timeout');
+      
+      if (exit) {
+        await this.closePosition(position, exit, configId);
+      }
+    }
+  }
+
+  /**
+   * Спроба входу в портфельному режимі з урахуванням слотів, cooldown та капіталу
+   */
+  async handlePortfolioEntry(event, configId) {
+    const { symbol, marketData, time } = event;
+    const sizing = this.calculatePositionSize(marketData);
+    const riskReason = this.riskManager.checkEntry({ symbol, time });
+    let reason = null;
+    
+    if (this.activeTrades.has(symbol)) {
+      reason = 'already_trading';
+    } else if (riskReason) {
+      reason = riskReason;
+    } else if (this.activeTrades.size >= this.config.maxOpenTrades) {
+      reason = 'max_open_trades';
+    } else if (this.lastEntryTime !== null && time - this.lastEntryTime < this.config.cooldownSeconds * 1000) {
+      reason = 'cooldown';
+    } else {
+      reason = this.checkPositionSize(sizing, this.getAvailableBalance(), marketData)
+        || this.riskManager.checkExposure(sizing.amountUsdt, this.lockedCapital);
+    }
+    
+    if (reason) {
+      this.skippedListings++;
+      this.incrementSkipReason(reason);
+      logger.debug(`Skipping ${symbol} at ${time}: ${reason}`);
+      return { processed: false, reason };
+    }
+    
+    const position = this.openPosition(marketData, parseFloat(marketData.ticker.price), time, sizing.amountUsdt);
+    this.activeTrades.set(symbol, position);
+    this.lockedCapital += position.costUsdt;
+    this.lastEntryTime = time;
+    this.maxConcurrentTrades = Math.max(this.maxConcurrentTrades, this.activeTrades.size);
+    this.processedListings++;
+    
+    return { processed: true, position };
+  }
+
+  /**
+   * Розмір позиції за політикою sizingPolicy на момент входу
+   */
+  calculatePositionSize(marketData) {
+    return this.positionSizer.size({
+      equity: this.currentBalance,
+      klines: marketData.klines,
+      recentTrades: this.completedTrades
+    });
+  }
+
+  /**
+   * Причина пропуску входу через розмір позиції або null.
+   * Ордер, який біржа відхилила б за правилами символу, теж пропускається (напр. below_min_notional)
+   */
+  checkPositionSize(sizing, availableBalance, marketData = null) {
+    if (!(sizing.amountUsdt > 0)) {
+      return 'zero_position_size';
+    }
+    if (availableBalance < sizing.amountUsdt) {
+      return 'insufficient_balance';
+    }
+    if (marketData?.filters) {
+      const price = parseFloat(marketData.ticker.price);
+      const order = applyOrderFilters({ quantity: sizing.amountUsdt / price, price }, marketData.filters);
+      if (!order.valid) {
+        return order.reason;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Вільний капітал (баланс мінус заблоковане у відкритих позиціях)
+   */
+  getAvailableBalance() {
+    return this.currentBalance - this.lockedCapital;
+  }
+
   /**
    * Отримання ринкових даних для лістингу
    */
   async getMarketDataForListing(symbolId, symbol, listingDate) {
     try {
-      const klinesQuery = `
-        SELECT open_time, close_time, open_price, high_price, low_price, 
-               close_price, volume, quote_asset_volume
-        FROM historical_klines
-        WHERE symbol_id = ? 
-        AND open_time >= ? 
-        AND open_time <= ?
-        ORDER BY open_time ASC 
-        LIMIT 50
-      `;
-      
+      const horizonMs = this.config.maxHoldingMinutes * 60 * 1000;
       const startTime = listingDate || Date.now() - (24 * 60 * 60 * 1000);
-      const endTime = startTime + (60 * 60 * 1000); // 1 година після лістингу
+      const endTime = startTime + horizonMs;
       
-      const db = await this.dbPromise;
-      const klines = await db.all(klinesQuery, symbolId, startTime, endTime);
+      const klines = await this.loadKlines(symbolId, startTime, endTime);
       
       if (klines.length < 3) {
-        // Спробуємо отримати будь-які дані для цього символу
-        const anyKlines = await db.all(`
-          SELECT open_time, close_time, open_price, high_price, low_price, 
-                 close_price, volume, quote_asset_volume
-          FROM historical_klines
-          WHERE symbol_id = ?
-          ORDER BY open_time ASC 
-          LIMIT 20
-        `, symbolId);
+        // Спробуємо взяти той самий горизонт від першої доступної свічки символу
+        const firstOpenTime = this.klineDataset?.getFirstOpenTime(symbolId)
+          ?? (await this.klineModel.getFirstKline(symbolId))?.open_time;
+        if (firstOpenTime === undefined || firstOpenTime === null) {
+          return null;
+        }
         
+        const anyKlines = await this.loadKlines(symbolId, firstOpenTime, firstOpenTime + horizonMs);
         if (anyKlines.length < 3) {
           return null;
         }
         
-        // Використовуємо перші доступні дані
-        const klines = anyKlines;
-        const adjustedStartTime = klines[0].open_time;
-        const adjustedEndTime = klines[klines.length - 1].close_time;
+        const adjustedStartTime = anyKlines[0].open_time;
+        const adjustedEndTime = anyKlines[anyKlines.length - 1].close_time;
         
-        return this.buildMarketData(symbol, klines, adjustedStartTime, adjustedEndTime, symbolId);
+        return this.attachAggTrades(this.buildMarketData(symbol, anyKlines, adjustedStartTime, adjustedEndTime, symbolId));
       }
       
-      return this.buildMarketData(symbol, klines, startTime, endTime, symbolId);
+      return this.attachAggTrades(this.buildMarketData(symbol, klines, startTime, endTime, symbolId));
       
     } catch (error) {
       logger.error(`Failed to get market data for ${symbol}: ${error.message}`);
@@ -355,6 +687,49 @@ export class TradingSimulator {
     }
   }
 
+  /**
+   * Свічки до горизонту maxHoldingMinutes: з датасету в пам'яті, якщо вікно в ньому є,
+   * інакше з кешу або потоково з БД
+   */
+  async loadKlines(symbolId, startTime, endTime) {
+    const fromDataset = this.klineDataset?.getKlines(symbolId, startTime, endTime);
+    if (fromDataset) {
+      return fromDataset;
+    }
+    if (this.klineCache) {
+      return this.klineCache.get(symbolId, startTime, endTime, () => this.queryKlines(symbolId, startTime, endTime));
+    }
+    return this.queryKlines(symbolId, startTime, endTime);
+  }
+
+  async queryKlines(symbolId, startTime, endTime) {
+    const klines = [];
+    for await (const kline of this.klineModel.iterateBySymbolAndTimeRange(symbolId, startTime, endTime)) {
+      klines.push(kline);
+    }
+    return klines;
+  }
+
+  /**
+   * Підвантаження aggTrades для політики 'agg_trades'
+   */
+  async attachAggTrades(marketData) {
+    if (this.config.intraCandlePolicy !== 'agg_trades' || marketData.klines.length === 0) {
+      return marketData;
+    }
+    
+    const firstKline = marketData.klines[0];
+    const lastKline = marketData.klines[marketData.klines.length - 1];
+    const rows = await this.aggTradeModel.getBySymbolAndTimeRange(
+      marketData.symbolId,
+      firstKline.openTime,
+      lastKline.closeTime
+    );
+    
+    marketData.aggTrades = rows.map(row => ({ price: row.price, time: row.trade_time }));
+    return marketData;
+  }
+
   /**
    * Побудова об'єкта ринкових даних
    */
@@ -367,23 +742,27 @@ export class TradingSimulator {
       priceChangePercent: this.calculatePriceChange(klines)
     };
     
-    const currentPrice = parseFloat(lastKline.close_price);
-    const orderBook = this.generateSimulatedOrderBook(currentPrice);
+    const mappedKlines = klines.map(k => ({
+      open: k.open_price,
+      high: k.high_price,
+      low: k.low_price,
+      close: k.close_price,
+      volume: k.volume,
+      quoteAssetVolume: k.quote_asset_volume,
+      trades: k.number_of_trades,
+      takerBuyQuoteVolume: k.taker_buy_quote_asset_volume,
+      openTime: k.open_time,
+      closeTime: k.close_time
+    }));
+    
+    // Стакан калібрується по останній свічці
+    const orderBook = this.buildOrderBook(mappedKlines[mappedKlines.length - 1]);
     
     return {
       symbol,
       ticker,
       orderBook,
-      klines: klines.map(k => ({
-        open: k.open_price,
-        high: k.high_price,
-        low: k.low_price,
-        close: k.close_price,
-        volume: k.volume,
-        quoteAssetVolume: k.quote_asset_volume,
-        openTime: k.open_time,
-        closeTime: k.close_time
-      })),
+      klines: mappedKlines,
       listingDate: startTime,
       currentTime: endTime,
       symbolId
@@ -435,69 +814,32 @@ export class TradingSimulator {
   /**
    * Виконання торгівлі (ВИПРАВЛЕНО: прибрано штраф за timeout)
    */
-  async executeTrade(marketData, configId) {
+  async executeTrade(marketData, configId, entryPlan = null, sizing = null) {
     try {
-      const entryPrice = parseFloat(marketData.ticker.price);
-      const quantity = this.config.buyAmountUsdt / entryPrice;
-      const entryTime = marketData.currentTime || Date.now();
-      
-      // Розрахунок цілей
-      const takeProfitPrice = entryPrice * (1 + this.config.takeProfitPercent);
-      const stopLossPrice = entryPrice * (1 - this.config.stopLossPercent);
+      // Вхід за планом entryTiming, а не на останній завантаженій свічці:
+      // інакше вихід шукався б на свічках до входу
+      const plan = entryPlan || planEntry(marketData.klines, this.config);
+      if (!plan.found) {
+        return { success: false, reason: plan.reason };
+      }
+      const entryData = this.buildEntryData(marketData, plan);
+      const entryPrice = parseFloat(entryData.ticker.price);
+      const entryTime = entryData.currentTime || Date.now();
+      const { amountUsdt } = sizing || this.calculatePositionSize(entryData);
+      const position = this.openPosition(entryData, entryPrice, entryTime, amountUsdt);
       
       // Симуляція виходу
-      const simulatedExit = this.simulateTradeExit(marketData, entryPrice, takeProfitPrice, stopLossPrice);
-      
-      // Розрахунок комісій та прибутку через спільну утиліту
-      const buyCommission = calculateCommission(
-        this.config.buyAmountUsdt,
-        this.config.binanceFeePercent * 100
-      );
-      const sellCommission = calculateCommission(
-        quantity * simulatedExit.exitPrice,
-        this.config.binanceFeePercent * 100
-      );
-      const entryCommission = buyCommission;
-      const exitCommission = sellCommission;
-      const profitLoss = calculateProfitLoss({
-        entryPrice,
-        exitPrice: simulatedExit.exitPrice,
-        quantity,
-        entryCommission,
-        exitCommission
-      });
-      const profitLossUsdt = profitLoss.usdt;
-      const profitLossPercent = profitLoss.percent;
+      const simulatedExit = this.simulateTradeExit(marketData, position, plan.exitStartIndex);
+      const trade = this.buildTradeResult(position, simulatedExit);
       
       // ДОДАТКОВО: логування для діагностики
       if (simulatedExit.reason === 'timeout') {
-        logger.debug(`Timeout trade: ${marketData.symbol}, entry: ${entryPrice.toFixed(6)}, exit: ${simulatedExit.exitPrice.toFixed(6)}, P&L: ${profitLossPercent.toFixed(2)}%`);
-      }
-      
-      // Створення торгової операції
-      const trade = {
-        symbolId: marketData.symbolId,
-        symbol: marketData.symbol,
-        entryTime,
-        entryPrice,
-        exitTime: simulatedExit.exitTime,
-        exitPrice: simulatedExit.exitPrice,
-        exitReason: simulatedExit.reason,
-        quantity,
-        profitLossUsdt,
-        profitLossPercent,
-        buyCommission,
-        sellCommission
-      };
-      
-      // Оновлення балансу та статистики
-      this.currentBalance += profitLossUsdt;
-      this.completedTrades.push(trade);
+        logger.debug(`Timeout trade: ${marketData.symbol}, entry: ${entryPrice.toFixed(6)}, exit: ${simulatedExit.exitPrice.toFixed(6)}, P&L: ${trade.profitLossPercent.toFixed(2)}%`);
+      }
       
-      // Збереження в БД
-      await this.saveTradeToDatabase(configId, trade);
+      await this.recordTrade(trade, configId);
       
-      logger.debug(`Trade executed: ${marketData.symbol} ${profitLossPercent.toFixed(2)}% (${simulatedExit.reason})`);
+      logger.debug(`Trade executed: ${marketData.symbol} ${trade.profitLossPercent.toFixed(2)}% (${simulatedExit.reason})`);
       
       return { success: true, trade };
       
@@ -508,46 +850,203 @@ export class TradingSimulator {
   }
 
   /**
-   * Симуляція виходу з торгівлі (ВИПРАВЛЕНО: прибрано штраф за timeout)
+   * Відкриття позиції з розрахунком цілей
    */
-  simulateTradeExit(marketData, entryPrice, takeProfitPrice, stopLossPrice) {
-    const klines = marketData.klines;
-    const entryTime = marketData.currentTime || Date.now();
+  openPosition(marketData, expectedPrice, entryTime, amountUsdt = this.config.buyAmountUsdt) {
+    // Вхід виконується по стакану свічки входу (або записаному знімку)
+    const entryKline = marketData.klines[marketData.klines.length - 1];
+    const fill = this.fillModel.fillBuy(expectedPrice, amountUsdt, {
+      kline: entryKline,
+      orderBook: marketData.recordedOrderBook
+    });
+    const entryPrice = fill.filledPrice;
+    const exitConditions = this.strategy.getExitConditions(entryPrice, this.config);
     
-    // Перевіряємо наступні свічки після входу
-    for (let i = 1; i < klines.length; i++) {
-      const kline = klines[i];
-      const high = parseFloat(kline.high);
-      const low = parseFloat(kline.low);
-      const close = parseFloat(kline.close);
-      const time = kline.closeTime;
-      
-      // Take Profit досягнуто
-      if (high >= takeProfitPrice) {
-        return {
-          exitPrice: takeProfitPrice,
-          exitTime: time,
-          reason: 'take_profit'
-        };
+    // Як і в живій торгівлі: кількість за кроком лоту від очікуваної ціни
+    const quantity = marketData.filters
+      ? applyOrderFilters({ quantity: amountUsdt / expectedPrice, price: expectedPrice }, marketData.filters).quantity
+      : amountUsdt / entryPrice;
+    
+    return new SimulatedPosition({
+      symbol: marketData.symbol,
+      symbolId: marketData.symbolId,
+      entryTime,
+      entryPrice,
+      expectedEntryPrice: expectedPrice,
+      signalTime: marketData.signalTime ?? entryTime,
+      signalPrice: marketData.signalPrice ?? expectedPrice,
+      entryKline,
+      quantity,
+      costUsdt: marketData.filters ? quantity * entryPrice : amountUsdt,
+      filters: marketData.filters || null,
+      takeProfitPrice: exitConditions.takeProfitPrice,
+      stopLossPrice: exitConditions.stopLossPrice,
+      exitLadder: this.config.exitLadder,
+      trailingStop: this.trailingStop,
+      intraCandlePolicy: this.config.intraCandlePolicy,
+      aggTrades: marketData.aggTrades || []
+    });
+  }
+
+  /**
+   * Закриття відкритої позиції (портфельний режим)
+   */
+  async closePosition(position, exit, configId) {
+    this.activeTrades.delete(position.symbol);
+    this.lockedCapital = Math.max(0, this.lockedCapital - position.costUsdt);
+    
+    const trade = this.buildTradeResult(position, exit);
+    await this.recordTrade(trade, configId);
+    
+    logger.debug(`Position closed: ${position.symbol} ${trade.profitLossPercent.toFixed(2)}% (${exit.reason})`);
+    return trade;
+  }
+
+  /**
+   * Ноги виходу за правилами символу: часткові ноги округлюються до кроку лоту,
+   * а ті, що біржа відхилила б, переносяться на наступну ногу. Остання нога продає залишок.
+   */
+  applyLegFilters(legs, quantity, filters) {
+    if (!filters || legs.length < 2) {
+      return legs;
+    }
+    
+    const result = [];
+    let sold = 0;
+    let carried = 0;
+    legs.forEach((leg, index) => {
+      if (index === legs.length - 1) {
+        result.push({ ...leg, quantity: quantity - sold });
+        return;
       }
-      
-      // Stop Loss досягнуто
-      if (low <= stopLossPrice) {
+      const order = applyOrderFilters({ quantity: leg.quantity + carried, price: leg.price }, filters);
+      if (!order.valid) {
+        carried += leg.quantity;
+        return;
+      }
+      carried = 0;
+      sold += order.quantity;
+      result.push({ ...leg, quantity: order.quantity });
+    });
+    return result;
+  }
+
+  /**
+   * Розрахунок комісій та прибутку через спільну утиліту
+   */
+  buildTradeResult(position, exit) {
+    const { entryPrice, expectedEntryPrice, quantity } = position;
+    
+    // Кожна нога виходу виконується по стакану своєї свічки
+    const plannedLegs = exit.legs || [{ price: exit.exitPrice, quantity, time: exit.exitTime, reason: exit.reason, kline: position.lastKline }];
+    const exitLegs = this.applyLegFilters(plannedLegs, quantity, position.filters)
+      .map(leg => {
+        const fill = this.fillModel.fillSell(leg.price, leg.quantity, { kline: leg.kline });
         return {
-          exitPrice: stopLossPrice,
-          exitTime: time,
-          reason: 'stop_loss'
+          exitTime: leg.time,
+          exitReason: leg.reason,
+          quantity: leg.quantity,
+          expectedExitPrice: leg.price,
+          exitPrice: fill.filledPrice,
+          slippagePercent: fill.slippagePercent,
+          commission: calculateCommission(leg.quantity * fill.filledPrice, this.config.binanceFeePercent * 100)
         };
+      });
+    
+    const exitPrice = aggregateLegs(exitLegs.map(leg => ({ price: leg.exitPrice, quantity: leg.quantity }))).averagePrice;
+    const exitSlippagePercent = exitLegs.length === 1
+      ? exitLegs[0].slippagePercent
+      : (exit.exitPrice - exitPrice) / exit.exitPrice * 100;
+    
+    const buyCommission = calculateCommission(
+      position.costUsdt,
+      this.config.binanceFeePercent * 100
+    );
+    const sellCommission = exitLegs.reduce((sum, leg) => sum + leg.commission, 0);
+    const profitLoss = calculateProfitLoss({
+      entryPrice,
+      exitPrice,
+      quantity,
+      entryCommission: buyCommission,
+      exitCommission: sellCommission
+    });
+    
+    return {
+      symbolId: position.symbolId,
+      symbol: position.symbol,
+      entryTime: position.entryTime,
+      entryPrice,
+      exitTime: exit.exitTime,
+      exitPrice,
+      exitReason: exit.reason,
+      expectedEntryPrice,
+      expectedExitPrice: exit.exitPrice,
+      entrySlippagePercent: (entryPrice - expectedEntryPrice) / expectedEntryPrice * 100,
+      exitSlippagePercent,
+      signalTime: position.signalTime,
+      signalPrice: position.signalPrice,
+      // Скільки ціни втрачено між сигналом і фактичним виконанням (затримка + прослизання)
+      latencyCostPercent: (entryPrice - position.signalPrice) / position.signalPrice * 100,
+      quantity,
+      positionSizeUsdt: position.costUsdt,
+      profitLossUsdt: profitLoss.usdt,
+      profitLossPercent: profitLoss.percent,
+      buyCommission,
+      sellCommission,
+      maxPriceReached: position.maxPriceReached,
+      minPriceReached: position.minPriceReached,
+      trailingStopTriggered: exit.reason === 'trailing_stop',
+      trailingStopActivatedAt: position.trailingStopActivatedAt,
+      ambiguousExit: Boolean(exit.ambiguous),
+      ambiguityResolvedBy: exit.resolvedBy || null,
+      exitLegs
+    };
+  }
+
+  /**
+   * Оновлення балансу, статистики та збереження угоди
+   */
+  async recordTrade(trade, configId) {
+    this.currentBalance += trade.profitLossUsdt;
+    this.completedTrades.push(trade);
+    
+    // Збереження в БД
+    if (this.persistResults) {
+      await this.saveTradeToDatabase(configId, trade);
+    }
+    
+    // Ризик-ліміти рахуються так само, як у TradingEngine
+    const halt = this.riskManager.recordTrade(trade);
+    if (halt?.flatten) {
+      await this.closeAllActiveTrades('risk_halt', configId);
+    }
+  }
+
+  /**
+   * Свічки, на яких позиція може закритися: від startIndex (перша свічка після входу)
+   * до maxHoldingMinutes від часу входу
+   */
+  holdingKlines(marketData, startIndex, entryTime) {
+    const holdingEnd = entryTime + this.config.maxHoldingMinutes * 60 * 1000;
+    return marketData.klines.slice(startIndex).filter(kline => !(kline.closeTime > holdingEnd));
+  }
+
+  /**
+   * Симуляція виходу з торгівлі (ВИПРАВЛЕНО: прибрано штраф за timeout)
+   */
+  simulateTradeExit(marketData, position, startIndex = 1) {
+    const klines = this.holdingKlines(marketData, startIndex, position.entryTime);
+    
+    // Перевіряємо наступні свічки після входу
+    for (const kline of klines) {
+      const exit = position.processCandle(kline);
+      if (exit) {
+        return exit;
       }
     }
     
     // ВИПРАВЛЕНО: Timeout = закриття за поточною ціною БЕЗ ШТРАФУ
-    const lastKline = klines[klines.length - 1];
-    return {
-      exitPrice: parseFloat(lastKline.close), // Закриваємо за ринковою ціною
-      exitTime: lastKline.closeTime,
-      reason: 'timeout'
-    };
+    return position.closeAtMarket('timeout');
   }
 
   /**
@@ -556,18 +1055,30 @@ export class TradingSimulator {
   async saveTradeToDatabase(configId, trade) {
     try {
       const db = await this.dbPromise;
-      await db.run(`
+      const result = await db.run(`
         INSERT INTO simulation_results (
           config_id, symbol_id, entry_time, entry_price, exit_time, exit_price,
           exit_reason, quantity, profit_loss_usdt, profit_loss_percent,
-          buy_commission, sell_commission
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          buy_commission, sell_commission, max_price_reached, min_price_reached,
+          trailing_stop_triggered, trailing_stop_activated_at, ambiguous_exit,
+          ambiguity_resolved_by, expected_entry_price, expected_exit_price,
+          entry_slippage_percent, exit_slippage_percent, signal_time, signal_price,
+          position_size_usdt
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `,
         configId, trade.symbolId, trade.entryTime, trade.entryPrice,
         trade.exitTime, trade.exitPrice, trade.exitReason, trade.quantity,
         trade.profitLossUsdt, trade.profitLossPercent,
-        trade.buyCommission, trade.sellCommission
+        trade.buyCommission, trade.sellCommission,
+        trade.maxPriceReached, trade.minPriceReached,
+        trade.trailingStopTriggered ? 1 : 0, trade.trailingStopActivatedAt,
+        trade.ambiguousExit ? 1 : 0, trade.ambiguityResolvedBy,
+        trade.expectedEntryPrice, trade.expectedExitPrice,
+        trade.entrySlippagePercent, trade.exitSlippagePercent,
+        trade.signalTime, trade.signalPrice, trade.positionSizeUsdt
       );
+      
+      await this.exitLegModel.createBatch(result.lastID, trade.exitLegs || []);
     } catch (error) {
       logger.error(`Failed to save trade to database: ${error.message}`);
     }
@@ -589,7 +1100,22 @@ export class TradingSimulator {
         maxOpenTrades: this.config.maxOpenTrades,
         minLiquidityUsdt: this.config.minLiquidityUsdt,
         binanceFeePercent: this.config.binanceFeePercent,
-        cooldownSeconds: this.config.cooldownSeconds
+        cooldownSeconds: this.config.cooldownSeconds,
+        intraCandlePolicy: this.config.intraCandlePolicy,
+        strategy: this.config.strategy,
+        strategyParams: this.config.strategyParams,
+        fillModel: this.config.fillModel,
+        orderBookSeed: this.config.orderBookSeed,
+        entryTiming: this.config.entryTiming,
+        entryDelaySeconds: this.config.entryDelaySeconds,
+        pullbackPercent: this.config.pullbackPercent,
+        breakoutMinutes: this.config.breakoutMinutes,
+        entryLatencyMs: this.config.entryLatencyMs,
+        maxHoldingMinutes: this.config.maxHoldingMinutes,
+        exitLadder: this.config.exitLadder,
+        sizingPolicy: this.config.sizingPolicy,
+        sizingParams: this.config.sizingParams,
+        riskLimits: this.config.riskLimits
       };
       
       return await this.configModel.create(normalizedConfig);
@@ -604,24 +1130,62 @@ export class TradingSimulator {
    */
   async generateResults(configId) {
     try {
+      const { equityCurve, ...metrics } = calculatePerformanceMetrics(this.completedTrades || [], this.initialBalance);
       const summary = {
         configName: this.config?.name || 'Unknown',
         totalTrades: this.completedTrades?.length || 0,
         profitableTrades: this.completedTrades?.filter(t => t.profitLossUsdt > 0).length || 0,
         losingTrades: this.completedTrades?.filter(t => t.profitLossUsdt < 0).length || 0,
+        timeoutTrades: this.completedTrades?.filter(t => t.exitReason === 'timeout').length || 0,
+        trailingStopTrades: this.completedTrades?.filter(t => t.exitReason === 'trailing_stop').length || 0,
+        ambiguousTrades: this.completedTrades?.filter(t => t.ambiguousExit).length || 0,
+        partialExitTrades: this.completedTrades?.filter(t => t.exitLegs?.length > 1).length || 0,
+        sizingPolicy: this.config.sizingPolicy,
+        averagePositionSizeUsdt: this.completedTrades?.length > 0
+          ? this.completedTrades.reduce((sum, t) => sum + t.positionSizeUsdt, 0) / this.completedTrades.length
+          : 0,
+        intraCandlePolicy: this.config.intraCandlePolicy,
+        fillModel: this.config.fillModel,
+        orderBookSeed: this.orderBookGenerator.seed,
+        entryTiming: this.config.entryTiming,
+        entryLatencyMs: this.config.entryLatencyMs,
+        maxHoldingMinutes: this.config.maxHoldingMinutes,
+        averageSlippagePercent: 0,
+        averageLatencyCostPercent: 0,
         winRate: 0,
         totalReturn: 0,
         roiPercent: 0,
         initialBalance: this.initialBalance,
         finalBalance: this.currentBalance,
-        maxDrawdown: 0,
-        sharpeRatio: 0,
+        maxDrawdown: metrics.maxDrawdownPercent,
+        maxDrawdownUsdt: metrics.maxDrawdownUsdt,
+        maxDrawdownDurationMinutes: metrics.maxDrawdownDurationMinutes,
+        sharpeRatio: metrics.sharpeRatio,
+        sortinoRatio: metrics.sortinoRatio,
+        calmarRatio: metrics.calmarRatio,
+        annualizedReturnPercent: metrics.annualizedReturnPercent,
         profitFactor: 0,
+        expectancyUsdt: metrics.expectancyUsdt,
+        expectancyPercent: metrics.expectancyPercent,
+        payoffRatio: metrics.payoffRatio,
+        grossProfitUsdt: metrics.grossProfitUsdt,
+        grossLossUsdt: metrics.grossLossUsdt,
+        avgProfitPercent: metrics.avgProfitPercent,
+        avgLossPercent: metrics.avgLossPercent,
+        maxProfitPercent: metrics.maxProfitPercent,
+        maxLossPercent: metrics.maxLossPercent,
+        exposureTimePercent: metrics.exposureTimePercent,
+        maxWinStreak: metrics.maxWinStreak,
+        maxLossStreak: metrics.maxLossStreak,
+        simulationPeriodDays: metrics.periodDays,
         processedListings: this.processedListings || 0,
         skippedListings: this.skippedListings || 0,
         skipReasonStats: this.skipReasonCounts || {},
         simulationDuration: Date.now() - (this.simulationStartTime || Date.now()),
-        averageTradeTime: 0
+        averageTradeTime: 0,
+        replayMode: this.config.replayMode,
+        maxConcurrentTrades: this.maxConcurrentTrades,
+        riskHalts: this.riskManager.getState().halts
       };
 
       // Розрахунки тільки якщо є угоди
@@ -636,25 +1200,29 @@ export class TradingSimulator {
         }, 0);
         summary.averageTradeTime = totalDuration / summary.totalTrades / (1000 * 60); // хвилини
         
-        // Profit Factor
-        const totalProfit = this.completedTrades
-          .filter(t => t.profitLossUsdt > 0)
-          .reduce((sum, t) => sum + t.profitLossUsdt, 0);
-        const totalLoss = Math.abs(this.completedTrades
-          .filter(t => t.profitLossUsdt < 0)
-          .reduce((sum, t) => sum + t.profitLossUsdt, 0));
+        // Середнє прослизання на обох ногах угоди
+        const totalSlippage = this.completedTrades.reduce((sum, trade) => {
+          return sum + (trade.entrySlippagePercent || 0) + (trade.exitSlippagePercent || 0);
+        }, 0);
+        summary.averageSlippagePercent = totalSlippage / summary.totalTrades;
+        summary.averageLatencyCostPercent = this.completedTrades.reduce((sum, trade) => {
+          return sum + (trade.latencyCostPercent || 0);
+        }, 0) / summary.totalTrades;
         
-        summary.profitFactor = totalLoss > 0 ? totalProfit / totalLoss : 0;
+        // Profit Factor
+        summary.profitFactor = metrics.grossLossUsdt > 0 ? metrics.grossProfitUsdt / metrics.grossLossUsdt : 0;
       }
 
       // Збереження в базу даних
       if (configId) {
-        await this.saveSummaryToDatabase(configId, summary);
+        await this.saveSummaryToDatabase(configId, summary, equityCurve);
       }
 
       return {
+        configId,
         summary,
-        trades: this.completedTrades || []
+        trades: this.completedTrades || [],
+        equityCurve
       };
       
     } catch (error) {
@@ -673,7 +1241,8 @@ export class TradingSimulator {
           finalBalance: this.currentBalance,
           error: error.message
         },
-        trades: []
+        trades: [],
+        equityCurve: []
       };
     }
   }
@@ -683,17 +1252,21 @@ export class TradingSimulator {
    */
   async createEmptyResults(configId, validationInfo) {
     try {
-      await this.saveSummaryToDatabase(configId, {
-        totalTrades: 0,
-        profitableTrades: 0,
-        losingTrades: 0,
-        winRate: 0,
-        totalReturn: 0,
-        roiPercent: 0,
-        averageTradeTime: 0
-      });
+      if (configId) {
+        await this.saveSummaryToDatabase(configId, {
+          totalTrades: 0,
+          profitableTrades: 0,
+          losingTrades: 0,
+          winRate: 0,
+          totalReturn: 0,
+          roiPercent: 0,
+          averageTradeTime: 0,
+          orderBookSeed: this.orderBookGenerator.seed
+        });
+      }
 
       return {
+        configId,
         summary: {
           configName: this.config.name,
           totalTrades: 0,
@@ -713,7 +1286,8 @@ export class TradingSimulator {
           simulationDuration: Date.now() - this.simulationStartTime,
           noDataReason: validationInfo
         },
-        trades: []
+        trades: [],
+        equityCurve: []
       };
     } catch (error) {
       logger.error(`Error creating empty results: ${error.message}`);
@@ -722,47 +1296,85 @@ export class TradingSimulator {
   }
 
   /**
-   * Збереження результатів в базу даних
+   * Збереження результатів і кривої капіталу в базу даних
+   * @returns {number|null} id рядка simulation_summary
    */
-  async saveSummaryToDatabase(configId, summary) {
+  async saveSummaryToDatabase(configId, summary, equityCurve = []) {
     try {
       const db = await this.dbPromise;
       
-      await db.run(`
+      const result = await db.run(`
         INSERT INTO simulation_summary (
           config_id, total_trades, profitable_trades, losing_trades,
-          timeout_trades, trailing_stop_trades, total_profit_usdt, total_loss_usdt,
-          net_profit_usdt, win_rate_percent, avg_profit_percent, avg_loss_percent,
-          max_profit_percent, max_loss_percent, avg_trade_duration_minutes,
-          total_simulation_period_days, roi_percent, sharpe_ratio, max_drawdown_percent
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          timeout_trades, trailing_stop_trades, ambiguous_trades, partial_exit_trades,
+          total_profit_usdt, total_loss_usdt, net_profit_usdt, win_rate_percent, avg_profit_percent,
+          avg_loss_percent, max_profit_percent, max_loss_percent, avg_trade_duration_minutes,
+          total_simulation_period_days, roi_percent, sharpe_ratio, max_drawdown_percent,
+          sortino_ratio, calmar_ratio, max_drawdown_usdt, max_drawdown_duration_minutes,
+          expectancy_usdt, expectancy_percent, payoff_ratio, exposure_time_percent,
+          max_win_streak, max_loss_streak, order_book_seed
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `,
         configId,
         summary.totalTrades || 0,
         summary.profitableTrades || 0,
         summary.losingTrades || 0,
-        0, // timeout_trades
-        0, // trailing_stop_trades
-        Math.max(0, summary.totalReturn || 0), // total_profit_usdt
-        Math.abs(Math.min(0, summary.totalReturn || 0)), // total_loss_usdt
+        summary.timeoutTrades || 0,
+        summary.trailingStopTrades || 0,
+        summary.ambiguousTrades || 0,
+        summary.partialExitTrades || 0,
+        summary.grossProfitUsdt ?? Math.max(0, summary.totalReturn || 0), // total_profit_usdt
+        summary.grossLossUsdt ?? Math.abs(Math.min(0, summary.totalReturn || 0)), // total_loss_usdt
         summary.totalReturn || 0, // net_profit_usdt
         summary.winRate || 0,
-        0, // avg_profit_percent
-        0, // avg_loss_percent
-        0, // max_profit_percent
-        0, // max_loss_percent
+        summary.avgProfitPercent || 0,
+        summary.avgLossPercent || 0,
+        summary.maxProfitPercent || 0,
+        summary.maxLossPercent || 0,
         summary.averageTradeTime || 0,
-        0, // total_simulation_period_days
+        Math.ceil(summary.simulationPeriodDays || 0), // total_simulation_period_days
         summary.roiPercent || 0,
         summary.sharpeRatio || 0,
-        summary.maxDrawdown || 0
+        summary.maxDrawdown || 0,
+        summary.sortinoRatio || 0,
+        summary.calmarRatio || 0,
+        summary.maxDrawdownUsdt || 0,
+        summary.maxDrawdownDurationMinutes || 0,
+        summary.expectancyUsdt || 0,
+        summary.expectancyPercent || 0,
+        summary.payoffRatio || 0,
+        summary.exposureTimePercent || 0,
+        summary.maxWinStreak || 0,
+        summary.maxLossStreak || 0,
+        summary.orderBookSeed ?? null
       );
+
+      if (equityCurve.length > 0) {
+        await this.equityCurveModel.createBatch(result.lastID, equityCurve);
+      }
+      return result.lastID;
       
     } catch (error) {
       logger.error(`Failed to save summary to database: ${error.message}`);
+      return null;
     }
   }
 
+  /**
+   * Збереження результатів симуляції, виконаної без запису в БД (persistResults: false):
+   * конфігурація, угоди в порядку закриття, зведення і крива капіталу
+   * @param {Object} results - { summary, trades, equityCurve } з runSimulation
+   * @returns {number} id конфігурації
+   */
+  async saveResults({ summary, trades = [], equityCurve = [] }) {
+    const configId = await this.saveConfiguration();
+    for (const trade of trades) {
+      await this.saveTradeToDatabase(configId, trade);
+    }
+    await this.saveSummaryToDatabase(configId, summary, equityCurve);
+    return configId;
+  }
+
   /**
    * Детальне логування результатів симуляції
    */
@@ -773,12 +1385,33 @@ export class TradingSimulator {
     logger.info(`Processed listings: ${summary.processedListings}`);
     logger.info(`Skipped listings: ${summary.skippedListings}`);
     logger.info(`Skip reasons: ${JSON.stringify(summary.skipReasonStats)}`);
+    if (summary.replayMode === 'portfolio') {
+      logger.info(`Max concurrent trades: ${summary.maxConcurrentTrades}/${this.config.maxOpenTrades}`);
+    }
     
     if (summary.totalTrades > 0) {
       logger.info(`Total trades: ${summary.totalTrades}`);
       logger.info(`Win rate: ${summary.winRate.toFixed(2)}%`);
       logger.info(`ROI: ${summary.roiPercent.toFixed(2)}%`);
       logger.info(`Net profit: ${summary.totalReturn.toFixed(2)} USDT`);
+      logger.info(`Max drawdown: ${summary.maxDrawdown.toFixed(2)}% (${summary.maxDrawdownUsdt.toFixed(2)} USDT, ${summary.maxDrawdownDurationMinutes.toFixed(0)} min)`);
+      logger.info(`Sharpe: ${summary.sharpeRatio.toFixed(2)}, Sortino: ${summary.sortinoRatio.toFixed(2)}, Calmar: ${summary.calmarRatio.toFixed(2)}`);
+      logger.info(`Expectancy: ${summary.expectancyUsdt.toFixed(2)} USDT/trade, payoff ${summary.payoffRatio.toFixed(2)}, exposure ${summary.exposureTimePercent.toFixed(1)}%`);
+      if (this.config.trailingStopEnabled) {
+        logger.info(`Trailing stop exits: ${summary.trailingStopTrades}`);
+      }
+      if (summary.fillModel !== 'ideal') {
+        logger.info(`Average slippage per trade: ${summary.averageSlippagePercent.toFixed(3)}% (${summary.fillModel})`);
+      }
+      if (summary.entryTiming !== 'window_close') {
+        logger.info(`Entry timing: ${summary.entryTiming}, latency ${summary.entryLatencyMs}ms, avg cost vs signal: ${summary.averageLatencyCostPercent.toFixed(3)}%`);
+      }
+      if (summary.partialExitTrades > 0) {
+        logger.info(`Trades closed in several legs: ${summary.partialExitTrades}`);
+      }
+      if (summary.ambiguousTrades > 0) {
+        logger.info(`Ambiguous TP/SL candles: ${summary.ambiguousTrades} (policy: ${summary.intraCandlePolicy})`);
+      }
     } else {
       logger.warn(`⚠️ No trades executed during simulation`);
       if (summary.noDataReason) {
@@ -803,7 +1436,9 @@ export class TradingSimulator {
   async closeAllActiveTrades(reason, configId) {
     if (this.activeTrades && this.activeTrades.size > 0) {
       logger.info(`Closing ${this.activeTrades.size} active trades due to: ${reason}`);
-      this.activeTrades.clear();
+      for (const position of Array.from(this.activeTrades.values())) {
+        await this.closePosition(position, position.closeAtMarket(reason), configId);
+      }
     }
   }
 
@@ -816,64 +1451,6 @@ export class TradingSimulator {
     
     return change.toFixed(2);
   }
-
-  generateSimulatedOrderBook(currentPrice) {
-    const bids = [];
-    const asks = [];
-    const spread = currentPrice * 0.001; // 0.1% spread
-    
-    for (let i = 0; i < 5; i++) {
-      const bidPrice = currentPrice - spread - (i * spread * 0.1);
-      const askPrice = currentPrice + spread + (i * spread * 0.1);
-      const quantity = Math.random() * 1000 + 100;
-      
-      bids.push([bidPrice.toFixed(8), quantity.toFixed(2)]);
-      asks.push([askPrice.toFixed(8), quantity.toFixed(2)]);
-    }
-    
-    return { bids, asks };
-  }
-}
-
-/**
- * Fallback стратегія для випадків коли основна недоступна
- */
-class FallbackStrategy {
-  constructor(config) {
-    this.config = config;
-  }
-
-  async checkEntryConditions(marketData) {
-    const { ticker, klines } = marketData;
-    
-    // Базові перевірки
-    const currentPrice = parseFloat(ticker.price);
-    if (!currentPrice || currentPrice <= 0) {
-      return { shouldEnter: false, reason: 'invalid_price' };
-    }
-
-    const currentVolume = parseFloat(ticker.volume) || 0;
-    if (currentVolume < 1000) {
-      return { shouldEnter: false, reason: 'low_volume' };
-    }
-
-    // Простий тренд-аналіз
-    if (klines.length >= 3) {
-      const recent = klines.slice(-3);
-      const prices = recent.map(k => parseFloat(k.close));
-      const isUptrend = prices[2] > prices[1] && prices[1] > prices[0];
-      
-      if (!isUptrend) {
-        return { shouldEnter: false, reason: 'no_uptrend' };
-      }
-    }
-
-    return {
-      shouldEnter: true,
-      reason: 'fallback_strategy_conditions_met',
-      entryPrice: currentPrice
-    };
-  }
 }
 
 export default TradingSimulator;
\ No newline at end of file
@@ -1,5 +1,9 @@
 import logger from '../../utils/logger.js';
 import { calculateCommission, calculateProfitLoss } from '../../utils/calculations.js';
+import { resolveAmbiguousCandle, normalizeIntraCandlePolicy } from '../intraCandleResolver.js';
+
+// Горизонт утримання за замовчуванням - весь період, який зберігає KlineCollector
+export const DEFAULT_MAX_HOLDING_MINUTES = 48 * 60;
 
 export class BaseStrategy {
   constructor(config) {
@@ -44,6 +48,22 @@ export class BaseStrategy {
     };
   }
   
+  /**
+   * Рівні виходу для нової позиції (без поправки на комісії)
+   * @param {number} entryPrice - Ціна входу
+   * @param {Object} config - Конфігурація (за замовчуванням конфігурація стратегії)
+   * @returns {Object} { takeProfitPrice, stopLossPrice, trailingStopEnabled, ... }
+   */
+  getExitConditions(entryPrice, config = this.config) {
+    return {
+      takeProfitPrice: entryPrice * (1 + config.takeProfitPercent),
+      stopLossPrice: entryPrice * (1 - config.stopLossPercent),
+      trailingStopEnabled: Boolean(config.trailingStopEnabled),
+      trailingStopPercent: config.trailingStopPercent || null,
+      trailingStopActivationPercent: config.trailingStopActivationPercent || null
+    };
+  }
+  
   /**
    * Перевірка умов виходу з позиції
    * @param {Object} trade - Активна угода
@@ -53,6 +73,26 @@ export class BaseStrategy {
   async checkExitConditions(trade, marketData) {
     const currentPrice = marketData.price;
     
+    // Свічка торкнулась і TP, і SL - порядок вирішує політика
+    if (marketData.high >= trade.tpPrice && marketData.low <= trade.slPrice) {
+      const resolution = resolveAmbiguousCandle({
+        kline: marketData,
+        upperPrice: trade.tpPrice,
+        lowerPrice: trade.slPrice,
+        policy: normalizeIntraCandlePolicy(this.config.intraCandlePolicy),
+        aggTrades: marketData.aggTrades
+      });
+      const takeProfitFirst = resolution.side === 'upper';
+      
+      return {
+        shouldExit: true,
+        exitPrice: takeProfitFirst ? trade.tpPrice : trade.slPrice,
+        reason: takeProfitFirst ? 'take_profit' : 'stop_loss',
+        ambiguous: true,
+        resolvedBy: resolution.resolvedBy
+      };
+    }
+    
     // Базова перевірка TP/SL
     if (marketData.high >= trade.tpPrice) {
       return {
@@ -70,9 +110,10 @@ export class BaseStrategy {
       };
     }
     
-    // Перевірка таймауту (48 годин)
+    // Перевірка таймауту (maxHoldingMinutes, за замовчуванням 48 годин зібраних даних)
     const holdTime = marketData.timestamp - trade.entryTime;
-    if (holdTime > 48 * 60 * 60 * 1000) {
+    const maxHoldingMinutes = this.config.maxHoldingMinutes || DEFAULT_MAX_HOLDING_MINUTES;
+    if (holdTime > maxHoldingMinutes * 60 * 1000) {
       return {
         shouldExit: true,
         exitPrice: currentPrice,
@@ -0,0 +1,50 @@
+import { BaseStrategy } from './baseStrategy.js';
+
+/**
+ * Проста трендова стратегія: вхід лише при мінімальному об'ємі
+ * та зростанні закриттів останніх свічок.
+ * Також використовується як fallback, коли основна стратегія недоступна.
+ */
+export class BasicTrendStrategy extends BaseStrategy {
+  constructor(config) {
+    super(config);
+    this.name = 'BasicTrend';
+
+    const params = config.strategyParams || {};
+    this.minVolume = params.minVolume ?? 1000;
+    this.trendCandles = params.trendCandles ?? 3;
+  }
+
+  async checkEntryConditions(marketData) {
+    const { ticker, klines } = marketData;
+
+    // Базові перевірки
+    const currentPrice = parseFloat(ticker.price);
+    if (!currentPrice || currentPrice <= 0) {
+      return { shouldEnter: false, reason: 'invalid_price' };
+    }
+
+    const currentVolume = parseFloat(ticker.volume) || 0;
+    if (currentVolume < this.minVolume) {
+      return { shouldEnter: false, reason: 'low_volume' };
+    }
+
+    // Простий тренд-аналіз: кожне закриття вище попереднього
+    if (klines.length >= this.trendCandles) {
+      const prices = klines.slice(-this.trendCandles).map(k => parseFloat(k.close));
+      const isUptrend = prices.every((price, i) => i === 0 || price > prices[i - 1]);
+
+      if (!isUptrend) {
+        return { shouldEnter: false, reason: 'no_uptrend' };
+      }
+    }
+
+    return {
+      shouldEnter: true,
+      reason: 'basic_trend_conditions_met',
+      entryPrice: currentPrice
+    };
+  }
+}
+
+export default BasicTrendStrategy;
@@ -0,0 +1,70 @@
+import { NewListingScalperStrategy } from './newListingScalper.js';
+import { BasicTrendStrategy } from './basicTrendStrategy.js';
+
+/**
+ * Реєстр стратегій за назвою.
+ * Кожна стратегія реалізує інтерфейс BaseStrategy:
+ * checkEntryConditions / checkExitConditions / calculatePositionParameters / getExitConditions
+ */
+const registry = new Map([
+  ['newListingScalper', NewListingScalperStrategy],
+  ['basicTrend', BasicTrendStrategy]
+]);
+
+export const DEFAULT_STRATEGY = 'newListingScalper';
+
+/**
+ * Реєстрація власної стратегії
+ */
+export function registerStrategy(name, StrategyClass) {
+  if (typeof StrategyClass !== 'function') {
+    throw new Error(`Strategy ${name} must be a class`);
+  }
+  registry.set(name, StrategyClass);
+}
+
+export function hasStrategy(name) {
+  return registry.has(name);
+}
+
+export function getStrategyNames() {
+  return Array.from(registry.keys());
+}
+
+/**
+ * Параметри стратегії можуть прийти як об'єкт або як JSON з БД
+ */
+export function parseStrategyParams(params) {
+  if (!params) {
+    return {};
+  }
+
+  if (typeof params === 'string') {
+    try {
+      return JSON.parse(params);
+    } catch (error) {
+      throw new Error(`Invalid strategy params JSON: ${error.message}`);
+    }
+  }
+
+  return params;
+}
+
+/**
+ * Створення стратегії за назвою
+ * @param {string} name - назва з реєстру
+ * @param {Object} config - конфігурація (strategyParams доступні стратегії)
+ */
+export function createStrategy(name = DEFAULT_STRATEGY, config = {}) {
+  const StrategyClass = registry.get(name || DEFAULT_STRATEGY);
+  if (!StrategyClass) {
+    throw new Error(`Unknown strategy: ${name}. Available: ${getStrategyNames().join(', ')}`);
+  }
+
+  return new StrategyClass({
+    ...config,
+    strategyParams: parseStrategyParams(config.strategyParams)
+  });
+}
+
+export default createStrategy;
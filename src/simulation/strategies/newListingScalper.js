@@ -1,18 +1,40 @@
 import logger from '../../utils/logger.js';
+import { BaseStrategy } from './baseStrategy.js';
 
 /**
- * ФОРСОВАНА СТРАТЕГІЯ ДЛЯ ТЕСТУВАННЯ - ЗАВЖДИ ВХОДИТЬ В УГОДИ
- * Створена для повного тестування всіх параметрів торгівлі
+ * Стратегія для нових лістингів з двома режимами входу:
+ * - 'forced' (за замовчуванням) - ЗАВЖДИ ВХОДИТЬ В УГОДИ, аналітика лише логується
+ * - 'filtered' - аналітика стає фільтрами входу (ліквідність, волатильність, технічний сигнал)
+ *
+ * Параметри режиму 'filtered' (config.strategyParams):
+ * - minVolatilityPercent / maxVolatilityPercent - допустимий діапазон волатильності
+ * - requireBullish - вимагати бичачий технічний сигнал
+ * - liquidityDepthPercent - ширина смуги від mid-ціни, в якій рахується глибина стакану
+ * Мінімальна ліквідність береться з config.minLiquidityUsdt.
  */
-export class NewListingScalperStrategy {
+export class NewListingScalperStrategy extends BaseStrategy {
   constructor(config) {
-    this.config = config;
+    super(config);
     this.name = 'NewListingScalper';
     this.cooldowns = new Map();
     this.activeTrades = new Map();
     this.simulationMode = true; // ЗАВЖДИ в режимі симуляції
     
-    logger.info(`Strategy initialized: ${this.name} (FORCE ENTRY MODE)`);
+    const params = config.strategyParams || {};
+    this.entryMode = params.entryMode || config.entryMode || 'forced';
+    this.filters = {
+      minLiquidityUsdt: config.minLiquidityUsdt ?? 0,
+      minVolatilityPercent: params.minVolatilityPercent ?? 1.0,
+      maxVolatilityPercent: params.maxVolatilityPercent ?? null,
+      requireBullish: params.requireBullish ?? true
+    };
+    this.liquidityDepthPercent = params.liquidityDepthPercent ?? 2.0;
+    
+    if (!['forced', 'filtered'].includes(this.entryMode)) {
+      throw new Error(`Unknown entry mode: ${this.entryMode}`);
+    }
+    
+    logger.info(`Strategy initialized: ${this.name} (${this.entryMode === 'forced' ? 'FORCE ENTRY MODE' : 'FILTERED ENTRY MODE'})`);
   }
 
   /**
@@ -30,6 +52,11 @@ export class NewListingScalperStrategy {
         logger.debug(`[ANALYTICS] ${symbol}: ${analytics.warnings.join(', ')}`);
       }
 
+      // Режим з фільтрами: аналітика блокує вхід
+      if (this.entryMode === 'filtered') {
+        return this.applyEntryFilters(marketData, analytics);
+      }
+
       // ЗАВЖДИ ПОВЕРТАЄМО TRUE для тестування
       return { 
         shouldEnter: true, 
@@ -42,6 +69,10 @@ export class NewListingScalperStrategy {
     } catch (error) {
       logger.error(`Strategy error for ${symbol}: ${error.message}`);
       
+      if (this.entryMode === 'filtered') {
+        return { shouldEnter: false, reason: 'strategy_error', error: error.message };
+      }
+      
       // НАВІТЬ ПРИ ПОМИЛЦІ ДОЗВОЛЯЄМО ТОРГІВЛЮ
       return { 
         shouldEnter: true, 
@@ -52,6 +83,43 @@ export class NewListingScalperStrategy {
     }
   }
 
+  /**
+   * Фільтри входу для режиму 'filtered'.
+   * Код причини відмови потрапляє у skipReasonCounts симулятора.
+   */
+  applyEntryFilters(marketData, analytics) {
+    const { minLiquidityUsdt, minVolatilityPercent, maxVolatilityPercent, requireBullish } = this.filters;
+    const reject = (reason) => ({ shouldEnter: false, reason, analytics });
+    
+    if (analytics.liquidity === undefined || analytics.volatility === undefined || !analytics.technical) {
+      return reject('analytics_error');
+    }
+    
+    if (analytics.liquidity < minLiquidityUsdt) {
+      return reject('low_liquidity');
+    }
+    
+    if (analytics.volatility < minVolatilityPercent) {
+      return reject('volatility_too_low');
+    }
+    
+    if (maxVolatilityPercent !== null && analytics.volatility > maxVolatilityPercent) {
+      return reject('volatility_too_high');
+    }
+    
+    if (requireBullish && !analytics.technical.bullish) {
+      return reject('bearish_technicals');
+    }
+    
+    return {
+      shouldEnter: true,
+      reason: 'ENTRY_FILTERS_PASSED',
+      entryPrice: parseFloat(marketData.ticker.price),
+      analytics,
+      confidence: 1.0
+    };
+  }
+
   /**
    * Збір аналітичних даних (без блокування торгівлі)
    */
@@ -72,6 +140,8 @@ export class NewListingScalperStrategy {
       const liquidity = this.analyzeLiquidity(orderBook, ticker);
       analytics.liquidity = liquidity.total;
       analytics.estimatedLiquidity = liquidity.estimated;
+      analytics.spreadPercent = liquidity.spreadPercent;
+      analytics.bookImbalance = liquidity.imbalance;
       
       if (liquidity.total < 5000) {
         warnings.push(`low_liquidity_${liquidity.total.toFixed(0)}`);
@@ -109,21 +179,31 @@ export class NewListingScalperStrategy {
       const price = parseFloat(ticker.price) || 1.0;
       const volume = parseFloat(ticker.volume) || 0;
       
-      // Якщо є orderBook - аналізуємо його
-      if (orderBook && orderBook.bids && orderBook.asks) {
-        const bidLiquidity = orderBook.bids.slice(0, 5).reduce((sum, [bidPrice, quantity]) => {
-          return sum + (parseFloat(bidPrice) * parseFloat(quantity));
-        }, 0);
+      // Якщо є orderBook - рахуємо глибину в смузі liquidityDepthPercent від mid-ціни
+      if (orderBook && orderBook.bids?.length > 0 && orderBook.asks?.length > 0) {
+        const bestBid = parseFloat(orderBook.bids[0][0]);
+        const bestAsk = parseFloat(orderBook.asks[0][0]);
+        const midPrice = (bestBid + bestAsk) / 2;
+        const band = this.liquidityDepthPercent / 100;
+
+        const bidLiquidity = orderBook.bids
+          .filter(([bidPrice]) => parseFloat(bidPrice) >= midPrice * (1 - band))
+          .reduce((sum, [bidPrice, quantity]) => sum + (parseFloat(bidPrice) * parseFloat(quantity)), 0);
+
+        const askLiquidity = orderBook.asks
+          .filter(([askPrice]) => parseFloat(askPrice) <= midPrice * (1 + band))
+          .reduce((sum, [askPrice, quantity]) => sum + (parseFloat(askPrice) * parseFloat(quantity)), 0);
 
-        const askLiquidity = orderBook.asks.slice(0, 5).reduce((sum, [askPrice, quantity]) => {
-          return sum + (parseFloat(askPrice) * parseFloat(quantity));
-        }, 0);
+        const total = bidLiquidity + askLiquidity;
 
         return {
-          total: bidLiquidity + askLiquidity,
+          total,
           estimated: false,
           bidLiquidity,
-          askLiquidity
+          askLiquidity,
+          spreadPercent: (bestAsk - bestBid) / midPrice * 100,
+          // > 0 - переважають покупці, < 0 - продавці
+          imbalance: total > 0 ? (bidLiquidity - askLiquidity) / total : 0
         };
       }
 
@@ -240,7 +320,7 @@ export class NewListingScalperStrategy {
   getStats() {
     return {
       name: this.name,
-      mode: 'FORCE_ENTRY_SIMULATION',
+      mode: this.entryMode === 'forced' ? 'FORCE_ENTRY_SIMULATION' : 'FILTERED_ENTRY',
       activeTrades: this.activeTrades.size,
       cooldowns: this.cooldowns.size
     };
@@ -62,6 +62,31 @@ export class TrailingStopLoss {
     return null;
   }
   
+  /**
+   * Внутрішній стан угоди для збереження в БД
+   */
+  getState(tradeId) {
+    const tradeData = this.trades.get(tradeId);
+    return tradeData ? { ...tradeData } : null;
+  }
+
+  /**
+   * Відновлення збереженого стану (після перезапуску) без повторної ініціалізації
+   */
+  restoreTrade(tradeId, state) {
+    if (!this.enabled) return;
+
+    this.trades.set(tradeId, {
+      entryPrice: state.entryPrice,
+      highestPrice: state.highestPrice,
+      currentStopPrice: state.currentStopPrice ?? null,
+      isActivated: Boolean(state.isActivated),
+      activationPrice: state.activationPrice
+    });
+
+    logger.debug(`Trailing stop restored for trade ${tradeId} (highest ${state.highestPrice}, activated: ${Boolean(state.isActivated)})`);
+  }
+
   removeTrade(tradeId) {
     this.trades.delete(tradeId);
   }
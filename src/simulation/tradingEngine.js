@@ -1,8 +1,13 @@
 import { EventEmitter } from 'events';
-import { NewListingScalperStrategy } from './strategies/newListingScalper.js';
+import { createStrategy } from './strategies/index.js';
 import { TrailingStopLoss } from './strategies/trailingStopLoss.js';
+import { parseExitLadder, buildExitTargets, aggregateLegs } from './exitLadder.js';
+import { PositionSizer } from './positionSizer.js';
+import { RiskManager } from './riskManager.js';
 import { validateTrade, validateOrderBook, validateMarketData } from '../utils/validators.js';
 import { calculateProfitLoss, calculateCommission } from '../utils/calculations.js';
+import { applyOrderFilters, floorToStep } from '../utils/symbolFilters.js';
+import { SymbolModel, LiveTradeModel, LiveOrderModel, TrailingStopStateModel } from '../database/models.js';
 import logger from '../utils/logger.js';
 
 export class TradingEngine extends EventEmitter {
@@ -18,8 +23,28 @@ export class TradingEngine extends EventEmitter {
     };
     
     // Ініціалізація стратегій
-    this.strategy = new NewListingScalperStrategy(config);
+    this.strategy = createStrategy(config.strategy, config);
     this.trailingStopLoss = new TrailingStopLoss(config);
+    // Часткові виходи: [{ profitPercent, sizePercent }], залишок - trailing stop / SL / таймаут
+    this.exitLadder = parseExitLadder(config.exitLadder);
+    this.positionSizer = new PositionSizer(config);
+    // Ризик-ліміти (добовий збиток, просадка, серія збитків, експозиція, чорний список)
+    this.riskManager = new RiskManager(config);
+    this.pendingRiskFlatten = false;
+    // Годинник угод: у відтворенні історії (paper replay) - час біржі, інакше системний
+    this.clock = config.clock || Date.now;
+    // Збереження угод, ордерів і стану trailing stop у БД для відновлення після перезапуску
+    this.persistTrades = Boolean(config.persistTrades);
+    // Захисний OCO на біржі (лімітний TP + stop-limit SL) після кожної покупки
+    this.exchangeOco = Boolean(config.exchangeOco);
+    // Правила торгівлі символів (LOT_SIZE, PRICE_FILTER, NOTIONAL) з marketData.filters або БД
+    this.symbolFilters = new Map();
+    if (this.persistTrades) {
+      this.symbolModel = new SymbolModel();
+      this.liveTradeModel = new LiveTradeModel();
+      this.liveOrderModel = new LiveOrderModel();
+      this.trailingStateModel = new TrailingStopStateModel();
+    }
     
     // Стан системи
     this.isRunning = false;
@@ -65,6 +90,7 @@ export class TradingEngine extends EventEmitter {
       
       // Завантаження поточного балансу
       await this.loadBalance();
+      this.riskManager.reset(this.balance.usdt, this.clock());
       
       // Відновлення активних угод
       await this.restoreActiveTrades();
@@ -92,8 +118,12 @@ export class TradingEngine extends EventEmitter {
     this.isRunning = false;
     
     try {
-      // Закриваємо всі активні угоди
-      await this.closeAllTrades('engine_stopped');
+      // Закриваємо всі активні угоди (зі збереженням стану їх можна лишити до наступного запуску)
+      if (this.config.closeTradesOnStop !== false) {
+        await this.closeAllTrades('engine_stopped');
+      } else {
+        logger.info(`Leaving ${this.activeTrades.size} active trades open until next start`);
+      }
       
       logger.info('Trading engine stopped successfully');
       this.emit('engine_stopped');
@@ -125,6 +155,13 @@ export class TradingEngine extends EventEmitter {
         return { processed: false, reason: 'already_trading' };
       }
 
+      // Ризик-ліміти: після зупинки нових входів немає
+      const riskReason = this.riskManager.checkEntry({ symbol, time: this.clock() });
+      if (riskReason) {
+        logger.info(`Entry for ${symbol} blocked by risk manager: ${riskReason}`);
+        return { processed: false, reason: riskReason, halt: this.riskManager.halt };
+      }
+
       // Перевірка умов входу
       const entryConditions = await this.strategy.checkEntryConditions(marketData);
       
@@ -133,20 +170,27 @@ export class TradingEngine extends EventEmitter {
         return { processed: false, reason: entryConditions.reason, details: entryConditions };
       }
 
-      // Перевірка балансу
-      if (!this.hasEnoughBalance()) {
+      // Розмір позиції та перевірка балансу
+      const { amountUsdt } = this.calculatePositionSize(marketData);
+      if (!(amountUsdt > 0)) {
+        return { processed: false, reason: 'zero_position_size' };
+      }
+      if (!this.hasEnoughBalance(amountUsdt)) {
         return { processed: false, reason: 'insufficient_balance' };
       }
+      if (this.riskManager.checkExposure(amountUsdt, this.getOpenExposure())) {
+        return { processed: false, reason: 'max_exposure' };
+      }
 
       // Виконання покупки
-      const buyResult = await this.executeBuy(marketData);
+      const buyResult = await this.executeBuy(marketData, amountUsdt);
       
       if (buyResult.success) {
         logger.info(`Successfully opened trade for ${symbol}`);
         return { processed: true, trade: buyResult.trade };
       } else {
         logger.error(`Failed to open trade for ${symbol}: ${buyResult.error}`);
-        return { processed: false, reason: 'execution_failed', error: buyResult.error };
+        return { processed: false, reason: buyResult.reason || 'execution_failed', error: buyResult.error };
       }
 
     } catch (error) {
@@ -159,49 +203,88 @@ export class TradingEngine extends EventEmitter {
   /**
    * Виконання покупки
    */
-  async executeBuy(marketData) {
+  async executeBuy(marketData, amountUsdt = null) {
     const { symbol, ticker, orderBook } = marketData;
     
     try {
+      const positionSizeUsdt = amountUsdt ?? this.calculatePositionSize(marketData).amountUsdt;
+
+
       // Валідація orderBook
       const orderBookValidation = validateOrderBook(orderBook);
       if (!orderBookValidation.isValid) {
         throw new Error(`Invalid order book: ${orderBookValidation.errors.join(', ')}`);
       }
 
+      if (marketData.filters) {
+        this.symbolFilters.set(symbol, marketData.filters);
+      }
+      
+      // Кількість за кроком лоту і перевірка мінімумів біржі
       const currentPrice = parseFloat(ticker.price);
-      const quantity = this.config.buyAmountUsdt / currentPrice;
+      const filters = this.getSymbolFilters(symbol);
+      const filtered = applyOrderFilters({ quantity: positionSizeUsdt / currentPrice, price: currentPrice }, filters);
+      if (!filtered.valid) {
+        logger.warn(`Buy ${symbol} rejected by trading rules: ${filtered.reason}`);
+        return { success: false, reason: filtered.reason, error: `Order rejected by symbol filters: ${filtered.reason}` };
+      }
+      const quantity = filtered.quantity;
       
       // Створення ордеру
       const order = await this.createOrder({
         symbol,
         side: 'BUY',
         type: 'MARKET',
-        quantity: quantity.toFixed(8),
+        quantity: parseFloat(quantity.toFixed(8)),
         timestamp: Date.now()
       });
 
       if (order.success) {
+        // Біржа (реальна чи паперова) повертає фактичні ціну та кількість, режим симуляції - ні
+        const isFilled = parseFloat(order.price) > 0;
+        const entryPrice = isFilled ? parseFloat(order.price) : currentPrice;
+        const filledQuantity = isFilled ? parseFloat(order.quantity) : quantity;
+        const costUsdt = isFilled ? entryPrice * filledQuantity : (filters ? quantity * currentPrice : positionSizeUsdt);
+        
         // Створення торгової позиції
         const entryCommission = calculateCommission(
-          this.config.buyAmountUsdt,
-          this.config.binanceFeePercent
+          costUsdt,
+          this.config.binanceFeePercent * 100
         );
 
         const trade = this.createTrade({
           symbol,
-          entryPrice: currentPrice,
-          quantity,
-          entryTime: Date.now(),
+          entryPrice,
+          quantity: filledQuantity,
+          entryTime: this.clock(),
           orderId: order.orderId,
-          commission: calculateCommission(this.config.buyAmountUsdt, this.config.binanceFeePercent * 100)
+          commission: entryCommission,
+          positionSizeUsdt: costUsdt
         });
 
         // Додавання в активні угоди
         this.activeTrades.set(symbol, trade);
+        if (trade.exitConditions.trailingStopEnabled) {
+          this.trailingStopLoss.initializeTrade(trade.id, trade.entryPrice);
+        }
         
         // Оновлення балансу (вартість покупки + комісія)
-        this.updateBalance(-(this.config.buyAmountUsdt + entryCommission));
+        this.updateBalance(-(costUsdt + entryCommission));
+        
+        await this.persistTrade(trade);
+        await this.recordOrder(trade, {
+          orderId: order.orderId,
+          side: 'BUY',
+          type: 'MARKET',
+          quantity: filledQuantity,
+          price: entryPrice,
+          status: order.status,
+          purpose: 'entry'
+        });
+        
+        if (this.exchangeOco) {
+          await this.placeProtectiveOrders(trade);
+        }
         
         this.emit('trade_opened', trade);
         
@@ -233,18 +316,22 @@ export class TradingEngine extends EventEmitter {
           success: true,
           orderId: `SIM_${Date.now()}`,
           price: orderParams.price || 0,
-          quantity: orderParams.quantity
+          quantity: orderParams.quantity,
+          status: 'FILLED'
         };
       }
 
       // Реальне виконання через API
       const result = await this.apiClient.order(orderParams);
+      const executedQty = parseFloat(result.executedQty);
       
       return {
         success: true,
         orderId: result.orderId,
-        price: result.fills[0]?.price || result.price,
-        quantity: result.executedQty
+        // Середня ціна по всіх частинах виконання
+        price: executedQty > 0 ? parseFloat(result.cummulativeQuoteQty) / executedQty : (result.fills?.[0]?.price || result.price),
+        quantity: result.executedQty,
+        status: result.status
       };
 
     } catch (error) {
@@ -253,6 +340,33 @@ export class TradingEngine extends EventEmitter {
     }
   }
 
+  /**
+   * Розміщення OCO на продаж. Як і createOrder, в режимі симуляції лише імітує відповідь.
+   * @returns {Object} { success, orderListId, takeProfitOrderId, stopLossOrderId, error }
+   */
+  async createOcoOrder({ symbol, quantity, price, stopPrice, stopLimitPrice }) {
+    try {
+      if (this.config.simulationMode) {
+        const id = `SIM_OCO_${Date.now()}`;
+        return { success: true, orderListId: id, takeProfitOrderId: `${id}_TP`, stopLossOrderId: `${id}_SL` };
+      }
+
+      const result = await this.apiClient.ocoOrder({ symbol, side: 'SELL', quantity, price, stopPrice, stopLimitPrice });
+      const reports = result.orderReports || [];
+
+      return {
+        success: true,
+        orderListId: result.orderListId,
+        takeProfitOrderId: reports.find(order => order.type === 'LIMIT_MAKER')?.orderId,
+        stopLossOrderId: reports.find(order => order.type !== 'LIMIT_MAKER')?.orderId
+      };
+
+    } catch (error) {
+      logger.error(`OCO order creation failed: ${error.message}`);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Створення торгової позиції
    */
@@ -260,17 +374,23 @@ export class TradingEngine extends EventEmitter {
     const exitConditions = this.strategy.getExitConditions(params.entryPrice, this.config);
     
     return {
-      id: `TRADE_${Date.now()}`,
+      id: `TRADE_${params.symbol}_${params.entryTime}`,
       symbol: params.symbol,
       entryPrice: params.entryPrice,
       quantity: params.quantity,
       entryTime: params.entryTime,
       orderId: params.orderId,
       commission: params.commission,
+      positionSizeUsdt: params.positionSizeUsdt,
       status: 'ACTIVE',
       exitConditions,
+      exitTargets: buildExitTargets(params.entryPrice, exitConditions.takeProfitPrice, this.exitLadder),
+      remainingQuantity: params.quantity,
+      exitLegs: [],
+      protectiveOrder: null,
       maxPrice: params.entryPrice,
       minPrice: params.entryPrice,
+      lastPrice: params.entryPrice,
       trailingStopPrice: null,
       trailingStopActivated: false
     };
@@ -292,6 +412,8 @@ export class TradingEngine extends EventEmitter {
         logger.error(`Error updating trade for ${symbol}: ${error.message}`);
       }
     }
+    
+    await this.flattenIfPending();
   }
 
   /**
@@ -299,25 +421,55 @@ export class TradingEngine extends EventEmitter {
    */
   async updateTrade(trade, priceData) {
     const currentPrice = parseFloat(priceData.price);
+    const previousExtremes = [trade.maxPrice, trade.minPrice];
     
-    // Оновлення мін/макс цін
+    // Оновлення мін/макс та останньої ціни
     trade.maxPrice = Math.max(trade.maxPrice, currentPrice);
     trade.minPrice = Math.min(trade.minPrice, currentPrice);
+    trade.lastPrice = currentPrice;
+
+    // Спершу звіряємо захисний OCO: його нога могла виконатись на біржі
+    if (trade.protectiveOrder && this.isProtectiveCheckDue(trade, currentPrice)) {
+      await this.syncProtectiveOrders(trade);
+      if (trade.status !== 'ACTIVE') return;
+    }
 
-    // Перевірка trailing stop
+    // Перевірка trailing stop (для залишку після часткових виходів)
     if (trade.exitConditions.trailingStopEnabled) {
-      const trailingResult = this.trailingStopLoss.update(trade, currentPrice);
+      const trailingResult = this.trailingStopLoss.updatePrice(trade.id, currentPrice);
       
-      if (trailingResult.shouldExit) {
+      if (trailingResult) {
         await this.closeTrade(trade, 'trailing_stop', currentPrice);
         return;
       }
+      
+      if (trade.protectiveOrder) {
+        await this.ratchetProtectiveStop(trade, currentPrice);
+      }
     }
 
-    // Перевірка take profit
-    if (currentPrice >= trade.exitConditions.takeProfitPrice) {
-      await this.closeTrade(trade, 'take_profit', currentPrice);
-      return;
+    // Перевірка take profit (або рівнів драбини)
+    while (trade.exitTargets.length > 0 && currentPrice >= trade.exitTargets[0].price) {
+      const target = trade.exitTargets[0];
+      const isLastTarget = trade.remainingQuantity - trade.quantity * target.sizePercent <= trade.quantity * 1e-9;
+      
+      if (isLastTarget) {
+        await this.closeTrade(trade, 'take_profit', currentPrice);
+        return;
+      }
+
+      // Непроданий рівень (фільтри, помилка ордеру) лишається в драбині до наступної ціни
+      const sold = await this.executeExitLeg(trade, trade.quantity * target.sizePercent, 'take_profit', currentPrice, target);
+      if (!sold) {
+        break;
+      }
+      
+      // Залишок менше кроку лоту продати неможливо - угода завершена
+      if (trade.remainingQuantity === 0) {
+        this.finalizeTrade(trade);
+        await this.persistTrade(trade);
+        return;
+      }
     }
 
     // Перевірка stop loss
@@ -328,70 +480,29 @@ export class TradingEngine extends EventEmitter {
 
     // Перевірка таймауту (якщо налаштовано)
     if (this.config.maxTradeTimeMinutes) {
-      const tradeAge = (Date.now() - trade.entryTime) / (1000 * 60);
+      const tradeAge = (this.clock() - trade.entryTime) / (1000 * 60);
       if (tradeAge > this.config.maxTradeTimeMinutes) {
         await this.closeTrade(trade, 'timeout', currentPrice);
         return;
       }
     }
+
+    // Стан trailing stop змінюється лише з новим максимумом, тому зберігаємо тільки нові екстремуми
+    if (trade.maxPrice !== previousExtremes[0] || trade.minPrice !== previousExtremes[1]) {
+      await this.persistTrade(trade);
+    }
   }
 
   /**
-   * Закриття угоди
+   * Закриття угоди (продаж усього залишку)
    */
   async closeTrade(trade, reason, exitPrice) {
     try {
-      // Виконання ордеру на продаж
-      const sellResult = await this.createOrder({
-        symbol: trade.symbol,
-        side: 'SELL',
-        type: 'MARKET',
-        quantity: trade.quantity.toFixed(8)
-      });
-
-      if (sellResult.success) {
-        // Розрахунок прибутку/збитку
-        const exitCommission = calculateCommission(
-          exitPrice * trade.quantity,
-          this.config.binanceFeePercent * 100
-        );
-        
-        const profitLoss = calculateProfitLoss({
-          entryPrice: trade.entryPrice,
-          exitPrice,
-          quantity: trade.quantity,
-          entryCommission: trade.commission,
-          exitCommission
-        });
-
-        // Оновлення угоди
-        trade.exitPrice = exitPrice;
-        trade.exitTime = Date.now();
-        trade.exitReason = reason;
-        trade.profitLossUsdt = profitLoss.usdt;
-        trade.profitLossPercent = profitLoss.percent;
-        trade.exitCommission = exitCommission;
-        trade.status = 'CLOSED';
-
-        // Видалення з активних угод
-        this.activeTrades.delete(trade.symbol);
-        
-        // Додавання в історію
-        this.tradeHistory.push(trade);
-        
-        // Оновлення балансу
-        const totalReturn = (exitPrice * trade.quantity) - exitCommission;
-        this.updateBalance(totalReturn);
-        
-        // Оновлення статистики
-        this.updateStats(trade);
-        
-        this.emit('trade_closed', trade);
-        
-        logger.info(`Trade closed: ${trade.symbol} - ${reason} - P&L: ${profitLoss.usdt.toFixed(2)} USDT (${profitLoss.percent.toFixed(2)}%)`);
-
-      } else {
-        logger.error(`Failed to close trade for ${trade.symbol}: ${sellResult.error}`);
+      const closed = await this.executeExitLeg(trade, trade.remainingQuantity ?? trade.quantity, reason, exitPrice);
+      
+      if (closed) {
+        this.finalizeTrade(trade);
+        await this.persistTrade(trade);
       }
 
     } catch (error) {
@@ -400,6 +511,182 @@ export class TradingEngine extends EventEmitter {
     }
   }
 
+  /**
+   * Продаж частини позиції: ордер, комісія та повернення коштів на баланс
+   * @param {Object} target - рівень драбини, який знімається лише після успішного продажу
+   * @returns {boolean} чи виконано продаж
+   */
+  async executeExitLeg(trade, quantity, reason, exitPrice, target = null) {
+    // Базовий актив заблоковано OCO - спершу знімаємо його
+    if (trade.protectiveOrder) {
+      const released = await this.cancelProtectiveOrders(trade);
+      if (!released) return false;
+      quantity = Math.min(quantity, trade.remainingQuantity);
+    }
+
+    const filters = this.getSymbolFilters(trade.symbol);
+    const filtered = applyOrderFilters({ quantity, price: exitPrice }, filters);
+    if (!filtered.valid) {
+      logger.warn(`Cannot sell ${quantity} ${trade.symbol} (${reason}): ${filtered.reason}`);
+      return false;
+    }
+    quantity = filtered.quantity;
+
+    const sellResult = await this.createOrder({
+      symbol: trade.symbol,
+      side: 'SELL',
+      type: 'MARKET',
+      quantity: parseFloat(quantity.toFixed(8))
+    });
+
+    if (!sellResult.success) {
+      logger.error(`Failed to sell ${trade.symbol} (${reason}): ${sellResult.error}`);
+      return false;
+    }
+
+    // Фактична ціна продажу, якщо біржа її повернула
+    const fillPrice = parseFloat(sellResult.price) > 0 ? parseFloat(sellResult.price) : exitPrice;
+    const commission = calculateCommission(
+      fillPrice * quantity,
+      this.config.binanceFeePercent * 100
+    );
+    const leg = { exitTime: this.clock(), exitPrice: fillPrice, quantity, exitReason: reason, commission };
+    
+    trade.exitLegs = trade.exitLegs || [];
+    trade.exitLegs.push(leg);
+    if (target) {
+      trade.exitTargets = trade.exitTargets.filter(item => item !== target);
+    }
+    trade.remainingQuantity = Math.max(0, (trade.remainingQuantity ?? trade.quantity) - quantity);
+    if (filters && !this.isSellable(trade.remainingQuantity, filters)) {
+      // Пил після округлення до кроку лоту лишається на рахунку
+      trade.remainingQuantity = 0;
+    }
+    
+    // Оновлення балансу
+    this.updateBalance((fillPrice * quantity) - commission);
+    
+    await this.recordOrder(trade, {
+      orderId: sellResult.orderId,
+      side: 'SELL',
+      type: 'MARKET',
+      quantity,
+      price: fillPrice,
+      status: sellResult.status,
+      purpose: reason
+    });
+    
+    if (trade.remainingQuantity > trade.quantity * 1e-9) {
+      if (this.exchangeOco) {
+        await this.placeProtectiveOrders(trade);
+      }
+      await this.persistTrade(trade);
+      this.emit('trade_partial_exit', { trade, leg });
+      logger.info(`Partial exit: ${trade.symbol} - ${reason} - sold ${quantity.toFixed(8)} at ${fillPrice}`);
+    }
+    
+    return true;
+  }
+
+  /**
+   * Підсумок угоди з усіх ніг виходу
+   */
+  finalizeTrade(trade) {
+    const legs = trade.exitLegs;
+    const lastLeg = legs[legs.length - 1];
+    const exitPrice = aggregateLegs(legs.map(leg => ({ price: leg.exitPrice, quantity: leg.quantity }))).averagePrice;
+    const exitCommission = legs.reduce((sum, leg) => sum + leg.commission, 0);
+    
+    // Розрахунок прибутку/збитку
+    const profitLoss = calculateProfitLoss({
+      entryPrice: trade.entryPrice,
+      exitPrice,
+      quantity: trade.quantity,
+      entryCommission: trade.commission,
+      exitCommission
+    });
+
+    // Оновлення угоди
+    trade.exitPrice = exitPrice;
+    trade.exitTime = lastLeg.exitTime;
+    trade.exitReason = lastLeg.exitReason;
+    trade.profitLossUsdt = profitLoss.usdt;
+    trade.profitLossPercent = profitLoss.percent;
+    trade.exitCommission = exitCommission;
+    trade.remainingQuantity = 0;
+    trade.status = 'CLOSED';
+
+    // Видалення з активних угод
+    this.activeTrades.delete(trade.symbol);
+    this.trailingStopLoss.removeTrade(trade.id);
+    
+    // Додавання в історію
+    this.tradeHistory.push(trade);
+    
+    // Оновлення статистики
+    this.updateStats(trade);
+    const halt = this.riskManager.recordTrade(trade);
+    
+    this.emit('trade_closed', trade);
+    
+    logger.info(`Trade closed: ${trade.symbol} - ${trade.exitReason} - P&L: ${profitLoss.usdt.toFixed(2)} USDT (${profitLoss.percent.toFixed(2)}%)`);
+    
+    if (halt) {
+      this.handleRiskHalt(halt);
+    }
+  }
+
+  /**
+   * Порушення ризик-ліміту: нові входи зупинено. Закриття позицій (flatten) відкладається
+   * до кінця поточного оновлення цін, щоб не продавати угоди посеред їх обробки.
+   */
+  handleRiskHalt(halt) {
+    this.pendingRiskFlatten = this.pendingRiskFlatten || halt.flatten;
+    this.emit('risk_halt', { ...halt, activeTrades: this.activeTrades.size });
+  }
+
+  /**
+   * Ручна зупинка нових входів (kill switch)
+   * @param {string} reason
+   * @param {Object} options - { flatten } закрити відкриті позиції
+   */
+  async haltTrading(reason = 'manual', { flatten = this.riskManager.flattenOnHalt } = {}) {
+    const halt = this.riskManager.haltTrading(reason, this.clock(), {}, flatten);
+    this.handleRiskHalt(halt);
+    await this.flattenIfPending();
+    return halt;
+  }
+
+  /**
+   * Зняття зупинки входів
+   */
+  resumeTrading() {
+    this.riskManager.resume();
+    this.emit('risk_resumed', this.riskManager.getState());
+  }
+
+  /**
+   * Закриття всіх позицій після зупинки з flatten
+   */
+  async flattenIfPending() {
+    if (!this.pendingRiskFlatten) return;
+
+    this.pendingRiskFlatten = false;
+    logger.warn(`Risk halt: closing ${this.activeTrades.size} active trades`);
+    await this.closeAllTrades('risk_halt');
+  }
+
+  /**
+   * Вартість відкритих позицій (за залишком кількості)
+   */
+  getOpenExposure() {
+    let exposure = 0;
+    for (const trade of this.activeTrades.values()) {
+      exposure += trade.positionSizeUsdt * ((trade.remainingQuantity ?? trade.quantity) / trade.quantity);
+    }
+    return exposure;
+  }
+
   /**
    * Закриття всіх активних угод
    */
@@ -407,18 +694,222 @@ export class TradingEngine extends EventEmitter {
     const trades = Array.from(this.activeTrades.values());
     
     for (const trade of trades) {
-      // В режимі симуляції використовуємо останню ціну
-      const currentPrice = trade.maxPrice; // Спрощено
+      // Остання відома ціна, а не максимум: закриття після зупинки не має виглядати кращим за ринок
+      const currentPrice = trade.lastPrice ?? trade.entryPrice;
       await this.closeTrade(trade, reason, currentPrice);
     }
   }
 
+  /**
+   * Захисний OCO на залишок угоди: LIMIT_MAKER на останній цілі TP і STOP_LOSS_LIMIT
+   * на стоп-лосі (або вищому рівні trailing stop). Якщо біржа відхилила ордер,
+   * TP/SL лишаються на боці движка.
+   * @returns {boolean} чи розміщено OCO
+   */
+  async placeProtectiveOrders(trade, stopTriggerPrice = this.getProtectiveStopPrice(trade)) {
+    const targetPrice = trade.exitTargets.length > 0
+      ? trade.exitTargets[trade.exitTargets.length - 1].price
+      : trade.exitConditions.takeProfitPrice;
+    const filters = this.getSymbolFilters(trade.symbol);
+    const quantity = parseFloat(floorToStep(trade.remainingQuantity, filters?.stepSize).toFixed(8));
+
+    // Ціль округлюється вгору, стопи - вниз, щоб ціни лишились по свій бік ринку
+    const legs = [
+      applyOrderFilters({ quantity, price: targetPrice, priceRounding: 'up' }, filters),
+      applyOrderFilters({ quantity, price: stopTriggerPrice, priceRounding: 'down' }, filters),
+      applyOrderFilters({ quantity, price: stopTriggerPrice * (1 - (this.config.stopLimitOffsetPercent ?? 0.005)), priceRounding: 'down' }, filters)
+    ];
+    const invalidLeg = legs.find(leg => !leg.valid);
+    if (invalidLeg) {
+      logger.warn(`Protective OCO for ${trade.symbol} violates trading rules (${invalidLeg.reason}), TP/SL stay client-side`);
+      return false;
+    }
+    const [takeProfitPrice, stopPrice, stopLimitPrice] = legs.map(leg => parseFloat(leg.price.toFixed(8)));
+
+    const oco = await this.createOcoOrder({
+      symbol: trade.symbol,
+      quantity,
+      price: takeProfitPrice,
+      stopPrice,
+      stopLimitPrice
+    });
+
+    if (!oco.success) {
+      logger.warn(`Protective OCO for ${trade.symbol} not placed, TP/SL stay client-side: ${oco.error}`);
+      return false;
+    }
+
+    trade.protectiveOrder = {
+      orderListId: oco.orderListId,
+      takeProfitOrderId: oco.takeProfitOrderId,
+      stopLossOrderId: oco.stopLossOrderId,
+      quantity,
+      takeProfitPrice,
+      stopPrice,
+      stopLimitPrice,
+      executed: {},
+      lastCheckedAt: this.clock()
+    };
+
+    await this.recordOrder(trade, {
+      orderId: oco.takeProfitOrderId, side: 'SELL', type: 'LIMIT_MAKER', quantity,
+      executedQuantity: 0, price: takeProfitPrice, status: 'NEW', purpose: 'take_profit'
+    });
+    await this.recordOrder(trade, {
+      orderId: oco.stopLossOrderId, side: 'SELL', type: 'STOP_LOSS_LIMIT', quantity,
+      executedQuantity: 0, price: stopLimitPrice, status: 'NEW', purpose: 'stop_loss'
+    });
+    await this.persistTrade(trade);
+
+    logger.info(`Protective OCO placed for ${trade.symbol}: TP ${takeProfitPrice}, stop ${stopPrice}`);
+    this.emit('protective_orders_placed', { trade, protectiveOrder: trade.protectiveOrder });
+    return true;
+  }
+
+  /**
+   * Скасування OCO угоди. Якщо біржа не скасувала список (нога вже виконана),
+   * виконання одразу звіряється.
+   * @returns {boolean} чи вільний залишок угоди для продажу движком
+   */
+  async cancelProtectiveOrders(trade) {
+    const protective = trade.protectiveOrder;
+    if (!protective) return true;
+
+    try {
+      if (!this.config.simulationMode) {
+        await this.apiClient.cancelOrderList(trade.symbol, protective.orderListId);
+      }
+
+      trade.protectiveOrder = null;
+      for (const orderId of [protective.takeProfitOrderId, protective.stopLossOrderId]) {
+        await this.updateOrderRecord(trade, orderId, { status: 'CANCELED' });
+      }
+      return true;
+
+    } catch (error) {
+      logger.warn(`Failed to cancel OCO ${protective.orderListId} for ${trade.symbol}: ${error.message}`);
+      await this.syncProtectiveOrders(trade);
+      return !trade.protectiveOrder && trade.status === 'ACTIVE';
+    }
+  }
+
+  /**
+   * Перенесення стопу OCO за trailing stop: скасування і нове розміщення.
+   * Заміна лише при зсуві більше ніж на ocoReplaceStepPercent, щоб не витрачати ліміт ордерів.
+   */
+  async ratchetProtectiveStop(trade, currentPrice) {
+    const stopPrice = this.getProtectiveStopPrice(trade);
+    const step = this.config.ocoReplaceStepPercent ?? 0.002;
+
+    if (stopPrice <= trade.protectiveOrder.stopPrice * (1 + step) || stopPrice >= currentPrice) {
+      return;
+    }
+
+    if (await this.cancelProtectiveOrders(trade)) {
+      await this.placeProtectiveOrders(trade, stopPrice);
+    }
+  }
+
+  /**
+   * Звірка ніг OCO з біржею: виконана нога стає ногою виходу угоди
+   */
+  async syncProtectiveOrders(trade) {
+    const protective = trade.protectiveOrder;
+    if (!protective || this.config.simulationMode) return;
+
+    protective.lastCheckedAt = this.clock();
+    let isListDone = false;
+    let hasFills = false;
+
+    try {
+      // Стоп, підтягнутий trailing stop вище стоп-лосу, закриває угоду як trailing_stop
+      const stopReason = protective.stopPrice > trade.exitConditions.stopLossPrice ? 'trailing_stop' : 'stop_loss';
+      for (const [orderId, reason] of [[protective.takeProfitOrderId, 'take_profit'], [protective.stopLossOrderId, stopReason]]) {
+        const order = await this.apiClient.getOrder(trade.symbol, orderId);
+        const executedQty = parseFloat(order.executedQty) || 0;
+        const newlyExecuted = executedQty - (protective.executed[orderId] || 0);
+
+        if (!['NEW', 'PARTIALLY_FILLED'].includes(order.status)) {
+          isListDone = true;
+        }
+        if (newlyExecuted <= 0) {
+          if (order.status !== 'NEW') {
+            await this.updateOrderRecord(trade, orderId, { status: order.status });
+          }
+          continue;
+        }
+
+        const price = parseFloat(order.cummulativeQuoteQty) / executedQty;
+        protective.executed[orderId] = executedQty;
+        hasFills = true;
+        await this.updateOrderRecord(trade, orderId, { status: order.status, executedQuantity: executedQty, price });
+        this.applyExchangeExit(trade, newlyExecuted, price, reason, order.updateTime || this.clock(), true);
+      }
+    } catch (error) {
+      logger.error(`Failed to check OCO ${protective.orderListId} for ${trade.symbol}: ${error.message}`);
+      return;
+    }
+
+    if (isListDone || trade.status !== 'ACTIVE') {
+      trade.protectiveOrder = null;
+    }
+    if (hasFills || isListDone) {
+      await this.persistTrade(trade);
+    }
+  }
+
+  /**
+   * Чи час звіряти OCO: ціна дійшла до рівня однієї з ніг або минуло ocoCheckIntervalMs
+   */
+  isProtectiveCheckDue(trade, currentPrice) {
+    const protective = trade.protectiveOrder;
+    return currentPrice >= protective.takeProfitPrice
+      || currentPrice <= protective.stopPrice
+      || this.clock() - protective.lastCheckedAt >= (this.config.ocoCheckIntervalMs ?? 5000);
+  }
+
+  /**
+   * Стоп для OCO: стоп-лос угоди або вищий рівень активованого trailing stop
+   */
+  getProtectiveStopPrice(trade) {
+    const trailing = this.trailingStopLoss.getState(trade.id);
+    return trailing?.isActivated
+      ? Math.max(trade.exitConditions.stopLossPrice, trailing.currentStopPrice)
+      : trade.exitConditions.stopLossPrice;
+  }
+
+  /**
+   * Правила торгівлі символу або null (тоді кількості не округлюються)
+   */
+  getSymbolFilters(symbol) {
+    return this.symbolFilters.get(symbol) || null;
+  }
+
+  /**
+   * Чи можна продати кількість з урахуванням кроку лоту та мінімальної кількості
+   */
+  isSellable(quantity, filters) {
+    const rounded = floorToStep(quantity, filters.stepSize);
+    return rounded > 0 && !(filters.minQty && rounded < filters.minQty);
+  }
+
+  /**
+   * Розмір позиції за політикою sizingPolicy
+   */
+  calculatePositionSize(marketData) {
+    return this.positionSizer.size({
+      equity: this.balance.usdt,
+      klines: marketData.klines || [],
+      recentTrades: this.tradeHistory
+    });
+  }
+
   /**
    * Перевірка достатності балансу
    */
-  hasEnoughBalance() {
+  hasEnoughBalance(amountUsdt = this.config.buyAmountUsdt) {
     const availableBalance = this.balance.usdt - this.balance.locked;
-    return availableBalance >= this.config.buyAmountUsdt;
+    return availableBalance >= amountUsdt;
   }
 
   /**
@@ -482,6 +973,8 @@ export class TradingEngine extends EventEmitter {
 
     try {
       const account = await this.apiClient.balance();
+      // Баланси всіх активів потрібні для звірки відновлених угод
+      this.accountBalances = account.balances;
       const usdtBalance = account.balances.find(b => b.asset === 'USDT');
       
       if (usdtBalance) {
@@ -497,11 +990,244 @@ export class TradingEngine extends EventEmitter {
   }
 
   /**
-   * Відновлення активних угод
+   * Відновлення активних угод з БД після перезапуску.
+   * Кожна угода звіряється з біржею: ордери, що змінили стан, поки движок не працював,
+   * оновлюються (виконаний продаж стає ногою виходу), а залишок обмежується фактичним
+   * балансом базового активу. Угода без балансу вважається закритою поза движком.
+   * @returns {Object} { restored, closed }
    */
   async restoreActiveTrades() {
-    // В реальній реалізації тут можна завантажувати угоди з БД
-    logger.info('No active trades to restore');
+    if (!this.persistTrades) {
+      logger.info('Trade persistence disabled - no active trades to restore');
+      return { restored: 0, closed: 0 };
+    }
+
+    const rows = await this.liveTradeModel.getActive();
+    if (rows.length === 0) {
+      logger.info('No active trades to restore');
+      return { restored: 0, closed: 0 };
+    }
+
+    let restored = 0;
+    let closed = 0;
+
+    for (const row of rows) {
+      if (this.activeTrades.get(row.symbol)?.id === row.id) {
+        continue;
+      }
+
+      const trade = parseTradeRow(row);
+
+      try {
+        if (!this.config.simulationMode) {
+          await this.reconcileOrders(trade);
+          if (trade.status === 'ACTIVE') {
+            await this.reconcileHoldings(trade);
+          }
+        }
+
+        if (trade.status !== 'ACTIVE') {
+          closed++;
+          continue;
+        }
+
+        await this.resumeTrade(trade);
+        restored++;
+
+      } catch (error) {
+        // Угода лишається ACTIVE в БД і буде звірена при наступному запуску
+        logger.error(`Failed to restore trade ${trade.id} (${trade.symbol}): ${error.message}`);
+      }
+    }
+
+    logger.info(`Restored ${restored} active trades, ${closed} closed while engine was down`);
+    return { restored, closed };
+  }
+
+  /**
+   * Звірка ордерів угоди, які на момент зупинки ще не були виконані.
+   * Ордер, якого вже немає серед відкритих на біржі, запитується окремо для остаточного стану.
+   */
+  async reconcileOrders(trade) {
+    const pendingOrders = await this.liveOrderModel.getOpenByTradeId(trade.id);
+    if (pendingOrders.length === 0) {
+      trade.protectiveOrder = null;
+      return;
+    }
+
+    const openOrderIds = new Set(
+      (await this.apiClient.getOpenOrders(trade.symbol)).map(order => String(order.orderId))
+    );
+    let exitsApplied = false;
+
+    // OCO, якого вже немає серед відкритих ордерів, буде розміщено заново
+    const protective = trade.protectiveOrder;
+    if (protective && ![protective.takeProfitOrderId, protective.stopLossOrderId].every(id => openOrderIds.has(String(id)))) {
+      trade.protectiveOrder = null;
+    }
+
+    for (const pending of pendingOrders) {
+      const order = openOrderIds.has(pending.order_id)
+        ? null
+        : await this.apiClient.getOrder(trade.symbol, pending.order_id);
+      if (!order) continue;
+
+      const executedQty = parseFloat(order.executedQty) || 0;
+      const newlyExecuted = executedQty - (pending.executed_quantity || 0);
+      const price = executedQty > 0 ? parseFloat(order.cummulativeQuoteQty) / executedQty : null;
+
+      await this.liveOrderModel.updateStatus(trade.symbol, pending.order_id, {
+        status: order.status,
+        executedQuantity: executedQty,
+        price
+      });
+
+      // Баланс, завантажений з біржі, вже враховує цей продаж - лише фіксуємо ногу виходу
+      if (pending.side === 'SELL' && newlyExecuted > 0) {
+        this.applyExchangeExit(trade, newlyExecuted, price, pending.purpose, order.updateTime || order.time);
+        exitsApplied = true;
+      }
+    }
+
+    if (exitsApplied) {
+      await this.persistTrade(trade);
+    }
+  }
+
+  /**
+   * Нога виходу, виконана біржею без ордеру движка (OCO або продаж під час простою).
+   * Баланс, завантажений з біржі після простою, вже враховує продаж - тоді settleBalance = false.
+   */
+  applyExchangeExit(trade, quantity, price, reason, exitTime, settleBalance = false) {
+    const commission = calculateCommission(price * quantity, this.config.binanceFeePercent * 100);
+
+    trade.exitLegs.push({ exitTime: exitTime || this.clock(), exitPrice: price, quantity, exitReason: reason, commission });
+    trade.remainingQuantity = Math.max(0, trade.remainingQuantity - quantity);
+    if (settleBalance) {
+      this.updateBalance((price * quantity) - commission);
+    }
+    logger.info(`Exchange filled exit of ${quantity} ${trade.symbol} at ${price} (${reason})`);
+
+    if (trade.remainingQuantity <= trade.quantity * 1e-9) {
+      this.finalizeTrade(trade);
+    }
+  }
+
+  /**
+   * Обмеження залишку угоди фактичним балансом базового активу
+   */
+  async reconcileHoldings(trade) {
+    const baseAsset = trade.symbol.slice(0, -(this.config.quoteAsset || 'USDT').length);
+    const holding = (this.accountBalances || []).find(balance => balance.asset === baseAsset);
+    const held = holding ? parseFloat(holding.free) + parseFloat(holding.locked) : 0;
+
+    // Менше 0.1% залишку - пил після комісій, позиції фактично немає
+    if (held <= trade.remainingQuantity * 0.001) {
+      logger.warn(`No ${baseAsset} balance for trade ${trade.id} - position was closed outside the engine`);
+      trade.status = 'CLOSED';
+      trade.remainingQuantity = 0;
+      await this.liveTradeModel.markClosed(trade.id, 'closed_externally');
+      await this.trailingStateModel.deleteByTradeId(trade.id);
+      return;
+    }
+
+    if (held < trade.remainingQuantity) {
+      logger.warn(`Trade ${trade.id}: ${baseAsset} balance ${held} is below remaining ${trade.remainingQuantity}, adjusting`);
+      trade.remainingQuantity = held;
+      await this.persistTrade(trade);
+    }
+  }
+
+  /**
+   * Повернення угоди в активні разом зі збереженим станом trailing stop
+   */
+  async resumeTrade(trade) {
+    this.activeTrades.set(trade.symbol, trade);
+
+    if (!this.symbolFilters.has(trade.symbol)) {
+      const filters = await this.symbolModel.getFilters(trade.symbol);
+      if (filters) {
+        this.symbolFilters.set(trade.symbol, filters);
+      }
+    }
+
+    if (trade.exitConditions.trailingStopEnabled) {
+      const state = await this.trailingStateModel.findByTradeId(trade.id);
+      if (state) {
+        this.trailingStopLoss.restoreTrade(trade.id, {
+          entryPrice: state.entry_price,
+          highestPrice: state.highest_price,
+          currentStopPrice: state.current_stop_price,
+          isActivated: state.is_activated === 1,
+          activationPrice: state.activation_price
+        });
+      } else {
+        this.trailingStopLoss.initializeTrade(trade.id, trade.entryPrice);
+      }
+    }
+
+    if (this.exchangeOco && !trade.protectiveOrder) {
+      await this.placeProtectiveOrders(trade);
+    } else if (trade.protectiveOrder) {
+      trade.protectiveOrder.lastCheckedAt = this.clock();
+    }
+
+    logger.info(`Restored trade ${trade.id}: ${trade.symbol} ${trade.remainingQuantity} at ${trade.entryPrice}`);
+    this.emit('trade_restored', trade);
+  }
+
+  /**
+   * Збереження стану угоди і її trailing stop. Помилка БД не зупиняє торгівлю.
+   */
+  async persistTrade(trade) {
+    if (!this.persistTrades) return;
+
+    try {
+      await this.liveTradeModel.save(trade);
+
+      const trailingState = trade.status === 'ACTIVE' ? this.trailingStopLoss.getState(trade.id) : null;
+      if (trailingState) {
+        await this.trailingStateModel.save(trade.id, trailingState);
+      } else if (trade.status !== 'ACTIVE') {
+        await this.trailingStateModel.deleteByTradeId(trade.id);
+      }
+    } catch (error) {
+      logger.error(`Failed to persist trade ${trade.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Збереження ордеру угоди
+   */
+  async recordOrder(trade, { orderId, side, type, quantity, executedQuantity = quantity, price = null, status, purpose }) {
+    if (!this.persistTrades) return;
+
+    try {
+      await this.liveOrderModel.save({
+        tradeId: trade.id,
+        orderId,
+        symbol: trade.symbol,
+        side,
+        type,
+        quantity,
+        executedQuantity,
+        price,
+        status: status || 'FILLED',
+        purpose
+      });
+    } catch (error) {
+      logger.error(`Failed to persist order ${orderId} of trade ${trade.id}: ${error.message}`);
+    }
+  }
+
+  async updateOrderRecord(trade, orderId, fields) {
+    if (!this.persistTrades) return;
+
+    try {
+      await this.liveOrderModel.updateStatus(trade.symbol, orderId, fields);
+    } catch (error) {
+      logger.error(`Failed to update order ${orderId} of trade ${trade.id}: ${error.message}`);
+    }
   }
 
   /**
@@ -541,7 +1267,8 @@ export class TradingEngine extends EventEmitter {
       roi: roi.toFixed(2),
       currentBalance: this.balance.usdt.toFixed(2),
       activeTrades: this.activeTrades.size,
-      tradeHistory: this.tradeHistory.length
+      tradeHistory: this.tradeHistory.length,
+      risk: this.riskManager.getState()
     };
   }
 
@@ -558,4 +1285,32 @@ export class TradingEngine extends EventEmitter {
   getTradeHistory() {
     return this.tradeHistory;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Рядок live_trades у формат угоди движка
+ */
+function parseTradeRow(row) {
+  return {
+    id: row.id,
+    symbol: row.symbol,
+    entryPrice: row.entry_price,
+    quantity: row.quantity,
+    entryTime: row.entry_time,
+    orderId: row.entry_order_id,
+    commission: row.commission,
+    positionSizeUsdt: row.position_size_usdt,
+    status: row.status,
+    exitConditions: JSON.parse(row.exit_conditions),
+    exitTargets: row.exit_targets ? JSON.parse(row.exit_targets) : [],
+    remainingQuantity: row.remaining_quantity,
+    exitLegs: row.exit_legs ? JSON.parse(row.exit_legs) : [],
+    protectiveOrder: row.protective_order ? JSON.parse(row.protective_order) : null,
+    maxPrice: row.max_price ?? row.entry_price,
+    minPrice: row.min_price ?? row.entry_price,
+    // Остання ціна не зберігається - до першого оновлення після відновлення її немає
+    lastPrice: null,
+    trailingStopPrice: null,
+    trailingStopActivated: false
+  };
+}
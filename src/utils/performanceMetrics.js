@@ -0,0 +1,266 @@
+// Performance metrics computed from closed trades and their equity curve
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const PERIODS_PER_YEAR = 365;
+
+/**
+ * Build a time-stamped equity curve from closed trades.
+ * Trades are applied in exit-time order; the first point is the starting balance.
+ * @param {Array} trades - Closed trades with profitLossUsdt, entryTime and exitTime.
+ * @param {number} initialBalance - Equity before the first trade.
+ * @returns {Array} Points { time, equity, drawdownPercent, symbol }.
+ */
+export function buildEquityCurve(trades, initialBalance) {
+  if (!Array.isArray(trades) || trades.length === 0) return [];
+
+  const ordered = sortByExitTime(trades);
+  const startTime = Math.min(...ordered.map(trade => trade.entryTime ?? exitTimeOf(trade)));
+  const curve = [{ time: startTime, equity: initialBalance, drawdownPercent: 0, symbol: null }];
+
+  let equity = initialBalance;
+  let peak = initialBalance;
+  for (const trade of ordered) {
+    equity += trade.profitLossUsdt || 0;
+    peak = Math.max(peak, equity);
+    curve.push({
+      time: exitTimeOf(trade),
+      equity,
+      drawdownPercent: peak > 0 ? ((peak - equity) / peak) * 100 : 0,
+      symbol: trade.symbol ?? null
+    });
+  }
+
+  return curve;
+}
+
+/**
+ * Calculate the deepest peak-to-trough decline and the longest time spent below a peak.
+ * A drawdown lasts from the first point below the peak until equity recovers to it;
+ * an unrecovered drawdown lasts until the end of the curve. A curve that never dips has none.
+ * @param {Array} curve - Equity curve from buildEquityCurve.
+ * @returns {Object} { maxDrawdownPercent, maxDrawdownUsdt, maxDrawdownDurationMinutes }.
+ */
+export function calculateMaxDrawdown(curve) {
+  const result = { maxDrawdownPercent: 0, maxDrawdownUsdt: 0, maxDrawdownDurationMinutes: 0 };
+  if (!Array.isArray(curve) || curve.length === 0) return result;
+
+  let peak = curve[0].equity;
+  let underwaterSince = null;
+  let longestMs = 0;
+
+  for (const point of curve) {
+    if (point.equity >= peak) {
+      if (underwaterSince !== null) {
+        longestMs = Math.max(longestMs, point.time - underwaterSince);
+        underwaterSince = null;
+      }
+      peak = point.equity;
+      continue;
+    }
+
+    underwaterSince = underwaterSince ?? point.time;
+    result.maxDrawdownUsdt = Math.max(result.maxDrawdownUsdt, peak - point.equity);
+    if (peak > 0) {
+      result.maxDrawdownPercent = Math.max(result.maxDrawdownPercent, ((peak - point.equity) / peak) * 100);
+    }
+  }
+
+  if (underwaterSince !== null) {
+    longestMs = Math.max(longestMs, curve[curve.length - 1].time - underwaterSince);
+  }
+  result.maxDrawdownDurationMinutes = longestMs / MINUTE_MS;
+
+  return result;
+}
+
+/**
+ * Daily returns of the equity curve (UTC days). Days without trades count as zero returns.
+ * @param {Array} curve - Equity curve from buildEquityCurve.
+ * @returns {Array<number>} Fractional returns per day.
+ */
+export function calculateDailyReturns(curve) {
+  if (!Array.isArray(curve) || curve.length < 2) return [];
+
+  const closingEquity = new Map();
+  for (const point of curve) {
+    closingEquity.set(Math.floor(point.time / DAY_MS), point.equity);
+  }
+
+  const firstDay = Math.floor(curve[0].time / DAY_MS);
+  const lastDay = Math.floor(curve[curve.length - 1].time / DAY_MS);
+  const returns = [];
+  let previous = curve[0].equity;
+
+  for (let day = firstDay; day <= lastDay; day++) {
+    const equity = closingEquity.get(day) ?? previous;
+    returns.push(previous > 0 ? equity / previous - 1 : 0);
+    previous = equity;
+  }
+
+  return returns;
+}
+
+/**
+ * Calculate the full set of performance metrics for a simulation run.
+ * Ratios are annualized from daily returns; percentages use the 0-100 scale.
+ * @param {Array} trades - Closed trades with profitLossUsdt, profitLossPercent, entryTime and exitTime.
+ * @param {number} initialBalance - Equity before the first trade.
+ * @returns {Object} Metrics plus the equityCurve they were computed from.
+ */
+export function calculatePerformanceMetrics(trades, initialBalance) {
+  const equityCurve = buildEquityCurve(trades, initialBalance);
+  const metrics = {
+    equityCurve,
+    maxDrawdownPercent: 0,
+    maxDrawdownUsdt: 0,
+    maxDrawdownDurationMinutes: 0,
+    sharpeRatio: 0,
+    sortinoRatio: 0,
+    calmarRatio: 0,
+    annualizedReturnPercent: 0,
+    expectancyUsdt: 0,
+    expectancyPercent: 0,
+    payoffRatio: 0,
+    grossProfitUsdt: 0,
+    grossLossUsdt: 0,
+    avgProfitPercent: 0,
+    avgLossPercent: 0,
+    maxProfitPercent: 0,
+    maxLossPercent: 0,
+    exposureTimePercent: 0,
+    maxWinStreak: 0,
+    maxLossStreak: 0,
+    periodDays: 0
+  };
+  if (equityCurve.length === 0) return metrics;
+
+  Object.assign(metrics, calculateMaxDrawdown(equityCurve));
+
+  const wins = trades.filter(trade => trade.profitLossUsdt > 0);
+  const losses = trades.filter(trade => trade.profitLossUsdt < 0);
+  metrics.grossProfitUsdt = sum(wins.map(trade => trade.profitLossUsdt));
+  metrics.grossLossUsdt = Math.abs(sum(losses.map(trade => trade.profitLossUsdt)));
+  metrics.expectancyUsdt = sum(trades.map(trade => trade.profitLossUsdt || 0)) / trades.length;
+  metrics.expectancyPercent = sum(trades.map(trade => trade.profitLossPercent || 0)) / trades.length;
+  metrics.avgProfitPercent = mean(wins.map(trade => trade.profitLossPercent || 0));
+  metrics.avgLossPercent = mean(losses.map(trade => trade.profitLossPercent || 0));
+  metrics.maxProfitPercent = wins.length > 0 ? Math.max(...wins.map(trade => trade.profitLossPercent || 0)) : 0;
+  metrics.maxLossPercent = losses.length > 0 ? Math.min(...losses.map(trade => trade.profitLossPercent || 0)) : 0;
+  if (wins.length > 0 && losses.length > 0) {
+    metrics.payoffRatio = (metrics.grossProfitUsdt / wins.length) / (metrics.grossLossUsdt / losses.length);
+  }
+
+  Object.assign(metrics, calculateStreaks(sortByExitTime(trades)));
+
+  const startTime = equityCurve[0].time;
+  const endTime = equityCurve[equityCurve.length - 1].time;
+  const periodMs = endTime - startTime;
+  metrics.periodDays = periodMs / DAY_MS;
+  metrics.exposureTimePercent = periodMs > 0 ? (calculateTimeInMarket(trades) / periodMs) * 100 : 0;
+
+  const returns = calculateDailyReturns(equityCurve);
+  metrics.sharpeRatio = annualizedRatio(mean(returns), standardDeviation(returns), returns.length);
+  metrics.sortinoRatio = annualizedRatio(mean(returns), downsideDeviation(returns), returns.length);
+
+  // CAGR за період не коротший за добу, щоб години торгівлі не роздували річну дохідність
+  const finalEquity = equityCurve[equityCurve.length - 1].equity;
+  const growth = initialBalance > 0 ? finalEquity / initialBalance : 0;
+  const years = Math.max(metrics.periodDays, 1) / PERIODS_PER_YEAR;
+  metrics.annualizedReturnPercent = growth > 0 ? finiteOr((Math.pow(growth, 1 / years) - 1) * 100, 0) : -100;
+  if (metrics.maxDrawdownPercent > 0) {
+    metrics.calmarRatio = metrics.annualizedReturnPercent / metrics.maxDrawdownPercent;
+  }
+
+  return metrics;
+}
+
+/**
+ * Longest runs of winning and losing trades. Break-even trades end both runs.
+ * @param {Array} trades - Trades in chronological order.
+ * @returns {Object} { maxWinStreak, maxLossStreak }.
+ */
+export function calculateStreaks(trades) {
+  let wins = 0;
+  let losses = 0;
+  let maxWinStreak = 0;
+  let maxLossStreak = 0;
+
+  for (const trade of trades) {
+    wins = trade.profitLossUsdt > 0 ? wins + 1 : 0;
+    losses = trade.profitLossUsdt < 0 ? losses + 1 : 0;
+    maxWinStreak = Math.max(maxWinStreak, wins);
+    maxLossStreak = Math.max(maxLossStreak, losses);
+  }
+
+  return { maxWinStreak, maxLossStreak };
+}
+
+function calculateTimeInMarket(trades) {
+  const intervals = trades
+    .filter(trade => trade.entryTime != null && trade.exitTime != null)
+    .map(trade => [trade.entryTime, trade.exitTime])
+    .sort((a, b) => a[0] - b[0]);
+
+  // Перекриті позиції рахуються один раз
+  let total = 0;
+  let current = null;
+  for (const [start, end] of intervals) {
+    if (current && start <= current[1]) {
+      current[1] = Math.max(current[1], end);
+      continue;
+    }
+    if (current) total += current[1] - current[0];
+    current = [start, end];
+  }
+  if (current) total += current[1] - current[0];
+
+  return total;
+}
+
+function annualizedRatio(meanReturn, deviation, periods) {
+  if (periods < 2 || deviation <= 0) return 0;
+  return finiteOr((meanReturn / deviation) * Math.sqrt(PERIODS_PER_YEAR), 0);
+}
+
+function standardDeviation(values) {
+  if (values.length < 2) return 0;
+  const average = mean(values);
+  return Math.sqrt(sum(values.map(value => (value - average) ** 2)) / (values.length - 1));
+}
+
+function downsideDeviation(values) {
+  if (values.length === 0) return 0;
+  return Math.sqrt(sum(values.map(value => Math.min(value, 0) ** 2)) / values.length);
+}
+
+function sortByExitTime(trades) {
+  return trades
+    .map((trade, index) => ({ trade, index }))
+    .sort((a, b) => (exitTimeOf(a.trade) - exitTimeOf(b.trade)) || a.index - b.index)
+    .map(({ trade }) => trade);
+}
+
+function exitTimeOf(trade) {
+  return trade.exitTime ?? trade.entryTime ?? 0;
+}
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+function mean(values) {
+  return values.length > 0 ? sum(values) / values.length : 0;
+}
+
+function finiteOr(value, fallback) {
+  return Number.isFinite(value) ? value : fallback;
+}
+
+export default {
+  buildEquityCurve,
+  calculateMaxDrawdown,
+  calculateDailyReturns,
+  calculatePerformanceMetrics,
+  calculateStreaks
+};
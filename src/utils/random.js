@@ -0,0 +1,30 @@
+// Seedable pseudo-random number generation for reproducible simulations
+
+/**
+ * Create a deterministic random generator (mulberry32).
+ * @param {number} seed - 32-bit integer seed.
+ * @returns {Function} Function returning floats in [0, 1).
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate a new seed when none was configured.
+ * @returns {number} 32-bit integer seed.
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+export default {
+  createRandom,
+  randomSeed
+};
@@ -0,0 +1,154 @@
+// Exchange trading rules (LOT_SIZE, PRICE_FILTER, MIN_NOTIONAL / NOTIONAL)
+
+const EPSILON = 1e-9;
+const FILTER_KEYS = ['stepSize', 'minQty', 'maxQty', 'tickSize', 'minPrice', 'maxPrice', 'minNotional'];
+
+/**
+ * Extract trading rules from the `filters` array of an exchangeInfo symbol.
+ * Zero limits mean "not enforced" on Binance and are returned as null.
+ * @param {Array} filters - exchangeInfo symbol filters.
+ * @returns {{stepSize:number|null, minQty:number|null, maxQty:number|null, tickSize:number|null,
+ *   minPrice:number|null, maxPrice:number|null, minNotional:number|null}}
+ */
+export function parseSymbolFilters(filters = []) {
+  const byType = new Map(filters.map(filter => [filter.filterType, filter]));
+  const lotSize = byType.get('LOT_SIZE') || {};
+  const priceFilter = byType.get('PRICE_FILTER') || {};
+  const notional = byType.get('NOTIONAL') || byType.get('MIN_NOTIONAL') || {};
+
+  return {
+    stepSize: positiveOrNull(lotSize.stepSize),
+    minQty: positiveOrNull(lotSize.minQty),
+    maxQty: positiveOrNull(lotSize.maxQty),
+    tickSize: positiveOrNull(priceFilter.tickSize),
+    minPrice: positiveOrNull(priceFilter.minPrice),
+    maxPrice: positiveOrNull(priceFilter.maxPrice),
+    minNotional: positiveOrNull(notional.minNotional)
+  };
+}
+
+/**
+ * Trading rules from a `symbols` table row.
+ * @param {Object} row
+ * @returns {Object|null} Filters, or null when the row has none stored.
+ */
+export function filtersFromSymbolRow(row) {
+  if (!row || (row.step_size == null && row.tick_size == null && row.min_notional == null)) {
+    return null;
+  }
+
+  return {
+    stepSize: row.step_size ?? null,
+    minQty: row.min_qty ?? null,
+    maxQty: row.max_qty ?? null,
+    tickSize: row.tick_size ?? null,
+    minPrice: row.min_price ?? null,
+    maxPrice: row.max_price ?? null,
+    minNotional: row.min_notional ?? null
+  };
+}
+
+/**
+ * Round a value down to a multiple of step (quantities are never rounded up,
+ * the account may not hold the extra fraction).
+ * @param {number} value
+ * @param {number|null} step - No rounding when empty.
+ * @returns {number}
+ */
+export function floorToStep(value, step) {
+  if (!step) return value;
+  return toStepPrecision(Math.floor(value / step + EPSILON) * step, step);
+}
+
+/**
+ * Round a price to a multiple of tick.
+ * @param {number} price
+ * @param {number|null} tick - No rounding when empty.
+ * @param {'nearest'|'down'|'up'} [mode='nearest']
+ * @returns {number}
+ */
+export function roundToTick(price, tick, mode = 'nearest') {
+  if (!tick) return price;
+  const ticks = price / tick;
+  const rounded = mode === 'down'
+    ? Math.floor(ticks + EPSILON)
+    : mode === 'up' ? Math.ceil(ticks - EPSILON) : Math.round(ticks);
+  return toStepPrecision(rounded * tick, tick);
+}
+
+/**
+ * Fit an order into the symbol trading rules: quantity is floored to the lot step,
+ * price rounded to the tick, then minimums are checked on the rounded values.
+ * @param {Object} order
+ * @param {number} order.quantity
+ * @param {number} order.price - Limit price or the expected fill price of a market order.
+ * @param {'nearest'|'down'|'up'} [order.priceRounding='nearest']
+ * @param {Object|null} filters - Output of parseSymbolFilters; null skips all checks.
+ * @returns {{valid:boolean, quantity:number, price:number, reason?:string}}
+ *   reason is one of below_min_qty, above_max_qty, price_out_of_range, below_min_notional.
+ */
+export function applyOrderFilters({ quantity, price, priceRounding = 'nearest' }, filters) {
+  if (!filters) {
+    return { valid: true, quantity, price };
+  }
+
+  const roundedQuantity = floorToStep(quantity, filters.stepSize);
+  const roundedPrice = roundToTick(price, filters.tickSize, priceRounding);
+  const result = { quantity: roundedQuantity, price: roundedPrice };
+
+  if (!(roundedQuantity > 0) || (filters.minQty && roundedQuantity < filters.minQty - EPSILON)) {
+    return { ...result, valid: false, reason: 'below_min_qty' };
+  }
+  if (filters.maxQty && roundedQuantity > filters.maxQty + EPSILON) {
+    return { ...result, valid: false, reason: 'above_max_qty' };
+  }
+  if ((filters.minPrice && roundedPrice < filters.minPrice - EPSILON) || (filters.maxPrice && roundedPrice > filters.maxPrice + EPSILON)) {
+    return { ...result, valid: false, reason: 'price_out_of_range' };
+  }
+  if (filters.minNotional && roundedQuantity * roundedPrice < filters.minNotional - EPSILON) {
+    return { ...result, valid: false, reason: 'below_min_notional' };
+  }
+
+  return { ...result, valid: true };
+}
+
+/**
+ * Whether two filter sets enforce the same rules (null and missing are equal).
+ * @param {Object|null} a
+ * @param {Object|null} b
+ * @returns {boolean}
+ */
+export function sameFilters(a, b) {
+  return FILTER_KEYS.every(key => (a?.[key] ?? null) === (b?.[key] ?? null));
+}
+
+function positiveOrNull(value) {
+  const number = parseFloat(value);
+  return number > 0 ? number : null;
+}
+
+/**
+ * Drop floating point noise: keep as many decimals as the step itself has
+ * (0.25 -> 2, 0.025 -> 3), so the result stays an exact step multiple.
+ */
+function toStepPrecision(value, step) {
+  return parseFloat(value.toFixed(Math.min(stepDecimals(step), 12)));
+}
+
+/**
+ * Decimal places written in a step, including exponent notation (1e-8 -> 8, 2.5e-7 -> 8).
+ */
+function stepDecimals(step) {
+  const [mantissa, exponent = '0'] = String(step).toLowerCase().split('e');
+  const fraction = mantissa.split('.')[1] || '';
+  return Math.max(0, fraction.length - parseInt(exponent, 10));
+}
+
+export default {
+  parseSymbolFilters,
+  filtersFromSymbolRow,
+  floorToStep,
+  roundToTick,
+  applyOrderFilters,
+  sameFilters
+};
@@ -222,6 +222,26 @@ export function validateOrderBook(orderBook) {
     }
   }
   
+  // Порядок рівнів: bids за спаданням, asks за зростанням, без перехрещення
+  if (errors.length === 0) {
+    const isSorted = (levels, descending) => levels.every((level, i) => {
+      if (i === 0) return true;
+      const prev = parseFloat(levels[i - 1][0]);
+      const price = parseFloat(level[0]);
+      return descending ? price < prev : price > prev;
+    });
+    
+    if (!isSorted(orderBook.bids, true)) {
+      errors.push('bids must be sorted by price descending');
+    }
+    if (!isSorted(orderBook.asks, false)) {
+      errors.push('asks must be sorted by price ascending');
+    }
+    if (parseFloat(orderBook.bids[0][0]) >= parseFloat(orderBook.asks[0][0])) {
+      errors.push('best bid must be lower than best ask');
+    }
+  }
+  
   return {
     isValid: errors.length === 0,
     errors
@@ -0,0 +1,70 @@
+import assert from 'assert';
+import { GaussianProcess, expectedImprovement } from '../src/analysis/bayesianSearch.js';
+import { ParameterOptimizer } from '../src/analysis/optimizer.js';
+
+export async function testGaussianProcessInterpolatesObservations() {
+  const points = [[0], [0.25], [0.5], [0.75], [1]];
+  const values = points.map(([x]) => Math.sin(6 * x));
+  const model = new GaussianProcess({ lengthScale: 0.2 }).fit(points, values);
+
+  // У спостережених точках - майже точні значення і мала невизначеність
+  points.forEach((point, i) => {
+    const { mean, stdDev } = model.predict(point);
+    assert.ok(Math.abs(mean - values[i]) < 0.01);
+    assert.ok(stdDev < 0.05);
+  });
+
+  // Далеко від даних невизначеність більша, тож EI заохочує дослідження
+  const far = model.predict([2]);
+  assert.ok(far.stdDev > model.predict([0.6]).stdDev);
+  const best = Math.max(...values);
+  assert.ok(expectedImprovement(far, best) > expectedImprovement(model.predict([0]), best));
+  assert.strictEqual(expectedImprovement({ mean: 1, stdDev: 0 }, 2), 0);
+}
+
+export async function testBayesianOptimizationFindsOptimumWithinBudget() {
+  const optimizer = new ParameterOptimizer();
+  const evaluated = [];
+
+  // Сурогат симуляції: гладка функція з максимумом у TP 2.5, SL 1.0, TS 0.6
+  optimizer.testConfiguration = async config => {
+    evaluated.push(config);
+    const roiPercent = 10
+      - (config.takeProfitPercent - 2.5) ** 2
+      - 4 * (config.stopLossPercent - 1.0) ** 2
+      - 4 * (config.trailingStopPercent - 0.6) ** 2;
+    return { summary: { roiPercent }, trades: [] };
+  };
+
+  const results = await optimizer.bayesianOptimization({ name: 'Base', entryTiming: 'delay' }, {
+    buyAmountRange: [100, 100, 1],
+    maxIterations: 25,
+    initialSamples: 5,
+    seed: 42
+  });
+
+  const candidates = optimizer.generateParameterCombinations({
+    takeProfitRange: [0.5, 3.0, 0.5],
+    stopLossRange: [0.5, 2.0, 0.5],
+    trailingStopRange: [0.2, 1.0, 0.2],
+    buyAmountRange: [100, 100, 1],
+    maxIterations: Infinity
+  });
+  assert.ok(candidates.length > 25);
+
+  // Бюджет дотримано, кожна комбінація симулюється один раз і відповідає обмеженням сітки
+  assert.strictEqual(evaluated.length, 25);
+  assert.strictEqual(new Set(evaluated.map(config => config.name)).size, 25);
+  for (const config of evaluated) {
+    assert.ok(config.takeProfitPercent > config.stopLossPercent);
+    assert.ok(config.trailingStopPercent < config.takeProfitPercent);
+    assert.strictEqual(config.entryTiming, 'delay');
+  }
+
+  const [best] = results;
+  assert.strictEqual(best.config.takeProfitPercent, 2.5);
+  assert.strictEqual(best.config.stopLossPercent, 1);
+  assert.strictEqual(best.config.trailingStopPercent, 0.6);
+  assert.strictEqual(best.score, 10);
+  assert.strictEqual(optimizer.optimizationHistory.length, 25);
+}
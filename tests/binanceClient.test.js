@@ -1,5 +1,6 @@
 import assert from 'assert';
-import client from '../src/api/binanceClient.js';
+import client, { BinanceClient } from '../src/api/binanceClient.js';
+import { BinanceRateLimitManager } from '../src/api/rateLimitManager.js';
 
 export async function testRequestThrowsOn400() {
   const originalGet = client.axios.get;
@@ -18,3 +19,80 @@ export async function testRequestThrowsOn400() {
     client.axios.get = originalGet;
   }
 }
+
+function createSignedClient(respond) {
+  const signedClient = new BinanceClient({
+    apiKey: 'test-key',
+    apiSecret: 'NhqPtmdSJYdKjVHjA7PZj4Mge3R5YNiP1e3UZjInClVN65XAbvqqM6A7H5fATj0j',
+    rateLimitManager: new BinanceRateLimitManager({ maxRequestsPerSecond: 1000 })
+  });
+  signedClient.lastTimeSync = Date.now();
+  signedClient.requests = [];
+  signedClient.axios.request = async config => {
+    signedClient.requests.push(config);
+    return respond(config);
+  };
+  return signedClient;
+}
+
+export async function testSignatureMatchesBinanceExample() {
+  const signedClient = createSignedClient();
+  // Приклад із документації Binance
+  const query = 'symbol=LTCBTC&side=BUY&type=LIMIT&timeInForce=GTC&quantity=1&price=0.1&recvWindow=5000&timestamp=1499827319559';
+  assert.strictEqual(signedClient.sign(query), 'c8db56825ae71d6d79447849e617115f4a920fa2acdcab2b053c4b2838bd6b71');
+}
+
+export async function testSignedOrderGoesThroughRateLimiter() {
+  const signedClient = createSignedClient(() => ({
+    status: 200,
+    data: { orderId: 42, executedQty: '1', fills: [{ price: '0.1' }] },
+    headers: {}
+  }));
+  signedClient.timeOffset = 5000;
+
+  const before = Date.now();
+  const result = await signedClient.order({ symbol: 'LTCUSDT', side: 'BUY', type: 'MARKET', quantity: 1, timestamp: 1 });
+  assert.strictEqual(result.orderId, 42);
+
+  const [request] = signedClient.requests;
+  assert.strictEqual(request.method, 'POST');
+  assert.strictEqual(request.headers['X-MBX-APIKEY'], 'test-key');
+
+  const params = new URLSearchParams(request.url.split('?')[1]);
+  assert.strictEqual(params.get('recvWindow'), '5000');
+  assert.ok(Number(params.get('timestamp')) >= before + 5000);
+  const signature = params.get('signature');
+  params.delete('signature');
+  assert.strictEqual(signature, signedClient.sign(params.toString()));
+
+  assert.strictEqual(signedClient.rateLimitManager.getStats().ordersToday, 1);
+}
+
+export async function testSignedErrorsAreParsed() {
+  const signedClient = createSignedClient(() => ({
+    status: 400,
+    data: { code: -2010, msg: 'Account has insufficient balance for requested action.' },
+    headers: {}
+  }));
+
+  await assert.rejects(
+    signedClient.limitOrder('LTCUSDT', 'BUY', 1, 0.1),
+    error => error.apiError.code === -2010 && /insufficient balance/.test(error.message)
+  );
+  // Ордер не повторюється після помилки
+  assert.strictEqual(signedClient.requests.length, 1);
+
+  // Розбіжність годинника скидає синхронізацію часу
+  signedClient.axios.request = async () => ({ status: 400, data: { code: -1021, msg: 'Timestamp outside recvWindow' }, headers: {} });
+  await assert.rejects(signedClient.getAccount(), /-1021/);
+  assert.strictEqual(signedClient.lastTimeSync, 0);
+}
+
+export async function testServerTimeSync() {
+  const signedClient = createSignedClient();
+  signedClient.axios.get = async () => ({ status: 200, data: { serverTime: Date.now() + 2000 }, headers: {} });
+  const offset = await signedClient.syncServerTime();
+  assert.ok(offset >= 1900 && offset <= 2100);
+
+  await assert.rejects(new BinanceClient({ apiKey: '', apiSecret: '' }).getAccount(), /BINANCE_API_KEY/);
+}
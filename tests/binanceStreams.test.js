@@ -0,0 +1,150 @@
+import assert from 'assert';
+import { EventEmitter } from 'events';
+import { WebSocketServer } from 'ws';
+import { BinanceStreamClient } from '../src/api/binanceStreams.js';
+
+// Локальний сервер замість Binance: запам'ятовує підписки й розсилає повідомлення
+async function startStandIn(options = {}) {
+  const server = new WebSocketServer({ port: 0, ...options });
+  await new Promise(resolve => server.once('listening', resolve));
+
+  const standIn = {
+    server,
+    url: `ws://127.0.0.1:${server.address().port}`,
+    connections: 0,
+    requests: [],
+    socket: null,
+    push(stream, data) {
+      standIn.socket.send(JSON.stringify({ stream, data }));
+    },
+    close: () => new Promise(resolve => {
+      server.clients.forEach(client => client.terminate());
+      server.close(resolve);
+    })
+  };
+
+  server.on('connection', socket => {
+    standIn.connections++;
+    standIn.socket = socket;
+    socket.on('message', raw => {
+      const request = JSON.parse(raw.toString());
+      standIn.requests.push(request);
+      socket.send(JSON.stringify({ result: null, id: request.id }));
+    });
+  });
+
+  return standIn;
+}
+
+function waitFor(emitter, event) {
+  return new Promise(resolve => emitter.once(event, resolve));
+}
+
+async function waitUntil(condition, timeoutMs = 2000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) throw new Error('Condition not met in time');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+export async function testStreamsFeedEngineAndResubscribe() {
+  const standIn = await startStandIn();
+  const client = new BinanceStreamClient({ baseUrl: standIn.url, restClient: {}, reconnectDelayMs: 10 });
+
+  const engine = new EventEmitter();
+  engine.activeTrades = new Map([['NEWUSDT', {}]]);
+  engine.updates = [];
+  engine.updateActiveTrades = async prices => { engine.updates.push(prices); };
+
+  try {
+    await client.connect();
+    client.connectEngine(engine);
+    await waitUntil(() => standIn.requests.length === 1);
+    assert.deepStrictEqual(standIn.requests[0].params, ['newusdt@trade', 'newusdt@kline_1m', 'newusdt@bookTicker']);
+
+    const klineEvent = waitFor(client, 'kline');
+    standIn.push('newusdt@kline_1m', { s: 'NEWUSDT', k: { t: 0, T: 59999, o: '1', h: '1.2', l: '0.9', c: '1.1', v: '10', q: '11', n: 5, Q: '6', x: true } });
+    const { kline } = await klineEvent;
+    assert.strictEqual(kline.close, '1.1');
+    assert.strictEqual(kline.isClosed, true);
+
+    standIn.push('newusdt@trade', { s: 'NEWUSDT', p: '1.15', q: '3', T: 1000, m: false });
+    standIn.push('othusdt@trade', { s: 'OTHUSDT', p: '5', q: '1', T: 1000, m: false });
+    await waitUntil(() => engine.updates.length === 1);
+    assert.deepStrictEqual(engine.updates[0], { NEWUSDT: { price: 1.15 } });
+
+    // Закриття угоди знімає підписку символу
+    engine.emit('trade_closed', { symbol: 'NEWUSDT' });
+    await waitUntil(() => standIn.requests.length === 2);
+    assert.strictEqual(standIn.requests[1].method, 'UNSUBSCRIBE');
+
+    // Обрив з'єднання: перепідключення та повторна підписка
+    client.subscribeTrades('BTCUSDT');
+    await waitUntil(() => standIn.requests.length === 3);
+    standIn.socket.terminate();
+    await waitFor(client, 'connected');
+    await waitUntil(() => standIn.requests.length === 4);
+    assert.strictEqual(standIn.connections, 2);
+    assert.deepStrictEqual(standIn.requests[3], { method: 'SUBSCRIBE', params: ['btcusdt@trade'], id: standIn.requests[3].id });
+  } finally {
+    await client.close();
+    await standIn.close();
+  }
+}
+
+export async function testHeartbeatTimeoutReconnects() {
+  // Сервер не відповідає на ping - з'єднання вважається мертвим
+  const standIn = await startStandIn({ autoPong: false });
+  const client = new BinanceStreamClient({ baseUrl: standIn.url, restClient: {}, reconnectDelayMs: 10, heartbeatTimeoutMs: 60 });
+
+  try {
+    await client.connect();
+    await waitFor(client, 'reconnecting');
+    await waitFor(client, 'connected');
+    assert.ok(standIn.connections >= 2);
+  } finally {
+    await client.close();
+    await standIn.close();
+  }
+}
+
+export async function testDepthRecoversFromSequenceGap() {
+  const standIn = await startStandIn();
+  const snapshots = [
+    { lastUpdateId: 100, bids: [['0.99', '5']], asks: [['1.01', '5']] },
+    { lastUpdateId: 110, bids: [['0.98', '7']], asks: [['1.02', '7']] }
+  ];
+  const restClient = { calls: 0, getOrderBook: async () => snapshots[restClient.calls++] };
+  const client = new BinanceStreamClient({ baseUrl: standIn.url, restClient });
+  const books = [];
+  client.on('depth', ({ orderBook }) => books.push(orderBook));
+  const resyncs = [];
+  client.on('depth_resync', event => resyncs.push(event));
+
+  try {
+    await client.connect();
+    client.subscribeDepth('NEWUSDT');
+
+    // Подія до знімку буферизується, стара відкидається
+    standIn.push('newusdt@depth@100ms', { s: 'NEWUSDT', U: 95, u: 101, b: [['0.99', '6']], a: [] });
+    await waitUntil(() => books.length === 1);
+    assert.deepStrictEqual(books[0].bids, [['0.99', '6']]);
+    assert.strictEqual(books[0].lastUpdateId, 101);
+
+    standIn.push('newusdt@depth@100ms', { s: 'NEWUSDT', U: 102, u: 103, b: [['0.99', '0']], a: [['1.005', '2']] });
+    await waitUntil(() => books.length === 2);
+    assert.deepStrictEqual(books[1], { bids: [], asks: [['1.005', '2'], ['1.01', '5']], lastUpdateId: 103 });
+
+    // Розрив 104..107 - новий знімок і застосування події, що його виявила
+    standIn.push('newusdt@depth@100ms', { s: 'NEWUSDT', U: 108, u: 111, b: [['0.97', '1']], a: [] });
+    await waitUntil(() => books.length === 3);
+    assert.deepStrictEqual(resyncs, [{ symbol: 'NEWUSDT', reason: 'sequence_gap' }]);
+    assert.strictEqual(restClient.calls, 2);
+    assert.deepStrictEqual(books[2].bids, [['0.98', '7'], ['0.97', '1']]);
+    assert.strictEqual(books[2].lastUpdateId, 111);
+  } finally {
+    await client.close();
+    await standIn.close();
+  }
+}
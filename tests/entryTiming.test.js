@@ -0,0 +1,99 @@
+import assert from 'assert';
+import { getDatabase, closeDatabase } from '../src/database/init.js';
+import { SymbolModel, ListingAnalysisModel, HistoricalKlineModel } from '../src/database/models.js';
+import { planEntry, normalizeEntryTiming } from '../src/simulation/entryTiming.js';
+import { TradingSimulator } from '../src/simulation/simulator.js';
+
+const START = Date.UTC(2024, 0, 1);
+
+// Сплеск до 14, відкат до 11.5, потім пробій вище 14
+const PATH = [
+  [10, 12, 10, 12],
+  [12, 14, 12, 13.8],
+  [13.8, 13.9, 12, 12.5],
+  [12.5, 12.6, 11.4, 11.5],
+  [11.5, 12.5, 11.5, 12.4],
+  [12.4, 13.5, 12.4, 13.4],
+  [13.4, 14.6, 13.4, 14.5],
+  [14.5, 15, 14.4, 14.8]
+];
+
+function buildKlines() {
+  return PATH.map(([open, high, low, close], i) => ({
+    open, high, low, close,
+    openTime: START + i * 60000,
+    closeTime: START + (i + 1) * 60000 - 1
+  }));
+}
+
+export async function testEntryTimingModes() {
+  const klines = buildKlines();
+
+  const delayed = planEntry(klines, { entryTiming: 'delay', entryDelaySeconds: 120 });
+  assert.strictEqual(delayed.signalIndex, 2);
+  assert.strictEqual(delayed.price, 13.8);
+  // Виконання на відкритті свічки - вона вже враховується для виходів
+  assert.strictEqual(delayed.exitStartIndex, 2);
+
+  // Затримка в пів хвилини - ціна посередині між open і close
+  const late = planEntry(klines, { entryTiming: 'delay', entryDelaySeconds: 120, entryLatencyMs: 30000 });
+  assert.strictEqual(late.executionIndex, 2);
+  assert(Math.abs(late.price - (13.8 + (12.5 - 13.8) * 30000 / 59999)) < 1e-9);
+  assert.strictEqual(late.exitStartIndex, 3);
+
+  const pullback = planEntry(klines, { entryTiming: 'pullback', pullbackPercent: 15 });
+  assert.strictEqual(pullback.signalIndex, 3);
+  assert.strictEqual(pullback.signalPrice, 11.5);
+
+  const breakout = planEntry(klines, { entryTiming: 'breakout', breakoutMinutes: 2 });
+  assert.strictEqual(breakout.signalIndex, 6);
+  assert.strictEqual(breakout.signalTime, klines[6].closeTime);
+
+  assert.strictEqual(planEntry(klines, { entryTiming: 'pullback', pullbackPercent: 50 }).reason, 'no_entry_signal');
+  assert.strictEqual(planEntry(klines, { entryTiming: 'breakout', breakoutMinutes: 2, entryLatencyMs: 120000 }).reason, 'entry_after_data');
+
+  assert.strictEqual(normalizeEntryTiming(undefined), 'window_close');
+  assert.throws(() => normalizeEntryTiming('sometime'), /Unknown entry timing/);
+}
+
+export async function testSimulatorLatencyCostIsRecorded() {
+  process.env.DB_PATH = ':memory:';
+  const db = await getDatabase();
+  const symbolId = await new SymbolModel().create({ symbol: 'LATUSDT', baseAsset: 'LAT', quoteAsset: 'USDT' });
+  await new ListingAnalysisModel().create({ symbolId, listingDate: START, dataStatus: 'analyzed' });
+
+  const rows = buildKlines().map(k => [symbolId, k.openTime, k.closeTime, k.open, k.high, k.low, k.close, 1000, 10000, 50, 500, 5000]);
+  await new HistoricalKlineModel().createBatch(rows);
+
+  const listing = { symbol_id: symbolId, symbol: 'LATUSDT', listing_date: START, klines_count: 10 };
+  const sim = new TradingSimulator({
+    name: 'LatencyTest',
+    takeProfitPercent: 0.5,
+    stopLossPercent: 0.5,
+    entryTiming: 'delay',
+    entryDelaySeconds: 120,
+    entryLatencyMs: 30000
+  });
+  const configId = await sim.saveConfiguration();
+  const result = await sim.processListing(listing, configId);
+  assert.strictEqual(result.processed, true);
+
+  const trade = result.trade.trade;
+  assert.strictEqual(trade.signalPrice, 13.8);
+  assert.strictEqual(trade.entryTime, START + 150000);
+  assert(trade.latencyCostPercent < 0);
+  assert.strictEqual(trade.exitReason, 'timeout');
+
+  const row = await db.get('SELECT signal_time, signal_price FROM simulation_results');
+  assert.strictEqual(row.signal_time, START + 120000);
+  assert.strictEqual(row.signal_price, 13.8);
+
+  const config = await db.get('SELECT entry_timing, entry_latency_ms FROM simulation_configs WHERE id = ?', configId);
+  assert.deepStrictEqual({ ...config }, { entry_timing: 'delay', entry_latency_ms: 30000 });
+
+  const noSignal = new TradingSimulator({ name: 'NoPullback', entryTiming: 'pullback', pullbackPercent: 50 });
+  assert.strictEqual((await noSignal.processListing(listing, configId)).reason, 'no_entry_signal');
+  assert.strictEqual(noSignal.skipReasonCounts.no_entry_signal, 1);
+
+  await closeDatabase();
+}
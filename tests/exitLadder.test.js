@@ -0,0 +1,168 @@
+import assert from 'assert';
+import { getDatabase, closeDatabase } from '../src/database/init.js';
+import { parseExitLadder } from '../src/simulation/exitLadder.js';
+import { SimulatedPosition } from '../src/simulation/simulatedPosition.js';
+import { TrailingStopLoss } from '../src/simulation/strategies/trailingStopLoss.js';
+import { TradingSimulator } from '../src/simulation/simulator.js';
+import { TradingEngine } from '../src/simulation/tradingEngine.js';
+
+const LADDER = [{ profitPercent: 0.2, sizePercent: 0.3 }, { profitPercent: 0.1, sizePercent: 0.5 }];
+const START = Date.UTC(2024, 0, 1);
+
+function candle(high, low, close, i) {
+  return { open: close, high, low, close, openTime: START + i * 60000, closeTime: START + (i + 1) * 60000 - 1 };
+}
+
+export async function testExitLadderParsing() {
+  const ladder = parseExitLadder(JSON.stringify(LADDER));
+  assert.deepStrictEqual(ladder.map(level => level.profitPercent), [0.1, 0.2]);
+  assert.strictEqual(parseExitLadder(null), null);
+  assert.throws(() => parseExitLadder([{ profitPercent: 0.1, sizePercent: 0.7 }, { profitPercent: 0.2, sizePercent: 0.5 }]), /more than the position/);
+  assert.throws(() => parseExitLadder([{ profitPercent: -0.1, sizePercent: 0.5 }]), /positive/);
+}
+
+export async function testPositionScalesOutAndTrailsRest() {
+  const trailingStop = new TrailingStopLoss({ trailingStopEnabled: true, trailingStopPercent: 0.05, trailingStopActivationPercent: 0.05 });
+  const position = new SimulatedPosition({
+    symbol: 'LADUSDT',
+    entryTime: START,
+    entryPrice: 100,
+    quantity: 10,
+    costUsdt: 1000,
+    takeProfitPrice: 150,
+    stopLossPrice: 90,
+    exitLadder: parseExitLadder(LADDER),
+    trailingStop
+  });
+
+  assert.strictEqual(position.processCandle(candle(111, 100, 110, 1)), null);
+  assert.strictEqual(position.remainingQuantity, 5);
+  assert.strictEqual(position.processCandle(candle(125, 110, 124, 2)), null);
+  assert.ok(Math.abs(position.remainingQuantity - 2) < 1e-9);
+
+  // Залишок закривається trailing stop від максимуму 125
+  const exit = position.processCandle(candle(124, 115, 116, 3));
+  assert.strictEqual(exit.reason, 'trailing_stop');
+  assert.deepStrictEqual(exit.legs.map(leg => leg.reason), ['take_profit', 'take_profit', 'trailing_stop']);
+  assert.ok(Math.abs(exit.legs[2].price - 118.75) < 1e-9);
+  assert.ok(Math.abs(exit.exitPrice - (5 * 110 + 3 * 120 + 2 * 118.75) / 10) < 1e-9);
+}
+
+export async function testSimulatorStoresExitLegs() {
+  process.env.DB_PATH = ':memory:';
+  const db = await getDatabase();
+
+  const sim = new TradingSimulator({
+    name: 'LadderTest',
+    takeProfitPercent: 0.5,
+    stopLossPercent: 0.1,
+    buyAmountUsdt: 1000,
+    binanceFeePercent: 0.001,
+    exitLadder: JSON.stringify(LADDER)
+  });
+  const configId = await sim.saveConfiguration();
+
+  const marketData = {
+    symbol: 'LADUSDT',
+    symbolId: 1,
+    ticker: { price: '100', volume: '1000' },
+    klines: [candle(100, 100, 100, 0), candle(112, 100, 111, 1), candle(111, 85, 88, 2)],
+    currentTime: START + 59999
+  };
+  const { trade } = await sim.executeTrade(marketData, configId);
+
+  assert.strictEqual(trade.exitReason, 'stop_loss');
+  assert.strictEqual(trade.exitLegs.length, 2);
+  assert.ok(Math.abs(trade.exitPrice - 100) < 1e-9);
+  // Комісія продажу - сума комісій обох ніг
+  assert.ok(Math.abs(trade.sellCommission - (5 * 110 + 5 * 90) * 0.001) < 1e-9);
+  assert.ok(Math.abs(trade.profitLossUsdt - (-1 - 1)) < 1e-9);
+
+  const legs = await db.all('SELECT * FROM simulation_exit_legs ORDER BY leg_index');
+  assert.deepStrictEqual(legs.map(leg => leg.exit_reason), ['take_profit', 'stop_loss']);
+  assert.strictEqual(legs[0].quantity, 5);
+
+  const { summary } = await sim.generateResults(configId);
+  assert.strictEqual(summary.partialExitTrades, 1);
+  const row = await db.get('SELECT partial_exit_trades FROM simulation_summary WHERE config_id = ?', configId);
+  assert.strictEqual(row.partial_exit_trades, 1);
+
+  await closeDatabase();
+}
+
+export async function testEngineSellsLadderLegs() {
+  process.env.INITIAL_BALANCE_USDT = '10000';
+  const engine = new TradingEngine({
+    simulationMode: true,
+    buyAmountUsdt: 1000,
+    binanceFeePercent: 0.001,
+    takeProfitPercent: 0.5,
+    stopLossPercent: 0.1,
+    trailingStopEnabled: true,
+    trailingStopPercent: 0.05,
+    trailingStopActivationPercent: 0.05,
+    exitLadder: LADDER
+  }, {});
+  engine.createOrder = async () => ({ success: true, orderId: '1' });
+
+  const partialExits = [];
+  engine.on('trade_partial_exit', event => partialExits.push(event.leg));
+
+  const { trade } = await engine.executeBuy({
+    symbol: 'LADUSDT',
+    ticker: { price: '100' },
+    orderBook: { bids: [['99', '1']], asks: [['101', '1']] }
+  });
+
+  await engine.updateTrade(trade, { price: '121' });
+  assert.strictEqual(partialExits.length, 2);
+  assert.ok(Math.abs(trade.remainingQuantity - 2) < 1e-9);
+  assert.strictEqual(trade.status, 'ACTIVE');
+
+  // Trailing stop від 121 спрацьовує на 114.95
+  await engine.updateTrade(trade, { price: '114' });
+  assert.strictEqual(trade.status, 'CLOSED');
+  assert.strictEqual(trade.exitReason, 'trailing_stop');
+  assert.strictEqual(trade.exitLegs.length, 3);
+
+  const balanceDiff = engine.balance.usdt - 10000;
+  assert.strictEqual(balanceDiff.toFixed(6), trade.profitLossUsdt.toFixed(6));
+}
+
+export async function testFailedLadderSellKeepsLevel() {
+  process.env.INITIAL_BALANCE_USDT = '10000';
+  const engine = new TradingEngine({
+    simulationMode: true,
+    buyAmountUsdt: 1000,
+    binanceFeePercent: 0.001,
+    takeProfitPercent: 0.5,
+    stopLossPercent: 0.1,
+    trailingStopEnabled: false,
+    exitLadder: LADDER
+  }, {});
+  let rejectSells = false;
+  engine.createOrder = async ({ side }) => (side === 'SELL' && rejectSells
+    ? { success: false, error: 'exchange unavailable' }
+    : { success: true, orderId: '1' });
+
+  const { trade } = await engine.executeBuy({
+    symbol: 'LADUSDT',
+    ticker: { price: '100' },
+    orderBook: { bids: [['99', '1']], asks: [['101', '1']] }
+  });
+
+  // Продаж першого рівня не вдався - рівень лишається в драбині
+  rejectSells = true;
+  await engine.updateTrade(trade, { price: '111' });
+  assert.strictEqual(trade.exitTargets.length, 2);
+  assert.strictEqual(trade.remainingQuantity, trade.quantity);
+  assert.strictEqual((trade.exitLegs || []).length, 0);
+
+  // Наступна ціна вище рівня продає його
+  rejectSells = false;
+  await engine.updateTrade(trade, { price: '112' });
+  assert.strictEqual(trade.exitTargets.length, 1);
+  assert.strictEqual(trade.exitLegs.length, 1);
+  assert.strictEqual(trade.exitLegs[0].exitPrice, 112);
+  assert.strictEqual(trade.status, 'ACTIVE');
+}
@@ -0,0 +1,127 @@
+import assert from 'assert';
+import { getDatabase, closeDatabase } from '../src/database/init.js';
+import { FillModel } from '../src/simulation/fillModel.js';
+import { OrderBookGenerator } from '../src/simulation/orderBookGenerator.js';
+import { TradingSimulator } from '../src/simulation/simulator.js';
+
+const KLINE = { quoteAssetVolume: 100000, trades: 400 };
+
+export async function testSlippageGrowsWithOrderSize() {
+  const model = new FillModel({ fillModel: 'market_impact' });
+
+  const small = model.fillBuy(10, 50, { kline: KLINE });
+  const large = model.fillBuy(10, 20000, { kline: KLINE });
+  assert(small.filledPrice > 10);
+  assert(large.slippagePercent > small.slippagePercent);
+  assert.strictEqual(small.source, 'synthetic');
+  // Стакан тримає 10 000 USDT з кожного боку, решта - за останнім рівнем
+  assert.strictEqual(large.fullyFilled, false);
+
+  const sell = model.fillSell(10, 5, { kline: KLINE });
+  assert(sell.filledPrice < 10);
+  assert(sell.slippagePercent > 0);
+
+  const ideal = new FillModel({}).fillBuy(10, 20000, { kline: KLINE });
+  assert.strictEqual(ideal.filledPrice, 10);
+  assert.strictEqual(ideal.slippagePercent, 0);
+}
+
+export async function testRecordedBookSnapshotIsUsed() {
+  const model = new FillModel({ fillModel: 'market_impact' });
+  const orderBook = { bids: [[9.9, 100]], asks: [[10.1, 5], [10.5, 1000]] };
+
+  const fill = model.fillBuy(10, 50, { kline: KLINE, orderBook });
+  assert.strictEqual(fill.source, 'snapshot');
+  assert(Math.abs(fill.filledPrice - 10.1) < 1e-9);
+
+  // Без quote volume синтетичний стакан порожній - виконання без прослизання
+  assert.deepStrictEqual(new OrderBookGenerator().generate({}, 10), { bids: [], asks: [] });
+  assert.strictEqual(model.fillBuy(10, 100, { kline: {} }).source, 'no_book');
+}
+
+export async function testSellWalksBidsByBaseQuantity() {
+  const model = new FillModel({ fillModel: 'market_impact' });
+  const orderBook = { bids: [['9.9', '2'], ['9.5', '10']], asks: [['10.1', '100']] };
+
+  // 2 за 9.9 і 3 за 9.5 незалежно від очікуваної ціни
+  const sell = model.fillSell(10.5, 5, { kline: KLINE, orderBook });
+  assert.strictEqual(sell.quantity, 5);
+  assert.strictEqual(sell.fullyFilled, true);
+  assert(Math.abs(sell.filledPrice - (2 * 9.9 + 3 * 9.5) / 5) < 1e-9);
+
+  // Залишок понад стакан - за останнім рівнем, продається вся позиція
+  const large = model.fillSell(10, 15, { kline: KLINE, orderBook });
+  assert.strictEqual(large.quantity, 15);
+  assert.strictEqual(large.fullyFilled, false);
+  assert(Math.abs(large.filledPrice - (2 * 9.9 + 13 * 9.5) / 15) < 1e-9);
+
+  assert.strictEqual(new FillModel({}).fillSell(10, 5).quantity, 5);
+}
+
+export async function testSimulatorStoresExpectedAndFilledPrices() {
+  process.env.DB_PATH = ':memory:';
+  const db = await getDatabase();
+
+  const sim = new TradingSimulator({
+    name: 'SlippageTest',
+    takeProfitPercent: 0.1,
+    stopLossPercent: 0.05,
+    buyAmountUsdt: 1000,
+    binanceFeePercent: 0.00075,
+    fillModel: 'market_impact'
+  });
+
+  const start = Date.UTC(2024, 0, 1);
+  const kline = (close, high, low, i) => ({
+    open: '100', high, low, close, quoteAssetVolume: 200000, trades: 400, closeTime: start + (i + 1) * 60000 - 1
+  });
+  const marketData = {
+    symbol: 'SLPUSDT',
+    symbolId: 1,
+    ticker: { price: '100', volume: '1000' },
+    orderBook: { bids: [['99', '1']], asks: [['101', '1']] },
+    klines: [kline('100', '100', '100', 0), kline('110', '115', '100', 1)],
+    currentTime: start + 59999
+  };
+
+  const { trade } = await sim.executeTrade(marketData, 1);
+  assert.strictEqual(trade.exitReason, 'take_profit');
+  assert.strictEqual(trade.expectedEntryPrice, 100);
+  assert(trade.entryPrice > trade.expectedEntryPrice);
+  assert(trade.exitPrice < trade.expectedExitPrice);
+
+  const row = await db.get('SELECT * FROM simulation_results');
+  assert.strictEqual(row.expected_entry_price, 100);
+  assert(row.entry_slippage_percent > 0);
+  assert(row.exit_slippage_percent > 0);
+
+  await closeDatabase();
+}
+
+export async function testOrderBookSeedIsStoredWithConfigAndSummary() {
+  process.env.DB_PATH = ':memory:';
+  const db = await getDatabase();
+
+  const base = { name: 'SeededBook', takeProfitPercent: 0.1, stopLossPercent: 0.05, buyAmountUsdt: 100, fillModel: 'market_impact' };
+  const seeded = new TradingSimulator({ ...base, orderBookSeed: 42 });
+  const configId = await seeded.saveConfiguration();
+
+  // Інший seed - інша конфігурація, а не повторне використання рядка
+  const otherId = await new TradingSimulator({ ...base, orderBookSeed: 7 }).saveConfiguration();
+  assert.notStrictEqual(otherId, configId);
+  assert.strictEqual(await seeded.saveConfiguration(), configId);
+
+  const row = await db.get('SELECT * FROM simulation_configs WHERE id = ?', configId);
+  assert.strictEqual(row.order_book_seed, 42);
+
+  const summaryId = await seeded.saveSummaryToDatabase(configId, { totalTrades: 0, orderBookSeed: seeded.orderBookGenerator.seed });
+  const summary = await db.get('SELECT order_book_seed FROM simulation_summary WHERE id = ?', summaryId);
+  assert.strictEqual(summary.order_book_seed, 42);
+
+  // Симулятор з рядка БД відтворює той самий стакан
+  const restored = new TradingSimulator(row);
+  assert.strictEqual(restored.config.orderBookSeed, 42);
+  assert.deepStrictEqual(restored.orderBookGenerator.generate(KLINE, 10), seeded.orderBookGenerator.generate(KLINE, 10));
+
+  await closeDatabase();
+}
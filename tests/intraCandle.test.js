@@ -0,0 +1,70 @@
+import assert from 'assert';
+import { SimulatedPosition } from '../src/simulation/simulatedPosition.js';
+import { BaseStrategy } from '../src/simulation/strategies/baseStrategy.js';
+import { normalizeIntraCandlePolicy } from '../src/simulation/intraCandleResolver.js';
+
+// Свічка торкається і TP (110), і SL (95); open ближче до SL
+const AMBIGUOUS_KLINE = { open: '97', high: '111', low: '94', close: '100', openTime: 60000, closeTime: 119999 };
+
+function createPosition(intraCandlePolicy, aggTrades = []) {
+  return new SimulatedPosition({
+    symbol: 'TSTUSDT',
+    symbolId: 1,
+    entryTime: 59999,
+    entryPrice: 100,
+    quantity: 1,
+    costUsdt: 100,
+    takeProfitPrice: 110,
+    stopLossPrice: 95,
+    intraCandlePolicy,
+    aggTrades
+  });
+}
+
+export async function testAmbiguousCandlePolicies() {
+  const optimistic = createPosition('optimistic').processCandle(AMBIGUOUS_KLINE);
+  assert.strictEqual(optimistic.reason, 'take_profit');
+  assert.strictEqual(optimistic.ambiguous, true);
+
+  const pessimistic = createPosition('pessimistic').processCandle(AMBIGUOUS_KLINE);
+  assert.strictEqual(pessimistic.reason, 'stop_loss');
+  assert.strictEqual(pessimistic.exitPrice, 95);
+
+  const openDistance = createPosition('open_distance').processCandle(AMBIGUOUS_KLINE);
+  assert.strictEqual(openDistance.reason, 'stop_loss');
+  assert.strictEqual(openDistance.resolvedBy, 'open_distance');
+
+  // Без неоднозначності позиція не позначається
+  const clean = createPosition('pessimistic').processCandle({ ...AMBIGUOUS_KLINE, low: '99' });
+  assert.strictEqual(clean.reason, 'take_profit');
+  assert.strictEqual(clean.ambiguous, false);
+}
+
+export async function testAmbiguousCandleAggTrades() {
+  const aggTrades = [
+    { price: 98, time: 60500 },
+    { price: 110.5, time: 61000 },
+    { price: 94, time: 62000 }
+  ];
+  const exit = createPosition('agg_trades', aggTrades).processCandle(AMBIGUOUS_KLINE);
+  assert.strictEqual(exit.reason, 'take_profit');
+  assert.strictEqual(exit.resolvedBy, 'agg_trades');
+
+  // Угод для свічки немає - консервативний fallback
+  const fallback = createPosition('agg_trades').processCandle(AMBIGUOUS_KLINE);
+  assert.strictEqual(fallback.reason, 'stop_loss');
+  assert.strictEqual(fallback.resolvedBy, 'pessimistic');
+
+  assert.strictEqual(normalizeIntraCandlePolicy('aggTrades'), 'agg_trades');
+  assert.throws(() => normalizeIntraCandlePolicy('coin_flip'));
+}
+
+export async function testBaseStrategyAmbiguousExit() {
+  const strategy = new BaseStrategy({ intraCandlePolicy: 'pessimistic' });
+  const trade = { tpPrice: 110, slPrice: 95, entryTime: 0 };
+
+  const result = await strategy.checkExitConditions(trade, { ...AMBIGUOUS_KLINE, high: 111, low: 94, price: 100, timestamp: 119999 });
+  assert.strictEqual(result.shouldExit, true);
+  assert.strictEqual(result.reason, 'stop_loss');
+  assert.strictEqual(result.ambiguous, true);
+}
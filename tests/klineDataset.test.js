@@ -0,0 +1,147 @@
+import assert from 'assert';
+import { promises as fs } from 'fs';
+import { getDatabase, closeDatabase } from '../src/database/init.js';
+import { SymbolModel, ListingAnalysisModel, HistoricalKlineModel } from '../src/database/models.js';
+import { TradingSimulator } from '../src/simulation/simulator.js';
+import { KlineDataset, KLINE_FIELDS } from '../src/simulation/klineDataset.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const SNAPSHOT_FILE = '/tmp/kline-dataset-test/klines.bin';
+
+// Три лістинги; перед лістингом DS0USDT є дві свічки, які датасет не завантажує
+async function seedListings() {
+  const symbolModel = new SymbolModel();
+  const listingModel = new ListingAnalysisModel();
+  const klineModel = new HistoricalKlineModel();
+  const start = Math.floor(Date.now() / 60000) * 60000 - 3 * DAY;
+  const listings = [];
+
+  for (let i = 0; i < 3; i++) {
+    const symbolId = await symbolModel.create({ symbol: `DS${i}USDT`, baseAsset: `DS${i}`, quoteAsset: 'USDT' });
+    const listingDate = start + i * DAY;
+    await listingModel.create({ symbolId, listingDate, dataStatus: 'analyzed' });
+
+    const klines = [];
+    for (let k = i === 0 ? -2 : 0; k < 40; k++) {
+      const openTime = listingDate + k * 60000;
+      const price = 10 * (1 + 0.01 * (k < 20 ? k : 40 - k) * (i + 1));
+      klines.push([symbolId, openTime, openTime + 59999, price, price * 1.005, price * 0.995, price, 1000 + k, 10000 + k, 50, 500, 5000]);
+    }
+    await klineModel.createBatch(klines);
+    listings.push({ symbolId, listingDate });
+  }
+  return listings;
+}
+
+export async function testKlineDatasetServesWindowsLikeDatabase() {
+  process.env.DB_PATH = ':memory:';
+  await getDatabase();
+  const listings = await seedListings();
+  const klineModel = new HistoricalKlineModel();
+
+  const dataset = await KlineDataset.load({ horizonMinutes: 30 });
+  assert.strictEqual(dataset.symbols.size, 3);
+  // 31 свічка від лістингу до горизонту включно, по 11 чисел на свічку
+  assert.strictEqual(dataset.byteLength(), 3 * 31 * KLINE_FIELDS.length * 8);
+
+  const { symbolId, listingDate } = listings[0];
+  const fromDatabase = [];
+  for await (const row of klineModel.iterateBySymbolAndTimeRange(symbolId, listingDate + 5 * 60000, listingDate + 15 * 60000)) {
+    fromDatabase.push(row);
+  }
+  const fromDataset = dataset.getKlines(symbolId, listingDate + 5 * 60000, listingDate + 15 * 60000);
+  assert.strictEqual(fromDataset.length, 11);
+  fromDataset.forEach((row, i) => {
+    for (const field of KLINE_FIELDS) {
+      assert.strictEqual(row[field], fromDatabase[i][field]);
+    }
+  });
+
+  // Вікна поза завантаженим діапазоном датасет не обслуговує
+  assert.strictEqual(dataset.getKlines(symbolId, listingDate - 2 * 60000, listingDate + 60000), null);
+  assert.strictEqual(dataset.getKlines(symbolId, listingDate, listingDate + 31 * 60000), null);
+  assert.strictEqual(dataset.getKlines(999, listingDate, listingDate + 60000), null);
+  assert.strictEqual(dataset.getFirstOpenTime(symbolId), listingDate - 2 * 60000);
+
+  // Воркер бачить ті самі буфери, а не копію
+  const shared = KlineDataset.fromShared(dataset.toShared());
+  assert.strictEqual(shared.symbols.get(symbolId).data.buffer, dataset.symbols.get(symbolId).data.buffer);
+  assert.deepStrictEqual(shared.getKlines(symbolId, listingDate, listingDate + 60000), dataset.getKlines(symbolId, listingDate, listingDate + 60000));
+
+  await closeDatabase();
+}
+
+export async function testSimulatorReadsKlinesFromDataset() {
+  process.env.DB_PATH = ':memory:';
+  process.env.INITIAL_BALANCE_USDT = '10000';
+  await getDatabase();
+  await seedListings();
+
+  const config = {
+    name: 'Dataset',
+    takeProfitPercent: 0.05,
+    stopLossPercent: 0.01,
+    buyAmountUsdt: 100,
+    maxOpenTrades: 1,
+    trailingStopEnabled: false,
+    entryTiming: 'delay'
+  };
+  const expected = await new TradingSimulator(config).runSimulation();
+  assert.ok(expected.summary.totalTrades > 0);
+
+  const dataset = await KlineDataset.load();
+  const simulator = new TradingSimulator({ ...config, name: 'Dataset_cached' }, { klineDataset: dataset });
+  simulator.klineModel.iterateBySymbolAndTimeRange = () => {
+    throw new Error('klines must come from the dataset');
+  };
+  const { summary } = await simulator.runSimulation();
+
+  assert.strictEqual(summary.totalTrades, expected.summary.totalTrades);
+  assert.strictEqual(summary.roiPercent, expected.summary.roiPercent);
+
+  await closeDatabase();
+}
+
+export async function testKlineDatasetSnapshotWarmStart() {
+  process.env.DB_PATH = ':memory:';
+  await getDatabase();
+  const listings = await seedListings();
+  await fs.rm(SNAPSHOT_FILE, { force: true });
+
+  try {
+    const built = await KlineDataset.loadOrBuild({ snapshotPath: SNAPSHOT_FILE, horizonMinutes: 20 });
+    await fs.access(SNAPSHOT_FILE);
+
+    const restored = await KlineDataset.readSnapshot(SNAPSHOT_FILE);
+    assert.strictEqual(restored.fingerprint, built.fingerprint);
+    assert.strictEqual(restored.symbols.size, built.symbols.size);
+    for (const [symbolId, entry] of built.symbols) {
+      const copy = restored.symbols.get(symbolId);
+      assert.strictEqual(copy.from, entry.from);
+      assert.strictEqual(copy.to, entry.to);
+      assert.strictEqual(copy.firstOpenTime, entry.firstOpenTime);
+      assert.ok(copy.data.buffer instanceof SharedArrayBuffer);
+      assert.deepStrictEqual(Array.from(copy.data), Array.from(entry.data));
+    }
+
+    // Поки БД не змінилась, датасет береться зі знімка
+    const warm = await KlineDataset.loadOrBuild({ snapshotPath: SNAPSHOT_FILE, horizonMinutes: 20 });
+    assert.deepStrictEqual(warm.getKlines(listings[1].symbolId, listings[1].listingDate, listings[1].listingDate + 10 * 60000),
+      built.getKlines(listings[1].symbolId, listings[1].listingDate, listings[1].listingDate + 10 * 60000));
+
+    // Нові свічки роблять знімок застарілим
+    const { symbolId, listingDate } = listings[2];
+    await new HistoricalKlineModel().createBatch([[symbolId, listingDate + 40 * 60000, listingDate + 40 * 60000 + 59999, 10, 10, 10, 10, 1, 1, 1, 1, 1]]);
+    const rebuilt = await KlineDataset.loadOrBuild({ snapshotPath: SNAPSHOT_FILE, horizonMinutes: 20 });
+    assert.notStrictEqual(rebuilt.fingerprint, built.fingerprint);
+    assert.strictEqual((await KlineDataset.readSnapshot(SNAPSHOT_FILE)).fingerprint, rebuilt.fingerprint);
+
+    // Пошкоджений знімок не ламає завантаження
+    await fs.writeFile(SNAPSHOT_FILE, 'not a snapshot');
+    const recovered = await KlineDataset.loadOrBuild({ snapshotPath: SNAPSHOT_FILE, horizonMinutes: 20 });
+    assert.strictEqual(recovered.symbols.size, 3);
+  } finally {
+    await fs.rm('/tmp/kline-dataset-test', { recursive: true, force: true });
+    await closeDatabase();
+  }
+}
@@ -0,0 +1,85 @@
+import assert from 'assert';
+import { getDatabase, closeDatabase } from '../src/database/init.js';
+import { ListingWatcher } from '../src/collectors/listingWatcher.js';
+import { TradingEngine } from '../src/simulation/tradingEngine.js';
+
+// Локальна біржа: статуси символів змінюються між опитуваннями
+class MockExchange {
+  constructor(symbols) {
+    this.symbols = symbols;
+    this.klines = {};
+  }
+
+  setStatus(symbol, status) {
+    this.symbols.find(s => s.symbol === symbol).status = status;
+  }
+
+  async getExchangeInfo() {
+    return {
+      symbols: this.symbols.map(s => ({ quoteAsset: 'USDT', isSpotTradingAllowed: true, baseAsset: s.symbol.replace('USDT', ''), ...s }))
+    };
+  }
+
+  async get24hrTicker() {
+    return { lastPrice: '2.5', quoteVolume: '150000', priceChangePercent: '12.5' };
+  }
+
+  async getOrderBook() {
+    return { bids: [['2.49', '1000']], asks: [['2.51', '1000']] };
+  }
+
+  async getKlines(symbol) {
+    return this.klines[symbol] || [];
+  }
+}
+
+const START = Date.UTC(2024, 0, 1);
+
+export async function testListingWatcherFeedsEngine() {
+  process.env.DB_PATH = ':memory:';
+  process.env.INITIAL_BALANCE_USDT = '10000';
+  const db = await getDatabase();
+
+  const exchange = new MockExchange([
+    { symbol: 'OLDUSDT', status: 'TRADING' },
+    { symbol: 'NEWUSDT', status: 'PRE_TRADING' },
+    { symbol: 'OLDBTC', status: 'TRADING', quoteAsset: 'BTC' }
+  ]);
+  const engine = new TradingEngine({ simulationMode: true, buyAmountUsdt: 100, binanceFeePercent: 0.001, takeProfitPercent: 0.1, stopLossPercent: 0.05 }, {});
+  await engine.start();
+
+  const watcher = new ListingWatcher({ engine, source: exchange, config: { maxListingRetries: 2 } });
+  const detected = [];
+  watcher.on('listing_detected', event => detected.push(event.symbol));
+
+  // Перше опитування лише зберігає стан біржі
+  assert.deepStrictEqual(await watcher.poll(), []);
+  const rows = await db.all('SELECT symbol, status FROM symbols ORDER BY symbol');
+  assert.deepStrictEqual(rows.map(r => ({ ...r })), [
+    { symbol: 'NEWUSDT', status: 'pre_trading' },
+    { symbol: 'OLDUSDT', status: 'active' }
+  ]);
+
+  // Торгівля відкрилась, але свічок ще немає - лістинг чекає
+  exchange.setStatus('NEWUSDT', 'TRADING');
+  assert.deepStrictEqual(await watcher.poll(), []);
+  assert.deepStrictEqual(detected, ['NEWUSDT']);
+  assert.strictEqual(watcher.pendingListings.size, 1);
+
+  exchange.klines.NEWUSDT = [[START, '2.0', '2.6', '2.0', '2.5', '60000', START + 59999, '150000', 300, '30000', '75000']];
+  const [result] = await watcher.poll();
+  assert.strictEqual(result.symbol, 'NEWUSDT');
+  assert.strictEqual(result.processed, true);
+  assert.strictEqual(result.trade.entryPrice, 2.5);
+  assert.ok(engine.activeTrades.has('NEWUSDT'));
+
+  // Новий символ, що одразу торгується, але так і не отримав свічок
+  exchange.symbols.push({ symbol: 'LATEUSDT', status: 'TRADING' });
+  await watcher.poll();
+  const [dropped] = await watcher.poll();
+  assert.deepStrictEqual(dropped, { symbol: 'LATEUSDT', processed: false, reason: 'no_market_data' });
+  assert.strictEqual(watcher.getStats().listingsDropped, 1);
+
+  watcher.stop();
+  await closeDatabase();
+}
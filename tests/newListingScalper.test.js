@@ -0,0 +1,88 @@
+import assert from 'assert';
+import { getDatabase, closeDatabase } from '../src/database/init.js';
+import { SymbolModel, ListingAnalysisModel, HistoricalKlineModel } from '../src/database/models.js';
+import { NewListingScalperStrategy } from '../src/simulation/strategies/newListingScalper.js';
+import { TradingSimulator } from '../src/simulation/simulator.js';
+
+function buildMarketData(closes, depthQuantity = 100) {
+  const price = closes[closes.length - 1];
+  return {
+    symbol: 'TSTUSDT',
+    ticker: { price: String(price), volume: '1000' },
+    orderBook: {
+      bids: [[String(price * 0.999), String(depthQuantity)]],
+      asks: [[String(price * 1.001), String(depthQuantity)]]
+    },
+    klines: closes.map(close => ({ open: close, high: close, low: close, close }))
+  };
+}
+
+function filteredStrategy(params = {}) {
+  return new NewListingScalperStrategy({
+    minLiquidityUsdt: 1000,
+    strategyParams: { entryMode: 'filtered', minVolatilityPercent: 1, maxVolatilityPercent: 20, ...params }
+  });
+}
+
+export async function testForcedModeAlwaysEnters() {
+  const strategy = new NewListingScalperStrategy({ minLiquidityUsdt: 1e9 });
+  const result = await strategy.checkEntryConditions(buildMarketData([10, 10, 10], 0.001));
+  assert.strictEqual(result.shouldEnter, true);
+  assert.strictEqual(result.reason, 'FORCED_ENTRY_FOR_TESTING');
+}
+
+export async function testFilteredModeReasonCodes() {
+  const strategy = filteredStrategy();
+
+  const thinBook = await strategy.checkEntryConditions(buildMarketData([10, 10.5, 11], 1));
+  assert.strictEqual(thinBook.reason, 'low_liquidity');
+
+  const flat = await strategy.checkEntryConditions(buildMarketData([10, 10, 10]));
+  assert.strictEqual(flat.reason, 'volatility_too_low');
+
+  const wild = await strategy.checkEntryConditions(buildMarketData([10, 15, 10, 15]));
+  assert.strictEqual(wild.reason, 'volatility_too_high');
+
+  const falling = await strategy.checkEntryConditions(buildMarketData([10, 9.7, 9.4]));
+  assert.strictEqual(falling.reason, 'bearish_technicals');
+
+  const rising = await strategy.checkEntryConditions(buildMarketData([10, 10.3, 10.6]));
+  assert.strictEqual(rising.shouldEnter, true);
+
+  // Без вимоги бичачого сигналу падіння не блокує вхід
+  const relaxed = filteredStrategy({ requireBullish: false });
+  assert.strictEqual((await relaxed.checkEntryConditions(buildMarketData([10, 9.7, 9.4]))).shouldEnter, true);
+}
+
+export async function testFilteredRejectionsFeedSkipReasons() {
+  process.env.DB_PATH = ':memory:';
+  await getDatabase();
+  const symbolId = await new SymbolModel().create({ symbol: 'FLTUSDT', baseAsset: 'FLT', quoteAsset: 'USDT' });
+  const listingDate = Date.UTC(2024, 0, 1);
+  await new ListingAnalysisModel().create({ symbolId, listingDate, dataStatus: 'analyzed' });
+
+  const klines = [];
+  for (let i = 0; i < 20; i++) {
+    const openTime = listingDate + i * 60000;
+    klines.push([symbolId, openTime, openTime + 59999, 10, 10, 10, 10, 1000, 10000, 50, 500, 5000]);
+  }
+  await new HistoricalKlineModel().createBatch(klines);
+
+  const sim = new TradingSimulator({
+    name: 'FilteredEntry',
+    takeProfitPercent: 0.05,
+    stopLossPercent: 0.03,
+    minLiquidityUsdt: 1,
+    // Фільтри бачать лише свічки до сигналу: десять хвилин історії
+    entryTiming: 'delay',
+    entryDelaySeconds: 600,
+    strategyParams: { entryMode: 'filtered' }
+  });
+  const result = await sim.processListing({ symbol_id: symbolId, symbol: 'FLTUSDT', listing_date: listingDate, klines_count: 20 }, 1);
+
+  assert.strictEqual(result.processed, false);
+  assert.strictEqual(result.reason, 'volatility_too_low');
+  assert.strictEqual(sim.skipReasonCounts.volatility_too_low, 1);
+
+  await closeDatabase();
+}
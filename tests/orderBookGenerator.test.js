@@ -0,0 +1,62 @@
+import assert from 'assert';
+import { OrderBookGenerator } from '../src/simulation/orderBookGenerator.js';
+import { NewListingScalperStrategy } from '../src/simulation/strategies/newListingScalper.js';
+import { validateOrderBook } from '../src/utils/validators.js';
+
+const KLINE = {
+  high: '10.4',
+  low: '9.8',
+  close: '10',
+  quoteAssetVolume: '50000',
+  trades: 300,
+  takerBuyQuoteVolume: '25000'
+};
+
+function depthUsdt(levels) {
+  return levels.reduce((sum, [price, quantity]) => sum + parseFloat(price) * parseFloat(quantity), 0);
+}
+
+export async function testGeneratedBookIsValidAndCalibrated() {
+  const book = new OrderBookGenerator().generate(KLINE);
+  assert.strictEqual(validateOrderBook(book).isValid, true);
+  assert(parseFloat(book.bids[0][0]) < 10 && parseFloat(book.asks[0][0]) > 10);
+
+  // Глибина кожного боку - depthShare від quote volume
+  assert(Math.abs(depthUsdt(book.asks) - 5000) < 1e-6);
+  assert(Math.abs(depthUsdt(book.bids) - 5000) < 1e-6);
+
+  // Більше угод - вужчий спред
+  const busy = new OrderBookGenerator().generate({ ...KLINE, trades: 5000 });
+  assert(parseFloat(busy.asks[0][0]) < parseFloat(book.asks[0][0]));
+
+  // Агресивні покупці виїдають asks
+  const buyers = new OrderBookGenerator().generate({ ...KLINE, takerBuyQuoteVolume: '40000' });
+  assert(depthUsdt(buyers.asks) < depthUsdt(buyers.bids));
+
+  assert.strictEqual(validateOrderBook({ bids: [['10', '1'], ['10.1', '1']], asks: [['10.2', '1']] }).isValid, false);
+  assert.strictEqual(validateOrderBook({ bids: [['10.2', '1']], asks: [['10.1', '1']] }).isValid, false);
+}
+
+export async function testSeedMakesBookReproducible() {
+  const first = new OrderBookGenerator({ seed: 42 }).generate(KLINE);
+  const second = new OrderBookGenerator({ seed: 42 }).generate(KLINE);
+  const other = new OrderBookGenerator({ seed: 7 }).generate(KLINE);
+
+  assert.deepStrictEqual(first, second);
+  assert.notDeepStrictEqual(first, other);
+  assert.strictEqual(validateOrderBook(other).isValid, true);
+}
+
+export async function testStrategyMeasuresDepthWithinBand() {
+  const book = new OrderBookGenerator().generate(KLINE);
+  const ticker = { price: '10', volume: '5000' };
+
+  const narrow = new NewListingScalperStrategy({ strategyParams: { liquidityDepthPercent: 0.5 } }).analyzeLiquidity(book, ticker);
+  const wide = new NewListingScalperStrategy({ strategyParams: { liquidityDepthPercent: 50 } }).analyzeLiquidity(book, ticker);
+
+  assert.strictEqual(narrow.estimated, false);
+  assert(narrow.total < wide.total);
+  assert(Math.abs(wide.total - 10000) < 1e-6);
+  assert(narrow.spreadPercent > 0);
+  assert(Math.abs(wide.imbalance) < 1e-9);
+}
@@ -0,0 +1,90 @@
+import assert from 'assert';
+import { getDatabase, closeDatabase } from '../src/database/init.js';
+import { SymbolModel, ListingAnalysisModel, HistoricalKlineModel } from '../src/database/models.js';
+import { PaperExchange } from '../src/simulation/paperExchange.js';
+import { PaperReplay } from '../src/simulation/paperReplay.js';
+import { TradingEngine } from '../src/simulation/tradingEngine.js';
+
+function kline(open, high, low, close, closeTime) {
+  return { open, high, low, close, quoteAssetVolume: 200000, trades: 400, closeTime };
+}
+
+async function freeBalance(exchange, asset) {
+  const { balances } = await exchange.balance();
+  return parseFloat(balances.find(b => b.asset === asset)?.free ?? 0);
+}
+
+export async function testPaperExchangeMatchesOrders() {
+  const exchange = new PaperExchange({ binanceFeePercent: 0.001, fillModel: 'ideal', initialBalances: { USDT: 1000 } });
+  await assert.rejects(exchange.order({ symbol: 'PAPUSDT', side: 'BUY', type: 'MARKET', quantity: 1 }), /-1121/);
+
+  exchange.processKline('PAPUSDT', kline(10, 10, 10, 10, 1000));
+  const buy = await exchange.order({ symbol: 'PAPUSDT', side: 'BUY', type: 'MARKET', quantity: 50 });
+  assert.strictEqual(buy.status, 'FILLED');
+  assert.strictEqual(buy.fills[0].commission, '0.50000000');
+  assert.strictEqual(await freeBalance(exchange, 'USDT'), 1000 - 500 - 0.5);
+  assert.strictEqual(await freeBalance(exchange, 'PAP'), 50);
+
+  // Лімітний продаж вище ринку резервує базовий актив і чекає
+  const sell = await exchange.order({ symbol: 'PAPUSDT', side: 'SELL', type: 'LIMIT', quantity: 20, price: 12 });
+  assert.strictEqual(sell.status, 'NEW');
+  assert.strictEqual(await freeBalance(exchange, 'PAP'), 30);
+  assert.strictEqual((await exchange.getOpenOrders('PAPUSDT')).length, 1);
+
+  exchange.processKline('PAPUSDT', kline(10, 11.5, 10, 11, 2000));
+  assert.strictEqual((await exchange.getOrder('PAPUSDT', sell.orderId)).status, 'NEW');
+
+  // Геп вище ліміту - виконання за кращою ціною відкриття
+  exchange.processKline('PAPUSDT', kline(12.5, 13, 12.2, 12.8, 3000));
+  const filled = await exchange.getOrder('PAPUSDT', sell.orderId);
+  assert.strictEqual(filled.status, 'FILLED');
+  assert.strictEqual(filled.fills[0].price, '12.50000000');
+  assert.ok(Math.abs(await freeBalance(exchange, 'USDT') - (499.5 + 250 - 0.25)) < 1e-9);
+
+  const rest = await exchange.order({ symbol: 'PAPUSDT', side: 'BUY', type: 'LIMIT', quantity: 10, price: 5 });
+  await exchange.cancelOrder('PAPUSDT', rest.orderId);
+  assert.ok(Math.abs(await freeBalance(exchange, 'USDT') - 749.25) < 1e-9);
+
+  await assert.rejects(exchange.order({ symbol: 'PAPUSDT', side: 'SELL', type: 'MARKET', quantity: 31 }), /insufficient balance/);
+}
+
+export async function testPaperReplayRunsEngineEndToEnd() {
+  process.env.DB_PATH = ':memory:';
+  await getDatabase();
+
+  const start = Math.floor((Date.now() - 2 * 24 * 60 * 60 * 1000) / 60000) * 60000;
+  const symbolId = await new SymbolModel().create({ symbol: 'REPUSDT', baseAsset: 'REP', quoteAsset: 'USDT' });
+  await new ListingAnalysisModel().create({ symbolId, listingDate: start, dataStatus: 'analyzed' });
+  const closes = [1, 1, 1, 1, 1, 1.05, 1.12, 1.2, 1.1];
+  await new HistoricalKlineModel().createBatch(closes.map((close, i) => [
+    symbolId, start + i * 60000, start + (i + 1) * 60000 - 1, close, close, close, close, 100000, 100000, 400, 50000, 50000
+  ]));
+
+  const config = {
+    buyAmountUsdt: 100,
+    binanceFeePercent: 0.001,
+    takeProfitPercent: 0.1,
+    stopLossPercent: 0.05,
+    fillModel: 'ideal',
+    initialBalances: { USDT: 1000 }
+  };
+  const exchange = new PaperExchange(config);
+  const engine = new TradingEngine({ ...config, clock: () => exchange.now() }, exchange);
+  await engine.start();
+
+  const summary = await new PaperReplay({ engine, exchange }).run(7);
+  assert.strictEqual(summary.processed, 1);
+
+  const [trade] = engine.tradeHistory;
+  assert.strictEqual(trade.exitReason, 'take_profit');
+  assert.strictEqual(trade.entryPrice, 1);
+  assert.strictEqual(trade.exitPrice, 1.12);
+  assert.strictEqual(trade.entryTime, start + 5 * 60000 - 1);
+  assert.strictEqual(trade.exitTime, start + 7 * 60000 - 1);
+
+  // Облік движка збігається з балансом біржі
+  assert.ok(Math.abs(engine.balance.usdt - await freeBalance(exchange, 'USDT')) < 1e-9);
+  assert.ok(Math.abs(engine.balance.usdt - (1000 + trade.profitLossUsdt)) < 1e-9);
+
+  await closeDatabase();
+}
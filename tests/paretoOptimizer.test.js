@@ -0,0 +1,181 @@
+import assert from 'assert';
+import { spawn } from 'child_process';
+import { promises as fs } from 'fs';
+import { getDatabase, closeDatabase } from '../src/database/init.js';
+import { ParetoFrontModel } from '../src/database/models.js';
+import { TradingSimulator } from '../src/simulation/simulator.js';
+import { ParameterOptimizer } from '../src/analysis/optimizer.js';
+import { ResultAnalyzer } from '../src/analysis/resultAnalyzer.js';
+import { ReportGenerator } from '../src/analysis/reportGenerator.js';
+import { dominates, nonDominatedSort, assignCrowdingDistance, selectTradeOff } from '../src/analysis/paretoSearch.js';
+
+const OBJECTIVES = [
+  { metric: 'roiPercent', direction: 'max' },
+  { metric: 'maxDrawdown', direction: 'min' }
+];
+
+function member(name, roiPercent, maxDrawdown) {
+  return { name, objectives: { roiPercent, maxDrawdown } };
+}
+
+export async function testNonDominatedSortAndTradeOffSelection() {
+  assert.ok(dominates({ roiPercent: 10, maxDrawdown: 5 }, { roiPercent: 8, maxDrawdown: 5 }, OBJECTIVES));
+  assert.ok(!dominates({ roiPercent: 10, maxDrawdown: 5 }, { roiPercent: 10, maxDrawdown: 5 }, OBJECTIVES));
+  assert.ok(!dominates({ roiPercent: 10, maxDrawdown: 8 }, { roiPercent: 8, maxDrawdown: 5 }, OBJECTIVES));
+
+  const items = [
+    member('A', 20, 15),
+    member('B', 10, 5),
+    member('C', 15, 8),
+    member('D', 9, 9),
+    member('E', 5, 12)
+  ];
+  const fronts = nonDominatedSort(items, OBJECTIVES);
+  assert.deepStrictEqual(fronts.map(front => front.map(item => item.name).sort()), [['A', 'B', 'C'], ['D'], ['E']]);
+  assert.strictEqual(items.find(item => item.name === 'E').rank, 2);
+
+  // Крайні точки фронту зберігаються першими
+  assignCrowdingDistance(fronts[0], OBJECTIVES);
+  assert.strictEqual(fronts[0].find(item => item.name === 'A').crowding, Infinity);
+  assert.ok(Number.isFinite(fronts[0].find(item => item.name === 'C').crowding));
+
+  assert.strictEqual(selectTradeOff(fronts[0], { objectives: OBJECTIVES, weights: { roiPercent: 1, maxDrawdown: 0 } }).member.name, 'A');
+  assert.strictEqual(selectTradeOff(fronts[0], { objectives: OBJECTIVES, weights: { roiPercent: 0, maxDrawdown: 1 } }).member.name, 'B');
+  const constrained = selectTradeOff(fronts[0], { objectives: OBJECTIVES, weights: { roiPercent: 2 }, constraints: { maxDrawdown: { max: 10 } } });
+  assert.strictEqual(constrained.member.name, 'C');
+  assert.strictEqual(constrained.candidates, 2);
+  assert.strictEqual(selectTradeOff(fronts[0], { objectives: OBJECTIVES, constraints: { maxDrawdown: { max: 1 } } }), null);
+}
+
+export async function testParetoOptimizationSavesFront() {
+  process.env.DB_PATH = ':memory:';
+  await getDatabase();
+  const optimizer = new ParameterOptimizer();
+  const evaluated = [];
+
+  // Дальній TP дає більший ROI, але й більшу просадку; широкий SL лише шкодить
+  optimizer.testConfiguration = async config => {
+    const configId = await new TradingSimulator(config).saveConfiguration();
+    evaluated.push(config);
+    return {
+      configId,
+      summary: {
+        roiPercent: config.takeProfitPercent * 10 - config.stopLossPercent,
+        maxDrawdown: config.takeProfitPercent * 4 + config.stopLossPercent,
+        winRate: 50,
+        totalTrades: 20
+      },
+      trades: []
+    };
+  };
+
+  const ranges = {
+    takeProfitRange: [1.0, 3.0, 0.5],
+    stopLossRange: [0.5, 1.5, 0.5],
+    trailingStopRange: [0.2, 0.2, 1],
+    buyAmountRange: [100, 100, 1]
+  };
+
+  // Рядки попереднього запуску з тими ж назвами, але іншою моделлю виконання
+  const staleIds = new Set();
+  for (const candidate of optimizer.generateParameterCombinations({ ...ranges, maxIterations: Infinity })) {
+    staleIds.add(await new TradingSimulator({ ...candidate, fillModel: 'market_impact' }).saveConfiguration());
+  }
+
+  const { runId, front, evaluations } = await optimizer.paretoOptimization({ name: 'Base' }, {
+    ...ranges,
+    objectives: OBJECTIVES,
+    populationSize: 6,
+    generations: 5,
+    seed: 7
+  });
+
+  // Кожна комбінація оцінюється один раз
+  assert.strictEqual(evaluations, evaluated.length);
+  assert.strictEqual(new Set(evaluated.map(config => config.name)).size, evaluated.length);
+
+  // Жодна конфігурація фронту не домінується іншою оціненою конфігурацією
+  const all = evaluated.map(config => ({
+    roiPercent: config.takeProfitPercent * 10 - config.stopLossPercent,
+    maxDrawdown: config.takeProfitPercent * 4 + config.stopLossPercent
+  }));
+  for (const item of front) {
+    assert.ok(!all.some(other => dominates(other, item.objectives, OBJECTIVES)));
+    assert.strictEqual(item.config.stopLossPercent, 0.5);
+    assert.ok(item.configId);
+    assert.ok(!staleIds.has(item.configId));
+  }
+  assert.ok(front.length >= 2);
+
+  const analyzer = new ResultAnalyzer();
+  const pareto = await analyzer.analyzeParetoFront();
+  assert.strictEqual(pareto.run.id, runId);
+  assert.strictEqual(pareto.front.length, front.length);
+  assert.strictEqual(pareto.front[0].stop_loss_percent, 0.5);
+
+  const report = new ReportGenerator().formatParetoFront(pareto);
+  assert.strictEqual(report.table.length, front.length);
+
+  // Мінімальна просадка - найближчий TP фронту
+  const safest = await analyzer.selectParetoTradeOff({ weights: { roiPercent: 0, maxDrawdown: 1 } });
+  const minTakeProfit = Math.min(...front.map(item => item.config.takeProfitPercent));
+  assert.strictEqual(safest.member.take_profit_percent, minTakeProfit);
+
+  await closeDatabase();
+}
+
+export async function testParetoSelectApi() {
+  const PORT = 3057;
+  const DB_FILE = '/tmp/pareto-api.sqlite';
+  await closeDatabase().catch(() => {});
+  await fs.unlink(DB_FILE).catch(() => {});
+  process.env.DB_PATH = DB_FILE;
+
+  await getDatabase();
+  const performance = (roiPercent, maxDrawdown) => ({ roiPercent, maxDrawdown, winRate: 50, totalTrades: 12 });
+  await new ParetoFrontModel().createRun(
+    { name: 'ApiRun', objectives: OBJECTIVES, populationSize: 4, generations: 1, evaluations: 4 },
+    [
+      { config: { name: 'Aggressive' }, performance: performance(20, 15), objectives: { roiPercent: 20, maxDrawdown: 15 }, crowding: Infinity },
+      { config: { name: 'Balanced' }, performance: performance(15, 8), objectives: { roiPercent: 15, maxDrawdown: 8 }, crowding: 1 },
+      { config: { name: 'Safe' }, performance: performance(10, 5), objectives: { roiPercent: 10, maxDrawdown: 5 }, crowding: Infinity }
+    ]
+  );
+  await closeDatabase();
+
+  const server = spawn('node', ['src/server.js'], {
+    env: { ...process.env, PORT, DB_PATH: DB_FILE }
+  });
+
+  try {
+    for (let i = 0; i < 30; i++) {
+      try {
+        const r = await fetch(`http://localhost:${PORT}/api/health`);
+        if (r.ok) break;
+      } catch (err) {
+        // retry until server is ready
+      }
+      await new Promise(r => setTimeout(r, 100));
+    }
+
+    const front = await (await fetch(`http://localhost:${PORT}/api/pareto`)).json();
+    assert.strictEqual(front.run.name, 'ApiRun');
+    assert.strictEqual(front.front.length, 3);
+
+    const select = body => fetch(`http://localhost:${PORT}/api/pareto/select`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    const balanced = await (await select({ constraints: { maxDrawdown: { max: 10 } }, weights: { roiPercent: 1, maxDrawdown: 0 } })).json();
+    assert.strictEqual(balanced.config.config_name, 'Balanced');
+    assert.strictEqual(balanced.candidates, 2);
+
+    const none = await select({ constraints: { maxDrawdown: { max: 1 } } });
+    assert.strictEqual(none.status, 404);
+  } finally {
+    server.kill();
+    await fs.unlink(DB_FILE).catch(() => {});
+  }
+}
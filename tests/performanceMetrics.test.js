@@ -0,0 +1,120 @@
+import assert from 'assert';
+import { getDatabase, closeDatabase } from '../src/database/init.js';
+import { SymbolModel, ListingAnalysisModel, HistoricalKlineModel, SimulationEquityCurveModel } from '../src/database/models.js';
+import { TradingSimulator } from '../src/simulation/simulator.js';
+import { calculatePerformanceMetrics, calculateDailyReturns } from '../src/utils/performanceMetrics.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const T0 = Date.UTC(2024, 0, 1);
+
+function approx(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} != ${expected}`);
+}
+
+export async function testPerformanceMetricsFromEquityCurve() {
+  // Угоди подано не в порядку виходу: крива будується за exitTime
+  const trades = [
+    { symbol: 'DDDUSDT', entryTime: T0 + 3 * DAY, exitTime: T0 + 3 * DAY + 2 * HOUR, profitLossUsdt: 110, profitLossPercent: 11 },
+    { symbol: 'AAAUSDT', entryTime: T0, exitTime: T0 + HOUR, profitLossUsdt: 100, profitLossPercent: 10 },
+    { symbol: 'BBBUSDT', entryTime: T0 + HOUR / 2, exitTime: T0 + DAY, profitLossUsdt: -50, profitLossPercent: -5 },
+    { symbol: 'CCCUSDT', entryTime: T0 + 2 * DAY, exitTime: T0 + 2 * DAY + HOUR, profitLossUsdt: -55, profitLossPercent: -5.5 }
+  ];
+  const metrics = calculatePerformanceMetrics(trades, 1000);
+
+  assert.deepStrictEqual(metrics.equityCurve.map(point => point.equity), [1000, 1100, 1050, 995, 1105]);
+  assert.deepStrictEqual(metrics.equityCurve.map(point => point.symbol), [null, 'AAAUSDT', 'BBBUSDT', 'CCCUSDT', 'DDDUSDT']);
+
+  // Пік 1100 -> дно 995, відновлення лише останньою угодою;
+  // тривалість - від першої точки нижче піку (вихід BBB) до відновлення
+  approx(metrics.maxDrawdownUsdt, 105);
+  approx(metrics.maxDrawdownPercent, 105 / 1100 * 100);
+  approx(metrics.maxDrawdownDurationMinutes, (2 * DAY + 2 * HOUR) / 60000);
+
+  approx(metrics.expectancyUsdt, 26.25);
+  approx(metrics.expectancyPercent, 2.625);
+  approx(metrics.payoffRatio, 2);
+  assert.strictEqual(metrics.maxWinStreak, 1);
+  assert.strictEqual(metrics.maxLossStreak, 2);
+  approx(metrics.maxProfitPercent, 11);
+  approx(metrics.maxLossPercent, -5.5);
+
+  // Перекриті угоди AAA і BBB займають одну добу, далі ще 1 і 2 години з 74 годин періоду
+  approx(metrics.exposureTimePercent, 27 / 74 * 100);
+
+  const returns = calculateDailyReturns(metrics.equityCurve);
+  const expectedReturns = [0.1, 1050 / 1100 - 1, 995 / 1050 - 1, 1105 / 995 - 1];
+  returns.forEach((value, index) => approx(value, expectedReturns[index]));
+
+  const mean = expectedReturns.reduce((a, b) => a + b, 0) / 4;
+  const stdDev = Math.sqrt(expectedReturns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / 3);
+  const downside = Math.sqrt(expectedReturns.reduce((sum, r) => sum + Math.min(r, 0) ** 2, 0) / 4);
+  approx(metrics.sharpeRatio, mean / stdDev * Math.sqrt(365));
+  approx(metrics.sortinoRatio, mean / downside * Math.sqrt(365));
+  approx(metrics.calmarRatio, metrics.annualizedReturnPercent / metrics.maxDrawdownPercent);
+
+  // Зростаюча крива ніколи не буває в просадці, навіть з довгою паузою між угодами
+  const rising = calculatePerformanceMetrics([
+    { symbol: 'AAAUSDT', entryTime: T0, exitTime: T0 + HOUR, profitLossUsdt: 10, profitLossPercent: 1 },
+    { symbol: 'BBBUSDT', entryTime: T0 + 10 * DAY, exitTime: T0 + 10 * DAY + HOUR, profitLossUsdt: 20, profitLossPercent: 2 }
+  ], 1000);
+  assert.strictEqual(rising.maxDrawdownPercent, 0);
+  assert.strictEqual(rising.maxDrawdownDurationMinutes, 0);
+
+  // Без угод метрики нульові
+  const empty = calculatePerformanceMetrics([], 1000);
+  assert.deepStrictEqual(empty.equityCurve, []);
+  assert.strictEqual(empty.sharpeRatio, 0);
+  assert.strictEqual(empty.maxDrawdownPercent, 0);
+}
+
+export async function testSimulatorPersistsMetricsAndEquityCurve() {
+  process.env.DB_PATH = ':memory:';
+  process.env.INITIAL_BALANCE_USDT = '10000';
+  await getDatabase();
+  const symbolModel = new SymbolModel();
+  const listingModel = new ListingAnalysisModel();
+  const klineModel = new HistoricalKlineModel();
+
+  // Плоска ціна: кожна угода закривається за таймаутом зі збитком у розмірі комісій
+  for (const [symbol, offsetMinutes] of [['AAAUSDT', 0], ['BBBUSDT', 30], ['CCCUSDT', 60]]) {
+    const symbolId = await symbolModel.create({ symbol, baseAsset: symbol.replace('USDT', ''), quoteAsset: 'USDT' });
+    const listingDate = T0 + offsetMinutes * 60000;
+    await listingModel.create({ symbolId, listingDate, dataStatus: 'analyzed' });
+
+    const klines = [];
+    for (let i = 0; i < 20; i++) {
+      const openTime = listingDate + i * 60000;
+      klines.push([symbolId, openTime, openTime + 59999, 10, 10.1, 9.9, 10, 1000, 10000, 50, 500, 5000]);
+    }
+    await klineModel.createBatch(klines);
+  }
+
+  const sim = new TradingSimulator({
+    name: 'Metrics',
+    takeProfitPercent: 0.5,
+    stopLossPercent: 0.3,
+    buyAmountUsdt: 100,
+    binanceFeePercent: 0.00075,
+    replayMode: 'portfolio'
+  });
+  const { summary, trades, equityCurve } = await sim.runSimulation(30);
+
+  assert.strictEqual(trades.length, 3);
+  assert.strictEqual(equityCurve.length, 4);
+  assert.strictEqual(summary.maxLossStreak, 3);
+  assert.ok(summary.maxDrawdown > 0);
+  approx(summary.maxDrawdownUsdt, -summary.totalReturn);
+
+  const db = await getDatabase();
+  const row = await db.get('SELECT ss.* FROM simulation_summary ss JOIN simulation_configs sc ON ss.config_id = sc.id WHERE sc.name = ?', 'Metrics');
+  approx(row.max_drawdown_percent, summary.maxDrawdown);
+  assert.strictEqual(row.max_loss_streak, 3);
+  approx(row.expectancy_usdt, summary.totalReturn / 3);
+
+  const points = await new SimulationEquityCurveModel().getBySummaryId(row.id);
+  assert.deepStrictEqual(points.map(point => point.equity), equityCurve.map(point => point.equity));
+  assert.strictEqual(points[0].equity, 10000);
+
+  await closeDatabase();
+}
@@ -0,0 +1,74 @@
+import assert from 'assert';
+import { getDatabase, closeDatabase } from '../src/database/init.js';
+import { SymbolModel, ListingAnalysisModel, HistoricalKlineModel } from '../src/database/models.js';
+import { TradingSimulator } from '../src/simulation/simulator.js';
+
+const T0 = Date.UTC(2024, 0, 1);
+
+async function seedOverlappingListings() {
+  process.env.DB_PATH = ':memory:';
+  process.env.INITIAL_BALANCE_USDT = '10000';
+  await getDatabase();
+  const symbolModel = new SymbolModel();
+  const listingModel = new ListingAnalysisModel();
+  const klineModel = new HistoricalKlineModel();
+
+  // Два лістинги, що перетинаються в часі: другий стартує через 5 хвилин
+  for (const [symbol, offsetMinutes] of [['AAAUSDT', 0], ['BBBUSDT', 5]]) {
+    const symbolId = await symbolModel.create({ symbol, baseAsset: symbol.replace('USDT', ''), quoteAsset: 'USDT' });
+    const listingDate = T0 + offsetMinutes * 60000;
+    await listingModel.create({ symbolId, listingDate, dataStatus: 'analyzed' });
+
+    const klines = [];
+    for (let i = 0; i < 20; i++) {
+      const openTime = listingDate + i * 60000;
+      klines.push([symbolId, openTime, openTime + 59999, 10, 10.1, 9.9, 10, 1000, 10000, 50, 500, 5000]);
+    }
+    await klineModel.createBatch(klines);
+  }
+}
+
+function portfolioConfig(overrides) {
+  return {
+    name: `Portfolio_${Math.random()}`,
+    takeProfitPercent: 0.5,
+    stopLossPercent: 0.3,
+    buyAmountUsdt: 100,
+    binanceFeePercent: 0.00075,
+    cooldownSeconds: 1,
+    replayMode: 'portfolio',
+    ...overrides
+  };
+}
+
+export async function testPortfolioReplayEnforcesMaxOpenTrades() {
+  await seedOverlappingListings();
+
+  const sim = new TradingSimulator(portfolioConfig({ maxOpenTrades: 1 }));
+  const { summary, trades } = await sim.runSimulation(30);
+
+  assert.strictEqual(trades.length, 1);
+  assert.strictEqual(trades[0].symbol, 'AAAUSDT');
+  assert.strictEqual(summary.skipReasonStats.max_open_trades, 1);
+  assert.strictEqual(summary.maxConcurrentTrades, 1);
+
+  await closeDatabase();
+}
+
+export async function testPortfolioReplayLocksCapital() {
+  await seedOverlappingListings();
+
+  const overlapping = new TradingSimulator(portfolioConfig({ maxOpenTrades: 2 }));
+  const result = await overlapping.runSimulation(30);
+  assert.strictEqual(result.trades.length, 2);
+  assert.strictEqual(result.summary.maxConcurrentTrades, 2);
+
+  // Капітал першої позиції заблокований, тож на другу не вистачає балансу
+  const locked = new TradingSimulator(portfolioConfig({ maxOpenTrades: 2, buyAmountUsdt: 6000 }));
+  const lockedResult = await locked.runSimulation(30);
+  assert.strictEqual(lockedResult.trades.length, 1);
+  assert.strictEqual(lockedResult.summary.skipReasonStats.insufficient_balance, 1);
+  assert.strictEqual(locked.lockedCapital, 0);
+
+  await closeDatabase();
+}
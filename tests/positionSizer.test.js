@@ -0,0 +1,89 @@
+import assert from 'assert';
+import { getDatabase, closeDatabase } from '../src/database/init.js';
+import { PositionSizer } from '../src/simulation/positionSizer.js';
+import { TradingSimulator } from '../src/simulation/simulator.js';
+
+const START = Date.UTC(2024, 0, 1);
+
+function candle(close, i, quoteAssetVolume = 1000) {
+  return {
+    open: close, high: close, low: close, close, quoteAssetVolume,
+    openTime: START + i * 60000,
+    closeTime: START + (i + 1) * 60000 - 1
+  };
+}
+
+function trades(results) {
+  return results.map(profitLossPercent => ({ profitLossPercent }));
+}
+
+export async function testSizingPolicies() {
+  const fixed = new PositionSizer({ buyAmountUsdt: 100 });
+  assert.strictEqual(fixed.size({ equity: 5000 }).amountUsdt, 100);
+
+  const equity = new PositionSizer({ sizingPolicy: 'equity_percent', sizingParams: '{"equityPercent":0.02}' });
+  assert.strictEqual(equity.size({ equity: 5000 }).amountUsdt, 100);
+
+  // Волатильність 4% при цілі 2% - половина базового розміру
+  const volatility = new PositionSizer({ sizingPolicy: 'volatility_target', buyAmountUsdt: 100 });
+  const swings = [100, 104, 100, 104, 100].map((close, i) => candle(close, i));
+  const sized = volatility.size({ equity: 5000, klines: swings });
+  assert.ok(sized.details.volatility > 2);
+  assert.ok(Math.abs(sized.amountUsdt - 100 * 2 / sized.details.volatility) < 1e-9);
+  assert.strictEqual(volatility.size({ equity: 5000, klines: [candle(100, 0), candle(100, 1)] }).amountUsdt, 100);
+
+  // p = 0.6, b = 2 => f = 0.4, половина Келлі від 1000
+  const kelly = new PositionSizer({ sizingPolicy: 'kelly', buyAmountUsdt: 100, sizingParams: { kellyMinTrades: 5 } });
+  assert.strictEqual(kelly.size({ equity: 1000, recentTrades: trades([10, -5]) }).amountUsdt, 100);
+  const history = trades([10, 10, 10, -5, -5]);
+  assert.ok(Math.abs(kelly.size({ equity: 1000, recentTrades: history }).amountUsdt - 200) < 1e-9);
+  assert.strictEqual(kelly.size({ equity: 1000, recentTrades: trades([-1, -1, -1, -1, -1]) }).amountUsdt, 0);
+
+  // Друга година не враховується
+  const liquidity = new PositionSizer({ sizingPolicy: 'liquidity_cap', buyAmountUsdt: 100 });
+  const klines = [candle(1, 0, 3000), candle(1, 30, 2000), candle(1, 60, 100000)];
+  assert.strictEqual(liquidity.size({ equity: 5000, klines }).amountUsdt, 50);
+
+  const capped = new PositionSizer({ sizingPolicy: 'equity_percent', sizingParams: { equityPercent: 0.5, maxPositionUsdt: 300 } });
+  assert.strictEqual(capped.size({ equity: 5000 }).amountUsdt, 300);
+
+  assert.throws(() => new PositionSizer({ sizingPolicy: 'martingale' }), /Unknown sizing policy/);
+}
+
+export async function testSimulatorRecordsPositionSize() {
+  process.env.DB_PATH = ':memory:';
+  const db = await getDatabase();
+
+  const sim = new TradingSimulator({
+    name: 'SizingTest',
+    takeProfitPercent: 0.5,
+    stopLossPercent: 0.5,
+    buyAmountUsdt: 100,
+    binanceFeePercent: 0.001,
+    sizingPolicy: 'equity_percent',
+    sizingParams: JSON.stringify({ equityPercent: 0.05 })
+  });
+  const configId = await sim.saveConfiguration();
+
+  const marketData = {
+    symbol: 'SIZEUSDT',
+    symbolId: 1,
+    ticker: { price: '10', volume: '1000' },
+    klines: [candle(10, 0), candle(10, 1)],
+    currentTime: START + 59999
+  };
+  const { trade } = await sim.executeTrade(marketData, configId);
+
+  const expectedSize = sim.initialBalance * 0.05;
+  assert.strictEqual(trade.positionSizeUsdt, expectedSize);
+  assert.strictEqual(trade.quantity, expectedSize / 10);
+
+  const row = await db.get('SELECT position_size_usdt FROM simulation_results');
+  assert.strictEqual(row.position_size_usdt, expectedSize);
+
+  const config = await db.get('SELECT sizing_policy, sizing_params FROM simulation_configs WHERE id = ?', configId);
+  assert.strictEqual(config.sizing_policy, 'equity_percent');
+  assert.deepStrictEqual(JSON.parse(config.sizing_params), { equityPercent: 0.05 });
+
+  await closeDatabase();
+}
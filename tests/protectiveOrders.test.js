@@ -0,0 +1,132 @@
+import assert from 'assert';
+import { PaperExchange } from '../src/simulation/paperExchange.js';
+import { TradingEngine } from '../src/simulation/tradingEngine.js';
+
+function kline(open, high, low, close, closeTime) {
+  return { open, high, low, close, quoteAssetVolume: 200000, trades: 400, closeTime };
+}
+
+async function balanceOf(exchange, asset) {
+  const { balances } = await exchange.balance();
+  const balance = balances.find(b => b.asset === asset);
+  return { free: parseFloat(balance?.free ?? 0), locked: parseFloat(balance?.locked ?? 0) };
+}
+
+export async function testPaperExchangeOcoOrders() {
+  const exchange = new PaperExchange({ binanceFeePercent: 0, fillModel: 'ideal', initialBalances: { USDT: 1000 } });
+  exchange.processKline('OCOUSDT', kline(1, 1, 1, 1, 1000));
+  await exchange.order({ symbol: 'OCOUSDT', side: 'BUY', type: 'MARKET', quantity: 100 });
+
+  await assert.rejects(exchange.order({ symbol: 'OCOUSDT', side: 'SELL', type: 'LIMIT_MAKER', quantity: 10, price: 0.9 }), /immediately match/);
+  await assert.rejects(exchange.ocoOrder({ symbol: 'OCOUSDT', quantity: 100, price: 0.95, stopPrice: 0.9 }), /relationship of the prices/);
+
+  // Ціль виконана - стоп згорає, резерв один на обидві ноги
+  const oco = await exchange.ocoOrder({ symbol: 'OCOUSDT', quantity: 100, price: 1.2, stopPrice: 0.9, stopLimitPrice: 0.89 });
+  assert.deepStrictEqual(oco.orderReports.map(order => order.type), ['STOP_LOSS_LIMIT', 'LIMIT_MAKER']);
+  assert.deepStrictEqual(await balanceOf(exchange, 'OCO'), { free: 0, locked: 100 });
+
+  exchange.processKline('OCOUSDT', kline(1.1, 1.25, 1.05, 1.15, 2000));
+  const [stopLeg, limitLeg] = await Promise.all(oco.orders.map(order => exchange.getOrder('OCOUSDT', order.orderId)));
+  assert.strictEqual(limitLeg.status, 'FILLED');
+  assert.strictEqual(limitLeg.fills[0].price, '1.20000000');
+  assert.strictEqual(stopLeg.status, 'EXPIRED');
+  assert.deepStrictEqual(await balanceOf(exchange, 'OCO'), { free: 0, locked: 0 });
+  assert.strictEqual((await exchange.getOrderList(oco.orderListId)).listOrderStatus, 'ALL_DONE');
+
+  // Геп нижче ліміту стопу: ордер спрацював, але чекає повернення ціни до 0.89
+  await exchange.order({ symbol: 'OCOUSDT', side: 'BUY', type: 'MARKET', quantity: 50 });
+  const stop = await exchange.order({ symbol: 'OCOUSDT', side: 'SELL', type: 'STOP_LOSS_LIMIT', quantity: 50, price: 0.89, stopPrice: 0.9 });
+  exchange.processKline('OCOUSDT', kline(0.85, 0.86, 0.8, 0.82, 3000));
+  assert.strictEqual((await exchange.getOrder('OCOUSDT', stop.orderId)).status, 'NEW');
+  exchange.processKline('OCOUSDT', kline(0.84, 0.95, 0.84, 0.93, 4000));
+  const filledStop = await exchange.getOrder('OCOUSDT', stop.orderId);
+  assert.strictEqual(filledStop.status, 'FILLED');
+  assert.strictEqual(filledStop.fills[0].price, '0.89000000');
+
+  // Скасування однієї ноги скасовує весь список і знімає резерв
+  await exchange.order({ symbol: 'OCOUSDT', side: 'BUY', type: 'MARKET', quantity: 10 });
+  const second = await exchange.ocoOrder({ symbol: 'OCOUSDT', quantity: 10, price: 1.1, stopPrice: 0.8 });
+  await exchange.cancelOrder('OCOUSDT', second.orders[1].orderId);
+  assert.strictEqual((await exchange.getOpenOrders('OCOUSDT')).length, 0);
+  assert.deepStrictEqual(await balanceOf(exchange, 'OCO'), { free: 10, locked: 0 });
+}
+
+export async function testEngineManagesProtectiveOco() {
+  const config = {
+    buyAmountUsdt: 100,
+    binanceFeePercent: 0.001,
+    takeProfitPercent: 0.3,
+    stopLossPercent: 0.05,
+    trailingStopEnabled: true,
+    trailingStopPercent: 0.05,
+    trailingStopActivationPercent: 0.1,
+    fillModel: 'ideal',
+    initialBalances: { USDT: 1000 },
+    exchangeOco: true
+  };
+  const exchange = new PaperExchange(config);
+  const engine = new TradingEngine({ ...config, clock: () => exchange.now() }, exchange);
+  exchange.processKline('PROUSDT', kline(1, 1, 1, 1, 1000));
+  await engine.start();
+
+  const { trade } = await engine.executeBuy({
+    symbol: 'PROUSDT',
+    ticker: { price: '1' },
+    orderBook: exchange.fillModel.orderBookGenerator.generate(kline(1, 1, 1, 1, 1000))
+  }, 100);
+  const firstList = trade.protectiveOrder.orderListId;
+  assert.strictEqual(trade.protectiveOrder.stopPrice, trade.exitConditions.stopLossPrice);
+  assert.strictEqual((await exchange.getOpenOrders('PROUSDT')).length, 2);
+
+  // Trailing stop активувався - OCO перевиставлено зі стопом 1.15 × 0.95
+  exchange.processKline('PROUSDT', kline(1, 1.15, 1, 1.15, 2000));
+  await engine.updateActiveTrades({ PROUSDT: { price: 1.15 } });
+  assert.notStrictEqual(trade.protectiveOrder.orderListId, firstList);
+  assert.ok(Math.abs(trade.protectiveOrder.stopPrice - 1.0925) < 1e-9);
+  const openOrders = await exchange.getOpenOrders('PROUSDT');
+  assert.strictEqual(openOrders.length, 2);
+  assert.strictEqual((await exchange.getOrderList(firstList)).listOrderStatus, 'ALL_DONE');
+
+  // Стоп виконала біржа всередині свічки - движок звіряє ногу і закриває угоду
+  exchange.processKline('PROUSDT', kline(1.1, 1.1, 1.05, 1.06, 3000));
+  await engine.updateActiveTrades({ PROUSDT: { price: 1.06 } });
+  assert.strictEqual(engine.activeTrades.size, 0);
+  const [closed] = engine.tradeHistory;
+  assert.strictEqual(closed.exitReason, 'trailing_stop');
+  assert.ok(Math.abs(closed.exitPrice - 1.0925) < 1e-9);
+  assert.ok(Math.abs(engine.balance.usdt - (await balanceOf(exchange, 'USDT')).free) < 1e-9);
+  assert.deepStrictEqual(await balanceOf(exchange, 'PRO'), { free: 0, locked: 0 });
+}
+
+export async function testEngineCancelsOcoBeforeClientExit() {
+  const config = { buyAmountUsdt: 100, binanceFeePercent: 0.001, takeProfitPercent: 0.3, stopLossPercent: 0.05, fillModel: 'ideal', initialBalances: { USDT: 1000 }, exchangeOco: true, maxTradeTimeMinutes: 1 };
+  const exchange = new PaperExchange(config);
+  const engine = new TradingEngine({ ...config, clock: () => exchange.now() }, exchange);
+  exchange.processKline('TMOUSDT', kline(1, 1, 1, 1, 1000));
+  await engine.start();
+  await engine.executeBuy({
+    symbol: 'TMOUSDT',
+    ticker: { price: '1' },
+    orderBook: exchange.fillModel.orderBookGenerator.generate(kline(1, 1, 1, 1, 1000))
+  }, 100);
+
+  // Таймаут движка: OCO знімається, залишок продається ринком
+  exchange.processKline('TMOUSDT', kline(1.02, 1.02, 1.02, 1.02, 200000));
+  await engine.updateActiveTrades({ TMOUSDT: { price: 1.02 } });
+  assert.strictEqual(engine.tradeHistory[0].exitReason, 'timeout');
+  assert.strictEqual((await exchange.getOpenOrders('TMOUSDT')).length, 0);
+  assert.deepStrictEqual(await balanceOf(exchange, 'TMO'), { free: 0, locked: 0 });
+
+  // Режим симуляції імітує OCO без біржі
+  const simulated = new TradingEngine({ ...config, simulationMode: true }, {});
+  await simulated.start();
+  const { trade } = await simulated.executeBuy({
+    symbol: 'SIMUSDT',
+    ticker: { price: '1' },
+    orderBook: { bids: [['0.99', '1000']], asks: [['1.01', '1000']] }
+  }, 100);
+  assert.ok(trade.protectiveOrder.orderListId.startsWith('SIM_OCO_'));
+  await simulated.closeTrade(trade, 'manual_close', 1);
+  assert.strictEqual(trade.status, 'CLOSED');
+  assert.strictEqual(trade.protectiveOrder, null);
+}
@@ -0,0 +1,151 @@
+import assert from 'assert';
+import { getDatabase, closeDatabase } from '../src/database/init.js';
+import { SymbolModel, ListingAnalysisModel, HistoricalKlineModel } from '../src/database/models.js';
+import { RiskManager } from '../src/simulation/riskManager.js';
+import { TradingEngine } from '../src/simulation/tradingEngine.js';
+import { TradingSimulator } from '../src/simulation/simulator.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const T0 = Date.UTC(2024, 0, 1);
+
+export async function testRiskManagerHaltsOnLimits() {
+  const risk = new RiskManager({
+    riskLimits: JSON.stringify({ maxDailyLossPercent: 0.05, maxConsecutiveLosses: 3, maxExposureUsdt: 300, symbolBlacklist: 'scamusdt, RUGUSDT' })
+  });
+  risk.reset(1000, T0);
+
+  assert.strictEqual(risk.checkEntry({ symbol: 'SCAMUSDT', time: T0 }), 'symbol_blacklisted');
+  assert.strictEqual(risk.checkExposure(100, 250), 'max_exposure');
+  assert.strictEqual(risk.checkExposure(100, 200), null);
+
+  // Збиток 30 + 25 USDT за добу перевищує 5% від 1000
+  assert.strictEqual(risk.recordTrade({ profitLossUsdt: -30, exitTime: T0 + 1000 }), null);
+  const halt = risk.recordTrade({ profitLossUsdt: -25, exitTime: T0 + 2000 });
+  assert.strictEqual(halt.reason, 'max_daily_loss');
+  assert.strictEqual(risk.checkEntry({ symbol: 'NEWUSDT', time: T0 + 3000 }), 'risk_halted');
+
+  // Наступна доба знімає добову зупинку, але серія збитків триває
+  assert.strictEqual(risk.checkEntry({ symbol: 'NEWUSDT', time: T0 + DAY }), null);
+  assert.strictEqual(risk.recordTrade({ profitLossUsdt: -1, exitTime: T0 + DAY + 1000 }).reason, 'max_consecutive_losses');
+
+  // Серія не знімається з новою добою - лише вручну
+  assert.strictEqual(risk.checkEntry({ symbol: 'NEWUSDT', time: T0 + 2 * DAY }), 'risk_halted');
+  risk.resume();
+  assert.strictEqual(risk.checkEntry({ symbol: 'NEWUSDT', time: T0 + 2 * DAY }), null);
+  assert.deepStrictEqual(risk.getState().halts.map(h => h.reason), ['max_daily_loss', 'max_consecutive_losses']);
+}
+
+function listingData(symbol) {
+  return {
+    symbol,
+    ticker: { price: '1', volume: '100000', priceChangePercent: '0' },
+    orderBook: { bids: [['0.99', '100000']], asks: [['1.01', '100000']] },
+    klines: [{ open: 1, high: 1, low: 1, close: 1, volume: 100000, quoteAssetVolume: 100000, trades: 500 }]
+  };
+}
+
+export async function testEngineHaltsAndFlattensOnRiskLimit() {
+  const engine = new TradingEngine({
+    simulationMode: true,
+    buyAmountUsdt: 100,
+    binanceFeePercent: 0.001,
+    takeProfitPercent: 0.5,
+    stopLossPercent: 0.05,
+    riskLimits: { maxConsecutiveLosses: 1, symbolBlacklist: ['BADUSDT'], flattenOnHalt: true }
+  }, {});
+  await engine.start();
+  const halts = [];
+  engine.on('risk_halt', halt => halts.push(halt));
+
+  assert.strictEqual((await engine.processNewListing(listingData('BADUSDT'))).reason, 'symbol_blacklisted');
+  assert.ok((await engine.executeBuy(listingData('AAAUSDT'), 100)).success);
+  assert.ok((await engine.executeBuy(listingData('BBBUSDT'), 100)).success);
+
+  // Стоп-лос першої угоди зупиняє входи і закриває другу
+  await engine.updateActiveTrades({ AAAUSDT: { price: 0.9 } });
+  assert.strictEqual(halts.length, 1);
+  assert.strictEqual(halts[0].reason, 'max_consecutive_losses');
+  assert.strictEqual(engine.activeTrades.size, 0);
+  assert.deepStrictEqual(engine.tradeHistory.map(t => t.exitReason), ['stop_loss', 'risk_halt']);
+
+  const blocked = await engine.processNewListing(listingData('CCCUSDT'));
+  assert.strictEqual(blocked.reason, 'risk_halted');
+  assert.strictEqual(engine.getStats().risk.haltReason, 'max_consecutive_losses');
+
+  engine.resumeTrading();
+  assert.strictEqual(engine.riskManager.checkEntry({ symbol: 'CCCUSDT' }), null);
+
+  await engine.haltTrading('manual', { flatten: false });
+  assert.strictEqual((await engine.processNewListing(listingData('CCCUSDT'))).reason, 'risk_halted');
+}
+
+export async function testRiskHaltFlattensAtLastPrice() {
+  const engine = new TradingEngine({
+    simulationMode: true,
+    buyAmountUsdt: 100,
+    binanceFeePercent: 0.001,
+    takeProfitPercent: 0.5,
+    stopLossPercent: 0.05,
+    riskLimits: { maxConsecutiveLosses: 1, flattenOnHalt: true }
+  }, {});
+  await engine.start();
+
+  assert.ok((await engine.executeBuy(listingData('AAAUSDT'), 100)).success);
+  assert.ok((await engine.executeBuy(listingData('BBBUSDT'), 100)).success);
+
+  // Пік 1.2 минув; закриття після зупинки - за останньою ціною 1.02, а не за максимумом
+  await engine.updateActiveTrades({ BBBUSDT: { price: 1.2 } });
+  await engine.updateActiveTrades({ BBBUSDT: { price: 1.02 } });
+  await engine.updateActiveTrades({ AAAUSDT: { price: 0.9 } });
+
+  const flattened = engine.tradeHistory.find(trade => trade.exitReason === 'risk_halt');
+  assert.strictEqual(flattened.symbol, 'BBBUSDT');
+  assert.strictEqual(flattened.maxPrice, 1.2);
+  assert.strictEqual(flattened.exitPrice, 1.02);
+}
+
+export async function testSimulatorReplaysRiskLimits() {
+  process.env.DB_PATH = ':memory:';
+  process.env.INITIAL_BALANCE_USDT = '10000';
+  await getDatabase();
+  const symbolModel = new SymbolModel();
+  const listingModel = new ListingAnalysisModel();
+  const klineModel = new HistoricalKlineModel();
+
+  // Плоска ціна: кожна угода закривається за таймаутом зі збитком у розмірі комісій
+  for (const [symbol, offsetMinutes] of [['AAAUSDT', 0], ['BBBUSDT', 5], ['CCCUSDT', 30]]) {
+    const symbolId = await symbolModel.create({ symbol, baseAsset: symbol.replace('USDT', ''), quoteAsset: 'USDT' });
+    const listingDate = T0 + offsetMinutes * 60000;
+    await listingModel.create({ symbolId, listingDate, dataStatus: 'analyzed' });
+
+    const klines = [];
+    for (let i = 0; i < 20; i++) {
+      const openTime = listingDate + i * 60000;
+      klines.push([symbolId, openTime, openTime + 59999, 10, 10.1, 9.9, 10, 1000, 10000, 50, 500, 5000]);
+    }
+    await klineModel.createBatch(klines);
+  }
+
+  const sim = new TradingSimulator({
+    name: 'RiskReplay',
+    takeProfitPercent: 0.5,
+    stopLossPercent: 0.3,
+    buyAmountUsdt: 100,
+    binanceFeePercent: 0.00075,
+    cooldownSeconds: 1,
+    maxOpenTrades: 2,
+    replayMode: 'portfolio',
+    riskLimits: { maxConsecutiveLosses: 1, flattenOnHalt: true }
+  });
+  const { summary, trades } = await sim.runSimulation(30);
+
+  assert.deepStrictEqual(trades.map(t => [t.symbol, t.exitReason]), [['AAAUSDT', 'timeout'], ['BBBUSDT', 'risk_halt']]);
+  assert.strictEqual(summary.skipReasonStats.risk_halted, 1);
+  assert.deepStrictEqual(summary.riskHalts.map(h => h.reason), ['max_consecutive_losses']);
+
+  const db = await getDatabase();
+  const saved = await db.get('SELECT risk_limits FROM simulation_configs WHERE name = ?', 'RiskReplay');
+  assert.deepStrictEqual(JSON.parse(saved.risk_limits), { maxConsecutiveLosses: 1, flattenOnHalt: true });
+
+  await closeDatabase();
+}
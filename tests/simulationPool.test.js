@@ -0,0 +1,180 @@
+import assert from 'assert';
+import { promises as fs } from 'fs';
+import { Worker } from 'worker_threads';
+import { getDatabase, closeDatabase } from '../src/database/init.js';
+import { SymbolModel, ListingAnalysisModel, HistoricalKlineModel } from '../src/database/models.js';
+import { TradingSimulator } from '../src/simulation/simulator.js';
+import { SimulationPool } from '../src/simulation/simulationPool.js';
+import { KlineDataset } from '../src/simulation/klineDataset.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const DB_FILE = '/tmp/simulation-pool.sqlite';
+
+// Чотири свіжі лістинги: ціна росте на 1% за свічку, потім падає
+async function seedListings() {
+  const symbolModel = new SymbolModel();
+  const listingModel = new ListingAnalysisModel();
+  const klineModel = new HistoricalKlineModel();
+  const start = Math.floor(Date.now() / 60000) * 60000 - 5 * DAY;
+
+  for (let i = 0; i < 4; i++) {
+    const symbolId = await symbolModel.create({ symbol: `POOL${i}USDT`, baseAsset: `POOL${i}`, quoteAsset: 'USDT' });
+    const listingDate = start + i * DAY;
+    await listingModel.create({ symbolId, listingDate, dataStatus: 'analyzed' });
+
+    const klines = [];
+    for (let k = 0; k < 30; k++) {
+      const openTime = listingDate + k * 60000;
+      const price = 10 * (1 + 0.01 * (k < 15 ? k : 30 - k) * (i + 1));
+      klines.push([symbolId, openTime, openTime + 59999, price, price * 1.005, price * 0.995, price, 1000, 10000, 50, 500, 5000]);
+    }
+    await klineModel.createBatch(klines);
+  }
+}
+
+function poolConfigs(prefix) {
+  return [0.01, 0.02, 0.05, 0.08, 0.12].map((takeProfitPercent, i) => ({
+    name: `${prefix}_${i}`,
+    takeProfitPercent,
+    stopLossPercent: 0.01,
+    buyAmountUsdt: 100,
+    maxOpenTrades: 1,
+    trailingStopEnabled: false,
+    entryTiming: 'delay'
+  }));
+}
+
+async function savedSummaryNames(prefix) {
+  const db = await getDatabase();
+  const rows = await db.all(`
+    SELECT sc.name, ss.total_trades, ss.roi_percent
+    FROM simulation_summary ss
+    JOIN simulation_configs sc ON sc.id = ss.config_id
+    WHERE sc.name LIKE ?
+    ORDER BY ss.id
+  `, `${prefix}_%`);
+  return rows;
+}
+
+export async function testSimulationPoolMatchesSequentialRunsInOrder() {
+  await closeDatabase().catch(() => {});
+  await fs.unlink(DB_FILE).catch(() => {});
+  process.env.DB_PATH = DB_FILE;
+  process.env.INITIAL_BALANCE_USDT = '10000';
+
+  try {
+    await getDatabase();
+    await seedListings();
+
+    const configs = poolConfigs('Pool');
+    const progress = [];
+    const pool = new SimulationPool({ size: 2 });
+    const results = await pool.run(configs, {
+      onProgress: (completed, total) => progress.push(`${completed}/${total}`)
+    });
+
+    assert.deepStrictEqual(progress, ['1/5', '2/5', '3/5', '4/5', '5/5']);
+    assert.deepStrictEqual(results.map(result => result.config.name), configs.map(config => config.name));
+    for (const result of results) {
+      assert.strictEqual(result.error, undefined);
+      assert.ok(result.configId);
+    }
+    assert.ok(results.some(result => result.summary.totalTrades > 0));
+
+    // Кеш воркерів: кожен лістинг читається з БД не більше разу на воркер
+    const cache = pool.getCacheStats();
+    assert.ok(cache.misses <= 4 * 2);
+    assert.ok(cache.hits > 0);
+
+    // Зведення збережені в порядку конфігурацій
+    const saved = await savedSummaryNames('Pool');
+    assert.deepStrictEqual(saved.map(row => row.name), configs.map(config => config.name));
+
+    // Ті самі результати, що й у послідовного прогону в головному потоці
+    for (const [i, config] of poolConfigs('Sequential').entries()) {
+      const { summary } = await new TradingSimulator(config).runSimulation();
+      assert.strictEqual(results[i].summary.totalTrades, summary.totalTrades);
+      assert.strictEqual(results[i].summary.roiPercent, summary.roiPercent);
+      assert.strictEqual(saved[i].total_trades, summary.totalTrades);
+    }
+
+    // Зі спільним датасетом воркери не читають свічки з БД
+    const datasetPool = new SimulationPool({ size: 2, dataset: await KlineDataset.load() });
+    const fromDataset = await datasetPool.run(configs, { persist: false });
+    assert.strictEqual(datasetPool.getCacheStats().misses, 0);
+    fromDataset.forEach((result, i) => {
+      assert.strictEqual(result.summary.totalTrades, results[i].summary.totalTrades);
+      assert.strictEqual(result.summary.roiPercent, results[i].summary.roiPercent);
+    });
+  } finally {
+    await closeDatabase();
+    await fs.unlink(DB_FILE).catch(() => {});
+    await fs.unlink(`${DB_FILE}-wal`).catch(() => {});
+    await fs.unlink(`${DB_FILE}-shm`).catch(() => {});
+  }
+}
+
+export async function testSimulationPoolFailsTaskOfExitedWorker() {
+  const dbFile = '/tmp/simulation-pool-exit.sqlite';
+  await closeDatabase().catch(() => {});
+  await fs.unlink(dbFile).catch(() => {});
+  process.env.DB_PATH = dbFile;
+  process.env.INITIAL_BALANCE_USDT = '10000';
+
+  // Воркер з другою конфігурацією зупиняється, не відповівши і без події 'error'
+  const postMessage = Worker.prototype.postMessage;
+  Worker.prototype.postMessage = function (message) {
+    postMessage.call(this, message);
+    if (message.index === 1) {
+      this.terminate();
+    }
+  };
+
+  try {
+    await getDatabase();
+    await seedListings();
+
+    const configs = poolConfigs('Exit');
+    const results = await new SimulationPool({ size: 2 }).run(configs);
+
+    assert.strictEqual(results.length, configs.length);
+    assert.match(results[1].error, /exited with code/);
+    assert.strictEqual(results[1].configId, undefined);
+    results.filter((result, i) => i !== 1).forEach(result => {
+      assert.strictEqual(result.error, undefined);
+      assert.ok(result.configId);
+    });
+
+    const saved = await savedSummaryNames('Exit');
+    assert.deepStrictEqual(saved.map(row => row.name), configs.filter((config, i) => i !== 1).map(config => config.name));
+  } finally {
+    Worker.prototype.postMessage = postMessage;
+    await closeDatabase();
+    await fs.unlink(dbFile).catch(() => {});
+    await fs.unlink(`${dbFile}-wal`).catch(() => {});
+    await fs.unlink(`${dbFile}-shm`).catch(() => {});
+  }
+}
+
+export async function testSimulationPoolRunsInlineForMemoryDatabase() {
+  process.env.DB_PATH = ':memory:';
+  process.env.INITIAL_BALANCE_USDT = '10000';
+  await getDatabase();
+  await seedListings();
+
+  const configs = poolConfigs('Inline');
+  const pool = new SimulationPool({ size: 4 });
+  const results = await pool.run(configs, { persist: false });
+  assert.strictEqual(results.length, configs.length);
+  assert.ok(results.every(result => !result.error && result.configId === undefined));
+  assert.strictEqual((await savedSummaryNames('Inline')).length, 0);
+
+  // Один кеш на всі конфігурації: свічки кожного лістингу читаються один раз
+  assert.strictEqual(pool.getCacheStats().misses, 4);
+
+  await pool.run(configs);
+  const saved = await savedSummaryNames('Inline');
+  assert.deepStrictEqual(saved.map(row => row.name), configs.map(config => config.name));
+
+  await closeDatabase();
+}
@@ -1,5 +1,6 @@
 import assert from 'assert';
 import { getDatabase, closeDatabase } from '../src/database/init.js';
+import { HistoricalKlineModel, SimulationConfigModel } from '../src/database/models.js';
 import { TradingSimulator } from '../src/simulation/simulator.js';
 
 export async function testFetchKlinesDoesNotThrow() {
@@ -95,6 +96,41 @@ export async function testSaveSimulationSummaryInsertsRow() {
   await closeDatabase();
 }
 
+export async function testConfigWithSameNameButOtherParamsGetsOwnRow() {
+  process.env.DB_PATH = ':memory:';
+  await getDatabase();
+  const configModel = new SimulationConfigModel();
+
+  const base = {
+    name: 'Optimized_TP0.05_SL0.02_TS0.01_BA100',
+    takeProfitPercent: 0.05,
+    stopLossPercent: 0.02,
+    buyAmountUsdt: 100,
+    maxOpenTrades: 1,
+    minLiquidityUsdt: 1000,
+    binanceFeePercent: 0.001,
+    cooldownSeconds: 60
+  };
+  const firstId = await configModel.create(base);
+  assert.strictEqual(await configModel.create({ ...base }), firstId);
+
+  // Інша стратегія/параметри під тією ж назвою - окремий рядок із власними колонками
+  const filtered = { ...base, strategyParams: { mode: 'filtered' }, fillModel: 'market_impact' };
+  const filteredId = await configModel.create(filtered);
+  assert.notStrictEqual(filteredId, firstId);
+  const row = await configModel.findById(filteredId);
+  assert.strictEqual(row.strategy_params, JSON.stringify({ mode: 'filtered' }));
+  assert.strictEqual(row.fill_model, 'market_impact');
+  assert.ok(row.name.startsWith(`${base.name}#`));
+
+  // Повторний прогін тих самих параметрів знаходить свій рядок, а не перший
+  assert.strictEqual(await configModel.create({ ...filtered }), filteredId);
+  assert.strictEqual(await configModel.create({ ...base }), firstId);
+  assert.strictEqual((await configModel.findById(firstId)).fill_model, 'ideal');
+
+  await closeDatabase();
+}
+
 export async function testTrailingStopSavesResult() {
   process.env.DB_PATH = ':memory:';
   const db = await getDatabase();
@@ -111,24 +147,120 @@ export async function testTrailingStopSavesResult() {
     binanceFeePercent: 0.1
   });
 
+  const start = Date.now();
   const marketData = {
     symbol: 'TSTUSDT',
     symbolId: 1,
     ticker: { price: '100', volume: '1000', priceChangePercent: '0' },
     orderBook: { bids: [['100', '1']], asks: [['101', '1']] },
     klines: [
-      { open: '100', high: '100', low: '100', close: '100' },
-      { open: '100', high: '112', low: '100', close: '112' },
-      { open: '112', high: '112', low: '104', close: '105' }
+      { open: '100', high: '100', low: '100', close: '100', closeTime: start + 59999 },
+      { open: '100', high: '112', low: '100', close: '112', closeTime: start + 119999 },
+      { open: '112', high: '112', low: '104', close: '105', closeTime: start + 179999 }
     ],
-    listingDate: Date.now(),
-    currentTime: Date.now() + 180000
+    listingDate: start,
+    currentTime: start + 180000
   };
 
   await sim.executeTrade(marketData, 1);
   const rows = await db.all('SELECT * FROM simulation_results');
   assert.strictEqual(rows.length, 1);
-  assert.strictEqual(rows[0].exit_reason, 'timeout');
+  // Активація на 112 (>= 110), стоп 112 * 0.95 = 106.4, спрацювання на low 104
+  assert.strictEqual(rows[0].exit_reason, 'trailing_stop');
+  assert.ok(Math.abs(rows[0].exit_price - 106.4) < 1e-9);
+  assert.strictEqual(rows[0].max_price_reached, 112);
+  assert.strictEqual(rows[0].trailing_stop_triggered, 1);
+  assert.strictEqual(rows[0].trailing_stop_activated_at, start + 119999);
+  // Вхід на закритті першої свічки, вихід - на пізнішій
+  assert.strictEqual(rows[0].entry_time, start + 59999);
+  assert.ok(rows[0].exit_time > rows[0].entry_time);
+
+  await closeDatabase();
+}
+
+export async function testHoldingHorizonStreamsKlines() {
+  process.env.DB_PATH = ':memory:';
+  const db = await getDatabase();
+
+  const symbolId = 1;
+  const listingDate = Date.UTC(2024, 0, 1);
+  const rows = [];
+  for (let i = 0; i < 300; i++) {
+    const openTime = listingDate + i * 60_000;
+    rows.push([symbolId, openTime, openTime + 59_999, 10, 10.01, 9.99, 10, 100, 1000, 10, 50, 500]);
+  }
+  await new HistoricalKlineModel().createBatch(rows);
+
+  // Пачки менші за діапазон - ітератор продовжує з останнього open_time без дублікатів
+  const streamed = [];
+  for await (const kline of new HistoricalKlineModel().iterateBySymbolAndTimeRange(symbolId, listingDate, listingDate + 99 * 60_000, 7)) {
+    streamed.push(kline.open_time);
+  }
+  assert.strictEqual(streamed.length, 100);
+  assert.strictEqual(new Set(streamed).size, 100);
+
+  const sim = new TradingSimulator({ name: 'Horizon', takeProfitPercent: 0.5, stopLossPercent: 0.5, maxHoldingMinutes: 240 });
+  const marketData = await sim.getMarketDataForListing(symbolId, 'HZNUSDT', listingDate);
+  assert.strictEqual(marketData.klines.length, 241);
+
+  const configId = await sim.saveConfiguration();
+  const row = await db.get('SELECT max_holding_minutes FROM simulation_configs WHERE id = ?', configId);
+  assert.strictEqual(row.max_holding_minutes, 240);
+
+  // BaseStrategy бере таймаут з того самого параметра
+  const trade = { tpPrice: 20, slPrice: 5, entryTime: listingDate };
+  const candle = { price: 10, high: 10, low: 10, timestamp: listingDate + 241 * 60_000 };
+  assert.strictEqual((await sim.strategy.checkExitConditions(trade, candle)).reason, 'timeout');
+  assert.strictEqual((await sim.strategy.checkExitConditions(trade, { ...candle, timestamp: listingDate + 60_000 })).shouldExit, false);
+
+  await closeDatabase();
+}
+
+export async function testHoldingHorizonExtendsHoldingAfterEntry() {
+  process.env.DB_PATH = ':memory:';
+  await getDatabase();
+
+  const symbolId = 1;
+  const listingDate = Date.UTC(2024, 0, 1);
+  const rows = [];
+  // Ціна повільно росте: TP і SL далеко, тож угода закривається за таймаутом
+  for (let i = 0; i < 300; i++) {
+    const openTime = listingDate + i * 60_000;
+    const price = Number((10 + i * 0.01).toFixed(2));
+    rows.push([symbolId, openTime, openTime + 59_999, price, price, price, price, 100, 1000, 10, 50, 500]);
+  }
+  await new HistoricalKlineModel().createBatch(rows);
+
+  const listing = { symbol_id: symbolId, symbol: 'HZNUSDT', listing_date: listingDate, klines_count: 300 };
+  const holdFor = async (maxHoldingMinutes, entry = {}) => {
+    const sim = new TradingSimulator({ name: `Horizon${maxHoldingMinutes}`, takeProfitPercent: 0.5, stopLossPercent: 0.5, maxHoldingMinutes, ...entry });
+    const result = await sim.processListing(listing, 1);
+    assert.strictEqual(result.processed, true);
+    return result.trade.trade;
+  };
+
+  const short = await holdFor(60);
+  const long = await holdFor(240);
+
+  for (const trade of [short, long]) {
+    assert.strictEqual(trade.entryTime, listingDate + 59_999);
+    assert.strictEqual(trade.entryPrice, 10);
+    assert.strictEqual(trade.exitReason, 'timeout');
+  }
+
+  // Таймаут настає через maxHoldingMinutes після входу, на ціні останньої свічки горизонту
+  assert.strictEqual(short.exitTime, listingDate + 60 * 60_000 + 59_999);
+  assert.strictEqual(short.exitPrice, 10.6);
+  assert.strictEqual(long.exitTime, listingDate + 240 * 60_000 + 59_999);
+  assert.strictEqual(long.exitPrice, 12.4);
+
+  // Пізній вхід тримається повні maxHoldingMinutes: свічки довантажуються після лістингового горизонту
+  const delayed = await holdFor(60, { entryTiming: 'delay', entryDelaySeconds: 1800 });
+  assert.strictEqual(delayed.entryTime, listingDate + 30 * 60_000);
+  assert.strictEqual(delayed.entryPrice, 10.3);
+  assert.strictEqual(delayed.exitReason, 'timeout');
+  assert.strictEqual(delayed.exitTime, listingDate + 90 * 60_000 - 1);
+  assert.strictEqual(delayed.exitPrice, 10.89);
 
   await closeDatabase();
 }
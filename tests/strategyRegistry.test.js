@@ -0,0 +1,50 @@
+import assert from 'assert';
+import { getDatabase, closeDatabase } from '../src/database/init.js';
+import { createStrategy, registerStrategy, getStrategyNames, DEFAULT_STRATEGY } from '../src/simulation/strategies/index.js';
+import { BaseStrategy } from '../src/simulation/strategies/baseStrategy.js';
+import { TradingSimulator } from '../src/simulation/simulator.js';
+
+export async function testStrategyRegistryCreatesByName() {
+  const scalper = createStrategy(DEFAULT_STRATEGY, { takeProfitPercent: 0.1, stopLossPercent: 0.05 });
+  assert(scalper instanceof BaseStrategy);
+  assert.ok(Math.abs(scalper.getExitConditions(100).takeProfitPrice - 110) < 1e-9);
+
+  const trend = createStrategy('basicTrend', { strategyParams: '{"minVolume":5}' });
+  assert.strictEqual(trend.minVolume, 5);
+
+  assert.throws(() => createStrategy('doesNotExist', {}), /Unknown strategy/);
+
+  class AlwaysSkip extends BaseStrategy {
+    async checkEntryConditions() {
+      return { shouldEnter: false, reason: 'always_skip' };
+    }
+  }
+  registerStrategy('alwaysSkip', AlwaysSkip);
+  assert(getStrategyNames().includes('alwaysSkip'));
+  const custom = createStrategy('alwaysSkip', {});
+  assert.strictEqual((await custom.checkEntryConditions({})).reason, 'always_skip');
+}
+
+export async function testSimulatorPersistsStrategySelection() {
+  process.env.DB_PATH = ':memory:';
+  const db = await getDatabase();
+
+  const sim = new TradingSimulator({
+    name: 'StrategyCfg',
+    takeProfitPercent: 0.1,
+    stopLossPercent: 0.05,
+    strategy: 'basicTrend',
+    strategyParams: { minVolume: 5, trendCandles: 2 }
+  });
+  assert.strictEqual(sim.strategy.name, 'BasicTrend');
+  assert.strictEqual(sim.strategy.trendCandles, 2);
+
+  const configId = await sim.saveConfiguration();
+  const row = await db.get('SELECT strategy, strategy_params FROM simulation_configs WHERE id = ?', configId);
+  assert.strictEqual(row.strategy, 'basicTrend');
+  assert.deepStrictEqual(JSON.parse(row.strategy_params), { minVolume: 5, trendCandles: 2 });
+
+  assert.throws(() => new TradingSimulator({ name: 'Bad', strategy: 'doesNotExist' }), /Unknown strategy/);
+
+  await closeDatabase();
+}
@@ -0,0 +1,129 @@
+import assert from 'assert';
+import { getDatabase, closeDatabase } from '../src/database/init.js';
+import { SymbolModel } from '../src/database/models.js';
+import { ListingWatcher } from '../src/collectors/listingWatcher.js';
+import { TradingEngine } from '../src/simulation/tradingEngine.js';
+import { TradingSimulator } from '../src/simulation/simulator.js';
+import { parseSymbolFilters, applyOrderFilters, floorToStep, roundToTick } from '../src/utils/symbolFilters.js';
+
+const exchangeFilters = [
+  { filterType: 'PRICE_FILTER', minPrice: '0.00010000', maxPrice: '1000.00000000', tickSize: '0.00010000' },
+  { filterType: 'LOT_SIZE', minQty: '0.10000000', maxQty: '90000.00000000', stepSize: '0.10000000' },
+  { filterType: 'NOTIONAL', minNotional: '5.00000000', maxNotional: '9000000.00000000' }
+];
+
+export async function testApplyOrderFiltersRoundsToStepAndTick() {
+  const filters = parseSymbolFilters(exchangeFilters);
+  assert.deepStrictEqual(filters, {
+    stepSize: 0.1, minQty: 0.1, maxQty: 90000, tickSize: 0.0001, minPrice: 0.0001, maxPrice: 1000, minNotional: 5
+  });
+
+  const order = applyOrderFilters({ quantity: 100 / 3, price: 3.00007 }, filters);
+  assert.deepStrictEqual(order, { valid: true, quantity: 33.3, price: 3.0001 });
+  assert.strictEqual(roundToTick(3.00007, 0.0001, 'down'), 3);
+  assert.strictEqual(roundToTick(3.00001, 0.0001, 'up'), 3.0001);
+
+  assert.strictEqual(applyOrderFilters({ quantity: 1.5, price: 3 }, filters).reason, 'below_min_notional');
+  assert.strictEqual(applyOrderFilters({ quantity: 0.05, price: 500 }, filters).reason, 'below_min_qty');
+  assert.strictEqual(applyOrderFilters({ quantity: 100000, price: 1 }, filters).reason, 'above_max_qty');
+
+  // Кроки не степені десяти: результат - кратне кроку, кількість не округлюється вгору
+  assert.strictEqual(floorToStep(0.75, 0.25), 0.75);
+  assert.strictEqual(floorToStep(0.99, 0.25), 0.75);
+  assert.strictEqual(floorToStep(1.075, 0.025), 1.075);
+  assert.strictEqual(floorToStep(1.099, 0.025), 1.075);
+  assert.strictEqual(floorToStep(3.7e-7, 2.5e-7), 2.5e-7);
+  assert.strictEqual(roundToTick(1.0376, 0.025), 1.05);
+  assert.strictEqual(roundToTick(1.0376, 0.025, 'down'), 1.025);
+  assert.strictEqual(roundToTick(0.6, 0.25, 'up'), 0.75);
+
+  // Без збережених правил ордер не змінюється
+  assert.deepStrictEqual(applyOrderFilters({ quantity: 1 / 3, price: 3 }, null), { valid: true, quantity: 1 / 3, price: 3 });
+}
+
+export async function testListingWatcherStoresSymbolFilters() {
+  process.env.DB_PATH = ':memory:';
+  await getDatabase();
+
+  const symbols = [{ symbol: 'LOTUSDT', baseAsset: 'LOT', quoteAsset: 'USDT', status: 'TRADING', filters: exchangeFilters }];
+  const source = { getExchangeInfo: async () => ({ symbols }) };
+  const watcher = new ListingWatcher({ engine: { processNewListing: async () => ({ processed: false }) }, source });
+  const symbolModel = new SymbolModel();
+
+  await watcher.poll();
+  assert.strictEqual((await symbolModel.getFilters('LOTUSDT')).stepSize, 0.1);
+
+  // Біржа змінила крок лоту - правила оновлюються при наступному опитуванні
+  symbols[0].filters = exchangeFilters.map(filter => filter.filterType === 'LOT_SIZE' ? { ...filter, stepSize: '1.00000000', minQty: '1.00000000' } : filter);
+  await watcher.poll();
+  const updated = await symbolModel.getFilters('LOTUSDT');
+  assert.strictEqual(updated.stepSize, 1);
+  assert.strictEqual(updated.minQty, 1);
+  assert.strictEqual(updated.minNotional, 5);
+
+  await closeDatabase();
+}
+
+export async function testEngineRejectsOrdersBelowMinNotional() {
+  const engine = new TradingEngine({
+    simulationMode: true,
+    buyAmountUsdt: 100,
+    binanceFeePercent: 0.001,
+    takeProfitPercent: 0.1,
+    stopLossPercent: 0.05,
+    initialBalanceUsdt: 1000
+  }, {});
+  const marketData = {
+    symbol: 'LOTUSDT',
+    ticker: { price: '3' },
+    orderBook: { bids: [['2.99', '1000']], asks: [['3.01', '1000']] },
+    filters: parseSymbolFilters(exchangeFilters)
+  };
+
+  const rejected = await engine.executeBuy(marketData, 4);
+  assert.strictEqual(rejected.success, false);
+  assert.strictEqual(rejected.reason, 'below_min_notional');
+  assert.strictEqual(engine.activeTrades.size, 0);
+
+  const { success, trade } = await engine.executeBuy(marketData, 100);
+  assert.ok(success);
+  assert.strictEqual(trade.quantity, 33.3);
+  assert.ok(Math.abs(trade.positionSizeUsdt - 99.9) < 1e-9);
+}
+
+export async function testSimulatorAppliesSymbolFilters() {
+  process.env.DB_PATH = ':memory:';
+  await getDatabase();
+
+  const sim = new TradingSimulator({
+    name: 'Filters',
+    takeProfitPercent: 0.1,
+    stopLossPercent: 0.05,
+    buyAmountUsdt: 100,
+    binanceFeePercent: 0.001,
+    fillModel: 'ideal',
+    trailingStopEnabled: false
+  });
+  const filters = parseSymbolFilters(exchangeFilters);
+  const kline = { openTime: 0, open: 3, high: 3, low: 3, close: 3, volume: 1000, quoteAssetVolume: 3000, trades: 10, closeTime: 59999 };
+  const marketData = { symbol: 'LOTUSDT', symbolId: 1, ticker: { price: '3' }, klines: [kline], filters };
+
+  assert.strictEqual(sim.checkPositionSize({ amountUsdt: 4 }, 1000, marketData), 'below_min_notional');
+  assert.strictEqual(sim.checkPositionSize({ amountUsdt: 100 }, 1000, marketData), null);
+
+  const position = sim.openPosition(marketData, 3, 59999, 100);
+  assert.strictEqual(position.quantity, 33.3);
+  assert.ok(Math.abs(position.costUsdt - 99.9) < 1e-9);
+
+  // Частина, замала для біржі, продається разом з наступною ногою
+  const legs = sim.applyLegFilters([
+    { price: 3.3, quantity: 1.2, time: 1, reason: 'take_profit' },
+    { price: 3.6, quantity: 16.65, time: 2, reason: 'take_profit' },
+    { price: 3.9, quantity: 15.45, time: 3, reason: 'take_profit' }
+  ], position.quantity, filters);
+  assert.deepStrictEqual(legs.map(leg => leg.price), [3.6, 3.9]);
+  assert.strictEqual(legs[0].quantity, 17.8);
+  assert.ok(Math.abs(legs[1].quantity - 15.5) < 1e-9);
+
+  await closeDatabase();
+}
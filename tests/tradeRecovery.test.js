@@ -0,0 +1,120 @@
+import assert from 'assert';
+import { getDatabase, closeDatabase } from '../src/database/init.js';
+import { LiveTradeModel, LiveOrderModel, TrailingStopStateModel } from '../src/database/models.js';
+import { PaperExchange } from '../src/simulation/paperExchange.js';
+import { TradingEngine } from '../src/simulation/tradingEngine.js';
+
+const config = {
+  buyAmountUsdt: 100,
+  binanceFeePercent: 0.001,
+  takeProfitPercent: 0.5,
+  stopLossPercent: 0.05,
+  trailingStopEnabled: true,
+  trailingStopPercent: 0.05,
+  trailingStopActivationPercent: 0.1,
+  fillModel: 'ideal',
+  initialBalances: { USDT: 1000 },
+  persistTrades: true
+};
+
+function kline(price, closeTime, high = price) {
+  return { open: price, high, low: price, close: price, quoteAssetVolume: 200000, trades: 400, closeTime };
+}
+
+async function openTrade(exchange, symbol) {
+  exchange.processKline(symbol, kline(1, 1000));
+  const engine = new TradingEngine({ ...config, clock: () => exchange.now() }, exchange);
+  await engine.start();
+
+  const { success, trade } = await engine.executeBuy({
+    symbol,
+    ticker: { price: '1' },
+    orderBook: exchange.fillModel.orderBookGenerator.generate(kline(1, 1000))
+  }, 100);
+  assert.ok(success);
+  return { engine, trade };
+}
+
+export async function testEngineRestoresTradeWithTrailingState() {
+  process.env.DB_PATH = ':memory:';
+  await getDatabase();
+
+  const exchange = new PaperExchange(config);
+  const { engine, trade } = await openTrade(exchange, 'RECUSDT');
+  assert.strictEqual((await new LiveOrderModel().getByTradeId(trade.id))[0].purpose, 'entry');
+
+  // Trailing stop активується на 1.15, після чого процес "падає" без stop()
+  exchange.processKline('RECUSDT', kline(1.15, 2000));
+  await engine.updateActiveTrades({ RECUSDT: { price: 1.15 } });
+  const savedState = await new TrailingStopStateModel().findByTradeId(trade.id);
+  assert.strictEqual(savedState.is_activated, 1);
+  assert.strictEqual(savedState.highest_price, 1.15);
+
+  const restarted = new TradingEngine({ ...config, clock: () => exchange.now() }, exchange);
+  await restarted.start();
+
+  const restored = restarted.activeTrades.get('RECUSDT');
+  assert.strictEqual(restored.id, trade.id);
+  assert.strictEqual(restored.remainingQuantity, trade.quantity);
+  assert.strictEqual(restored.maxPrice, 1.15);
+  assert.deepStrictEqual(restored.exitConditions, trade.exitConditions);
+  assert.ok(restarted.trailingStopLoss.getTradeStatus(trade.id).isActivated);
+
+  // Падіння нижче 1.0925 спрацьовує за відновленим рівнем, а не з нуля
+  exchange.processKline('RECUSDT', kline(1.08, 3000));
+  await restarted.updateActiveTrades({ RECUSDT: { price: 1.08 } });
+  assert.strictEqual(restarted.activeTrades.size, 0);
+  assert.strictEqual(restarted.tradeHistory[0].exitReason, 'trailing_stop');
+
+  const row = await new LiveTradeModel().findById(trade.id);
+  assert.strictEqual(row.status, 'CLOSED');
+  assert.strictEqual(row.exit_reason, 'trailing_stop');
+  assert.strictEqual(await new TrailingStopStateModel().findByTradeId(trade.id), undefined);
+  assert.deepStrictEqual((await new LiveOrderModel().getByTradeId(trade.id)).map(order => order.side), ['BUY', 'SELL']);
+
+  await closeDatabase();
+}
+
+export async function testEngineReconcilesTradesWithExchange() {
+  process.env.DB_PATH = ':memory:';
+  await getDatabase();
+
+  const exchange = new PaperExchange(config);
+  const { trade: soldTrade } = await openTrade(exchange, 'GONEUSDT');
+  const { trade: ladderTrade } = await openTrade(exchange, 'HALFUSDT');
+
+  // Поки движок не працює: першу позицію продано вручну,
+  // а стоячий лімітний продаж половини другої виконано біржею
+  await exchange.order({ symbol: 'GONEUSDT', side: 'SELL', type: 'MARKET', quantity: soldTrade.quantity });
+  const half = ladderTrade.quantity / 2;
+  const limit = await exchange.order({ symbol: 'HALFUSDT', side: 'SELL', type: 'LIMIT', quantity: half, price: 1.2 });
+  await new LiveOrderModel().save({
+    tradeId: ladderTrade.id,
+    orderId: limit.orderId,
+    symbol: 'HALFUSDT',
+    side: 'SELL',
+    type: 'LIMIT',
+    quantity: half,
+    executedQuantity: 0,
+    price: 1.2,
+    status: limit.status,
+    purpose: 'take_profit'
+  });
+  exchange.processKline('HALFUSDT', kline(1.1, 2000, 1.25));
+
+  const restarted = new TradingEngine({ ...config, clock: () => exchange.now() }, exchange);
+  await restarted.start();
+  assert.deepStrictEqual(await restarted.restoreActiveTrades(), { restored: 0, closed: 0 });
+
+  assert.strictEqual(restarted.activeTrades.has('GONEUSDT'), false);
+  assert.strictEqual((await new LiveTradeModel().findById(soldTrade.id)).exit_reason, 'closed_externally');
+
+  const resumed = restarted.activeTrades.get('HALFUSDT');
+  assert.strictEqual(resumed.exitLegs.length, 1);
+  assert.strictEqual(resumed.exitLegs[0].exitPrice, 1.2);
+  assert.ok(Math.abs(resumed.remainingQuantity - half) < 1e-9);
+  assert.strictEqual((await new LiveOrderModel().getOpenByTradeId(ladderTrade.id)).length, 0);
+  assert.ok(Math.abs((await new LiveTradeModel().findById(ladderTrade.id)).remaining_quantity - half) < 1e-9);
+
+  await closeDatabase();
+}
@@ -0,0 +1,92 @@
+import assert from 'assert';
+import { getDatabase, closeDatabase } from '../src/database/init.js';
+import { SymbolModel, ListingAnalysisModel, HistoricalKlineModel } from '../src/database/models.js';
+import { ParameterOptimizer, buildWalkForwardWindows } from '../src/analysis/optimizer.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const T0 = Date.UTC(2024, 0, 1);
+
+export async function testWalkForwardWindowsRollByListingDate() {
+  const listings = Array.from({ length: 12 }, (_, i) => ({ listing_date: T0 + (11 - i) * DAY }));
+
+  const rolling = buildWalkForwardWindows(listings, { trainSize: 6, testSize: 2 });
+  assert.strictEqual(rolling.length, 3);
+  assert.deepStrictEqual(rolling[0].train, { from: T0, to: T0 + 6 * DAY, listings: 6 });
+  assert.deepStrictEqual(rolling[0].test, { from: T0 + 6 * DAY, to: T0 + 8 * DAY, listings: 2 });
+  assert.deepStrictEqual(rolling[1].train, { from: T0 + 2 * DAY, to: T0 + 8 * DAY, listings: 6 });
+  // Останнє тестове вікно включає останній лістинг
+  assert.deepStrictEqual(rolling[2].test, { from: T0 + 10 * DAY, to: T0 + 11 * DAY + 1, listings: 2 });
+
+  const anchored = buildWalkForwardWindows(listings, { trainSize: 6, testSize: 2, anchored: true });
+  assert.deepStrictEqual(anchored[2].train, { from: T0, to: T0 + 10 * DAY, listings: 10 });
+
+  assert.deepStrictEqual(buildWalkForwardWindows(listings.slice(0, 7), { trainSize: 6, testSize: 2 }), []);
+}
+
+export async function testWalkForwardEvaluatesOutOfSample() {
+  process.env.DB_PATH = ':memory:';
+  process.env.INITIAL_BALANCE_USDT = '10000';
+  await getDatabase();
+  const symbolModel = new SymbolModel();
+  const listingModel = new ListingAnalysisModel();
+  const klineModel = new HistoricalKlineModel();
+
+  // Вісім лістингів по одному на добу; ціна росте на 1% за свічку
+  const listingDates = {};
+  for (let i = 0; i < 8; i++) {
+    const symbol = `WF${i}USDT`;
+    const symbolId = await symbolModel.create({ symbol, baseAsset: `WF${i}`, quoteAsset: 'USDT' });
+    const listingDate = T0 + i * DAY;
+    listingDates[symbol] = listingDate;
+    await listingModel.create({ symbolId, listingDate, dataStatus: 'analyzed' });
+
+    const klines = [];
+    for (let k = 0; k < 20; k++) {
+      const openTime = listingDate + k * 60000;
+      const price = 10 * (1 + 0.01 * k);
+      klines.push([symbolId, openTime, openTime + 59999, price, price * 1.005, price * 0.995, price * 1.01, 1000, 10000, 50, 500, 5000]);
+    }
+    await klineModel.createBatch(klines);
+  }
+
+  const optimizer = new ParameterOptimizer();
+  const { windows, equityCurve, summary } = await optimizer.walkForward({
+    name: 'WalkForward',
+    buyAmountUsdt: 100,
+    binanceFeePercent: 0.00075,
+    trailingStopEnabled: false,
+    entryTiming: 'delay'
+  }, {
+    trainSize: 4,
+    testSize: 2,
+    takeProfitRange: [0.05, 0.5, 0.45],
+    stopLossRange: [0.03, 0.03, 1],
+    trailingStopRange: [0.02, 0.02, 1],
+    buyAmountRange: [100, 100, 1]
+  });
+
+  assert.strictEqual(windows.length, 2);
+  assert.strictEqual(summary.windows, 2);
+
+  // На зростанні дальній TP (вихід за таймаутом) дає більше за ближчий, а тестові угоди - лише з лістингів тестового вікна
+  for (const window of windows) {
+    assert.strictEqual(window.config.takeProfitPercent, 0.5);
+    assert.ok(window.trainScore > 0);
+    assert.strictEqual(window.testTrades, 2);
+  }
+  for (const point of equityCurve) {
+    const window = windows.find(w => w.index === point.window);
+    assert.ok(listingDates[point.symbol] >= window.test.from && listingDates[point.symbol] < window.test.to);
+  }
+
+  // Крива поза вибіркою зшита з P&L тестових угод усіх вікон
+  assert.strictEqual(equityCurve.length, 4);
+  assert.deepStrictEqual(equityCurve.map(point => point.window), [1, 1, 2, 2]);
+  const totalProfit = windows.reduce((sum, window) => sum + window.testProfitUsdt, 0);
+  assert.ok(Math.abs(equityCurve[equityCurve.length - 1].equity - (10000 + totalProfit)) < 1e-9);
+  assert.ok(Math.abs(summary.outOfSampleReturnUsdt - totalProfit) < 1e-9);
+  assert.strictEqual(summary.profitableWindows, 2);
+  assert.deepStrictEqual(summary.parameterStability.takeProfitPercent, { mean: 0.5, stdDev: 0, distinctValues: 1 });
+
+  await closeDatabase();
+}